@@ -0,0 +1,60 @@
+// Creates a user (or resets an existing user's password and role), e.g. the first admin:
+//
+//   node scripts/create-user.js --email admin@example.com --name "Site Admin" --role admin
+//
+//   --password <password>       defaults to the CREATE_USER_PASSWORD environment variable
+//   --role viewer|technician|planner|admin   (default viewer)
+//   --locations "Plant A,Plant B"   limit the user to equipment at these locations
+const { sequelize, User } = require('../server/models');
+const authService = require('../server/services/authService');
+const { ROLES } = require('../server/utils/permissions');
+
+const args = process.argv.slice(2);
+
+function argValue(name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+async function main() {
+  const email = argValue('--email');
+  const name = argValue('--name') || email;
+  const role = argValue('--role') || 'viewer';
+  const password = argValue('--password') || process.env.CREATE_USER_PASSWORD;
+  const locations = argValue('--locations');
+
+  if (!email) {
+    throw new Error('Usage: node scripts/create-user.js --email <email> [--name <name>] [--role <role>] [--password <password>]');
+  }
+  if (!ROLES.includes(role)) {
+    throw new Error(`--role must be one of: ${ROLES.join(', ')}`);
+  }
+  authService.validatePassword(password);
+
+  await sequelize.authenticate();
+
+  const existing = await User.findOne({ where: { email: email.trim().toLowerCase() } });
+  const user = existing || User.build({ email });
+  user.set({
+    name,
+    role,
+    active: true,
+    locations: locations ? locations.split(',').map(location => location.trim()).filter(Boolean) : null
+  });
+  await user.setPassword(password);
+  await user.save();
+
+  if (existing) {
+    await authService.revokeTokens(user);
+  }
+
+  console.log(`✅ ${existing ? 'Updated' : 'Created'} ${user.role} ${user.email}` +
+    (user.locations ? ` (locations: ${user.locations.join(', ')})` : ''));
+  await sequelize.close();
+}
+
+main().catch(async (error) => {
+  console.error('❌ Failed to create user:', error.message);
+  await sequelize.close();
+  process.exit(1);
+});
@@ -0,0 +1,133 @@
+// Bulk import of historian exports and CMMS spreadsheets from the command line.
+//
+//   node scripts/import-data.js <file> --type sensor_readings|maintenance_records [options]
+//
+//   --format csv|json|ndjson       defaults to the file extension
+//   --options <mapping.json>       columns, equipment, timezone, timestampFormat, delimiter
+//   --map target=Column,...        column mapping shorthand (merged over --options)
+//   --equipment-column <Column>    column holding the equipment serial number (or id, see --match-by)
+//   --equipment <value>            every row belongs to this equipment
+//   --match-by serialNumber|id     how equipment is matched (default serialNumber)
+//   --timezone <zone>              zone for timestamps without an offset (default UTC)
+//   --timestamp-format <format>    moment format, e.g. "DD.MM.YYYY HH:mm:ss"
+//   --delimiter <char>             CSV delimiter (default ,)
+//   --dry-run                      validate only and print the row-level error report
+//   --with-alerts                  run alert rules and anomaly detection on imported readings
+//   --resume <jobId>               continue an interrupted import after its last committed row
+const fs = require('fs');
+const path = require('path');
+const { sequelize, ImportJob } = require('../server/models');
+const importService = require('../server/services/importService');
+
+const args = process.argv.slice(2);
+
+function argValue(name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+function buildOptions() {
+  const optionsFile = argValue('--options');
+  const options = optionsFile ? JSON.parse(fs.readFileSync(optionsFile, 'utf8')) : {};
+
+  const map = argValue('--map');
+  if (map) {
+    options.columns = options.columns || {};
+    map.split(',').forEach(pair => {
+      const [target, column] = pair.split('=').map(part => part.trim());
+      options.columns[target] = column;
+    });
+  }
+
+  const equipmentColumn = argValue('--equipment-column');
+  const equipmentValue = argValue('--equipment');
+  const matchBy = argValue('--match-by');
+  if (equipmentColumn || equipmentValue || matchBy) {
+    options.equipment = {
+      ...(options.equipment || {}),
+      ...(equipmentColumn ? { column: equipmentColumn } : {}),
+      ...(equipmentValue ? { value: equipmentValue } : {}),
+      ...(matchBy ? { matchBy } : {})
+    };
+  }
+
+  if (argValue('--timezone')) options.timezone = argValue('--timezone');
+  if (argValue('--timestamp-format')) options.timestampFormat = argValue('--timestamp-format');
+  if (argValue('--delimiter')) options.delimiter = argValue('--delimiter');
+
+  return options;
+}
+
+async function loadJob() {
+  const resumeId = argValue('--resume');
+  if (resumeId) {
+    const job = await ImportJob.findByPk(resumeId);
+    if (!job) throw new Error(`Import job ${resumeId} not found`);
+    if (job.status === 'completed') throw new Error(`Import job ${resumeId} has already completed`);
+    return job;
+  }
+
+  const file = args[0];
+  if (!file || file.startsWith('--')) {
+    throw new Error('Usage: node scripts/import-data.js <file> --type sensor_readings|maintenance_records [options]');
+  }
+
+  return importService.createJob({
+    type: argValue('--type'),
+    format: argValue('--format'),
+    filePath: path.resolve(file),
+    fileName: path.basename(file),
+    options: buildOptions(),
+    dryRun: args.includes('--dry-run'),
+    skipAlerts: !args.includes('--with-alerts'),
+    createdBy: `cli:${process.env.USER || 'unknown'}`
+  });
+}
+
+function printReport(job) {
+  console.log(`\n${job.dryRun ? 'Dry run' : 'Import'} ${job.status}: ${job.rowsProcessed} rows read, ` +
+    `${job.rowsImported} ${job.dryRun ? 'valid' : 'imported'}, ${job.rowsFailed} failed`);
+
+  if (job.failureReason) {
+    console.log(`Reason: ${job.failureReason}`);
+  }
+
+  (job.rowErrors || []).slice(0, 50).forEach(error => {
+    console.log(`  row ${error.row}${error.field ? ` [${error.field}]` : ''}: ${error.message}`);
+  });
+  if (job.rowsFailed > 50) {
+    console.log(`  ... see GET /api/imports/${job.id}/errors for the full report`);
+  }
+
+  if (job.status !== 'completed') {
+    console.log(`Resume with: node scripts/import-data.js --resume ${job.id}`);
+  }
+}
+
+async function main() {
+  await sequelize.authenticate();
+  const job = await loadJob();
+
+  importService.on('progress', (progressJob) => {
+    if (progressJob.id !== job.id) return;
+    process.stdout.write(`\r📥 ${progressJob.rowsProcessed} rows (${progressJob.rowsImported} ok, ${progressJob.rowsFailed} failed)`);
+  });
+
+  // Ctrl+C stops after the current batch, so the job can be resumed
+  process.once('SIGINT', () => {
+    console.log('\nStopping after the current batch...');
+    importService.cancel(job);
+  });
+
+  await importService.run(job);
+  printReport(job);
+
+  await sequelize.close();
+  process.exit(job.status === 'completed' && !(job.dryRun && job.rowsFailed > 0) ? 0 : 1);
+}
+
+main().catch(async (error) => {
+  console.error('❌ Import failed:', error.message);
+  await sequelize.close();
+  process.exit(1);
+});
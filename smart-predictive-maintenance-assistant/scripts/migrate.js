@@ -0,0 +1,54 @@
+// Applies, rolls back and lists schema migrations (server/migrations):
+//
+//   node scripts/migrate.js up               apply every pending migration
+//   node scripts/migrate.js up --to <name>   apply pending migrations up to and including <name>
+//   node scripts/migrate.js down             roll back the last applied migration
+//   node scripts/migrate.js down --step 3    roll back the last three
+//   node scripts/migrate.js down --to <name> roll back every migration after <name> and <name> itself
+//   node scripts/migrate.js down --to 0      roll back everything
+//   node scripts/migrate.js status           list applied and pending migrations
+const { sequelize } = require('../server/models');
+const migrator = require('../server/config/migrator');
+
+const args = process.argv.slice(2);
+const command = args[0] || 'status';
+
+function argValue(name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+migrator.on('migrating', ({ name }) => console.log(`⏳ Applying ${name}`));
+migrator.on('migrated', ({ name, durationSeconds }) => console.log(`✅ Applied ${name} (${durationSeconds}s)`));
+migrator.on('reverting', ({ name }) => console.log(`⏳ Rolling back ${name}`));
+migrator.on('reverted', ({ name, durationSeconds }) => console.log(`✅ Rolled back ${name} (${durationSeconds}s)`));
+
+async function main() {
+  await sequelize.authenticate();
+  const to = argValue('--to') === '0' ? 0 : argValue('--to');
+
+  if (command === 'up') {
+    const applied = await migrator.up(to ? { to } : {});
+    if (applied.length === 0) console.log('✅ Database schema is up to date');
+  } else if (command === 'down') {
+    const step = parseInt(argValue('--step')) || 1;
+    const reverted = await migrator.down(to !== undefined ? { to } : { step });
+    if (reverted.length === 0) console.log('✅ No migrations to roll back');
+  } else if (command === 'status') {
+    const executed = await migrator.executed();
+    const pending = await migrator.pending();
+    executed.forEach(({ name }) => console.log(`  applied  ${name}`));
+    pending.forEach(({ name }) => console.log(`  pending  ${name}`));
+    console.log(`${executed.length} applied, ${pending.length} pending`);
+  } else {
+    throw new Error('Usage: node scripts/migrate.js up|down|status [--to <name>] [--step <n>]');
+  }
+
+  await sequelize.close();
+}
+
+main().catch(async (error) => {
+  console.error('❌ Migration failed:', error.message);
+  await sequelize.close();
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+// Local OPC-UA server with simulated equipment, for developing and testing the OPC-UA adapter
+// without a PLC. Exposes the nodes used by server/config/opcua.json.
+//
+//   node scripts/opcua-test-server.js [--port 4840] [--degrade]
+//
+// --degrade makes the pump's vibration and temperature climb so alert rules and predictions fire.
+const { OPCUAServer, Variant, DataType } = require('node-opcua');
+
+const args = process.argv.slice(2);
+const port = parseInt(argValue('--port')) || parseInt(process.env.OPCUA_TEST_SERVER_PORT) || 4840;
+const degrade = args.includes('--degrade');
+const updateIntervalMs = 1000;
+
+const state = {
+  pump: { temperature: 65, vibration: 2.5, pressure: 60 },
+  motor: { temperature: 140, speed: 1750, current: 12, runHours: 1200 }
+};
+
+function argValue(name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+function jitter(value, amount) {
+  return value + (Math.random() - 0.5) * 2 * amount;
+}
+
+function simulate() {
+  const pump = state.pump;
+  pump.temperature = jitter(degrade ? pump.temperature + 0.05 : 65, 0.5);
+  pump.vibration = Math.max(0, jitter(degrade ? pump.vibration + 0.01 : 2.5, 0.2));
+  pump.pressure = jitter(60, 1.5); // psi
+
+  const motor = state.motor;
+  motor.temperature = jitter(140, 1); // degF
+  motor.speed = jitter(1750, 5);
+  motor.current = jitter(12, 0.3);
+  motor.runHours += updateIntervalMs / 3600000;
+}
+
+function addDoubleVariable(namespace, parent, nodeId, browseName, read) {
+  namespace.addVariable({
+    componentOf: parent,
+    nodeId: `s=${nodeId}`,
+    browseName,
+    dataType: 'Double',
+    minimumSamplingInterval: updateIntervalMs,
+    value: {
+      get: () => new Variant({ dataType: DataType.Double, value: read() })
+    }
+  });
+}
+
+async function main() {
+  const server = new OPCUAServer({
+    port,
+    resourcePath: '/UA/PredictiveMaintenance',
+    buildInfo: {
+      productName: 'PredictiveMaintenanceTestServer',
+      buildNumber: '1',
+      buildDate: new Date()
+    }
+  });
+
+  await server.initialize();
+
+  const addressSpace = server.engine.addressSpace;
+  const namespace = addressSpace.getOwnNamespace();
+  const objects = addressSpace.rootFolder.objects;
+
+  const pump = namespace.addObject({ organizedBy: objects, nodeId: 's=Pump001', browseName: 'Pump001' });
+  addDoubleVariable(namespace, pump, 'Pump001.Temperature', 'Temperature', () => state.pump.temperature);
+  addDoubleVariable(namespace, pump, 'Pump001.Vibration', 'Vibration', () => state.pump.vibration);
+  addDoubleVariable(namespace, pump, 'Pump001.Pressure', 'Pressure', () => state.pump.pressure);
+
+  const motor = namespace.addObject({ organizedBy: objects, nodeId: 's=Motor001', browseName: 'Motor001' });
+  addDoubleVariable(namespace, motor, 'Motor001.Temperature', 'Temperature', () => state.motor.temperature);
+  addDoubleVariable(namespace, motor, 'Motor001.Speed', 'Speed', () => state.motor.speed);
+  addDoubleVariable(namespace, motor, 'Motor001.Current', 'Current', () => state.motor.current);
+  addDoubleVariable(namespace, motor, 'Motor001.RunHours', 'RunHours', () => state.motor.runHours);
+
+  const timer = setInterval(simulate, updateIntervalMs);
+
+  await server.start();
+  console.log(`🏭 OPC-UA test server listening on ${server.getEndpointUrl()}${degrade ? ' (degrading)' : ''}`);
+
+  const shutdown = async () => {
+    clearInterval(timer);
+    await server.shutdown(1000);
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+  console.error('❌ Failed to start OPC-UA test server:', error);
+  process.exit(1);
+});
@@ -0,0 +1,318 @@
+// Generates demo data: equipment at several sites with months of sensor readings, failures
+// that are preceded by degrading readings, and the corrective and preventive work around them.
+// Each site gets a Production area with Line 1, holding the shift equipment, and a Utilities
+// area; motors are components of the pump with the same number. Run the migrations first.
+// The same --seed and --end produce the same data; without --end the history ends now.
+//
+//   node scripts/seed.js --sites 3 --equipment 6 --months 3 --end 2026-01-01
+//
+//   --sites <n>            sites, named Plant A, Plant B, ... (default 3)
+//   --equipment <n>        equipment per site (default 6)
+//   --months <n>           months of history up to --end (default 3)
+//   --end <date>           end of the history, e.g. 2026-01-01T00:00:00Z (default now)
+//   --interval <minutes>   minutes between readings (default 15)
+//   --failure-rate <n>     failures per equipment per month (default 0.5)
+//   --seed <n>             random seed (default 1)
+//   --reset                delete previously seeded equipment and everything recorded for it first
+const { Op } = require('sequelize');
+const { sequelize, Equipment, HierarchyNode, SensorReading, MaintenanceRecord } = require('../server/models');
+const timescaleService = require('../server/services/timescaleService');
+
+const args = process.argv.slice(2);
+const SERIAL_PREFIX = 'SEED-';
+const BATCH_SIZE = 2000;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Normal operating values while running. Line equipment runs two shifts on weekdays and
+// reports production counters; utilities run around the clock.
+const PROFILES = {
+  pump: { temperature: 55, vibration: 3, pressure: 60, rpm: 1750, power: 15, maxTemperature: 80, maxVibration: 10, maxPressure: 100, minPressure: 10 },
+  compressor: { temperature: 68, vibration: 4, pressure: 85, rpm: 3000, power: 45, maxTemperature: 95, maxVibration: 12, maxPressure: 120, minPressure: 40 },
+  motor: { temperature: 50, vibration: 2, pressure: null, rpm: 1450, power: 22, maxTemperature: 85, maxVibration: 8, maxPressure: 100, minPressure: 0 },
+  conveyor: { temperature: 35, vibration: 1.5, pressure: null, rpm: 120, power: 7.5, maxTemperature: 60, maxVibration: 6, maxPressure: 100, minPressure: 0, idealRatePerHour: 600, shifts: true },
+  press: { temperature: 45, vibration: 5, pressure: 90, rpm: 60, power: 30, maxTemperature: 70, maxVibration: 14, maxPressure: 140, minPressure: 20, idealRatePerHour: 240, shifts: true }
+};
+
+// How each failure mode shows up in the readings as it develops (severity 0 -> 1)
+const FAILURE_MODES = {
+  bearing: { vibration: 2.5, temperature: 0.3, description: 'Bearing failure' },
+  overheating: { vibration: 0.3, temperature: 0.6, description: 'Overheating, cooling fan seized' },
+  seal: { pressure: -0.45, vibration: 0.4, description: 'Seal leak, loss of pressure' }
+};
+
+function argValue(name, fallback) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : fallback;
+}
+
+// Small seeded PRNG (mulberry32) so runs are reproducible
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.between = (min, max) => min + random() * (max - min);
+  random.pick = (list) => list[Math.floor(random() * list.length)];
+  random.normal = (mean, sd) => mean + sd * Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+  return random;
+}
+
+function isScheduledToRun(profile, time) {
+  if (!profile.shifts) return true;
+  const day = time.getUTCDay();
+  const hour = time.getUTCHours();
+  return day >= 1 && day <= 5 && hour >= 6 && hour < 22;
+}
+
+// Failures spread over the period while the equipment runs, each with its degradation window
+// and repair
+function planFailures(random, profile, start, end, count) {
+  const failures = [];
+  for (let attempt = 0; failures.length < count && attempt < count * 20; attempt++) {
+    const at = new Date(random.between(start.getTime() + 14 * DAY_MS, end.getTime() - DAY_MS));
+    if (!isScheduledToRun(profile, at)) continue;
+    if (failures.some(failure => Math.abs(failure.at - at) < 21 * DAY_MS)) continue;
+    failures.push({
+      at,
+      mode: random.pick(Object.keys(FAILURE_MODES)),
+      degradeFrom: new Date(at.getTime() - random.between(3, 14) * DAY_MS),
+      downtimeMinutes: Math.round(random.between(2, 24) * 60),
+      emergency: random() < 0.3
+    });
+  }
+  return failures.sort((a, b) => a.at - b.at);
+}
+
+// Monthly preventive service at 07:00, ending with the next one still to come
+function planServices(random, start, end) {
+  const services = [];
+  const first = new Date(start.getTime() + Math.floor(random.between(1, 30)) * DAY_MS);
+  first.setUTCHours(7, 0, 0, 0);
+  for (let time = first.getTime(); ; time += 30 * DAY_MS) {
+    const duration = Math.round(random.between(60, 180));
+    services.push({ at: new Date(time), duration, completedDate: new Date(time + duration * 60000) });
+    if (time >= end.getTime()) return services;
+  }
+}
+
+// Site -> Production -> Line 1 and Site -> Utilities; kept when seeded equipment is reset
+async function createHierarchy(siteName) {
+  const node = async (name, level, parentId) => {
+    const [created] = await HierarchyNode.findOrCreate({ where: { name, level, parentId } });
+    return created;
+  };
+
+  const site = await node(siteName, 'site', null);
+  const production = await node('Production', 'area', site.id);
+  return {
+    line: await node('Line 1', 'line', production.id),
+    utilities: await node('Utilities', 'area', site.id)
+  };
+}
+
+async function createEquipment(random, sites, perSite, start) {
+  const types = Object.keys(PROFILES);
+  const records = [];
+  for (let site = 0; site < sites; site++) {
+    const siteCode = String.fromCharCode(65 + site);
+    const nodes = await createHierarchy(`Plant ${siteCode}`);
+    for (let n = 0; n < perSite; n++) {
+      const type = types[n % types.length];
+      const profile = PROFILES[type];
+      const number = Math.floor(n / types.length) + 1;
+      records.push({
+        name: `Plant ${siteCode} ${type.charAt(0).toUpperCase()}${type.slice(1)} ${number}`,
+        type,
+        location: `Plant ${siteCode}`,
+        hierarchyNodeId: profile.shifts ? nodes.line.id : nodes.utilities.id,
+        manufacturer: random.pick(['Siemens', 'ABB', 'Grundfos', 'Atlas Copco', 'SKF']),
+        serialNumber: `${SERIAL_PREFIX}${siteCode}-${type.toUpperCase()}-${String(number).padStart(2, '0')}`,
+        installationDate: new Date(start.getTime() - random.between(1, 8) * 365 * DAY_MS),
+        status: 'active',
+        maxTemperature: profile.maxTemperature,
+        maxVibration: profile.maxVibration,
+        maxPressure: profile.maxPressure,
+        minPressure: profile.minPressure,
+        specifications: {
+          seeded: true,
+          ratedPowerKw: profile.power,
+          downtimeCostPerHour: Math.round(random.between(100, 1500)),
+          ...(profile.idealRatePerHour ? { idealRatePerHour: profile.idealRatePerHour } : {})
+        }
+      });
+    }
+  }
+  const equipment = await Equipment.bulkCreate(records, { returning: true });
+
+  const bySerial = new Map(equipment.map(item => [item.serialNumber, item]));
+  for (const motor of equipment.filter(item => item.type === 'motor')) {
+    const pump = bySerial.get(motor.serialNumber.replace('-MOTOR-', '-PUMP-'));
+    if (pump) await motor.update({ parentId: pump.id });
+  }
+  return equipment;
+}
+
+// Writes the readings of one asset and returns its maintenance records
+async function seedAsset(random, equipment, options) {
+  const profile = PROFILES[equipment.type];
+  const failures = planFailures(random, profile, options.start, options.end,
+    Math.round(options.failureRate * options.months * random.between(0.5, 1.5)));
+  const services = planServices(random, options.start, options.end);
+  const records = [];
+  let batch = [];
+  let readings = 0;
+  const counters = profile.idealRatePerHour ? { totalCount: 0, goodCount: 0 } : null;
+  const performance = random.between(0.75, 0.95);
+  const quality = random.between(0.95, 0.995);
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await SensorReading.bulkCreate(batch, { validate: false, returning: false });
+    readings += batch.length;
+    batch = [];
+  };
+
+  for (let time = options.start.getTime(); time < options.end.getTime(); time += options.intervalMs) {
+    const timestamp = new Date(time);
+    const failure = failures.find(candidate => timestamp >= candidate.degradeFrom &&
+      timestamp < new Date(candidate.at.getTime() + candidate.downtimeMinutes * 60000));
+
+    // Down for repair or service: no readings
+    if (failure && timestamp >= failure.at) continue;
+    if (services.some(service => timestamp >= service.at && timestamp < service.completedDate)) continue;
+
+    const running = isScheduledToRun(profile, timestamp) && random() > 0.01;
+    const severity = failure ? Math.pow((time - failure.degradeFrom) / (failure.at - failure.degradeFrom), 2) : 0;
+    const effect = failure ? FAILURE_MODES[failure.mode] : {};
+    const value = (field, sd) => {
+      if (profile[field] === null) return null;
+      const base = running ? profile[field] : (field === 'temperature' ? 24 : field === 'pressure' ? profile[field] * 0.1 : 0.1);
+      return Math.max(0, random.normal(base * (1 + (effect[field] || 0) * severity), base * sd));
+    };
+
+    const reading = {
+      equipmentId: equipment.id,
+      timestamp,
+      temperature: value('temperature', 0.03),
+      vibration: value('vibration', 0.08),
+      pressure: value('pressure', 0.04),
+      humidity: random.normal(45, 5),
+      electricalCurrent: running ? random.normal(profile.power * 1.6, profile.power * 0.05) : 0,
+      voltage: random.normal(400, 4),
+      rpm: running ? random.normal(profile.rpm, profile.rpm * 0.01) : 0,
+      powerConsumption: running ? random.normal(profile.power, profile.power * 0.05) * (1 + 0.2 * severity) : 0.2
+    };
+
+    if (counters) {
+      if (running) {
+        const produced = Math.round(profile.idealRatePerHour * performance * options.intervalMs / HOUR_MS * random.between(0.9, 1.1));
+        counters.totalCount += produced;
+        counters.goodCount += Math.round(produced * quality);
+      }
+      reading.additionalMetrics = { ...counters };
+    }
+
+    batch.push(reading);
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  failures.forEach(failure => {
+    const completedDate = new Date(failure.at.getTime() + failure.downtimeMinutes * 60000);
+    records.push({
+      equipmentId: equipment.id,
+      type: failure.emergency ? 'emergency' : 'corrective',
+      status: 'completed',
+      scheduledDate: failure.at,
+      startedAt: failure.at,
+      completedDate,
+      estimatedDuration: failure.downtimeMinutes,
+      technician: random.pick(['J. Alvarez', 'M. Chen', 'S. Okafor', 'R. Novak']),
+      description: FAILURE_MODES[failure.mode].description,
+      workPerformed: `Repaired after ${FAILURE_MODES[failure.mode].description.toLowerCase()}`,
+      cost: Math.round(random.between(800, 6000) * (failure.emergency ? 1.5 : 1)),
+      downtime: failure.downtimeMinutes
+    });
+  });
+
+  services.forEach(service => {
+    if (service.at >= options.end) {
+      records.push({ equipmentId: equipment.id, type: 'preventive', status: 'scheduled', scheduledDate: service.at, estimatedDuration: service.duration, description: 'Monthly preventive service' });
+      return;
+    }
+    records.push({
+      equipmentId: equipment.id,
+      type: 'preventive',
+      status: 'completed',
+      scheduledDate: service.at,
+      startedAt: service.at,
+      completedDate: service.completedDate,
+      estimatedDuration: service.duration,
+      technician: random.pick(['J. Alvarez', 'M. Chen', 'S. Okafor', 'R. Novak']),
+      description: 'Monthly preventive service',
+      workPerformed: 'Lubrication, inspection and filter change',
+      cost: Math.round(random.between(200, 800)),
+      downtime: service.duration
+    });
+  });
+
+  await MaintenanceRecord.bulkCreate(records, { validate: false, returning: false });
+  return { readings, failures: failures.length, records: records.length };
+}
+
+async function main() {
+  const sites = parseInt(argValue('--sites', 3));
+  const perSite = parseInt(argValue('--equipment', 6));
+  const months = parseFloat(argValue('--months', 3));
+  const intervalMinutes = parseFloat(argValue('--interval', 15));
+  const failureRate = parseFloat(argValue('--failure-rate', 0.5));
+  const random = createRandom(parseInt(argValue('--seed', 1)));
+  const endAt = new Date(argValue('--end', Date.now()));
+
+  if (!(sites > 0 && sites <= 26 && perSite > 0 && months > 0 && intervalMinutes >= 1 && failureRate >= 0)) {
+    throw new Error('--sites (1-26), --equipment, --months, --interval (>= 1) and --failure-rate must be positive numbers');
+  }
+  if (isNaN(endAt.getTime())) {
+    throw new Error('--end must be a date, e.g. 2026-01-01T00:00:00Z');
+  }
+
+  await sequelize.authenticate();
+
+  const seeded = { serialNumber: { [Op.like]: `${SERIAL_PREFIX}%` } };
+  if (args.includes('--reset')) {
+    const removed = await Equipment.destroy({ where: seeded });
+    console.log(`🗑️ Removed ${removed} seeded equipment with their readings and records`);
+  } else if (await Equipment.count({ where: seeded }) > 0) {
+    throw new Error('Seeded equipment already exists; pass --reset to replace it');
+  }
+
+  const intervalMs = intervalMinutes * 60000;
+  const end = new Date(Math.floor(endAt.getTime() / intervalMs) * intervalMs);
+  const start = new Date(end.getTime() - months * 30 * DAY_MS);
+  const options = { start, end, months, intervalMs, failureRate };
+
+  const equipment = await createEquipment(random, sites, perSite, start);
+  const totals = { readings: 0, failures: 0, records: 0 };
+  for (const item of equipment) {
+    const result = await seedAsset(random, item, options);
+    Object.keys(totals).forEach(key => { totals[key] += result[key]; });
+    console.log(`  ${item.name}: ${result.readings} readings, ${result.failures} failures`);
+  }
+
+  await timescaleService.refreshAggregates(start, end);
+
+  console.log(`✅ Seeded ${equipment.length} equipment at ${sites} sites: ${totals.readings} readings, ` +
+    `${totals.failures} failures, ${totals.records} maintenance records`);
+  await sequelize.close();
+}
+
+main().catch(async (error) => {
+  console.error('❌ Failed to seed data:', error.message);
+  await sequelize.close();
+  process.exit(1);
+});
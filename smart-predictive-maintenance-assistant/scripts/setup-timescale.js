@@ -0,0 +1,20 @@
+// Turns sensor_readings into a TimescaleDB hypertable with hourly and daily continuous
+// aggregates, compression and retention. Safe to run again, e.g. after changing TIMESCALE_*:
+//
+//   node scripts/setup-timescale.js
+//
+// Without the extension it leaves the database unchanged and analytics keep using raw readings.
+const { sequelize } = require('../server/models');
+const timescaleService = require('../server/services/timescaleService');
+
+async function main() {
+  await sequelize.authenticate();
+  await timescaleService.setup();
+  await sequelize.close();
+}
+
+main().catch(async (error) => {
+  console.error('❌ Failed to set up TimescaleDB:', error.message);
+  await sequelize.close();
+  process.exit(1);
+});
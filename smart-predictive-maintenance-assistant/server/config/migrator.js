@@ -0,0 +1,18 @@
+const path = require('path');
+const { Umzug, SequelizeStorage } = require('umzug');
+const { Sequelize } = require('sequelize');
+const sequelize = require('./database');
+
+// Versioned schema migrations in server/migrations, applied in file name order. Each file
+// exports up and down, called with { context: { queryInterface, Sequelize } }. Applied
+// migrations are recorded in the schema_migrations table.
+const migrator = new Umzug({
+  migrations: {
+    glob: ['*.js', { cwd: path.join(__dirname, '..', 'migrations') }]
+  },
+  context: { queryInterface: sequelize.getQueryInterface(), Sequelize },
+  storage: new SequelizeStorage({ sequelize, tableName: 'schema_migrations' }),
+  logger: undefined
+});
+
+module.exports = migrator;
@@ -0,0 +1,46 @@
+const Redis = require('ioredis');
+require('dotenv').config();
+
+let client = null;
+
+// Shared Redis client, or null when REDIS_URL is not set. Commands fail fast instead of queueing
+// while Redis is down, so callers can fall back to in-process state; check isRedisReady() first.
+function getRedis() {
+  if (!process.env.REDIS_URL) return null;
+
+  if (!client) {
+    client = new Redis(process.env.REDIS_URL, {
+      enableOfflineQueue: false,
+      maxRetriesPerRequest: 1
+    });
+
+    let connected = false;
+    client.on('ready', () => {
+      connected = true;
+      console.log('✅ Connected to Redis');
+    });
+    client.on('error', (error) => {
+      // Reconnect attempts repeat the same error, so only report the transition
+      if (connected) {
+        connected = false;
+        console.error('❌ Redis connection lost, using in-memory fallback:', error.message);
+      }
+    });
+  }
+
+  return client;
+}
+
+function isRedisReady() {
+  const redis = getRedis();
+  return Boolean(redis) && redis.status === 'ready';
+}
+
+async function closeRedis() {
+  if (client) {
+    await client.quit().catch(() => client.disconnect());
+    client = null;
+  }
+}
+
+module.exports = { getRedis, isRedisReady, closeRedis };
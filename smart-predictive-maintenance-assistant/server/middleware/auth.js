@@ -0,0 +1,60 @@
+const authService = require('../services/authService');
+const apiKeyService = require('../services/apiKeyService');
+const { rateLimit, limitInvalidKeys } = require('./rateLimit');
+const { hasPermission, canAccessLocation } = require('../utils/permissions');
+const { ServiceError } = require('../utils/errors');
+
+// Requires a user access token (Authorization: Bearer <token>) or an API key (X-API-Key: <key>),
+// sets req.user to the principal (and req.apiKey for keys), then applies the rate limit
+async function authenticate(req, res, next) {
+  const authHeader = req.headers.authorization;
+  const key = req.headers['x-api-key'];
+
+  try {
+    if (key) {
+      // An IP that keeps sending invalid keys is blocked before its next key is even checked
+      if (await limitInvalidKeys(req, res, { count: false })) return;
+      try {
+        req.user = await apiKeyService.authenticate(key, req.ip);
+      } catch (error) {
+        if (error instanceof ServiceError && await limitInvalidKeys(req, res, { count: true })) return;
+        throw error;
+      }
+      req.apiKey = req.user;
+    } else if (authHeader && authHeader.startsWith('Bearer ')) {
+      req.user = authService.verifyAccessToken(authHeader.slice(7));
+    } else {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    return next(error);
+  }
+
+  rateLimit(req, res, next);
+}
+
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      const holder = req.user.type === 'api_key' ? 'This API key' : 'Your role';
+      return res.status(403).json({ error: `${holder} does not have the ${permission} permission` });
+    }
+    next();
+  };
+}
+
+// Sends a 403 and returns false when the equipment is outside the principal's locations
+function checkEquipmentAccess(req, res, equipment) {
+  if (canAccessLocation(req.user, equipment.location)) return true;
+  res.status(403).json({ error: `You do not have access to equipment at ${equipment.location}` });
+  return false;
+}
+
+module.exports = {
+  authenticate,
+  requirePermission,
+  checkEquipmentAccess
+};
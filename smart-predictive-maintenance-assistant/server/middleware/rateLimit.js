@@ -0,0 +1,43 @@
+const rateLimiter = require('../services/rateLimiter');
+
+// Limits requests per API key (when the request was authenticated with one) or per client IP,
+// and reports the window in the RateLimit-* headers
+async function rateLimit(req, res, next) {
+  const clientId = req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+  const limit = (req.apiKey && req.apiKey.rateLimit) || rateLimiter.maxRequests;
+
+  let result;
+  try {
+    result = await rateLimiter.hit(clientId, limit);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (sendLimit(res, result)) return;
+  next();
+}
+
+// Counts a rejected API key against the client IP (peek only checks), so keys cannot be
+// guessed without limit. Sends the 429 and returns true once the IP is over the limit.
+async function limitInvalidKeys(req, res, { count }) {
+  const clientId = `invalid-key:${req.ip}`;
+  const result = count
+    ? await rateLimiter.hit(clientId, rateLimiter.maxInvalidKeys)
+    : await rateLimiter.peek(clientId, rateLimiter.maxInvalidKeys);
+  return result.limited && sendLimit(res, result);
+}
+
+// Sets the RateLimit-* headers; sends the 429 and returns true when the client is limited
+function sendLimit(res, result) {
+  const resetSeconds = Math.max(0, Math.ceil((result.resetAt.getTime() - Date.now()) / 1000));
+  res.set('RateLimit-Limit', String(result.limit));
+  res.set('RateLimit-Remaining', String(result.remaining));
+  res.set('RateLimit-Reset', String(resetSeconds));
+
+  if (!result.limited) return false;
+  res.set('Retry-After', String(resetSeconds));
+  res.status(429).json({ error: 'Too many requests, retry after the rate limit window resets' });
+  return true;
+}
+
+module.exports = { rateLimit, limitInvalidKeys };
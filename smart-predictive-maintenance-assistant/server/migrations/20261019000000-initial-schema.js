@@ -0,0 +1,319 @@
+// Baseline schema. Tables and indexes are created only when missing, so databases that were
+// created with sequelize.sync() before migrations existed are adopted as they are.
+
+const TABLES_IN_DROP_ORDER = [
+  'reorder_alerts', 'stock_movements', 'inventory_items', 'parts', 'alerts', 'alert_rules',
+  'maintenance_records', 'maintenance_plans', 'predictions', 'sensor_readings', 'dead_letters',
+  'import_jobs', 'api_keys', 'users', 'equipment'
+];
+
+const INDEXES = [
+  { table: 'sensor_readings', fields: ['equipment_id', 'timestamp'], unique: true },
+  { table: 'maintenance_records', fields: ['equipment_id', 'scheduled_date'] },
+  { table: 'maintenance_records', fields: ['assigned_to', 'status', 'scheduled_date'] },
+  { table: 'maintenance_records', fields: ['maintenance_plan_id', 'status'] },
+  { table: 'alert_rules', fields: ['equipment_id'] },
+  { table: 'alert_rules', fields: ['equipment_type'] },
+  { table: 'alerts', fields: ['equipment_id', 'status'] },
+  { table: 'predictions', fields: ['equipment_id', 'generated_at'] },
+  { table: 'dead_letters', fields: ['reason', 'received_at'] },
+  { table: 'inventory_items', fields: ['part_id', 'location'], unique: true },
+  { table: 'stock_movements', fields: ['part_id', 'location', 'created_at'] },
+  { table: 'stock_movements', fields: ['maintenance_record_id'] },
+  { table: 'reorder_alerts', fields: ['inventory_item_id', 'status'] }
+];
+
+module.exports = {
+  async up({ context: { queryInterface, Sequelize } }) {
+    const { DataTypes } = Sequelize;
+    const id = { type: DataTypes.UUID, defaultValue: Sequelize.literal('gen_random_uuid()'), primaryKey: true };
+    const timestamps = {
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: false }
+    };
+    const reference = (table, onDelete, allowNull = false) => ({
+      type: DataTypes.UUID,
+      allowNull,
+      references: { model: table, key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete
+    });
+
+    await queryInterface.createTable('equipment', {
+      id,
+      name: { type: DataTypes.STRING, allowNull: false },
+      type: { type: DataTypes.STRING, allowNull: false },
+      location: { type: DataTypes.STRING, allowNull: false },
+      manufacturer: { type: DataTypes.STRING },
+      model: { type: DataTypes.STRING },
+      serial_number: { type: DataTypes.STRING, unique: true },
+      installation_date: { type: DataTypes.DATE },
+      status: { type: DataTypes.ENUM('active', 'inactive', 'maintenance', 'retired'), defaultValue: 'active' },
+      max_temperature: { type: DataTypes.FLOAT, defaultValue: 80.0 },
+      max_vibration: { type: DataTypes.FLOAT, defaultValue: 10.0 },
+      max_pressure: { type: DataTypes.FLOAT, defaultValue: 100.0 },
+      min_pressure: { type: DataTypes.FLOAT, defaultValue: 10.0 },
+      description: { type: DataTypes.TEXT },
+      specifications: { type: DataTypes.JSONB },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('users', {
+      id,
+      email: { type: DataTypes.STRING, allowNull: false, unique: true },
+      name: { type: DataTypes.STRING, allowNull: false },
+      password_hash: { type: DataTypes.STRING, allowNull: false },
+      role: { type: DataTypes.ENUM('viewer', 'technician', 'planner', 'admin'), allowNull: false, defaultValue: 'viewer' },
+      locations: { type: DataTypes.JSONB },
+      active: { type: DataTypes.BOOLEAN, defaultValue: true },
+      token_version: { type: DataTypes.INTEGER, defaultValue: 0 },
+      last_login_at: { type: DataTypes.DATE },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('api_keys', {
+      id,
+      name: { type: DataTypes.STRING, allowNull: false },
+      prefix: { type: DataTypes.STRING, allowNull: false, unique: true },
+      key_hash: { type: DataTypes.STRING, allowNull: false },
+      scopes: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+      locations: { type: DataTypes.JSONB },
+      rate_limit: { type: DataTypes.INTEGER },
+      created_by: { type: DataTypes.STRING },
+      expires_at: { type: DataTypes.DATE },
+      revoked_at: { type: DataTypes.DATE },
+      last_used_at: { type: DataTypes.DATE },
+      last_used_ip: { type: DataTypes.STRING },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('sensor_readings', {
+      id,
+      equipment_id: reference('equipment', 'CASCADE'),
+      timestamp: { type: DataTypes.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      temperature: { type: DataTypes.FLOAT },
+      vibration: { type: DataTypes.FLOAT },
+      pressure: { type: DataTypes.FLOAT },
+      humidity: { type: DataTypes.FLOAT },
+      electrical_current: { type: DataTypes.FLOAT },
+      voltage: { type: DataTypes.FLOAT },
+      rpm: { type: DataTypes.FLOAT },
+      power_consumption: { type: DataTypes.FLOAT },
+      additional_metrics: { type: DataTypes.JSONB },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('maintenance_plans', {
+      id,
+      name: { type: DataTypes.STRING, allowNull: false },
+      description: { type: DataTypes.TEXT },
+      equipment_id: reference('equipment', 'CASCADE'),
+      trigger: { type: DataTypes.ENUM('calendar', 'usage'), allowNull: false },
+      interval_days: { type: DataTypes.INTEGER },
+      cron: { type: DataTypes.STRING },
+      timezone: { type: DataTypes.STRING, defaultValue: 'UTC' },
+      start_date: { type: DataTypes.DATE },
+      usage_metric: { type: DataTypes.STRING },
+      usage_interval: { type: DataTypes.FLOAT },
+      usage_options: { type: DataTypes.JSONB },
+      lead_time_days: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 14 },
+      coverage_window_days: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 7 },
+      work_type: { type: DataTypes.ENUM('preventive', 'predictive'), defaultValue: 'preventive' },
+      estimated_duration: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 60 },
+      parts: { type: DataTypes.JSONB },
+      enabled: { type: DataTypes.BOOLEAN, defaultValue: true },
+      next_due_at: { type: DataTypes.DATE },
+      last_due_at: { type: DataTypes.DATE },
+      last_service_at: { type: DataTypes.DATE },
+      usage_since_service: { type: DataTypes.FLOAT, defaultValue: 0 },
+      usage_baseline: { type: DataTypes.FLOAT },
+      usage_cursor: { type: DataTypes.JSONB },
+      last_outcome: { type: DataTypes.JSONB },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('maintenance_records', {
+      id,
+      equipment_id: reference('equipment', 'CASCADE'),
+      type: { type: DataTypes.ENUM('preventive', 'corrective', 'predictive', 'emergency'), allowNull: false },
+      status: { type: DataTypes.ENUM('scheduled', 'in_progress', 'completed', 'cancelled'), defaultValue: 'scheduled' },
+      scheduled_date: { type: DataTypes.DATE, allowNull: false },
+      estimated_duration: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 60 },
+      started_at: { type: DataTypes.DATE },
+      completed_date: { type: DataTypes.DATE },
+      technician: { type: DataTypes.STRING },
+      assigned_to: reference('users', 'SET NULL', true),
+      maintenance_plan_id: reference('maintenance_plans', 'SET NULL', true),
+      planned_parts: { type: DataTypes.JSONB },
+      description: { type: DataTypes.TEXT },
+      work_performed: { type: DataTypes.TEXT },
+      parts_used: { type: DataTypes.JSONB },
+      parts_cost: { type: DataTypes.DECIMAL(10, 2) },
+      cost: { type: DataTypes.DECIMAL(10, 2) },
+      downtime: { type: DataTypes.INTEGER },
+      notes: { type: DataTypes.TEXT },
+      history: { type: DataTypes.JSONB, defaultValue: [] },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('alert_rules', {
+      id,
+      name: { type: DataTypes.STRING, allowNull: false },
+      description: { type: DataTypes.TEXT },
+      equipment_id: reference('equipment', 'CASCADE', true),
+      equipment_type: { type: DataTypes.STRING },
+      metric: { type: DataTypes.STRING, allowNull: false },
+      condition: { type: DataTypes.ENUM('threshold', 'rate_of_change'), defaultValue: 'threshold' },
+      operator: { type: DataTypes.ENUM('gt', 'gte', 'lt', 'lte', 'eq', 'neq', 'outside', 'inside'), allowNull: false },
+      threshold: { type: DataTypes.FLOAT, allowNull: false },
+      threshold_high: { type: DataTypes.FLOAT },
+      hysteresis: { type: DataTypes.FLOAT, defaultValue: 0 },
+      duration_seconds: { type: DataTypes.INTEGER, defaultValue: 0 },
+      severity: { type: DataTypes.ENUM('critical', 'warning', 'info'), allowNull: false },
+      enabled: { type: DataTypes.BOOLEAN, defaultValue: true },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('alerts', {
+      id,
+      equipment_id: reference('equipment', 'CASCADE'),
+      type: { type: DataTypes.ENUM('critical', 'warning', 'info'), allowNull: false },
+      title: { type: DataTypes.STRING, allowNull: false },
+      message: { type: DataTypes.TEXT, allowNull: false },
+      status: { type: DataTypes.ENUM('active', 'acknowledged', 'resolved'), defaultValue: 'active' },
+      acknowledged_by: { type: DataTypes.STRING },
+      acknowledged_at: { type: DataTypes.DATE },
+      resolved_at: { type: DataTypes.DATE },
+      resolved_by: { type: DataTypes.STRING },
+      rule_id: reference('alert_rules', 'SET NULL', true),
+      maintenance_record_id: reference('maintenance_records', 'SET NULL', true),
+      metadata: { type: DataTypes.JSONB },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('predictions', {
+      id,
+      equipment_id: reference('equipment', 'CASCADE'),
+      prediction_type: { type: DataTypes.ENUM('failure', 'maintenance', 'performance'), allowNull: false },
+      probability: { type: DataTypes.FLOAT, allowNull: false },
+      confidence: { type: DataTypes.FLOAT, allowNull: false },
+      time_horizon: { type: DataTypes.INTEGER },
+      risk_level: { type: DataTypes.ENUM('low', 'medium', 'high', 'critical'), allowNull: false },
+      factors: { type: DataTypes.JSONB },
+      recommendations: { type: DataTypes.JSONB },
+      model_version: { type: DataTypes.STRING },
+      generated_at: { type: DataTypes.DATE, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('dead_letters', {
+      id,
+      source: { type: DataTypes.STRING, allowNull: false, defaultValue: 'mqtt' },
+      topic: { type: DataTypes.STRING, allowNull: false },
+      payload: { type: DataTypes.TEXT, allowNull: false },
+      reason: {
+        type: DataTypes.ENUM('invalid_json', 'unmapped_topic', 'no_fields', 'unknown_equipment', 'db_error', 'processing_error'),
+        allowNull: false
+      },
+      error: { type: DataTypes.TEXT },
+      equipment_ref: { type: DataTypes.STRING },
+      attempts: { type: DataTypes.INTEGER, defaultValue: 0 },
+      last_attempt_at: { type: DataTypes.DATE },
+      received_at: { type: DataTypes.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('import_jobs', {
+      id,
+      type: { type: DataTypes.ENUM('sensor_readings', 'maintenance_records'), allowNull: false },
+      format: { type: DataTypes.ENUM('csv', 'json', 'ndjson'), allowNull: false },
+      file_name: { type: DataTypes.STRING, allowNull: false },
+      file_path: { type: DataTypes.STRING, allowNull: false },
+      status: { type: DataTypes.ENUM('pending', 'running', 'completed', 'failed', 'cancelled'), defaultValue: 'pending' },
+      dry_run: { type: DataTypes.BOOLEAN, defaultValue: false },
+      skip_alerts: { type: DataTypes.BOOLEAN, defaultValue: true },
+      options: { type: DataTypes.JSONB, defaultValue: {} },
+      rows_processed: { type: DataTypes.INTEGER, defaultValue: 0 },
+      rows_imported: { type: DataTypes.INTEGER, defaultValue: 0 },
+      rows_failed: { type: DataTypes.INTEGER, defaultValue: 0 },
+      last_row: { type: DataTypes.INTEGER, defaultValue: 0 },
+      row_errors: { type: DataTypes.JSONB, defaultValue: [] },
+      failure_reason: { type: DataTypes.TEXT },
+      created_by: { type: DataTypes.STRING },
+      allowed_locations: { type: DataTypes.JSONB },
+      started_at: { type: DataTypes.DATE },
+      finished_at: { type: DataTypes.DATE },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('parts', {
+      id,
+      part_number: { type: DataTypes.STRING, allowNull: false, unique: true },
+      name: { type: DataTypes.STRING, allowNull: false },
+      description: { type: DataTypes.TEXT },
+      category: { type: DataTypes.STRING },
+      unit: { type: DataTypes.STRING, defaultValue: 'each' },
+      unit_cost: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      lead_time_days: { type: DataTypes.INTEGER, defaultValue: 0 },
+      equipment_types: { type: DataTypes.JSONB },
+      active: { type: DataTypes.BOOLEAN, defaultValue: true },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('inventory_items', {
+      id,
+      part_id: reference('parts', 'RESTRICT'),
+      location: { type: DataTypes.STRING, allowNull: false },
+      quantity: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 },
+      reorder_point: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 },
+      reorder_quantity: { type: DataTypes.FLOAT },
+      bin: { type: DataTypes.STRING },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('stock_movements', {
+      id,
+      part_id: reference('parts', 'RESTRICT'),
+      location: { type: DataTypes.STRING, allowNull: false },
+      quantity: { type: DataTypes.FLOAT, allowNull: false },
+      reason: { type: DataTypes.ENUM('consumed', 'received', 'adjusted'), allowNull: false },
+      unit_cost: { type: DataTypes.DECIMAL(10, 2) },
+      maintenance_record_id: reference('maintenance_records', 'SET NULL', true),
+      equipment_id: reference('equipment', 'SET NULL', true),
+      created_by: { type: DataTypes.STRING },
+      note: { type: DataTypes.TEXT },
+      created_at: timestamps.created_at
+    });
+
+    await queryInterface.createTable('reorder_alerts', {
+      id,
+      inventory_item_id: reference('inventory_items', 'CASCADE'),
+      part_id: { type: DataTypes.UUID, allowNull: false },
+      location: { type: DataTypes.STRING, allowNull: false },
+      status: { type: DataTypes.ENUM('open', 'ordered', 'resolved'), defaultValue: 'open' },
+      quantity: { type: DataTypes.FLOAT },
+      reorder_point: { type: DataTypes.FLOAT },
+      suggested_quantity: { type: DataTypes.FLOAT },
+      ordered_by: { type: DataTypes.STRING },
+      ordered_at: { type: DataTypes.DATE },
+      resolved_at: { type: DataTypes.DATE },
+      ...timestamps
+    });
+
+    // Named like sequelize.sync() names them, so indexes a synced database already has are kept
+    for (const index of INDEXES) {
+      await queryInterface.sequelize.query(
+        `CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS "${index.table}_${index.fields.join('_')}" ` +
+        `ON "${index.table}" (${index.fields.map(field => `"${field}"`).join(', ')})`
+      );
+    }
+  },
+
+  async down({ context: { queryInterface } }) {
+    for (const table of TABLES_IN_DROP_ORDER) {
+      await queryInterface.dropTable(table, { cascade: true });
+    }
+    // Postgres keeps ENUM types after their tables are dropped
+    await queryInterface.dropAllEnums();
+  }
+};
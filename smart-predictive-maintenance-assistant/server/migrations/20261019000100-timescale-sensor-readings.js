@@ -0,0 +1,13 @@
+// Hypertable, continuous aggregates, compression and retention for sensor_readings (see
+// timescaleService). Does nothing on PostgreSQL without the TimescaleDB extension.
+const timescaleService = require('../services/timescaleService');
+
+module.exports = {
+  async up() {
+    await timescaleService.setup();
+  },
+
+  async down() {
+    await timescaleService.teardown();
+  }
+};
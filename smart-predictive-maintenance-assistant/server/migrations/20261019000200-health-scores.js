@@ -0,0 +1,28 @@
+// Periodic equipment health index snapshots (see healthIndexService)
+module.exports = {
+  async up({ context: { queryInterface, Sequelize } }) {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.createTable('health_scores', {
+      id: { type: DataTypes.UUID, defaultValue: Sequelize.literal('gen_random_uuid()'), primaryKey: true },
+      equipment_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'equipment', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      score: { type: DataTypes.FLOAT, allowNull: false },
+      status: { type: DataTypes.ENUM('excellent', 'good', 'fair', 'poor'), allowNull: false },
+      factors: { type: DataTypes.JSONB },
+      computed_at: { type: DataTypes.DATE, allowNull: false }
+    });
+    await queryInterface.addIndex('health_scores', ['equipment_id', 'computed_at']);
+    await queryInterface.addIndex('health_scores', ['computed_at']);
+  },
+
+  async down({ context: { queryInterface } }) {
+    await queryInterface.dropTable('health_scores');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_health_scores_status"');
+  }
+};
@@ -0,0 +1,64 @@
+// Site -> area -> line hierarchy, equipment placement in it and parent/child equipment. Every
+// distinct equipment location becomes a site holding that equipment; locations keep naming
+// the site, so location-scoped users and stock locations are unaffected.
+module.exports = {
+  async up({ context: { queryInterface, Sequelize } }) {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.createTable('hierarchy_nodes', {
+      id: { type: DataTypes.UUID, defaultValue: Sequelize.literal('gen_random_uuid()'), primaryKey: true },
+      name: { type: DataTypes.STRING, allowNull: false },
+      code: { type: DataTypes.STRING },
+      level: { type: DataTypes.ENUM('site', 'area', 'line'), allowNull: false },
+      parent_id: {
+        type: DataTypes.UUID,
+        references: { model: 'hierarchy_nodes', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      description: { type: DataTypes.TEXT },
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: false }
+    });
+    await queryInterface.addIndex('hierarchy_nodes', ['parent_id', 'name'], { unique: true });
+    // Site names are equipment locations, so they are unique too
+    await queryInterface.addIndex('hierarchy_nodes', ['name'], {
+      unique: true,
+      name: 'hierarchy_nodes_site_name',
+      where: { parent_id: null }
+    });
+
+    await queryInterface.addColumn('equipment', 'hierarchy_node_id', {
+      type: DataTypes.UUID,
+      references: { model: 'hierarchy_nodes', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT'
+    });
+    await queryInterface.addColumn('equipment', 'parent_id', {
+      type: DataTypes.UUID,
+      references: { model: 'equipment', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addIndex('equipment', ['hierarchy_node_id']);
+    await queryInterface.addIndex('equipment', ['parent_id']);
+
+    await queryInterface.sequelize.query(`
+      INSERT INTO hierarchy_nodes (id, name, level, created_at, updated_at)
+      SELECT gen_random_uuid(), location, 'site', NOW(), NOW()
+      FROM (SELECT DISTINCT location FROM equipment WHERE location IS NOT NULL) locations
+    `);
+    await queryInterface.sequelize.query(`
+      UPDATE equipment e SET hierarchy_node_id = n.id
+      FROM hierarchy_nodes n
+      WHERE n.level = 'site' AND n.name = e.location
+    `);
+  },
+
+  async down({ context: { queryInterface } }) {
+    await queryInterface.removeColumn('equipment', 'parent_id');
+    await queryInterface.removeColumn('equipment', 'hierarchy_node_id');
+    await queryInterface.dropTable('hierarchy_nodes');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_hierarchy_nodes_level"');
+  }
+};
@@ -0,0 +1,20 @@
+// Dead letters for messages with a non-numeric reading value or an unparseable timestamp
+const REASONS = ['invalid_json', 'unmapped_topic', 'no_fields', 'unknown_equipment', 'db_error', 'processing_error'];
+
+module.exports = {
+  async up({ context: { queryInterface } }) {
+    await queryInterface.sequelize.query(`ALTER TYPE "enum_dead_letters_reason" ADD VALUE IF NOT EXISTS 'invalid_value'`);
+  },
+
+  // PostgreSQL cannot drop an enum value, so the type is recreated without it
+  async down({ context: { queryInterface } }) {
+    const query = sql => queryInterface.sequelize.query(sql);
+
+    await query(`UPDATE dead_letters SET reason = 'processing_error' WHERE reason = 'invalid_value'`);
+    await query(`ALTER TYPE "enum_dead_letters_reason" RENAME TO "enum_dead_letters_reason_old"`);
+    await query(`CREATE TYPE "enum_dead_letters_reason" AS ENUM (${REASONS.map(reason => `'${reason}'`).join(', ')})`);
+    await query(`ALTER TABLE dead_letters ALTER COLUMN reason TYPE "enum_dead_letters_reason"
+      USING reason::text::"enum_dead_letters_reason"`);
+    await query(`DROP TYPE "enum_dead_letters_reason_old"`);
+  }
+};
@@ -0,0 +1,16 @@
+// Equipment status from before a work order put the equipment into maintenance, restored when
+// maintenance ends. Work orders already in progress have none and return the equipment to active.
+module.exports = {
+  async up({ context: { queryInterface, Sequelize } }) {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.addColumn('maintenance_records', 'equipment_status_before', {
+      type: DataTypes.ENUM('active', 'inactive', 'maintenance', 'retired')
+    });
+  },
+
+  async down({ context: { queryInterface } }) {
+    await queryInterface.removeColumn('maintenance_records', 'equipment_status_before');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_maintenance_records_equipment_status_before"');
+  }
+};
@@ -0,0 +1,15 @@
+// Time range of the readings an import job has committed, so the continuous aggregates are
+// refreshed for that range only, including rows from earlier runs of a resumed job
+module.exports = {
+  async up({ context: { queryInterface, Sequelize } }) {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.addColumn('import_jobs', 'readings_from', { type: DataTypes.DATE });
+    await queryInterface.addColumn('import_jobs', 'readings_to', { type: DataTypes.DATE });
+  },
+
+  async down({ context: { queryInterface } }) {
+    await queryInterface.removeColumn('import_jobs', 'readings_to');
+    await queryInterface.removeColumn('import_jobs', 'readings_from');
+  }
+};
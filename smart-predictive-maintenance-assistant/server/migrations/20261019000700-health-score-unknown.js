@@ -0,0 +1,25 @@
+// Health scores of equipment without recent readings: no score and an 'unknown' status
+const STATUSES = ['excellent', 'good', 'fair', 'poor'];
+
+module.exports = {
+  async up({ context: { queryInterface } }) {
+    const query = sql => queryInterface.sequelize.query(sql);
+
+    await query(`ALTER TYPE "enum_health_scores_status" ADD VALUE IF NOT EXISTS 'unknown'`);
+    await query('ALTER TABLE health_scores ALTER COLUMN score DROP NOT NULL');
+  },
+
+  // PostgreSQL cannot drop an enum value, so the type is recreated without it. Unknown scores
+  // have nothing to map to and are deleted.
+  async down({ context: { queryInterface } }) {
+    const query = sql => queryInterface.sequelize.query(sql);
+
+    await query(`DELETE FROM health_scores WHERE status = 'unknown' OR score IS NULL`);
+    await query('ALTER TABLE health_scores ALTER COLUMN score SET NOT NULL');
+    await query(`ALTER TYPE "enum_health_scores_status" RENAME TO "enum_health_scores_status_old"`);
+    await query(`CREATE TYPE "enum_health_scores_status" AS ENUM (${STATUSES.map(status => `'${status}'`).join(', ')})`);
+    await query(`ALTER TABLE health_scores ALTER COLUMN status TYPE "enum_health_scores_status"
+      USING status::text::"enum_health_scores_status"`);
+    await query(`DROP TYPE "enum_health_scores_status_old"`);
+  }
+};
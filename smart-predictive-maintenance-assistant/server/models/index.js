@@ -1,5 +1,35 @@
 const sequelize = require('../config/database');
 const { DataTypes } = require('sequelize');
+const bcrypt = require('bcryptjs');
+
+// The schema itself (tables, indexes, constraints) is created by the migrations in
+// server/migrations; a change to a model here needs a matching migration.
+
+// Hierarchy Node Model (site -> area -> line; equipment is placed at any level)
+const HierarchyNode = sequelize.define('HierarchyNode', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  code: {
+    type: DataTypes.STRING
+  },
+  level: {
+    type: DataTypes.ENUM('site', 'area', 'line'),
+    allowNull: false
+  },
+  parentId: {
+    type: DataTypes.UUID // null for sites
+  },
+  description: {
+    type: DataTypes.TEXT
+  }
+});
 
 // Equipment Model
 const Equipment = sequelize.define('Equipment', {
@@ -17,9 +47,19 @@ const Equipment = sequelize.define('Equipment', {
     allowNull: false
   },
   location: {
-    type: DataTypes.STRING,
+    type: DataTypes.STRING, // name of the site the equipment is placed in
     allowNull: false
   },
+  hierarchyNodeId: {
+    type: DataTypes.UUID,
+    references: {
+      model: HierarchyNode,
+      key: 'id'
+    }
+  },
+  parentId: {
+    type: DataTypes.UUID // equipment this one is a component of
+  },
   manufacturer: {
     type: DataTypes.STRING
   },
@@ -108,6 +148,12 @@ const SensorReading = sequelize.define('SensorReading', {
   additionalMetrics: {
     type: DataTypes.JSONB
   }
+}, {
+  indexes: [
+    // Ingestion upserts one row per equipment and time bucket
+    { unique: true, fields: ['equipment_id', 'timestamp'] }
+  ]
+  // On TimescaleDB the table is a hypertable whose primary key is (id, timestamp); see timescaleService
 });
 
 // MaintenanceRecord Model
@@ -137,12 +183,33 @@ const MaintenanceRecord = sequelize.define('MaintenanceRecord', {
     type: DataTypes.DATE,
     allowNull: false
   },
+  estimatedDuration: {
+    type: DataTypes.INTEGER, // in minutes; with scheduledDate, the window used to detect double-booking
+    allowNull: false,
+    defaultValue: 60,
+    validate: { min: 1 }
+  },
+  startedAt: {
+    type: DataTypes.DATE
+  },
   completedDate: {
     type: DataTypes.DATE
   },
   technician: {
     type: DataTypes.STRING
   },
+  assignedTo: {
+    type: DataTypes.UUID // User the work order is assigned to; technician holds their name
+  },
+  maintenancePlanId: {
+    type: DataTypes.UUID // plan that generated this work order, or whose occurrence it covers
+  },
+  equipmentStatusBefore: {
+    type: DataTypes.ENUM('active', 'inactive', 'maintenance', 'retired') // restored when maintenance ends
+  },
+  plannedParts: {
+    type: DataTypes.JSONB // parts expected to be needed: [{ partId, quantity }]
+  },
   description: {
     type: DataTypes.TEXT
   },
@@ -150,7 +217,10 @@ const MaintenanceRecord = sequelize.define('MaintenanceRecord', {
     type: DataTypes.TEXT
   },
   partsUsed: {
-    type: DataTypes.JSONB
+    type: DataTypes.JSONB // catalog lines [{ partId, partNumber, name, quantity, location, unitCost }] or free-form
+  },
+  partsCost: {
+    type: DataTypes.DECIMAL(10, 2) // cost of the catalog parts used; included in cost
   },
   cost: {
     type: DataTypes.DECIMAL(10, 2)
@@ -160,6 +230,85 @@ const MaintenanceRecord = sequelize.define('MaintenanceRecord', {
   },
   notes: {
     type: DataTypes.TEXT
+  },
+  history: {
+    type: DataTypes.JSONB, // work-order events: [{ action, by, at, note, changes }]
+    defaultValue: []
+  }
+});
+
+// AlertRule Model
+const AlertRule = sequelize.define('AlertRule', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT
+  },
+  equipmentId: {
+    type: DataTypes.UUID,
+    references: {
+      model: Equipment,
+      key: 'id'
+    }
+  },
+  equipmentType: {
+    type: DataTypes.STRING
+  },
+  metric: {
+    type: DataTypes.STRING, // reading field, or additionalMetrics.<key>
+    allowNull: false
+  },
+  condition: {
+    type: DataTypes.ENUM('threshold', 'rate_of_change'),
+    defaultValue: 'threshold'
+  },
+  operator: {
+    type: DataTypes.ENUM('gt', 'gte', 'lt', 'lte', 'eq', 'neq', 'outside', 'inside'),
+    allowNull: false
+  },
+  threshold: {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  },
+  thresholdHigh: {
+    type: DataTypes.FLOAT // upper bound for outside/inside
+  },
+  hysteresis: {
+    type: DataTypes.FLOAT,
+    defaultValue: 0
+  },
+  durationSeconds: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  severity: {
+    type: DataTypes.ENUM('critical', 'warning', 'info'),
+    allowNull: false
+  },
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  validate: {
+    rangeHasUpperBound() {
+      if (['outside', 'inside'].includes(this.operator) &&
+        (this.thresholdHigh === null || this.thresholdHigh === undefined)) {
+        throw new Error('thresholdHigh is required for outside/inside operators');
+      }
+    },
+    singleScope() {
+      if (this.equipmentId && this.equipmentType) {
+        throw new Error('A rule applies to either an equipment or an equipment type, not both');
+      }
+    }
   }
 });
 
@@ -203,6 +352,23 @@ const Alert = sequelize.define('Alert', {
   resolvedAt: {
     type: DataTypes.DATE
   },
+  resolvedBy: {
+    type: DataTypes.STRING
+  },
+  ruleId: {
+    type: DataTypes.UUID,
+    references: {
+      model: AlertRule,
+      key: 'id'
+    }
+  },
+  maintenanceRecordId: {
+    type: DataTypes.UUID,
+    references: {
+      model: MaintenanceRecord,
+      key: 'id'
+    }
+  },
   metadata: {
     type: DataTypes.JSONB
   }
@@ -257,7 +423,597 @@ const Prediction = sequelize.define('Prediction', {
   }
 });
 
+// DeadLetter Model (sensor messages that could not be ingested)
+const DeadLetter = sequelize.define('DeadLetter', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  source: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'mqtt'
+  },
+  topic: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  payload: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.ENUM('invalid_json', 'unmapped_topic', 'no_fields', 'invalid_value', 'unknown_equipment', 'db_error', 'processing_error'),
+    allowNull: false
+  },
+  error: {
+    type: DataTypes.TEXT
+  },
+  equipmentRef: {
+    type: DataTypes.STRING
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  lastAttemptAt: {
+    type: DataTypes.DATE
+  },
+  receivedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+});
+
+// ImportJob Model (bulk CSV/JSON imports of sensor history and maintenance logs)
+const ImportJob = sequelize.define('ImportJob', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  type: {
+    type: DataTypes.ENUM('sensor_readings', 'maintenance_records'),
+    allowNull: false
+  },
+  format: {
+    type: DataTypes.ENUM('csv', 'json', 'ndjson'),
+    allowNull: false
+  },
+  fileName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  filePath: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'running', 'completed', 'failed', 'cancelled'),
+    defaultValue: 'pending'
+  },
+  dryRun: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  skipAlerts: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  options: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  rowsProcessed: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  rowsImported: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  rowsFailed: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  lastRow: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0 // last data row committed; a resumed job continues after it
+  },
+  readingsFrom: {
+    type: DataTypes.DATE // earliest and latest reading committed, for refreshing the aggregates
+  },
+  readingsTo: {
+    type: DataTypes.DATE
+  },
+  rowErrors: {
+    type: DataTypes.JSONB,
+    defaultValue: []
+  },
+  failureReason: {
+    type: DataTypes.TEXT
+  },
+  createdBy: {
+    type: DataTypes.STRING
+  },
+  allowedLocations: {
+    type: DataTypes.JSONB // the creator's location scope; rows for other locations are rejected. null = all
+  },
+  startedAt: {
+    type: DataTypes.DATE
+  },
+  finishedAt: {
+    type: DataTypes.DATE
+  }
+});
+
+function isLocationList(value) {
+  if (value !== null && (!Array.isArray(value) || value.some(location => typeof location !== 'string'))) {
+    throw new Error('locations must be a list of location names, or null for all locations');
+  }
+}
+
+// User Model
+const User = sequelize.define('User', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    validate: { isEmail: true },
+    set(value) {
+      this.setDataValue('email', typeof value === 'string' ? value.trim().toLowerCase() : value);
+    }
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  passwordHash: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  role: {
+    type: DataTypes.ENUM('viewer', 'technician', 'planner', 'admin'),
+    allowNull: false,
+    defaultValue: 'viewer'
+  },
+  locations: {
+    type: DataTypes.JSONB, // equipment locations the user may access; null means every location
+    validate: { isLocationList }
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  tokenVersion: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0 // bumped to revoke every refresh token issued so far
+  },
+  lastLoginAt: {
+    type: DataTypes.DATE
+  }
+}, {
+  defaultScope: {
+    attributes: { exclude: ['passwordHash'] }
+  },
+  scopes: {
+    withPassword: {}
+  }
+});
+
+User.prototype.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, 12);
+};
+
+User.prototype.checkPassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+User.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  delete values.passwordHash;
+  return values;
+};
+
+// API Key Model (service accounts for ERP/CMMS integrations)
+const ApiKey = sequelize.define('ApiKey', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  prefix: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true // public part of the key, used to look it up
+  },
+  keyHash: {
+    type: DataTypes.STRING,
+    allowNull: false // SHA-256 of the full key; the key itself is only shown once
+  },
+  scopes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  locations: {
+    type: DataTypes.JSONB, // same meaning as User.locations; null means every location
+    validate: { isLocationList }
+  },
+  rateLimit: {
+    type: DataTypes.INTEGER, // requests per rate limit window; null uses RATE_LIMIT_MAX_REQUESTS
+    validate: { min: 1 }
+  },
+  createdBy: {
+    type: DataTypes.STRING
+  },
+  expiresAt: {
+    type: DataTypes.DATE
+  },
+  revokedAt: {
+    type: DataTypes.DATE
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE
+  },
+  lastUsedIp: {
+    type: DataTypes.STRING
+  }
+}, {
+  defaultScope: {
+    attributes: { exclude: ['keyHash'] }
+  }
+});
+
+// Maintenance Plan Model (recurring preventive maintenance)
+const MaintenancePlan = sequelize.define('MaintenancePlan', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT // tasks copied into each generated work order
+  },
+  equipmentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Equipment,
+      key: 'id'
+    }
+  },
+  trigger: {
+    type: DataTypes.ENUM('calendar', 'usage'),
+    allowNull: false
+  },
+  intervalDays: {
+    type: DataTypes.INTEGER, // calendar plans: every N days...
+    validate: { min: 1 }
+  },
+  cron: {
+    type: DataTypes.STRING // ...or on a cron schedule, e.g. '0 6 1 */3 *'
+  },
+  timezone: {
+    type: DataTypes.STRING,
+    defaultValue: 'UTC'
+  },
+  startDate: {
+    type: DataTypes.DATE // first due date of an interval plan; cron plans start after it
+  },
+  usageMetric: {
+    type: DataTypes.STRING // usage plans: runHours, or an additionalMetrics.<key> counter
+  },
+  usageInterval: {
+    type: DataTypes.FLOAT, // run-hours or counter increments between services
+    validate: { min: 0.01 }
+  },
+  usageOptions: {
+    type: DataTypes.JSONB // { minRpm, minPower } overrides for what counts as running
+  },
+  leadTimeDays: {
+    type: DataTypes.INTEGER, // work orders are created this far ahead of the due date
+    allowNull: false,
+    defaultValue: 14,
+    validate: { min: 0 }
+  },
+  coverageWindowDays: {
+    type: DataTypes.INTEGER, // corrective work this close to the due date covers the occurrence
+    allowNull: false,
+    defaultValue: 7,
+    validate: { min: 0 }
+  },
+  workType: {
+    type: DataTypes.ENUM('preventive', 'predictive'),
+    defaultValue: 'preventive'
+  },
+  estimatedDuration: {
+    type: DataTypes.INTEGER, // in minutes
+    allowNull: false,
+    defaultValue: 60,
+    validate: { min: 1 }
+  },
+  parts: {
+    type: DataTypes.JSONB // planned parts of each generated work order: [{ partId, quantity }]
+  },
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  nextDueAt: {
+    type: DataTypes.DATE
+  },
+  lastDueAt: {
+    type: DataTypes.DATE // due date of the last occurrence generated, merged or skipped
+  },
+  lastServiceAt: {
+    type: DataTypes.DATE
+  },
+  usageSinceService: {
+    type: DataTypes.FLOAT,
+    defaultValue: 0
+  },
+  usageBaseline: {
+    type: DataTypes.FLOAT // counter plans: counter value at the last service
+  },
+  usageCursor: {
+    type: DataTypes.JSONB // run-hour plans: { timestamp, running } of the last reading counted
+  },
+  lastOutcome: {
+    type: DataTypes.JSONB // { action, at, reason, workOrderId } of the last scheduler run
+  }
+}, {
+  validate: {
+    triggerIsConfigured() {
+      if (this.trigger === 'calendar' && !this.intervalDays === !this.cron) {
+        throw new Error('Calendar plans need either intervalDays or cron');
+      }
+      if (this.trigger === 'usage' && (!this.usageMetric || !this.usageInterval)) {
+        throw new Error('Usage plans need usageMetric and usageInterval');
+      }
+    }
+  }
+});
+
+// Part Model (spare parts catalog)
+const Part = sequelize.define('Part', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  partNumber: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT
+  },
+  category: {
+    type: DataTypes.STRING
+  },
+  unit: {
+    type: DataTypes.STRING,
+    defaultValue: 'each'
+  },
+  unitCost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: { min: 0 }
+  },
+  leadTimeDays: {
+    type: DataTypes.INTEGER, // supplier lead time, used to flag parts that must be ordered now
+    defaultValue: 0,
+    validate: { min: 0 }
+  },
+  equipmentTypes: {
+    type: DataTypes.JSONB // equipment types the part fits, e.g. ["pump", "compressor"]
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+});
+
+// Inventory Item Model (stock of a part at a location)
+const InventoryItem = sequelize.define('InventoryItem', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  partId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Part,
+      key: 'id'
+    }
+  },
+  location: {
+    type: DataTypes.STRING, // same values as Equipment.location
+    allowNull: false
+  },
+  quantity: {
+    type: DataTypes.FLOAT, // may go negative when work used parts that were never booked in
+    allowNull: false,
+    defaultValue: 0
+  },
+  reorderPoint: {
+    type: DataTypes.FLOAT, // a reorder alert is raised at or below this quantity
+    allowNull: false,
+    defaultValue: 0,
+    validate: { min: 0 }
+  },
+  reorderQuantity: {
+    type: DataTypes.FLOAT,
+    validate: { min: 0 }
+  },
+  bin: {
+    type: DataTypes.STRING
+  }
+}, {
+  indexes: [
+    { unique: true, fields: ['part_id', 'location'] }
+  ]
+});
+
+// Stock Movement Model (ledger of every change to inventory)
+const StockMovement = sequelize.define('StockMovement', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  partId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Part,
+      key: 'id'
+    }
+  },
+  location: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  quantity: {
+    type: DataTypes.FLOAT, // negative for consumption
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.ENUM('consumed', 'received', 'adjusted'),
+    allowNull: false
+  },
+  unitCost: {
+    type: DataTypes.DECIMAL(10, 2)
+  },
+  maintenanceRecordId: {
+    type: DataTypes.UUID
+  },
+  equipmentId: {
+    type: DataTypes.UUID
+  },
+  createdBy: {
+    type: DataTypes.STRING
+  },
+  note: {
+    type: DataTypes.TEXT
+  }
+}, {
+  updatedAt: false
+});
+
+// Reorder Alert Model (low stock of a part at a location)
+const ReorderAlert = sequelize.define('ReorderAlert', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  inventoryItemId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: InventoryItem,
+      key: 'id'
+    }
+  },
+  partId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  location: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'ordered', 'resolved'),
+    defaultValue: 'open'
+  },
+  quantity: {
+    type: DataTypes.FLOAT // stock when the alert was raised
+  },
+  reorderPoint: {
+    type: DataTypes.FLOAT
+  },
+  suggestedQuantity: {
+    type: DataTypes.FLOAT
+  },
+  orderedBy: {
+    type: DataTypes.STRING
+  },
+  orderedAt: {
+    type: DataTypes.DATE
+  },
+  resolvedAt: {
+    type: DataTypes.DATE
+  }
+});
+
+// Health Score Model (periodic snapshots of the equipment health index)
+const HealthScore = sequelize.define('HealthScore', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  equipmentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Equipment,
+      key: 'id'
+    }
+  },
+  score: {
+    type: DataTypes.FLOAT // 0-100; null when the status is unknown
+  },
+  status: {
+    type: DataTypes.ENUM('excellent', 'good', 'fair', 'poor', 'unknown'), // unknown: no recent readings
+    allowNull: false
+  },
+  factors: {
+    type: DataTypes.JSONB // [{ factor, penalty, ... }], largest penalty first
+  },
+  computedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  timestamps: false
+});
+
 // Define associations
+HierarchyNode.hasMany(HierarchyNode, { foreignKey: 'parentId', as: 'children' });
+HierarchyNode.belongsTo(HierarchyNode, { foreignKey: 'parentId', as: 'parent' });
+HierarchyNode.hasMany(Equipment, { foreignKey: 'hierarchyNodeId', as: 'equipment' });
+Equipment.belongsTo(HierarchyNode, { foreignKey: 'hierarchyNodeId', as: 'hierarchyNode' });
+
+Equipment.hasMany(Equipment, { foreignKey: 'parentId', as: 'components' });
+Equipment.belongsTo(Equipment, { foreignKey: 'parentId', as: 'parent' });
+
 Equipment.hasMany(SensorReading, { foreignKey: 'equipmentId', as: 'sensorReadings' });
 SensorReading.belongsTo(Equipment, { foreignKey: 'equipmentId', as: 'equipment' });
 
@@ -270,17 +1026,57 @@ Alert.belongsTo(Equipment, { foreignKey: 'equipmentId', as: 'equipment' });
 Equipment.hasMany(Prediction, { foreignKey: 'equipmentId', as: 'predictions' });
 Prediction.belongsTo(Equipment, { foreignKey: 'equipmentId', as: 'equipment' });
 
-// Add indexes for better performance
-SensorReading.addIndex(['equipmentId', 'timestamp']);
-MaintenanceRecord.addIndex(['equipmentId', 'scheduledDate']);
-Alert.addIndex(['equipmentId', 'status']);
-Prediction.addIndex(['equipmentId', 'generatedAt']);
+Equipment.hasMany(AlertRule, { foreignKey: 'equipmentId', as: 'alertRules' });
+AlertRule.belongsTo(Equipment, { foreignKey: 'equipmentId', as: 'equipment' });
+
+AlertRule.hasMany(Alert, { foreignKey: 'ruleId', as: 'alerts', onDelete: 'SET NULL' });
+Alert.belongsTo(AlertRule, { foreignKey: 'ruleId', as: 'rule' });
+
+MaintenanceRecord.hasMany(Alert, { foreignKey: 'maintenanceRecordId', as: 'alerts', onDelete: 'SET NULL' });
+Alert.belongsTo(MaintenanceRecord, { foreignKey: 'maintenanceRecordId', as: 'maintenanceRecord' });
+
+User.hasMany(MaintenanceRecord, { foreignKey: 'assignedTo', as: 'assignedWorkOrders', onDelete: 'SET NULL' });
+MaintenanceRecord.belongsTo(User, { foreignKey: 'assignedTo', as: 'assignee' });
+
+Equipment.hasMany(MaintenancePlan, { foreignKey: 'equipmentId', as: 'maintenancePlans' });
+MaintenancePlan.belongsTo(Equipment, { foreignKey: 'equipmentId', as: 'equipment' });
+
+MaintenancePlan.hasMany(MaintenanceRecord, { foreignKey: 'maintenancePlanId', as: 'workOrders', onDelete: 'SET NULL' });
+MaintenanceRecord.belongsTo(MaintenancePlan, { foreignKey: 'maintenancePlanId', as: 'maintenancePlan' });
+
+Part.hasMany(InventoryItem, { foreignKey: 'partId', as: 'inventory' });
+InventoryItem.belongsTo(Part, { foreignKey: 'partId', as: 'part' });
+
+Part.hasMany(StockMovement, { foreignKey: 'partId', as: 'movements' });
+StockMovement.belongsTo(Part, { foreignKey: 'partId', as: 'part' });
+MaintenanceRecord.hasMany(StockMovement, { foreignKey: 'maintenanceRecordId', as: 'stockMovements' });
+StockMovement.belongsTo(MaintenanceRecord, { foreignKey: 'maintenanceRecordId', as: 'maintenanceRecord' });
+StockMovement.belongsTo(Equipment, { foreignKey: 'equipmentId', as: 'equipment' });
+
+InventoryItem.hasMany(ReorderAlert, { foreignKey: 'inventoryItemId', as: 'reorderAlerts' });
+ReorderAlert.belongsTo(InventoryItem, { foreignKey: 'inventoryItemId', as: 'inventoryItem' });
+ReorderAlert.belongsTo(Part, { foreignKey: 'partId', as: 'part' });
+
+Equipment.hasMany(HealthScore, { foreignKey: 'equipmentId', as: 'healthScores' });
+HealthScore.belongsTo(Equipment, { foreignKey: 'equipmentId', as: 'equipment' });
 
 module.exports = {
   sequelize,
+  HierarchyNode,
   Equipment,
   SensorReading,
   MaintenanceRecord,
   Alert,
-  Prediction
+  AlertRule,
+  Prediction,
+  DeadLetter,
+  ImportJob,
+  User,
+  ApiKey,
+  MaintenancePlan,
+  Part,
+  InventoryItem,
+  StockMovement,
+  ReorderAlert,
+  HealthScore
 };
\ No newline at end of file
@@ -0,0 +1,185 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { Equipment, AlertRule, Alert } = require('../models');
+const alertRuleEngine = require('../services/alertRuleEngine');
+const { getPagination, formatPagination } = require('../utils/pagination');
+const authService = require('../services/authService');
+const { pick, isValidationError, formatValidationErrors } = require('../utils/request');
+const { authenticate, requirePermission, checkEquipmentAccess } = require('../middleware/auth');
+const { getLocationScope } = require('../utils/permissions');
+
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'equipmentId',
+  'equipmentType',
+  'metric',
+  'condition',
+  'operator',
+  'threshold',
+  'thresholdHigh',
+  'hysteresis',
+  'durationSeconds',
+  'severity',
+  'enabled'
+];
+
+router.use(authenticate, requirePermission('alerts:read'));
+
+// List alert rules
+router.get('/', async (req, res) => {
+  try {
+    const { equipmentId, equipmentType, metric, enabled } = req.query;
+    const pagination = getPagination(req.query);
+
+    const whereClause = {};
+    if (equipmentId) whereClause.equipmentId = equipmentId;
+    if (equipmentType) whereClause.equipmentType = equipmentType;
+    if (metric) whereClause.metric = metric;
+    if (enabled !== undefined) whereClause.enabled = enabled === 'true';
+
+    // Location-scoped users see type-wide rules and the rules of their own equipment
+    const equipmentScope = await authService.getEquipmentScope(req.user);
+    if (equipmentScope) {
+      whereClause[Op.and] = [{
+        [Op.or]: [{ equipmentId: null }, { equipmentId: { [Op.in]: equipmentScope } }]
+      }];
+    }
+
+    const { rows, count } = await AlertRule.findAndCountAll({
+      where: whereClause,
+      order: [['name', 'ASC']],
+      limit: pagination.limit,
+      offset: pagination.offset,
+      include: [{
+        model: Equipment,
+        as: 'equipment',
+        attributes: ['id', 'name', 'type', 'location']
+      }]
+    });
+
+    res.json({
+      rules: rows,
+      pagination: formatPagination(pagination, count)
+    });
+  } catch (error) {
+    console.error('Error fetching alert rules:', error);
+    res.status(500).json({ error: 'Failed to fetch alert rules' });
+  }
+});
+
+// Get the rules that currently apply to a piece of equipment, including threshold defaults
+router.get('/effective/:equipmentId', async (req, res) => {
+  try {
+    const equipment = await Equipment.findByPk(req.params.equipmentId);
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment not found' });
+    }
+    if (!checkEquipmentAccess(req, res, equipment)) return;
+
+    res.json({
+      equipmentId: equipment.id,
+      rules: await alertRuleEngine.getRulesFor(equipment)
+    });
+  } catch (error) {
+    console.error('Error fetching effective alert rules:', error);
+    res.status(500).json({ error: 'Failed to fetch effective alert rules' });
+  }
+});
+
+// Get a single alert rule
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await AlertRule.findByPk(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    if (rule.equipmentId && !(await checkRuleAccess(req, res, rule.equipmentId))) return;
+
+    const openAlerts = await Alert.count({
+      where: { ruleId: rule.id, status: ['active', 'acknowledged'] }
+    });
+
+    res.json({ ...rule.toJSON(), openAlerts });
+  } catch (error) {
+    console.error('Error fetching alert rule:', error);
+    res.status(500).json({ error: 'Failed to fetch alert rule' });
+  }
+});
+
+// Create an alert rule
+router.post('/', requirePermission('rules:write'), async (req, res) => {
+  try {
+    if (!(await checkRuleAccess(req, res, req.body.equipmentId))) return;
+
+    const rule = await AlertRule.create(pick(req.body, EDITABLE_FIELDS));
+    alertRuleEngine.invalidate();
+    res.status(201).json(rule);
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({ error: 'Invalid alert rule', details: formatValidationErrors(error) });
+    }
+    console.error('Error creating alert rule:', error);
+    res.status(500).json({ error: 'Failed to create alert rule' });
+  }
+});
+
+// Update an alert rule
+router.put('/:id', requirePermission('rules:write'), async (req, res) => {
+  try {
+    const rule = await AlertRule.findByPk(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    if (!(await checkRuleAccess(req, res, rule.equipmentId))) return;
+    if (req.body.equipmentId !== undefined && !(await checkRuleAccess(req, res, req.body.equipmentId))) return;
+
+    await rule.update(pick(req.body, EDITABLE_FIELDS));
+    alertRuleEngine.forgetRule(rule.id);
+    res.json(rule);
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({ error: 'Invalid alert rule', details: formatValidationErrors(error) });
+    }
+    console.error('Error updating alert rule:', error);
+    res.status(500).json({ error: 'Failed to update alert rule' });
+  }
+});
+
+// Delete an alert rule (alerts it raised keep their history)
+router.delete('/:id', requirePermission('rules:write'), async (req, res) => {
+  try {
+    const rule = await AlertRule.findByPk(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    if (!(await checkRuleAccess(req, res, rule.equipmentId))) return;
+
+    await rule.destroy();
+    alertRuleEngine.forgetRule(rule.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting alert rule:', error);
+    res.status(500).json({ error: 'Failed to delete alert rule' });
+  }
+});
+
+// Type-wide rules apply at every location, so only users with access to all locations manage them.
+// Sends the error response and returns false when access is denied.
+async function checkRuleAccess(req, res, equipmentId) {
+  if (!equipmentId) {
+    if (getLocationScope(req.user) === null) return true;
+    res.status(403).json({ error: 'Only users with access to every location can manage equipment-type rules' });
+    return false;
+  }
+
+  const equipment = await Equipment.findByPk(equipmentId, { attributes: ['id', 'location'] });
+  if (!equipment) {
+    res.status(400).json({ error: 'equipmentId does not match any equipment' });
+    return false;
+  }
+  return checkEquipmentAccess(req, res, equipment);
+}
+
+module.exports = router;
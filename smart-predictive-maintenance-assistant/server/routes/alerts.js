@@ -0,0 +1,263 @@
+const express = require('express');
+const router = express.Router();
+const { Equipment, Alert } = require('../models');
+const { Op } = require('sequelize');
+const alertService = require('../services/alertService');
+const authService = require('../services/authService');
+const hierarchyService = require('../services/hierarchyService');
+const { getPagination, formatPagination } = require('../utils/pagination');
+const { splitList, isUuid, parseDate } = require('../utils/request');
+const { ServiceError } = require('../utils/errors');
+const { authenticate, requirePermission, checkEquipmentAccess } = require('../middleware/auth');
+const { restrictLocations, withEquipmentScope, actorName } = require('../utils/permissions');
+
+router.use(authenticate, requirePermission('alerts:read'));
+
+// A malformed id would otherwise reach PostgreSQL as an invalid uuid and fail with a 500
+router.param('id', (req, res, next, id) => {
+  if (!isUuid(id)) {
+    return res.status(400).json({ error: 'Invalid alert id' });
+  }
+  next();
+});
+
+// List alerts with filtering and pagination
+router.get('/', async (req, res) => {
+  try {
+    const pagination = getPagination(req.query);
+
+    const { rows, count } = await Alert.findAndCountAll({
+      where: buildAlertFilter(req.query),
+      order: [['createdAt', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset,
+      include: [await buildEquipmentInclude(req.query, req.user)]
+    });
+
+    res.json({
+      alerts: rows,
+      pagination: formatPagination(pagination, count)
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error fetching alerts:', error);
+    res.status(500).json({ error: 'Failed to fetch alerts' });
+  }
+});
+
+// Get alert counts by status and type
+router.get('/summary', async (req, res) => {
+  try {
+    const counts = await Alert.findAll({
+      where: buildAlertFilter(req.query),
+      attributes: [
+        [require('sequelize').col('Alert.status'), 'status'],
+        [require('sequelize').col('Alert.type'), 'type'],
+        [require('sequelize').fn('COUNT', require('sequelize').col('Alert.id')), 'count']
+      ],
+      include: [{ ...(await buildEquipmentInclude(req.query, req.user)), attributes: [] }],
+      group: [require('sequelize').col('Alert.status'), require('sequelize').col('Alert.type')],
+      raw: true
+    });
+
+    const summary = {
+      byStatus: { active: 0, acknowledged: 0, resolved: 0 },
+      byType: { critical: 0, warning: 0, info: 0 }
+    };
+
+    counts.forEach(row => {
+      const count = parseInt(row.count);
+      summary.byStatus[row.status] += count;
+      summary.byType[row.type] += count;
+    });
+
+    res.json({
+      ...summary,
+      generatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error fetching alert summary:', error);
+    res.status(500).json({ error: 'Failed to fetch alert summary' });
+  }
+});
+
+// Bulk acknowledge alerts
+router.post('/bulk/acknowledge', requirePermission('alerts:manage'), async (req, res) => {
+  await handleBulkUpdate(req, res, 'acknowledge');
+});
+
+// Bulk resolve (close) alerts
+router.post('/bulk/resolve', requirePermission('alerts:manage'), async (req, res) => {
+  await handleBulkUpdate(req, res, 'resolve');
+});
+
+// Get a single alert
+router.get('/:id', async (req, res) => {
+  try {
+    const alert = await Alert.findByPk(req.params.id, {
+      include: [{
+        model: Equipment,
+        as: 'equipment',
+        attributes: ['id', 'name', 'type', 'location']
+      }]
+    });
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    if (!checkEquipmentAccess(req, res, alert.equipment)) return;
+
+    res.json(alert);
+  } catch (error) {
+    console.error('Error fetching alert:', error);
+    res.status(500).json({ error: 'Failed to fetch alert' });
+  }
+});
+
+// Acknowledge an alert
+router.post('/:id/acknowledge', requirePermission('alerts:manage'), async (req, res) => {
+  try {
+    const alert = await findAlertWithEquipment(req.params.id);
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    if (!checkEquipmentAccess(req, res, alert.equipment)) return;
+
+    res.json(await alertService.acknowledge(alert, actorName(req.user), req.body.note));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error acknowledging alert:', error);
+    res.status(500).json({ error: 'Failed to acknowledge alert' });
+  }
+});
+
+// Resolve an alert
+router.post('/:id/resolve', requirePermission('alerts:manage'), async (req, res) => {
+  try {
+    const alert = await findAlertWithEquipment(req.params.id);
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    if (!checkEquipmentAccess(req, res, alert.equipment)) return;
+
+    res.json(await alertService.resolve(alert, actorName(req.user), req.body.note));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error resolving alert:', error);
+    res.status(500).json({ error: 'Failed to resolve alert' });
+  }
+});
+
+// Helper functions
+async function handleBulkUpdate(req, res, action) {
+  try {
+    const { ids, equipmentId, type, olderThan, note } = req.body;
+
+    if (!ids && !equipmentId && !type && !olderThan) {
+      return res.status(400).json({ error: 'At least one of ids, equipmentId, type or olderThan is required' });
+    }
+    if (ids !== undefined && !(Array.isArray(ids) && ids.length > 0 && ids.every(isUuid))) {
+      return res.status(400).json({ error: 'ids must be a non-empty array of alert ids' });
+    }
+    if (equipmentId && !isUuid(equipmentId)) {
+      return res.status(400).json({ error: 'equipmentId must be an equipment id' });
+    }
+
+    const whereClause = {};
+    if (ids) whereClause.id = { [Op.in]: ids };
+    if (equipmentId) whereClause.equipmentId = equipmentId;
+    if (type) whereClause.type = { [Op.in]: splitList(type) };
+    if (olderThan) whereClause.createdAt = { [Op.lte]: parseDate(olderThan, 'olderThan') };
+
+    // Location-scoped users only ever touch alerts for equipment at their locations
+    const equipmentScope = await authService.getEquipmentScope(req.user);
+    const alerts = await alertService.bulkUpdate(
+      withEquipmentScope(whereClause, equipmentScope), action, actorName(req.user), note
+    );
+
+    res.json({
+      updated: alerts.length,
+      alertIds: alerts.map(alert => alert.id)
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`Error during bulk ${action}:`, error);
+    res.status(500).json({ error: `Failed to ${action} alerts` });
+  }
+}
+
+function findAlertWithEquipment(id) {
+  return Alert.findByPk(id, {
+    include: [{
+      model: Equipment,
+      as: 'equipment',
+      attributes: ['id', 'name', 'type', 'location']
+    }]
+  });
+}
+
+function buildAlertFilter(query) {
+  const { status, type, equipmentId, from, to } = query;
+  const whereClause = {};
+
+  if (status) {
+    whereClause.status = { [Op.in]: splitList(status) };
+  }
+
+  if (type) {
+    whereClause.type = { [Op.in]: splitList(type) };
+  }
+
+  if (equipmentId) {
+    const equipmentIds = splitList(equipmentId);
+    if (!equipmentIds.every(isUuid)) {
+      throw new ServiceError('equipmentId must be a list of equipment ids', 400);
+    }
+    whereClause.equipmentId = { [Op.in]: equipmentIds };
+  }
+
+  if (from || to) {
+    whereClause.createdAt = {};
+    if (from) whereClause.createdAt[Op.gte] = parseDate(from, 'from');
+    if (to) whereClause.createdAt[Op.lte] = parseDate(to, 'to');
+  }
+
+  return whereClause;
+}
+
+async function buildEquipmentInclude(query, user) {
+  const include = {
+    model: Equipment,
+    as: 'equipment',
+    attributes: ['id', 'name', 'type', 'location']
+  };
+  const where = {};
+
+  const locations = restrictLocations(user, query.location ? splitList(query.location) : null);
+  if (locations) {
+    where.location = { [Op.in]: locations };
+  }
+
+  // Alerts of equipment at a hierarchy node or anywhere below it
+  if (query.node) {
+    where.hierarchyNodeId = { [Op.in]: await hierarchyService.subtreeIds(query.node) };
+  }
+
+  if (Object.keys(where).length > 0) {
+    include.where = where;
+  }
+
+  return include;
+}
+
+module.exports = router;
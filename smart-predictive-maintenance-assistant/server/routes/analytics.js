@@ -3,107 +3,126 @@ const router = express.Router();
 const { Equipment, SensorReading, MaintenanceRecord, Alert } = require('../models');
 const { Op } = require('sequelize');
 const moment = require('moment');
+const authService = require('../services/authService');
+const reliabilityService = require('../services/reliabilityService');
+const timescaleService = require('../services/timescaleService');
+const analyticsCache = require('../services/analyticsCache');
+const healthIndexService = require('../services/healthIndexService');
+const hierarchyService = require('../services/hierarchyService');
+const { getStartDate } = require('../utils/analytics');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { withEquipmentScope, restrictLocations, getLocationScope } = require('../utils/permissions');
+const { splitList } = require('../utils/request');
+const { ServiceError } = require('../utils/errors');
+
+router.use(authenticate, requirePermission('analytics:read'));
 
 // Get dashboard analytics
 router.get('/dashboard', async (req, res) => {
   try {
-    const { timeRange = '7d' } = req.query;
-    const startDate = getStartDate(timeRange);
-
-    // Equipment overview
-    const equipmentStats = await Equipment.findAll({
-      attributes: [
-        'status',
-        [require('sequelize').fn('COUNT', '*'), 'count']
-      ],
-      group: ['status']
-    });
+    const { timeRange = '7d', node } = req.query;
 
-    // Active alerts
-    const activeAlerts = await Alert.count({
-      where: { status: 'active' }
-    });
+    await sendCached(req, res, 'dashboard', { timeRange, node }, async () => {
+      const startDate = getStartDate(timeRange);
+      const equipmentScope = await scopeToNode(req.user, node);
 
-    // Critical alerts
-    const criticalAlerts = await Alert.count({
-      where: { 
-        status: 'active',
-        type: 'critical'
-      }
-    });
-
-    // Maintenance activities in time range
-    const maintenanceActivities = await MaintenanceRecord.count({
-      where: {
-        scheduledDate: {
-          [Op.gte]: startDate
-        }
-      }
-    });
+      // Equipment overview
+      const equipmentStats = await Equipment.findAll({
+        where: withEquipmentScope({}, equipmentScope, 'id'),
+        attributes: [
+          'status',
+          [require('sequelize').fn('COUNT', '*'), 'count']
+        ],
+        group: ['status']
+      });
 
-    // Equipment health distribution
-    const equipmentList = await Equipment.findAll({
-      include: [{
-        model: SensorReading,
-        as: 'sensorReadings',
-        limit: 1,
-        order: [['timestamp', 'DESC']]
-      }]
-    });
+      // Active alerts
+      const activeAlerts = await Alert.count({
+        where: withEquipmentScope({ status: 'active' }, equipmentScope)
+      });
 
-    const healthDistribution = {
-      excellent: 0, // 80-100
-      good: 0,      // 60-79
-      fair: 0,      // 40-59
-      poor: 0       // 0-39
-    };
-
-    equipmentList.forEach(equipment => {
-      const healthScore = calculateHealthScore(equipment.sensorReadings, equipment);
-      if (healthScore >= 80) healthDistribution.excellent++;
-      else if (healthScore >= 60) healthDistribution.good++;
-      else if (healthScore >= 40) healthDistribution.fair++;
-      else healthDistribution.poor++;
-    });
+      // Critical alerts
+      const criticalAlerts = await Alert.count({
+        where: withEquipmentScope({
+          status: 'active',
+          type: 'critical'
+        }, equipmentScope)
+      });
 
-    // Recent sensor readings trend
-    const sensorTrends = await SensorReading.findAll({
-      where: {
-        timestamp: {
-          [Op.gte]: moment().subtract(24, 'hours').toDate()
-        }
-      },
-      attributes: [
-        [require('sequelize').fn('DATE_TRUNC', 'hour', require('sequelize').col('timestamp')), 'hour'],
-        [require('sequelize').fn('AVG', require('sequelize').col('temperature')), 'avgTemperature'],
-        [require('sequelize').fn('AVG', require('sequelize').col('vibration')), 'avgVibration'],
-        [require('sequelize').fn('AVG', require('sequelize').col('pressure')), 'avgPressure']
-      ],
-      group: [require('sequelize').fn('DATE_TRUNC', 'hour', require('sequelize').col('timestamp'))],
-      order: [[require('sequelize').fn('DATE_TRUNC', 'hour', require('sequelize').col('timestamp')), 'ASC']]
-    });
+      // Maintenance activities in time range
+      const maintenanceActivities = await MaintenanceRecord.count({
+        where: withEquipmentScope({
+          scheduledDate: {
+            [Op.gte]: startDate
+          }
+        }, equipmentScope)
+      });
 
-    res.json({
-      overview: {
-        totalEquipment: equipmentList.length,
-        activeAlerts,
-        criticalAlerts,
-        maintenanceActivities
-      },
-      equipmentStats: equipmentStats.reduce((acc, stat) => {
+      const statusCounts = equipmentStats.reduce((acc, stat) => {
         acc[stat.status] = parseInt(stat.dataValues.count);
         return acc;
-      }, {}),
-      healthDistribution,
-      sensorTrends: sensorTrends.map(trend => ({
-        hour: trend.dataValues.hour,
-        avgTemperature: parseFloat(trend.dataValues.avgTemperature || 0),
-        avgVibration: parseFloat(trend.dataValues.avgVibration || 0),
-        avgPressure: parseFloat(trend.dataValues.avgPressure || 0)
-      })),
-      generatedAt: new Date().toISOString()
+      }, {});
+      const totalEquipment = Object.values(statusCounts).reduce((sum, count) => sum + count, 0);
+
+      // Equipment health distribution, from the latest stored health index scores
+      const healthScores = await healthIndexService.latestScores({ equipmentIds: equipmentScope });
+
+      const healthDistribution = {
+        excellent: 0, // 80-100
+        good: 0,      // 60-79
+        fair: 0,      // 40-59
+        poor: 0,      // 0-39
+        unknown: 0,   // no recent readings to score
+        unscored: 0   // not retired and not scored yet
+      };
+
+      healthScores.forEach(healthScore => {
+        healthDistribution[healthScore.status]++;
+      });
+      healthDistribution.unscored = totalEquipment - (statusCounts.retired || 0) - healthScores.length;
+
+      // Recent sensor readings trend, from the hourly aggregate when TimescaleDB is set up
+      const trendStart = moment().subtract(24, 'hours').toDate();
+      const sensorTrends = await timescaleService.isReady()
+        ? await timescaleService.hourlyAverages(trendStart, equipmentScope)
+        : (await SensorReading.findAll({
+          where: withEquipmentScope({
+            timestamp: {
+              [Op.gte]: trendStart
+            }
+          }, equipmentScope),
+          attributes: [
+            [require('sequelize').fn('DATE_TRUNC', 'hour', require('sequelize').col('timestamp')), 'hour'],
+            [require('sequelize').fn('AVG', require('sequelize').col('temperature')), 'avgTemperature'],
+            [require('sequelize').fn('AVG', require('sequelize').col('vibration')), 'avgVibration'],
+            [require('sequelize').fn('AVG', require('sequelize').col('pressure')), 'avgPressure']
+          ],
+          group: [require('sequelize').fn('DATE_TRUNC', 'hour', require('sequelize').col('timestamp'))],
+          order: [[require('sequelize').fn('DATE_TRUNC', 'hour', require('sequelize').col('timestamp')), 'ASC']]
+        })).map(trend => trend.dataValues);
+
+      return {
+        overview: {
+          totalEquipment,
+          activeAlerts,
+          criticalAlerts,
+          maintenanceActivities
+        },
+        equipmentStats: statusCounts,
+        healthDistribution,
+        sensorTrends: sensorTrends.map(trend => ({
+          hour: trend.hour,
+          avgTemperature: parseFloat(trend.avgTemperature || 0),
+          avgVibration: parseFloat(trend.avgVibration || 0),
+          avgPressure: parseFloat(trend.avgPressure || 0)
+        })),
+        generatedAt: new Date().toISOString()
+      };
     });
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Error fetching dashboard analytics:', error);
     res.status(500).json({ error: 'Failed to fetch dashboard analytics' });
   }
@@ -112,63 +131,48 @@ router.get('/dashboard', async (req, res) => {
 // Get equipment performance trends
 router.get('/trends', async (req, res) => {
   try {
-    const { equipmentId, timeRange = '30d', metric = 'all' } = req.query;
-    const startDate = getStartDate(timeRange);
+    const { equipmentId, timeRange = '30d', metric = 'all', node } = req.query;
 
-    const whereClause = {
-      timestamp: {
-        [Op.gte]: startDate
-      }
-    };
+    await sendCached(req, res, 'trends', { equipmentId, timeRange, metric, node }, async () => {
+      const startDate = getStartDate(timeRange);
 
-    if (equipmentId) {
-      whereClause.equipmentId = equipmentId;
-    }
+      const whereClause = {
+        timestamp: {
+          [Op.gte]: startDate
+        }
+      };
 
-    const trends = await SensorReading.findAll({
-      where: whereClause,
-      attributes: [
-        'equipmentId',
-        [require('sequelize').fn('DATE_TRUNC', 'day', require('sequelize').col('timestamp')), 'date'],
-        [require('sequelize').fn('AVG', require('sequelize').col('temperature')), 'avgTemperature'],
-        [require('sequelize').fn('MAX', require('sequelize').col('temperature')), 'maxTemperature'],
-        [require('sequelize').fn('AVG', require('sequelize').col('vibration')), 'avgVibration'],
-        [require('sequelize').fn('MAX', require('sequelize').col('vibration')), 'maxVibration'],
-        [require('sequelize').fn('AVG', require('sequelize').col('pressure')), 'avgPressure'],
-        [require('sequelize').fn('COUNT', '*'), 'readingCount']
-      ],
-      group: [
-        'equipmentId',
-        require('sequelize').fn('DATE_TRUNC', 'day', require('sequelize').col('timestamp'))
-      ],
-      order: [
-        ['equipmentId', 'ASC'],
-        [require('sequelize').fn('DATE_TRUNC', 'day', require('sequelize').col('timestamp')), 'ASC']
-      ],
-      include: [{
-        model: Equipment,
-        as: 'equipment',
-        attributes: ['name', 'type', 'location']
-      }]
-    });
+      if (equipmentId) {
+        whereClause.equipmentId = equipmentId;
+      }
+      const equipmentScope = await scopeToNode(req.user, node);
 
-    res.json({
-      trends: trends.map(trend => ({
-        equipmentId: trend.equipmentId,
-        equipmentName: trend.equipment?.name,
-        date: trend.dataValues.date,
-        avgTemperature: parseFloat(trend.dataValues.avgTemperature || 0),
-        maxTemperature: parseFloat(trend.dataValues.maxTemperature || 0),
-        avgVibration: parseFloat(trend.dataValues.avgVibration || 0),
-        maxVibration: parseFloat(trend.dataValues.maxVibration || 0),
-        avgPressure: parseFloat(trend.dataValues.avgPressure || 0),
-        readingCount: parseInt(trend.dataValues.readingCount)
-      })),
-      timeRange,
-      metric,
-      generatedAt: new Date().toISOString()
+      // Daily figures come from the daily aggregate when TimescaleDB is set up
+      const trends = await timescaleService.isReady()
+        ? await timescaleService.dailyTrends(startDate, scopeEquipmentIds(equipmentId, equipmentScope))
+        : await fetchDailyTrends(whereClause, equipmentScope);
+
+      return {
+        trends: trends.map(trend => ({
+          equipmentId: trend.equipmentId,
+          equipmentName: trend.equipmentName,
+          date: trend.date,
+          avgTemperature: parseFloat(trend.avgTemperature || 0),
+          maxTemperature: parseFloat(trend.maxTemperature || 0),
+          avgVibration: parseFloat(trend.avgVibration || 0),
+          maxVibration: parseFloat(trend.maxVibration || 0),
+          avgPressure: parseFloat(trend.avgPressure || 0),
+          readingCount: parseInt(trend.readingCount)
+        })),
+        timeRange,
+        metric,
+        generatedAt: new Date().toISOString()
+      };
     });
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Error fetching trends:', error);
     res.status(500).json({ error: 'Failed to fetch trends' });
   }
@@ -177,143 +181,216 @@ router.get('/trends', async (req, res) => {
 // Get maintenance cost analysis
 router.get('/costs', async (req, res) => {
   try {
-    const { timeRange = '12m', groupBy = 'month' } = req.query;
-    const startDate = getStartDate(timeRange);
-
-    // Maintenance costs by type
-    const costsByType = await MaintenanceRecord.findAll({
-      where: {
-        completedDate: {
-          [Op.gte]: startDate,
-          [Op.not]: null
-        },
-        cost: {
-          [Op.not]: null
-        }
-      },
-      attributes: [
-        'type',
-        [require('sequelize').fn('SUM', require('sequelize').col('cost')), 'totalCost'],
-        [require('sequelize').fn('COUNT', '*'), 'count'],
-        [require('sequelize').fn('AVG', require('sequelize').col('cost')), 'avgCost']
-      ],
-      group: ['type']
-    });
+    const { timeRange = '12m', groupBy = 'month', node } = req.query;
 
-    // Costs over time
-    const dateFormat = groupBy === 'month' ? 'month' : 'week';
-    const costsOverTime = await MaintenanceRecord.findAll({
-      where: {
-        completedDate: {
-          [Op.gte]: startDate,
-          [Op.not]: null
-        },
-        cost: {
-          [Op.not]: null
-        }
-      },
-      attributes: [
-        [require('sequelize').fn('DATE_TRUNC', dateFormat, require('sequelize').col('completed_date')), 'period'],
-        [require('sequelize').fn('SUM', require('sequelize').col('cost')), 'totalCost'],
-        [require('sequelize').fn('COUNT', '*'), 'count']
-      ],
-      group: [require('sequelize').fn('DATE_TRUNC', dateFormat, require('sequelize').col('completed_date'))],
-      order: [[require('sequelize').fn('DATE_TRUNC', dateFormat, require('sequelize').col('completed_date')), 'ASC']]
-    });
+    await sendCached(req, res, 'costs', { timeRange, groupBy, node }, async () => {
+      const startDate = getStartDate(timeRange);
+      const equipmentScope = await scopeToNode(req.user, node);
 
-    // Equipment with highest maintenance costs
-    const equipmentCosts = await MaintenanceRecord.findAll({
-      where: {
-        completedDate: {
-          [Op.gte]: startDate,
-          [Op.not]: null
-        },
-        cost: {
-          [Op.not]: null
-        }
-      },
-      attributes: [
-        'equipmentId',
-        [require('sequelize').fn('SUM', require('sequelize').col('cost')), 'totalCost'],
-        [require('sequelize').fn('COUNT', '*'), 'maintenanceCount']
-      ],
-      group: ['equipmentId'],
-      order: [[require('sequelize').fn('SUM', require('sequelize').col('cost')), 'DESC']],
-      limit: 10,
-      include: [{
-        model: Equipment,
-        as: 'equipment',
-        attributes: ['name', 'type', 'location']
-      }]
+      // Maintenance costs by type
+      const costsByType = await MaintenanceRecord.findAll({
+        where: withEquipmentScope({
+          completedDate: {
+            [Op.gte]: startDate,
+            [Op.not]: null
+          },
+          cost: {
+            [Op.not]: null
+          }
+        }, equipmentScope),
+        attributes: [
+          'type',
+          [require('sequelize').fn('SUM', require('sequelize').col('cost')), 'totalCost'],
+          [require('sequelize').fn('COUNT', '*'), 'count'],
+          [require('sequelize').fn('AVG', require('sequelize').col('cost')), 'avgCost']
+        ],
+        group: ['type']
+      });
+
+      // Costs over time
+      const dateFormat = groupBy === 'month' ? 'month' : 'week';
+      const costsOverTime = await MaintenanceRecord.findAll({
+        where: withEquipmentScope({
+          completedDate: {
+            [Op.gte]: startDate,
+            [Op.not]: null
+          },
+          cost: {
+            [Op.not]: null
+          }
+        }, equipmentScope),
+        attributes: [
+          [require('sequelize').fn('DATE_TRUNC', dateFormat, require('sequelize').col('completed_date')), 'period'],
+          [require('sequelize').fn('SUM', require('sequelize').col('cost')), 'totalCost'],
+          [require('sequelize').fn('COUNT', '*'), 'count']
+        ],
+        group: [require('sequelize').fn('DATE_TRUNC', dateFormat, require('sequelize').col('completed_date'))],
+        order: [[require('sequelize').fn('DATE_TRUNC', dateFormat, require('sequelize').col('completed_date')), 'ASC']]
+      });
+
+      // Equipment with highest maintenance costs
+      const equipmentCosts = await MaintenanceRecord.findAll({
+        where: withEquipmentScope({
+          completedDate: {
+            [Op.gte]: startDate,
+            [Op.not]: null
+          },
+          cost: {
+            [Op.not]: null
+          }
+        }, equipmentScope),
+        attributes: [
+          'equipmentId',
+          [require('sequelize').fn('SUM', require('sequelize').col('cost')), 'totalCost'],
+          [require('sequelize').fn('COUNT', '*'), 'maintenanceCount']
+        ],
+        group: ['equipmentId'],
+        order: [[require('sequelize').fn('SUM', require('sequelize').col('cost')), 'DESC']],
+        limit: 10,
+        include: [{
+          model: Equipment,
+          as: 'equipment',
+          attributes: ['name', 'type', 'location']
+        }]
+      });
+
+      return {
+        costsByType: costsByType.map(cost => ({
+          type: cost.type,
+          totalCost: parseFloat(cost.dataValues.totalCost || 0),
+          count: parseInt(cost.dataValues.count),
+          avgCost: parseFloat(cost.dataValues.avgCost || 0)
+        })),
+        costsOverTime: costsOverTime.map(cost => ({
+          period: cost.dataValues.period,
+          totalCost: parseFloat(cost.dataValues.totalCost || 0),
+          count: parseInt(cost.dataValues.count)
+        })),
+        topEquipmentCosts: equipmentCosts.map(cost => ({
+          equipmentId: cost.equipmentId,
+          equipmentName: cost.equipment?.name,
+          equipmentType: cost.equipment?.type,
+          location: cost.equipment?.location,
+          totalCost: parseFloat(cost.dataValues.totalCost || 0),
+          maintenanceCount: parseInt(cost.dataValues.maintenanceCount)
+        })),
+        timeRange,
+        groupBy,
+        generatedAt: new Date().toISOString()
+      };
     });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error fetching cost analysis:', error);
+    res.status(500).json({ error: 'Failed to fetch cost analysis' });
+  }
+});
 
-    res.json({
-      costsByType: costsByType.map(cost => ({
-        type: cost.type,
-        totalCost: parseFloat(cost.dataValues.totalCost || 0),
-        count: parseInt(cost.dataValues.count),
-        avgCost: parseFloat(cost.dataValues.avgCost || 0)
-      })),
-      costsOverTime: costsOverTime.map(cost => ({
-        period: cost.dataValues.period,
-        totalCost: parseFloat(cost.dataValues.totalCost || 0),
-        count: parseInt(cost.dataValues.count)
-      })),
-      topEquipmentCosts: equipmentCosts.map(cost => ({
-        equipmentId: cost.equipmentId,
-        equipmentName: cost.equipment?.name,
-        equipmentType: cost.equipment?.type,
-        location: cost.equipment?.location,
-        totalCost: parseFloat(cost.dataValues.totalCost || 0),
-        maintenanceCount: parseInt(cost.dataValues.maintenanceCount)
-      })),
+// Get MTBF, MTTR, availability, failure rate and OEE per equipment, type or location
+router.get('/reliability', async (req, res) => {
+  try {
+    const { timeRange, from, to, groupBy, equipmentId, type, location, compare, node } = req.query;
+    const params = { timeRange, from, to, groupBy, equipmentId, type, location, compare, node };
+
+    await sendCached(req, res, 'reliability', params, async () => reliabilityService.report({
       timeRange,
+      from,
+      to,
       groupBy,
-      generatedAt: new Date().toISOString()
+      compare,
+      equipmentId: await hierarchyService.narrowScope(equipmentId ? splitList(equipmentId) : null, node),
+      type: type ? splitList(type) : null,
+      location: restrictLocations(req.user, location ? splitList(location) : null)
+    }));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error fetching reliability analytics:', error);
+    res.status(500).json({ error: 'Failed to fetch reliability analytics' });
+  }
+});
+
+// Get the equipment with the lowest latest health index scores
+router.get('/health-ranking', async (req, res) => {
+  try {
+    const { location, type, node } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+    await sendCached(req, res, 'health-ranking', { limit, location, type, node }, async () => {
+      const ranking = await healthIndexService.latestScores({
+        equipmentIds: await hierarchyService.narrowScope(null, node),
+        locations: restrictLocations(req.user, location ? splitList(location) : null),
+        types: type ? splitList(type) : null,
+        limit
+      });
+
+      return {
+        ranking,
+        generatedAt: new Date().toISOString()
+      };
     });
   } catch (error) {
-    console.error('Error fetching cost analysis:', error);
-    res.status(500).json({ error: 'Failed to fetch cost analysis' });
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error fetching health ranking:', error);
+    res.status(500).json({ error: 'Failed to fetch health ranking' });
   }
 });
 
 // Helper functions
-function getStartDate(timeRange) {
-  const now = moment();
-  switch (timeRange) {
-    case '1d': return now.subtract(1, 'day').toDate();
-    case '7d': return now.subtract(7, 'days').toDate();
-    case '30d': return now.subtract(30, 'days').toDate();
-    case '3m': return now.subtract(3, 'months').toDate();
-    case '6m': return now.subtract(6, 'months').toDate();
-    case '12m': return now.subtract(12, 'months').toDate();
-    default: return now.subtract(7, 'days').toDate();
-  }
+// Responds from the analytics cache, computing the response on a miss. Entries are keyed by
+// the given query parameters and the user's location scope.
+async function sendCached(req, res, name, params, compute) {
+  const key = analyticsCache.key(name, params, getLocationScope(req.user));
+  const { value, status } = await analyticsCache.fetch(key, compute);
+  res.set('X-Cache', status.toUpperCase());
+  res.json(value);
 }
 
-function calculateHealthScore(readings, equipment) {
-  if (!readings || readings.length === 0) return 50;
-  
-  let score = 100;
-  const latest = readings[0];
-  
-  if (latest.temperature > equipment.maxTemperature) {
-    score -= 20;
-  } else if (latest.temperature > equipment.maxTemperature * 0.9) {
-    score -= 10;
-  }
-  
-  if (latest.vibration > equipment.maxVibration) {
-    score -= 25;
-  } else if (latest.vibration > equipment.maxVibration * 0.8) {
-    score -= 10;
-  }
-  
-  if (latest.pressure > equipment.maxPressure || latest.pressure < equipment.minPressure) {
-    score -= 15;
-  }
-  
-  return Math.max(0, Math.min(100, score));
+// The user's equipment scope, narrowed to a hierarchy node and everything below it when given
+async function scopeToNode(user, node) {
+  return hierarchyService.narrowScope(await authService.getEquipmentScope(user), node);
+}
+
+async function fetchDailyTrends(whereClause, equipmentScope) {
+  const trends = await SensorReading.findAll({
+    where: withEquipmentScope(whereClause, equipmentScope),
+    attributes: [
+      'equipmentId',
+      [require('sequelize').fn('DATE_TRUNC', 'day', require('sequelize').col('timestamp')), 'date'],
+      [require('sequelize').fn('AVG', require('sequelize').col('temperature')), 'avgTemperature'],
+      [require('sequelize').fn('MAX', require('sequelize').col('temperature')), 'maxTemperature'],
+      [require('sequelize').fn('AVG', require('sequelize').col('vibration')), 'avgVibration'],
+      [require('sequelize').fn('MAX', require('sequelize').col('vibration')), 'maxVibration'],
+      [require('sequelize').fn('AVG', require('sequelize').col('pressure')), 'avgPressure'],
+      [require('sequelize').fn('COUNT', '*'), 'readingCount']
+    ],
+    group: [
+      'equipmentId',
+      require('sequelize').fn('DATE_TRUNC', 'day', require('sequelize').col('timestamp'))
+    ],
+    order: [
+      ['equipmentId', 'ASC'],
+      [require('sequelize').fn('DATE_TRUNC', 'day', require('sequelize').col('timestamp')), 'ASC']
+    ],
+    include: [{
+      model: Equipment,
+      as: 'equipment',
+      attributes: ['name', 'type', 'location']
+    }]
+  });
+
+  return trends.map(trend => ({ ...trend.dataValues, equipmentName: trend.equipment?.name }));
+}
+
+// The requested equipment, limited to a location-scoped user's equipment (null for all)
+function scopeEquipmentIds(equipmentId, equipmentScope) {
+  if (!equipmentId) return equipmentScope;
+  return equipmentScope ? equipmentScope.filter(id => id === equipmentId) : [equipmentId];
 }
 
 module.exports = router;
\ No newline at end of file
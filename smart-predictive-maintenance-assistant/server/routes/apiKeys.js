@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { ApiKey } = require('../models');
+const apiKeyService = require('../services/apiKeyService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { getPagination, formatPagination } = require('../utils/pagination');
+const { pick, isValidationError, formatValidationErrors } = require('../utils/request');
+const { API_KEY_SCOPES, actorName } = require('../utils/permissions');
+const { ServiceError } = require('../utils/errors');
+
+const EDITABLE_FIELDS = ['name', 'scopes', 'locations', 'rateLimit', 'expiresAt'];
+
+router.use(authenticate, requirePermission('apikeys:manage'));
+
+// List API keys (never includes the key itself)
+router.get('/', async (req, res) => {
+  try {
+    const pagination = getPagination(req.query);
+    const whereClause = {};
+    if (req.query.revoked !== undefined) {
+      whereClause.revokedAt = req.query.revoked === 'true' ? { [Op.not]: null } : null;
+    }
+
+    const { rows, count } = await ApiKey.findAndCountAll({
+      where: whereClause,
+      order: [['createdAt', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      apiKeys: rows,
+      scopes: Object.keys(API_KEY_SCOPES),
+      pagination: formatPagination(pagination, count)
+    });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+// Issue an API key; the response is the only time the key is shown
+router.post('/', async (req, res) => {
+  try {
+    const result = await apiKeyService.createKey({
+      ...pick(req.body, EDITABLE_FIELDS),
+      createdBy: actorName(req.user)
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    handleError(res, error, 'Error creating API key:', 'Failed to create API key');
+  }
+});
+
+// Get a single API key
+router.get('/:id', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findByPk(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json(apiKey);
+  } catch (error) {
+    console.error('Error fetching API key:', error);
+    res.status(500).json({ error: 'Failed to fetch API key' });
+  }
+});
+
+// Update an API key's name, scopes, locations, rate limit or expiry
+router.put('/:id', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findByPk(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json(await apiKeyService.updateKey(apiKey, pick(req.body, EDITABLE_FIELDS)));
+  } catch (error) {
+    handleError(res, error, 'Error updating API key:', 'Failed to update API key');
+  }
+});
+
+// Revoke an API key (kept for its usage history)
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findByPk(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json(await apiKeyService.revoke(apiKey));
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+function handleError(res, error, logMessage, responseMessage) {
+  if (error instanceof ServiceError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  if (isValidationError(error)) {
+    return res.status(400).json({ error: 'Invalid API key data', details: formatValidationErrors(error) });
+  }
+  console.error(logMessage, error);
+  res.status(500).json({ error: responseMessage });
+}
+
+module.exports = router;
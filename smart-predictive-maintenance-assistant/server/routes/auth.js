@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const { User } = require('../models');
+const authService = require('../services/authService');
+const { authenticate } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { getPermissions } = require('../utils/permissions');
+const { ServiceError } = require('../utils/errors');
+
+// Log in with email and password; returns an access token and a refresh token
+router.post('/login', rateLimit, async (req, res) => {
+  try {
+    res.json(await authService.login(req.body.email, req.body.password));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', rateLimit, async (req, res) => {
+  try {
+    if (!req.body.refreshToken) {
+      return res.status(400).json({ error: 'refreshToken is required' });
+    }
+
+    res.json(await authService.refresh(req.body.refreshToken));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+// Log out everywhere by revoking the user's refresh tokens
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (user) {
+      await authService.revokeTokens(user);
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Get the current user (or API key) and their permissions
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    if (req.user.type === 'api_key') {
+      return res.json({ ...req.user, permissions: getPermissions(req.user) });
+    }
+
+    const user = await User.findByPk(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      ...user.toJSON(),
+      permissions: getPermissions(user)
+    });
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    res.status(500).json({ error: 'Failed to fetch current user' });
+  }
+});
+
+// Change the current user's password (revokes existing refresh tokens)
+router.post('/password', authenticate, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.scope('withPassword').findByPk(req.user.id);
+    if (!user || !currentPassword || !(await user.checkPassword(currentPassword))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    authService.validatePassword(newPassword);
+    await user.setPassword(newPassword);
+    await user.save();
+    await authService.revokeTokens(user);
+
+    res.json(authService.issueTokens(user));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+const { DeadLetter } = require('../models');
+const deadLetterService = require('../services/deadLetterService');
+const { getPagination, formatPagination } = require('../utils/pagination');
+const { splitList, isUuid } = require('../utils/request');
+const { ServiceError } = require('../utils/errors');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const FILTER_FIELDS = ['ids', 'reason', 'topic', 'source', 'equipmentRef', 'from', 'to', 'olderThan'];
+
+router.use(authenticate, requirePermission('ingest:manage'));
+
+// A malformed id would otherwise reach PostgreSQL as an invalid uuid and fail with a 500
+router.param('id', (req, res, next, id) => {
+  if (!isUuid(id)) {
+    return res.status(400).json({ error: 'Invalid dead letter id' });
+  }
+  next();
+});
+
+// List dead letters with filtering and pagination
+router.get('/', async (req, res) => {
+  try {
+    const pagination = getPagination(req.query);
+
+    const { rows, count } = await DeadLetter.findAndCountAll({
+      where: deadLetterService.buildFilter(parseFilters(req.query)),
+      order: [['receivedAt', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      deadLetters: rows,
+      pagination: formatPagination(pagination, count)
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error fetching dead letters:', error);
+    res.status(500).json({ error: 'Failed to fetch dead letters' });
+  }
+});
+
+// Get dead letter counts by reason
+router.get('/stats', async (req, res) => {
+  try {
+    res.json({
+      ...(await deadLetterService.getStats()),
+      generatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching dead letter stats:', error);
+    res.status(500).json({ error: 'Failed to fetch dead letter stats' });
+  }
+});
+
+// Replay dead letters matching the filters, e.g. after registering missing equipment
+router.post('/reprocess', async (req, res) => {
+  try {
+    const filters = parseFilters(req.body);
+    if (!hasFilters(filters)) {
+      return res.status(400).json({ error: `Provide at least one of: ${FILTER_FIELDS.join(', ')}` });
+    }
+
+    res.json(await deadLetterService.reprocess(deadLetterService.buildFilter(filters)));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error reprocessing dead letters:', error);
+    res.status(500).json({ error: 'Failed to reprocess dead letters' });
+  }
+});
+
+// Delete dead letters matching the filters
+router.delete('/', async (req, res) => {
+  try {
+    const filters = parseFilters({ ...req.query, ...req.body });
+    if (!hasFilters(filters)) {
+      return res.status(400).json({ error: `Provide at least one of: ${FILTER_FIELDS.join(', ')}` });
+    }
+
+    const deleted = await deadLetterService.purge(deadLetterService.buildFilter(filters));
+    res.json({ deleted });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error purging dead letters:', error);
+    res.status(500).json({ error: 'Failed to purge dead letters' });
+  }
+});
+
+// Get a single dead letter
+router.get('/:id', async (req, res) => {
+  try {
+    const deadLetter = await DeadLetter.findByPk(req.params.id);
+    if (!deadLetter) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    res.json(deadLetter);
+  } catch (error) {
+    console.error('Error fetching dead letter:', error);
+    res.status(500).json({ error: 'Failed to fetch dead letter' });
+  }
+});
+
+// Replay a single dead letter
+router.post('/:id/reprocess', async (req, res) => {
+  try {
+    const deadLetter = await DeadLetter.findByPk(req.params.id);
+    if (!deadLetter) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    res.json(await deadLetterService.reprocess({ id: deadLetter.id }));
+  } catch (error) {
+    console.error('Error reprocessing dead letter:', error);
+    res.status(500).json({ error: 'Failed to reprocess dead letter' });
+  }
+});
+
+// Delete a single dead letter
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await DeadLetter.destroy({ where: { id: req.params.id } });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    res.json({ deleted });
+  } catch (error) {
+    console.error('Error deleting dead letter:', error);
+    res.status(500).json({ error: 'Failed to delete dead letter' });
+  }
+});
+
+// Query strings carry lists as comma-separated values, JSON bodies as arrays
+function parseFilters(source = {}) {
+  const filters = {};
+  FILTER_FIELDS.forEach(field => {
+    if (source[field] === undefined || source[field] === '') return;
+    filters[field] = ['ids', 'reason'].includes(field) && !Array.isArray(source[field])
+      ? splitList(source[field])
+      : source[field];
+  });
+  return filters;
+}
+
+function hasFilters(filters) {
+  return Object.keys(filters).length > 0;
+}
+
+module.exports = router;
@@ -0,0 +1,442 @@
+const express = require('express');
+const router = express.Router();
+const { sequelize, Equipment, SensorReading, MaintenanceRecord, Alert, Prediction } = require('../models');
+const { Op } = require('sequelize');
+const predictionService = require('../services/predictionService');
+const ingestBuffer = require('../services/ingestBuffer');
+const workOrderService = require('../services/workOrderService');
+const healthIndexService = require('../services/healthIndexService');
+const hierarchyService = require('../services/hierarchyService');
+const { getStartDate } = require('../utils/analytics');
+const { getPagination, formatPagination } = require('../utils/pagination');
+const { splitList, isUuid, escapeLike, pick, isValidationError, formatValidationErrors } = require('../utils/request');
+const { authenticate, requirePermission, checkEquipmentAccess } = require('../middleware/auth');
+const { restrictLocations } = require('../utils/permissions');
+const { ServiceError } = require('../utils/errors');
+
+const EDITABLE_FIELDS = [
+  'name',
+  'type',
+  'location',
+  'manufacturer',
+  'model',
+  'serialNumber',
+  'installationDate',
+  'status',
+  'maxTemperature',
+  'maxVibration',
+  'maxPressure',
+  'minPressure',
+  'description',
+  'specifications'
+];
+
+router.use(authenticate);
+
+// Malformed ids are rejected before they reach PostgreSQL as an invalid uuid
+router.param('id', (req, res, next, id) => {
+  if (!isUuid(id)) {
+    return res.status(400).json({ error: 'Invalid equipment id' });
+  }
+  next();
+});
+
+// List equipment with filtering and pagination
+router.get('/', requirePermission('equipment:read'), async (req, res) => {
+  try {
+    const { status, type, location, node, parentId, search } = req.query;
+    const pagination = getPagination(req.query);
+
+    const whereClause = {};
+
+    if (status) {
+      whereClause.status = { [Op.in]: splitList(status) };
+    } else {
+      whereClause.status = { [Op.ne]: 'retired' };
+    }
+
+    if (type) {
+      whereClause.type = { [Op.in]: splitList(type) };
+    }
+
+    const locations = restrictLocations(req.user, location ? splitList(location) : null);
+    if (locations) {
+      whereClause.location = { [Op.in]: locations };
+    }
+
+    // Equipment at a hierarchy node or anywhere below it
+    if (node) {
+      whereClause.hierarchyNodeId = { [Op.in]: await hierarchyService.subtreeIds(node) };
+    }
+
+    if (parentId) {
+      if (!isUuid(parentId)) {
+        return res.status(400).json({ error: 'parentId must be an equipment id' });
+      }
+      whereClause.parentId = parentId;
+    }
+
+    if (search) {
+      const pattern = `%${escapeLike(search)}%`;
+      whereClause[Op.or] = [
+        { name: { [Op.iLike]: pattern } },
+        { serialNumber: { [Op.iLike]: pattern } }
+      ];
+    }
+
+    const { rows, count } = await Equipment.findAndCountAll({
+      where: whereClause,
+      order: [['name', 'ASC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      equipment: rows,
+      pagination: formatPagination(pagination, count)
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error fetching equipment:', error);
+    res.status(500).json({ error: 'Failed to fetch equipment' });
+  }
+});
+
+// Get a single piece of equipment with its place in the hierarchy, parent and components
+router.get('/:id', requirePermission('equipment:read'), async (req, res) => {
+  try {
+    const equipment = await Equipment.findByPk(req.params.id, {
+      include: [
+        { model: Equipment, as: 'parent', attributes: ['id', 'name', 'type', 'status'] },
+        { model: Equipment, as: 'components', attributes: ['id', 'name', 'type', 'status'] }
+      ]
+    });
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment not found' });
+    }
+    if (!checkEquipmentAccess(req, res, equipment)) return;
+
+    res.json({
+      ...equipment.toJSON(),
+      hierarchyPath: equipment.hierarchyNodeId ? await hierarchyService.path(equipment.hierarchyNodeId) : []
+    });
+  } catch (error) {
+    console.error('Error fetching equipment:', error);
+    res.status(500).json({ error: 'Failed to fetch equipment' });
+  }
+});
+
+// Register new equipment, placed by hierarchyNodeId, parentId (components) or location
+router.post('/', requirePermission('equipment:write'), async (req, res) => {
+  try {
+    const placement = await hierarchyService.resolvePlacement(req.body, req.user);
+
+    const equipment = await Equipment.create({ ...pick(req.body, EDITABLE_FIELDS), ...placement });
+    ingestBuffer.invalidateEquipment(equipment.id, equipment.serialNumber);
+    res.status(201).json(equipment);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (isValidationError(error)) {
+      return res.status(400).json({ error: 'Invalid equipment data', details: formatValidationErrors(error) });
+    }
+    console.error('Error creating equipment:', error);
+    res.status(500).json({ error: 'Failed to create equipment' });
+  }
+});
+
+// Update equipment
+router.put('/:id', requirePermission('equipment:write'), async (req, res) => {
+  try {
+    const equipment = await Equipment.findByPk(req.params.id);
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment not found' });
+    }
+    if (!checkEquipmentAccess(req, res, equipment)) return;
+    // Moving equipment requires access to both the old and the new site
+    const placement = await hierarchyService.resolvePlacement(req.body, req.user, equipment);
+
+    await sequelize.transaction(async (transaction) => {
+      await equipment.update({ ...pick(req.body, EDITABLE_FIELDS), ...placement }, { transaction });
+      await hierarchyService.syncComponents(equipment, transaction);
+    });
+    ingestBuffer.invalidateEquipment(equipment.id);
+    res.json(equipment);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (isValidationError(error)) {
+      return res.status(400).json({ error: 'Invalid equipment data', details: formatValidationErrors(error) });
+    }
+    console.error('Error updating equipment:', error);
+    res.status(500).json({ error: 'Failed to update equipment' });
+  }
+});
+
+// Retire equipment (history is kept, so the record is never deleted)
+router.delete('/:id', requirePermission('equipment:write'), async (req, res) => {
+  try {
+    const equipment = await Equipment.findByPk(req.params.id);
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment not found' });
+    }
+    if (!checkEquipmentAccess(req, res, equipment)) return;
+
+    await equipment.update({ status: 'retired' });
+    ingestBuffer.invalidateEquipment(equipment.id);
+    res.json(equipment);
+  } catch (error) {
+    console.error('Error retiring equipment:', error);
+    res.status(500).json({ error: 'Failed to retire equipment' });
+  }
+});
+
+// Get equipment health status
+router.get('/:id/health', requirePermission('equipment:read'), async (req, res) => {
+  try {
+    const equipment = await Equipment.findByPk(req.params.id, {
+      include: [{
+        model: SensorReading,
+        as: 'sensorReadings',
+        limit: 1,
+        order: [['timestamp', 'DESC']]
+      }]
+    });
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment not found' });
+    }
+    if (!checkEquipmentAccess(req, res, equipment)) return;
+
+    const activeAlerts = await Alert.count({
+      where: {
+        equipmentId: equipment.id,
+        status: 'active'
+      }
+    });
+
+    const health = await healthIndexService.compute(equipment);
+    const latestReading = equipment.sensorReadings[0] || null;
+
+    res.json({
+      equipmentId: equipment.id,
+      equipmentName: equipment.name,
+      status: equipment.status,
+      healthScore: health.score,
+      healthStatus: health.status,
+      factors: health.factors,
+      readings: health.readings,
+      activeAlerts,
+      latestReading,
+      thresholds: {
+        maxTemperature: equipment.maxTemperature,
+        maxVibration: equipment.maxVibration,
+        maxPressure: equipment.maxPressure,
+        minPressure: equipment.minPressure
+      },
+      generatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching equipment health:', error);
+    res.status(500).json({ error: 'Failed to fetch equipment health' });
+  }
+});
+
+// Get stored health index scores over time
+router.get('/:id/health/history', requirePermission('equipment:read'), async (req, res) => {
+  try {
+    const { timeRange = '30d' } = req.query;
+
+    const equipment = await Equipment.findByPk(req.params.id);
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment not found' });
+    }
+    if (!checkEquipmentAccess(req, res, equipment)) return;
+
+    const history = await healthIndexService.history(equipment.id, getStartDate(timeRange));
+
+    res.json({
+      equipmentId: equipment.id,
+      equipmentName: equipment.name,
+      history,
+      timeRange
+    });
+  } catch (error) {
+    console.error('Error fetching equipment health history:', error);
+    res.status(500).json({ error: 'Failed to fetch equipment health history' });
+  }
+});
+
+// Get failure predictions for equipment
+router.get('/:id/predictions', requirePermission('equipment:read'), async (req, res) => {
+  try {
+    const { predictionType, riskLevel } = req.query;
+    const pagination = getPagination(req.query);
+
+    const equipment = await Equipment.findByPk(req.params.id);
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment not found' });
+    }
+    if (!checkEquipmentAccess(req, res, equipment)) return;
+
+    const whereClause = { equipmentId: equipment.id };
+
+    if (predictionType) {
+      whereClause.predictionType = predictionType;
+    }
+
+    if (riskLevel) {
+      whereClause.riskLevel = { [Op.in]: splitList(riskLevel) };
+    }
+
+    const { rows, count } = await Prediction.findAndCountAll({
+      where: whereClause,
+      order: [['generatedAt', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      predictions: rows,
+      pagination: formatPagination(pagination, count)
+    });
+  } catch (error) {
+    console.error('Error fetching predictions:', error);
+    res.status(500).json({ error: 'Failed to fetch predictions' });
+  }
+});
+
+// Generate a failure prediction on demand
+router.post('/:id/predictions', requirePermission('predictions:run'), async (req, res) => {
+  try {
+    const equipment = await Equipment.findByPk(req.params.id);
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment not found' });
+    }
+    if (!checkEquipmentAccess(req, res, equipment)) return;
+
+    const result = await predictionService.generateForEquipment(equipment);
+
+    res.status(result.persisted ? 201 : 200).json(result);
+  } catch (error) {
+    console.error('Error generating prediction:', error);
+    res.status(500).json({ error: 'Failed to generate prediction' });
+  }
+});
+
+// Get alerts for equipment
+router.get('/:id/alerts', requirePermission('equipment:read'), async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const pagination = getPagination(req.query);
+
+    const equipment = await Equipment.findByPk(req.params.id);
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment not found' });
+    }
+    if (!checkEquipmentAccess(req, res, equipment)) return;
+
+    const whereClause = { equipmentId: equipment.id };
+
+    if (status) {
+      whereClause.status = { [Op.in]: splitList(status) };
+    }
+
+    if (type) {
+      whereClause.type = { [Op.in]: splitList(type) };
+    }
+
+    const { rows, count } = await Alert.findAndCountAll({
+      where: whereClause,
+      order: [['createdAt', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      alerts: rows,
+      pagination: formatPagination(pagination, count)
+    });
+  } catch (error) {
+    console.error('Error fetching equipment alerts:', error);
+    res.status(500).json({ error: 'Failed to fetch equipment alerts' });
+  }
+});
+
+// Get maintenance history for equipment
+router.get('/:id/maintenance', requirePermission('equipment:read'), async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const pagination = getPagination(req.query);
+
+    const equipment = await Equipment.findByPk(req.params.id);
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment not found' });
+    }
+    if (!checkEquipmentAccess(req, res, equipment)) return;
+
+    const whereClause = { equipmentId: equipment.id };
+
+    if (status) {
+      whereClause.status = { [Op.in]: splitList(status) };
+    }
+
+    if (type) {
+      whereClause.type = { [Op.in]: splitList(type) };
+    }
+
+    const { rows, count } = await MaintenanceRecord.findAndCountAll({
+      where: whereClause,
+      order: [['scheduledDate', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      maintenanceRecords: rows,
+      pagination: formatPagination(pagination, count)
+    });
+  } catch (error) {
+    console.error('Error fetching maintenance records:', error);
+    res.status(500).json({ error: 'Failed to fetch maintenance records' });
+  }
+});
+
+// Log maintenance activity as a work order: scheduled work is opened, finished work is recorded
+// as completed (deducting catalog parts from stock). Other transitions go through /api/work-orders.
+router.post('/:id/maintenance', requirePermission('maintenance:write'), async (req, res) => {
+  try {
+    const equipment = await Equipment.findByPk(req.params.id);
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment not found' });
+    }
+    if (!checkEquipmentAccess(req, res, equipment)) return;
+
+    const status = req.body.status || 'scheduled';
+    if (status !== 'scheduled' && status !== 'completed') {
+      return res.status(400).json({
+        error: 'Maintenance can only be logged as scheduled or completed; use /api/work-orders to start or cancel work'
+      });
+    }
+
+    const maintenanceRecord = status === 'completed'
+      ? await workOrderService.logCompleted(equipment, req.body, req.user)
+      : await workOrderService.create(equipment, req.body, req.user);
+
+    res.status(201).json(maintenanceRecord);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (isValidationError(error)) {
+      return res.status(400).json({ error: 'Invalid maintenance data', details: formatValidationErrors(error) });
+    }
+    console.error('Error logging maintenance:', error);
+    res.status(500).json({ error: 'Failed to log maintenance' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const exportService = require('../services/exportService');
+const { splitList } = require('../utils/request');
+const { ServiceError } = require('../utils/errors');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { restrictLocations } = require('../utils/permissions');
+
+const SCALAR_PARAMS = ['format', 'from', 'to'];
+
+router.use(authenticate, requirePermission('data:export'));
+
+// List exportable datasets, their columns and filters
+router.get('/', (req, res) => {
+  res.json({
+    datasets: exportService.getDatasets(),
+    formats: ['csv', 'ndjson', 'parquet']
+  });
+});
+
+// Stream a dataset as CSV, NDJSON or Parquet (chunked, one batch in memory at a time)
+router.get('/:dataset', async (req, res) => {
+  const format = req.query.format || 'csv';
+  let prepared;
+  let formatInfo;
+
+  try {
+    formatInfo = exportService.getFormat(format);
+    prepared = await exportService.prepare(req.params.dataset, parseQuery(req.query, req.user));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error preparing export:', error);
+    return res.status(500).json({ error: 'Failed to export data' });
+  }
+
+  const fileName = `${prepared.name}-${new Date().toISOString().slice(0, 10)}.${formatInfo.extension}`;
+  res.set('Content-Type', formatInfo.contentType);
+  res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  try {
+    const rowCount = await exportService.write(prepared, format, res);
+    console.log(`📤 Exported ${rowCount} ${prepared.name} rows as ${format}`);
+  } catch (error) {
+    console.error('Error streaming export:', error);
+    // Once rows are on the wire the status cannot change; cut the response so it is not mistaken for complete
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Failed to export data' });
+    }
+  }
+});
+
+// Everything but the scalars (fields, equipmentId, location, status, ...) takes comma-separated lists.
+// Location-scoped users only export data for equipment at their locations.
+function parseQuery(query, user) {
+  const parsed = Object.keys(query).reduce((acc, key) => {
+    acc[key] = SCALAR_PARAMS.includes(key) ? query[key] : splitList(query[key]);
+    return acc;
+  }, {});
+
+  const locations = restrictLocations(user, parsed.location);
+  if (locations) parsed.location = locations;
+  return parsed;
+}
+
+module.exports = router;
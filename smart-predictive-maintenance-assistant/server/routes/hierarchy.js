@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const hierarchyService = require('../services/hierarchyService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { isValidationError, formatValidationErrors } = require('../utils/request');
+const { canAccessLocation } = require('../utils/permissions');
+const { ServiceError } = require('../utils/errors');
+
+router.use(authenticate);
+
+// Get the site -> area -> line tree with equipment counts
+router.get('/', requirePermission('equipment:read'), async (req, res) => {
+  try {
+    res.json({ sites: await hierarchyService.tree(req.user) });
+  } catch (error) {
+    console.error('Error fetching hierarchy:', error);
+    res.status(500).json({ error: 'Failed to fetch hierarchy' });
+  }
+});
+
+// Create a node: { name, level: site | area | line, parentId, code, description }
+router.post('/', requirePermission('equipment:write'), async (req, res) => {
+  try {
+    res.status(201).json(await hierarchyService.createNode(req.body, req.user));
+  } catch (error) {
+    handleError(res, error, 'create');
+  }
+});
+
+// Get a node with its path from the site
+router.get('/:id', requirePermission('equipment:read'), async (req, res) => {
+  await handleNodeAction(req, res, 'fetch', async (node) => ({
+    ...node.toJSON(),
+    path: await hierarchyService.path(node.id)
+  }));
+});
+
+// Roll up equipment, alerts, work orders and health for a node and each node below it
+router.get('/:id/summary', requirePermission('equipment:read'), async (req, res) => {
+  await handleNodeAction(req, res, 'summarize', (node) => hierarchyService.summary(node));
+});
+
+// Rename a node or move it under another parent
+router.put('/:id', requirePermission('equipment:write'), async (req, res) => {
+  await handleNodeAction(req, res, 'update', (node) => hierarchyService.updateNode(node, req.body, req.user));
+});
+
+// Delete a node without child nodes or equipment
+router.delete('/:id', requirePermission('equipment:write'), async (req, res) => {
+  try {
+    const node = await hierarchyService.findNode(req.params.id);
+    await hierarchyService.deleteNode(node, req.user);
+    res.status(204).end();
+  } catch (error) {
+    handleError(res, error, 'delete');
+  }
+});
+
+// Helper functions
+async function handleNodeAction(req, res, action, handler) {
+  try {
+    const node = await hierarchyService.findNode(req.params.id);
+    const [site] = await hierarchyService.path(node.id);
+    if (!canAccessLocation(req.user, site.name)) {
+      return res.status(403).json({ error: `You do not have access to ${site.name}` });
+    }
+
+    res.json(await handler(node));
+  } catch (error) {
+    handleError(res, error, action);
+  }
+}
+
+function handleError(res, error, action) {
+  if (error instanceof ServiceError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  if (isValidationError(error)) {
+    return res.status(400).json({ error: 'Invalid hierarchy node', details: formatValidationErrors(error) });
+  }
+  console.error(`Error during hierarchy node ${action}:`, error);
+  res.status(500).json({ error: `Failed to ${action} hierarchy node` });
+}
+
+module.exports = router;
@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { Op } = require('sequelize');
+const { ImportJob } = require('../models');
+const importService = require('../services/importService');
+const { getPagination, formatPagination } = require('../utils/pagination');
+const { ServiceError } = require('../utils/errors');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { getLocationScope, actorName } = require('../utils/permissions');
+require('dotenv').config();
+
+const uploadDir = path.join(process.env.UPLOAD_PATH || './uploads', 'imports');
+fs.mkdirSync(uploadDir, { recursive: true });
+
+const upload = multer({
+  dest: uploadDir,
+  limits: { fileSize: parseInt(process.env.IMPORT_MAX_FILE_SIZE) || 1024 * 1024 * 1024 }
+});
+
+// Every job attribute except the (potentially long) row error list
+const SUMMARY_ATTRIBUTES = { exclude: ['rowErrors'] };
+
+router.use(authenticate, requirePermission('data:import'));
+
+// List import jobs
+router.get('/', async (req, res) => {
+  try {
+    const pagination = getPagination(req.query);
+    const whereClause = {};
+    if (req.query.status) whereClause.status = req.query.status;
+    if (req.query.type) whereClause.type = req.query.type;
+    // Location-scoped users only see their own imports
+    if (getLocationScope(req.user) !== null) whereClause.createdBy = actorName(req.user);
+
+    const { rows, count } = await ImportJob.findAndCountAll({
+      where: whereClause,
+      attributes: SUMMARY_ATTRIBUTES,
+      order: [['createdAt', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      imports: rows,
+      pagination: formatPagination(pagination, count)
+    });
+  } catch (error) {
+    console.error('Error fetching import jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch import jobs' });
+  }
+});
+
+// Upload a CSV/JSON/NDJSON file and start an import (multipart: file, type, format, options, dryRun, skipAlerts)
+router.post('/', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'file is required' });
+    }
+
+    let options = {};
+    try {
+      options = req.body.options ? JSON.parse(req.body.options) : {};
+    } catch (error) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(400).json({ error: 'options must be valid JSON' });
+    }
+
+    const job = await importService.createJob({
+      type: req.body.type,
+      format: req.body.format,
+      filePath: req.file.path,
+      fileName: req.file.originalname,
+      options,
+      dryRun: req.body.dryRun === 'true',
+      skipAlerts: req.body.skipAlerts !== 'false',
+      createdBy: actorName(req.user),
+      allowedLocations: getLocationScope(req.user)
+    });
+
+    importService.start(job);
+    res.status(202).json(job);
+  } catch (error) {
+    if (req.file) fs.unlink(req.file.path, () => {});
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error starting import:', error);
+    res.status(500).json({ error: 'Failed to start import' });
+  }
+});
+
+// Get an import job's progress
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await ImportJob.findByPk(req.params.id, { attributes: SUMMARY_ATTRIBUTES });
+    if (!job || !canAccessJob(req.user, job)) {
+      return res.status(404).json({ error: 'Import job not found' });
+    }
+
+    res.json({ ...job.toJSON(), active: importService.isActive(job.id) });
+  } catch (error) {
+    console.error('Error fetching import job:', error);
+    res.status(500).json({ error: 'Failed to fetch import job' });
+  }
+});
+
+// Get the row-level error report (JSON, or CSV with ?format=csv)
+router.get('/:id/errors', async (req, res) => {
+  try {
+    const job = await ImportJob.findByPk(req.params.id);
+    if (!job || !canAccessJob(req.user, job)) {
+      return res.status(404).json({ error: 'Import job not found' });
+    }
+
+    const rowErrors = job.rowErrors || [];
+    if (req.query.format === 'csv') {
+      const lines = [['row', 'field', 'message', 'value']]
+        .concat(rowErrors.map(error => [error.row, error.field, error.message, error.value]))
+        .map(values => values.map(toCsvValue).join(','));
+
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="import-${job.id}-errors.csv"`);
+      return res.send(lines.join('\n') + '\n');
+    }
+
+    res.json({
+      rowsFailed: job.rowsFailed,
+      reported: rowErrors.length,
+      errors: rowErrors
+    });
+  } catch (error) {
+    console.error('Error fetching import errors:', error);
+    res.status(500).json({ error: 'Failed to fetch import errors' });
+  }
+});
+
+// Resume a failed, cancelled or interrupted import after its last committed row
+router.post('/:id/resume', async (req, res) => {
+  await handleJobAction(req, res, 'resume', async (job) => {
+    await importService.resume(job);
+    return res.status(202).json(job);
+  });
+});
+
+// Stop a running import after the current batch
+router.post('/:id/cancel', async (req, res) => {
+  await handleJobAction(req, res, 'cancel', async (job) => {
+    importService.cancel(job);
+    return res.status(202).json({ id: job.id, cancelling: true });
+  });
+});
+
+// Run the real import for a completed dry run
+router.post('/:id/import', async (req, res) => {
+  await handleJobAction(req, res, 'import', async (job) => {
+    const importJob = await importService.createFromDryRun(job, actorName(req.user), getLocationScope(req.user));
+    importService.start(importJob);
+    return res.status(202).json(importJob);
+  });
+});
+
+// Delete a finished import job and its uploaded file
+router.delete('/:id', async (req, res) => {
+  await handleJobAction(req, res, 'delete', async (job) => {
+    if (importService.isActive(job.id)) {
+      return res.status(409).json({ error: 'Cancel the import before deleting it' });
+    }
+
+    await job.destroy();
+
+    // A dry run and its import share the uploaded file
+    const sharedWith = await ImportJob.count({ where: { filePath: job.filePath, id: { [Op.ne]: job.id } } });
+    if (sharedWith === 0 && path.resolve(job.filePath).startsWith(path.resolve(uploadDir))) {
+      fs.unlink(job.filePath, () => {});
+    }
+
+    return res.json({ deleted: 1 });
+  });
+});
+
+async function handleJobAction(req, res, action, handler) {
+  try {
+    const job = await ImportJob.findByPk(req.params.id);
+    if (!job || !canAccessJob(req.user, job)) {
+      return res.status(404).json({ error: 'Import job not found' });
+    }
+
+    await handler(job);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`Error during import ${action}:`, error);
+    res.status(500).json({ error: `Failed to ${action} import` });
+  }
+}
+
+function canAccessJob(user, job) {
+  return getLocationScope(user) === null || job.createdBy === actorName(user);
+}
+
+function toCsvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = router;
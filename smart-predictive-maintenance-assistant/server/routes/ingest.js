@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const ingestBuffer = require('../services/ingestBuffer');
+const ingestionService = require('../services/ingestionService');
+const opcuaService = require('../services/opcuaService');
+const { ServiceError } = require('../utils/errors');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+router.use(authenticate);
+
+// Get ingestion throughput, buffer lag and dedupe counters
+router.get('/stats', requirePermission('ingest:read'), (req, res) => {
+  res.json({
+    ...ingestBuffer.getStats(),
+    adapters: ingestionService.getAdapterStatus(),
+    generatedAt: new Date().toISOString()
+  });
+});
+
+// Browse an OPC-UA node's children, to find node ids for config/opcua.json
+router.get('/opcua/browse', requirePermission('ingest:manage'), async (req, res) => {
+  try {
+    const references = await opcuaService.browse(req.query.nodeId || 'RootFolder');
+    res.json({ nodeId: req.query.nodeId || 'RootFolder', references });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error browsing OPC-UA server:', error);
+    res.status(500).json({ error: 'Failed to browse OPC-UA server' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,348 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { sequelize, Part, InventoryItem, StockMovement, ReorderAlert } = require('../models');
+const inventoryService = require('../services/inventoryService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { getPagination, formatPagination } = require('../utils/pagination');
+const { splitList, pick, isValidationError, formatValidationErrors } = require('../utils/request');
+const { canAccessLocation, restrictLocations } = require('../utils/permissions');
+const { ServiceError } = require('../utils/errors');
+
+const PART_FIELDS = ['partNumber', 'name', 'description', 'category', 'unit', 'unitCost', 'leadTimeDays', 'equipmentTypes', 'active'];
+const ITEM_FIELDS = ['reorderPoint', 'reorderQuantity', 'bin'];
+
+const PART_INCLUDE = {
+  model: Part,
+  as: 'part',
+  attributes: ['id', 'partNumber', 'name', 'unit', 'unitCost']
+};
+
+router.use(authenticate);
+
+// List catalog parts
+router.get('/parts', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { category, search, active } = req.query;
+    const pagination = getPagination(req.query);
+
+    const whereClause = {};
+    if (category) whereClause.category = { [Op.in]: splitList(category) };
+    if (active !== undefined) whereClause.active = active === 'true';
+    if (search) {
+      whereClause[Op.or] = [
+        { partNumber: { [Op.iLike]: `%${search}%` } },
+        { name: { [Op.iLike]: `%${search}%` } }
+      ];
+    }
+
+    const { rows, count } = await Part.findAndCountAll({
+      where: whereClause,
+      order: [['partNumber', 'ASC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      parts: rows,
+      pagination: formatPagination(pagination, count)
+    });
+  } catch (error) {
+    console.error('Error fetching parts:', error);
+    res.status(500).json({ error: 'Failed to fetch parts' });
+  }
+});
+
+// Add a part to the catalog
+router.post('/parts', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    res.status(201).json(await Part.create(pick(req.body, PART_FIELDS)));
+  } catch (error) {
+    handleError(res, error, 'Error creating part:', 'Failed to create part');
+  }
+});
+
+// Get a part with its stock at each accessible location
+router.get('/parts/:id', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const part = await Part.findByPk(req.params.id);
+    if (!part) {
+      return res.status(404).json({ error: 'Part not found' });
+    }
+
+    const locations = restrictLocations(req.user, null);
+    const inventory = await InventoryItem.findAll({
+      where: { partId: part.id, ...(locations ? { location: { [Op.in]: locations } } : {}) },
+      order: [['location', 'ASC']]
+    });
+
+    res.json({ ...part.toJSON(), inventory });
+  } catch (error) {
+    console.error('Error fetching part:', error);
+    res.status(500).json({ error: 'Failed to fetch part' });
+  }
+});
+
+// Update a catalog part
+router.put('/parts/:id', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const part = await Part.findByPk(req.params.id);
+    if (!part) {
+      return res.status(404).json({ error: 'Part not found' });
+    }
+
+    res.json(await part.update(pick(req.body, PART_FIELDS)));
+  } catch (error) {
+    handleError(res, error, 'Error updating part:', 'Failed to update part');
+  }
+});
+
+// Deactivate a part (kept for the work orders and stock movements that reference it)
+router.delete('/parts/:id', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const part = await Part.findByPk(req.params.id);
+    if (!part) {
+      return res.status(404).json({ error: 'Part not found' });
+    }
+
+    res.json(await part.update({ active: false }));
+  } catch (error) {
+    console.error('Error deactivating part:', error);
+    res.status(500).json({ error: 'Failed to deactivate part' });
+  }
+});
+
+// List stock levels (lowStock=true for items at or below their reorder point)
+router.get('/stock', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { partId, location, lowStock } = req.query;
+    const pagination = getPagination(req.query);
+
+    const whereClause = {};
+    if (partId) whereClause.partId = { [Op.in]: splitList(partId) };
+    const locations = restrictLocations(req.user, location ? splitList(location) : null);
+    if (locations) whereClause.location = { [Op.in]: locations };
+    if (lowStock === 'true') whereClause.quantity = { [Op.lte]: sequelize.col('reorder_point') };
+
+    const { rows, count } = await InventoryItem.findAndCountAll({
+      where: whereClause,
+      include: [PART_INCLUDE],
+      order: [['location', 'ASC'], [{ model: Part, as: 'part' }, 'partNumber', 'ASC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      stock: rows,
+      pagination: formatPagination(pagination, count)
+    });
+  } catch (error) {
+    console.error('Error fetching stock:', error);
+    res.status(500).json({ error: 'Failed to fetch stock' });
+  }
+});
+
+// Update an item's reorder point, reorder quantity or bin
+router.put('/stock/:id', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const item = await InventoryItem.findByPk(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Inventory item not found' });
+    }
+    if (!checkLocationAccess(req, res, item.location)) return;
+
+    res.json(await inventoryService.updateItem(item, pick(req.body, ITEM_FIELDS)));
+  } catch (error) {
+    handleError(res, error, 'Error updating inventory item:', 'Failed to update inventory item');
+  }
+});
+
+// Book received parts into stock { partId | partNumber, location, quantity, unitCost, note }
+router.post('/stock/receive', requirePermission('inventory:manage'), async (req, res) => {
+  await handleStockChange(req, res, 'receive', async (part) => {
+    const quantity = Number(req.body.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      throw new ServiceError('quantity must be a positive number', 400);
+    }
+    return inventoryService.moveStock(part, req.body.location, quantity, 'received', req.user, {
+      unitCost: req.body.unitCost,
+      note: req.body.note
+    });
+  });
+});
+
+// Record a stock count { partId | partNumber, location, quantity, note }; the difference is an adjustment
+router.post('/stock/adjust', requirePermission('inventory:manage'), async (req, res) => {
+  await handleStockChange(req, res, 'adjust', async (part) => {
+    const quantity = Number(req.body.quantity);
+    if (!Number.isFinite(quantity) || quantity < 0) {
+      throw new ServiceError('quantity must be the counted quantity', 400);
+    }
+    return inventoryService.setStock(part, req.body.location, quantity, req.user, req.body.note);
+  });
+});
+
+// List stock movements
+router.get('/movements', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { partId, location, reason, maintenanceRecordId, equipmentId, from, to } = req.query;
+    const pagination = getPagination(req.query);
+
+    const whereClause = {};
+    if (partId) whereClause.partId = { [Op.in]: splitList(partId) };
+    if (reason) whereClause.reason = { [Op.in]: splitList(reason) };
+    if (maintenanceRecordId) whereClause.maintenanceRecordId = maintenanceRecordId;
+    if (equipmentId) whereClause.equipmentId = equipmentId;
+    const locations = restrictLocations(req.user, location ? splitList(location) : null);
+    if (locations) whereClause.location = { [Op.in]: locations };
+    if (from || to) {
+      whereClause.createdAt = {};
+      if (from) whereClause.createdAt[Op.gte] = new Date(from);
+      if (to) whereClause.createdAt[Op.lte] = new Date(to);
+    }
+
+    const { rows, count } = await StockMovement.findAndCountAll({
+      where: whereClause,
+      include: [PART_INCLUDE],
+      order: [['createdAt', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      movements: rows,
+      pagination: formatPagination(pagination, count)
+    });
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    res.status(500).json({ error: 'Failed to fetch stock movements' });
+  }
+});
+
+// Parts consumed by work, by part and optionally by location or equipment
+router.get('/usage', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { partId, location, equipmentId, from, to, groupBy } = req.query;
+    if (groupBy && !['location', 'equipment'].includes(groupBy)) {
+      return res.status(400).json({ error: 'groupBy must be location or equipment' });
+    }
+
+    const usage = await inventoryService.usage({
+      partId,
+      equipmentId,
+      from,
+      to,
+      groupBy,
+      location: restrictLocations(req.user, location ? splitList(location) : null)
+    });
+
+    res.json({ usage, groupBy: groupBy || 'part', generatedAt: new Date().toISOString() });
+  } catch (error) {
+    console.error('Error fetching parts usage:', error);
+    res.status(500).json({ error: 'Failed to fetch parts usage' });
+  }
+});
+
+// Forecast parts demand from scheduled work and failure predictions
+router.get('/forecast', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const forecast = await inventoryService.forecast({
+      horizonDays: req.query.horizonDays,
+      location: restrictLocations(req.user, req.query.location ? splitList(req.query.location) : null)
+    });
+
+    res.json({
+      forecast,
+      horizonDays: parseInt(req.query.horizonDays) || inventoryService.forecastHorizonDays,
+      generatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error forecasting parts demand:', error);
+    res.status(500).json({ error: 'Failed to forecast parts demand' });
+  }
+});
+
+// List reorder alerts (open and ordered by default)
+router.get('/reorder-alerts', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { status, location } = req.query;
+    const pagination = getPagination(req.query);
+
+    const whereClause = { status: { [Op.in]: status ? splitList(status) : ['open', 'ordered'] } };
+    const locations = restrictLocations(req.user, location ? splitList(location) : null);
+    if (locations) whereClause.location = { [Op.in]: locations };
+
+    const { rows, count } = await ReorderAlert.findAndCountAll({
+      where: whereClause,
+      include: [PART_INCLUDE],
+      order: [['createdAt', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      reorderAlerts: rows,
+      pagination: formatPagination(pagination, count)
+    });
+  } catch (error) {
+    console.error('Error fetching reorder alerts:', error);
+    res.status(500).json({ error: 'Failed to fetch reorder alerts' });
+  }
+});
+
+// Mark a reorder alert as ordered; it resolves once stock is received above the reorder point
+router.post('/reorder-alerts/:id/order', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const alert = await ReorderAlert.findByPk(req.params.id);
+    if (!alert) {
+      return res.status(404).json({ error: 'Reorder alert not found' });
+    }
+    if (!checkLocationAccess(req, res, alert.location)) return;
+
+    res.json(await inventoryService.markOrdered(alert, req.user));
+  } catch (error) {
+    handleError(res, error, 'Error ordering reorder alert:', 'Failed to update reorder alert');
+  }
+});
+
+// Helper functions
+async function handleStockChange(req, res, action, handler) {
+  try {
+    const { partId, partNumber, location } = req.body;
+    if (!(partId || partNumber) || !location) {
+      return res.status(400).json({ error: 'partId or partNumber, and location are required' });
+    }
+    if (!checkLocationAccess(req, res, location)) return;
+
+    const part = await Part.findOne({ where: partId ? { id: partId } : { partNumber } });
+    if (!part) {
+      return res.status(404).json({ error: 'Part not found' });
+    }
+
+    res.json(await handler(part));
+  } catch (error) {
+    handleError(res, error, `Error during stock ${action}:`, `Failed to ${action} stock`);
+  }
+}
+
+function checkLocationAccess(req, res, location) {
+  if (canAccessLocation(req.user, location)) return true;
+  res.status(403).json({ error: `You do not have access to ${location}` });
+  return false;
+}
+
+function handleError(res, error, logMessage, responseMessage) {
+  if (error instanceof ServiceError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  if (error.name === 'SequelizeUniqueConstraintError') {
+    return res.status(409).json({ error: 'A part with this part number already exists' });
+  }
+  if (isValidationError(error)) {
+    return res.status(400).json({ error: 'Invalid inventory data', details: formatValidationErrors(error) });
+  }
+  console.error(logMessage, error);
+  res.status(500).json({ error: responseMessage });
+}
+
+module.exports = router;
@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { Equipment, MaintenancePlan, MaintenanceRecord } = require('../models');
+const maintenancePlanService = require('../services/maintenancePlanService');
+const { authenticate, requirePermission, checkEquipmentAccess } = require('../middleware/auth');
+const { getPagination, formatPagination } = require('../utils/pagination');
+const { splitList, isValidationError, formatValidationErrors } = require('../utils/request');
+const { restrictLocations } = require('../utils/permissions');
+const { ServiceError } = require('../utils/errors');
+
+const EQUIPMENT_INCLUDE = {
+  model: Equipment,
+  as: 'equipment',
+  attributes: ['id', 'name', 'type', 'location', 'status']
+};
+
+router.use(authenticate);
+
+// List maintenance plans with filtering and pagination
+router.get('/', requirePermission('equipment:read'), async (req, res) => {
+  try {
+    const { equipmentId, trigger, enabled, location } = req.query;
+    const pagination = getPagination(req.query);
+
+    const whereClause = {};
+    if (equipmentId) whereClause.equipmentId = { [Op.in]: splitList(equipmentId) };
+    if (trigger) whereClause.trigger = trigger;
+    if (enabled !== undefined) whereClause.enabled = enabled === 'true';
+
+    const equipmentInclude = { ...EQUIPMENT_INCLUDE };
+    const locations = restrictLocations(req.user, location ? splitList(location) : null);
+    if (locations) {
+      equipmentInclude.where = { location: { [Op.in]: locations } };
+    }
+
+    const { rows, count } = await MaintenancePlan.findAndCountAll({
+      where: whereClause,
+      include: [equipmentInclude],
+      order: [['nextDueAt', 'ASC NULLS LAST'], ['name', 'ASC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      maintenancePlans: rows,
+      pagination: formatPagination(pagination, count)
+    });
+  } catch (error) {
+    console.error('Error fetching maintenance plans:', error);
+    res.status(500).json({ error: 'Failed to fetch maintenance plans' });
+  }
+});
+
+// Create a maintenance plan
+// { equipmentId, name, trigger: calendar, intervalDays | cron, ... } or { ..., trigger: usage, usageMetric, usageInterval }
+router.post('/', requirePermission('workorders:plan'), async (req, res) => {
+  try {
+    if (!req.body.equipmentId) {
+      return res.status(400).json({ error: 'equipmentId is required' });
+    }
+
+    const equipment = await Equipment.findByPk(req.body.equipmentId);
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment not found' });
+    }
+    if (!checkEquipmentAccess(req, res, equipment)) return;
+
+    res.status(201).json(await maintenancePlanService.createPlan(req.body));
+  } catch (error) {
+    handleError(res, error, 'create');
+  }
+});
+
+// Get a maintenance plan with its upcoming due dates and open work order
+router.get('/:id', requirePermission('equipment:read'), async (req, res) => {
+  try {
+    const plan = await MaintenancePlan.findByPk(req.params.id, { include: [EQUIPMENT_INCLUDE] });
+    if (!plan) {
+      return res.status(404).json({ error: 'Maintenance plan not found' });
+    }
+    if (!checkEquipmentAccess(req, res, plan.equipment)) return;
+
+    const openWorkOrder = await MaintenanceRecord.findOne({
+      where: { maintenancePlanId: plan.id, status: { [Op.in]: ['scheduled', 'in_progress'] } },
+      attributes: ['id', 'type', 'status', 'scheduledDate', 'technician']
+    });
+
+    res.json({
+      ...plan.toJSON(),
+      upcoming: maintenancePlanService.upcoming(plan, Math.min(parseInt(req.query.count) || 5, 50)),
+      openWorkOrder
+    });
+  } catch (error) {
+    console.error('Error fetching maintenance plan:', error);
+    res.status(500).json({ error: 'Failed to fetch maintenance plan' });
+  }
+});
+
+// Update a maintenance plan (the equipment cannot be changed)
+router.put('/:id', requirePermission('workorders:plan'), async (req, res) => {
+  await handlePlanAction(req, res, 'update', (plan) => maintenancePlanService.updatePlan(plan, req.body));
+});
+
+// Evaluate a plan now instead of waiting for the scheduler
+router.post('/:id/evaluate', requirePermission('workorders:plan'), async (req, res) => {
+  await handlePlanAction(req, res, 'evaluate', (plan) => maintenancePlanService.evaluate(plan.id));
+});
+
+// Delete a maintenance plan; its work orders are kept
+router.delete('/:id', requirePermission('workorders:plan'), async (req, res) => {
+  try {
+    const plan = await MaintenancePlan.findByPk(req.params.id, { include: [EQUIPMENT_INCLUDE] });
+    if (!plan) {
+      return res.status(404).json({ error: 'Maintenance plan not found' });
+    }
+    if (!checkEquipmentAccess(req, res, plan.equipment)) return;
+
+    await plan.destroy();
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting maintenance plan:', error);
+    res.status(500).json({ error: 'Failed to delete maintenance plan' });
+  }
+});
+
+// Helper functions
+async function handlePlanAction(req, res, action, handler) {
+  try {
+    const plan = await MaintenancePlan.findByPk(req.params.id, { include: [EQUIPMENT_INCLUDE] });
+    if (!plan) {
+      return res.status(404).json({ error: 'Maintenance plan not found' });
+    }
+    if (!checkEquipmentAccess(req, res, plan.equipment)) return;
+
+    res.json(await handler(plan));
+  } catch (error) {
+    handleError(res, error, action);
+  }
+}
+
+function handleError(res, error, action) {
+  if (error instanceof ServiceError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  if (isValidationError(error)) {
+    return res.status(400).json({ error: 'Invalid maintenance plan', details: formatValidationErrors(error) });
+  }
+  console.error(`Error during maintenance plan ${action}:`, error);
+  res.status(500).json({ error: `Failed to ${action} maintenance plan` });
+}
+
+module.exports = router;
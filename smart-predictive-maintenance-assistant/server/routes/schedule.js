@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const scheduleOptimizer = require('../services/scheduleOptimizer');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { ServiceError } = require('../utils/errors');
+
+router.use(authenticate, requirePermission('workorders:plan'));
+
+// Propose a maintenance schedule from current failure predictions
+// { horizonDays, minRiskLevel, equipmentIds, locations, windows, technicianIds, unavailable, downtimeCostPerHour }
+router.post('/optimize', async (req, res) => {
+  try {
+    res.json(await scheduleOptimizer.optimize(req.user, req.body));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error optimizing maintenance schedule:', error);
+    res.status(500).json({ error: 'Failed to optimize maintenance schedule' });
+  }
+});
+
+// Accept proposed jobs { jobs: [{ equipmentId, predictionId, scheduledDate, estimatedDuration, assignedTo, expectedSavings }] }
+router.post('/accept', async (req, res) => {
+  try {
+    const result = await scheduleOptimizer.accept(req.user, req.body.jobs);
+    res.status(result.created.length > 0 ? 201 : 200).json(result);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error accepting maintenance schedule:', error);
+    res.status(500).json({ error: 'Failed to accept maintenance schedule' });
+  }
+});
+
+module.exports = router;
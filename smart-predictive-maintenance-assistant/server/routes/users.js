@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { User } = require('../models');
+const authService = require('../services/authService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { getPagination, formatPagination } = require('../utils/pagination');
+const { splitList, isUuid, escapeLike, pick, isValidationError, formatValidationErrors } = require('../utils/request');
+const { ServiceError } = require('../utils/errors');
+
+const EDITABLE_FIELDS = ['email', 'name', 'role', 'locations', 'active'];
+
+// Changing any of these signs the user out of every session
+const SESSION_FIELDS = ['email', 'role', 'locations', 'active'];
+
+router.use(authenticate, requirePermission('users:manage'));
+
+// A malformed id would otherwise reach PostgreSQL as an invalid uuid and fail with a 500
+router.param('id', (req, res, next, id) => {
+  if (!isUuid(id)) {
+    return res.status(400).json({ error: 'Invalid user id' });
+  }
+  next();
+});
+
+// List users
+router.get('/', async (req, res) => {
+  try {
+    const { role, active, search } = req.query;
+    const pagination = getPagination(req.query);
+
+    const whereClause = {};
+    if (role) whereClause.role = { [Op.in]: splitList(role) };
+    if (active !== undefined) whereClause.active = active === 'true';
+    if (search) {
+      const pattern = `%${escapeLike(search)}%`;
+      whereClause[Op.or] = [
+        { name: { [Op.iLike]: pattern } },
+        { email: { [Op.iLike]: pattern } }
+      ];
+    }
+
+    const { rows, count } = await User.findAndCountAll({
+      where: whereClause,
+      order: [['name', 'ASC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      users: rows,
+      pagination: formatPagination(pagination, count)
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Get a single user
+router.get('/:id', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(user);
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+// Create a user
+router.post('/', async (req, res) => {
+  try {
+    authService.validatePassword(req.body.password);
+
+    const user = User.build(pick(req.body, EDITABLE_FIELDS));
+    await user.setPassword(req.body.password);
+    await user.save();
+
+    res.status(201).json(user);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ error: 'A user with this email already exists' });
+    }
+    if (isValidationError(error)) {
+      return res.status(400).json({ error: 'Invalid user data', details: formatValidationErrors(error) });
+    }
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// Update a user's details, role, locations or password
+router.put('/:id', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.id === req.user.id && ((req.body.role && req.body.role !== 'admin') || req.body.active === false)) {
+      return res.status(400).json({ error: 'You cannot demote or deactivate your own account' });
+    }
+
+    user.set(pick(req.body, EDITABLE_FIELDS));
+    if (req.body.password !== undefined) {
+      authService.validatePassword(req.body.password);
+      await user.setPassword(req.body.password);
+    }
+
+    const revoke = req.body.password !== undefined || SESSION_FIELDS.some(field => user.changed(field));
+    await user.save();
+    if (revoke) {
+      await authService.revokeTokens(user);
+    }
+
+    res.json(user);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ error: 'A user with this email already exists' });
+    }
+    if (isValidationError(error)) {
+      return res.status(400).json({ error: 'Invalid user data', details: formatValidationErrors(error) });
+    }
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// Deactivate a user (kept so acknowledgements and imports still name them)
+router.delete('/:id', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+
+    await user.update({ active: false });
+    await authService.revokeTokens(user);
+    res.json(user);
+  } catch (error) {
+    console.error('Error deactivating user:', error);
+    res.status(500).json({ error: 'Failed to deactivate user' });
+  }
+});
+
+module.exports = router;
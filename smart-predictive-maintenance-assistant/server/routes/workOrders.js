@@ -0,0 +1,206 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { Equipment, MaintenanceRecord, Alert, User } = require('../models');
+const workOrderService = require('../services/workOrderService');
+const { authenticate, requirePermission, checkEquipmentAccess } = require('../middleware/auth');
+const { getPagination, formatPagination } = require('../utils/pagination');
+const { splitList, isUuid, parseDate, isValidationError, formatValidationErrors } = require('../utils/request');
+const { restrictLocations } = require('../utils/permissions');
+const { ServiceError } = require('../utils/errors');
+
+const EQUIPMENT_INCLUDE = {
+  model: Equipment,
+  as: 'equipment',
+  attributes: ['id', 'name', 'type', 'location', 'status']
+};
+
+const ASSIGNEE_INCLUDE = {
+  model: User,
+  as: 'assignee',
+  attributes: ['id', 'name', 'email']
+};
+
+router.use(authenticate);
+
+// A malformed id would otherwise reach PostgreSQL as an invalid uuid and fail with a 500
+router.param('id', (req, res, next, id) => {
+  if (!isUuid(id)) {
+    return res.status(400).json({ error: 'Invalid work order id' });
+  }
+  next();
+});
+
+// List work orders with filtering and pagination (assignedTo=me for your own)
+router.get('/', requirePermission('equipment:read'), async (req, res) => {
+  try {
+    const { status, type, equipmentId, maintenancePlanId, assignedTo, location, from, to } = req.query;
+    const pagination = getPagination(req.query);
+
+    const whereClause = {};
+    if (status) whereClause.status = { [Op.in]: splitList(status) };
+    if (type) whereClause.type = { [Op.in]: splitList(type) };
+    if (equipmentId) {
+      if (!splitList(equipmentId).every(isUuid)) {
+        return res.status(400).json({ error: 'equipmentId must be a list of equipment ids' });
+      }
+      whereClause.equipmentId = { [Op.in]: splitList(equipmentId) };
+    }
+    if (maintenancePlanId) {
+      if (!isUuid(maintenancePlanId)) {
+        return res.status(400).json({ error: 'maintenancePlanId must be a maintenance plan id' });
+      }
+      whereClause.maintenancePlanId = maintenancePlanId;
+    }
+    if (assignedTo) {
+      if (assignedTo !== 'me' && !isUuid(assignedTo)) {
+        return res.status(400).json({ error: 'assignedTo must be a user id or "me"' });
+      }
+      whereClause.assignedTo = assignedTo === 'me' ? req.user.id : assignedTo;
+    }
+    if (from || to) {
+      whereClause.scheduledDate = {};
+      if (from) whereClause.scheduledDate[Op.gte] = parseDate(from, 'from');
+      if (to) whereClause.scheduledDate[Op.lte] = parseDate(to, 'to');
+    }
+
+    const equipmentInclude = { ...EQUIPMENT_INCLUDE };
+    const locations = restrictLocations(req.user, location ? splitList(location) : null);
+    if (locations) {
+      equipmentInclude.where = { location: { [Op.in]: locations } };
+    }
+
+    const { rows, count } = await MaintenanceRecord.findAndCountAll({
+      where: whereClause,
+      attributes: { exclude: ['history'] },
+      include: [equipmentInclude, ASSIGNEE_INCLUDE],
+      order: [['scheduledDate', 'ASC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({
+      workOrders: rows,
+      pagination: formatPagination(pagination, count)
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error fetching work orders:', error);
+    res.status(500).json({ error: 'Failed to fetch work orders' });
+  }
+});
+
+// Create a work order { equipmentId, type, scheduledDate, estimatedDuration, assignedTo, alertIds, force }
+router.post('/', requirePermission('workorders:plan'), async (req, res) => {
+  try {
+    if (!req.body.equipmentId) {
+      return res.status(400).json({ error: 'equipmentId is required' });
+    }
+    if (!isUuid(req.body.equipmentId)) {
+      return res.status(400).json({ error: 'equipmentId must be an equipment id' });
+    }
+
+    const equipment = await Equipment.findByPk(req.body.equipmentId);
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment not found' });
+    }
+    if (!checkEquipmentAccess(req, res, equipment)) return;
+
+    res.status(201).json(await workOrderService.create(equipment, req.body, req.user));
+  } catch (error) {
+    handleError(res, error, 'create');
+  }
+});
+
+// Get a work order with its history and linked alerts
+router.get('/:id', requirePermission('equipment:read'), async (req, res) => {
+  try {
+    const workOrder = await MaintenanceRecord.findByPk(req.params.id, {
+      include: [
+        EQUIPMENT_INCLUDE,
+        ASSIGNEE_INCLUDE,
+        { model: Alert, as: 'alerts', attributes: ['id', 'type', 'title', 'status', 'createdAt'] }
+      ]
+    });
+    if (!workOrder) {
+      return res.status(404).json({ error: 'Work order not found' });
+    }
+    if (!checkEquipmentAccess(req, res, workOrder.equipment)) return;
+
+    res.json(workOrder);
+  } catch (error) {
+    console.error('Error fetching work order:', error);
+    res.status(500).json({ error: 'Failed to fetch work order' });
+  }
+});
+
+// Reschedule or edit a scheduled work order, or link more alerts to it
+router.put('/:id', requirePermission('workorders:plan'), async (req, res) => {
+  await handleWorkOrderAction(req, res, 'update', (workOrder) =>
+    workOrderService.update(workOrder, req.body, req.user));
+});
+
+// Assign a technician { assignedTo, force }; assignedTo null unassigns
+router.post('/:id/assign', requirePermission('workorders:plan'), async (req, res) => {
+  if (req.body.assignedTo === undefined) {
+    return res.status(400).json({ error: 'assignedTo is required (null to unassign)' });
+  }
+  await handleWorkOrderAction(req, res, 'assign', (workOrder) =>
+    workOrderService.assign(workOrder, workOrder.equipment, req.body.assignedTo, req.user, {
+      force: req.body.force === true,
+      note: req.body.note
+    }));
+});
+
+// Start work: the equipment goes into maintenance and linked alerts are acknowledged
+router.post('/:id/start', requirePermission('maintenance:write'), async (req, res) => {
+  await handleWorkOrderAction(req, res, 'start', (workOrder) =>
+    workOrderService.start(workOrder, workOrder.equipment, req.user, { note: req.body.note }));
+});
+
+// Complete work { workPerformed, partsUsed, cost, downtime, completedDate }: linked alerts are resolved
+router.post('/:id/complete', requirePermission('maintenance:write'), async (req, res) => {
+  await handleWorkOrderAction(req, res, 'complete', (workOrder) =>
+    workOrderService.complete(workOrder, workOrder.equipment, req.body, req.user));
+});
+
+// Cancel a scheduled or in-progress work order { reason }
+router.post('/:id/cancel', requirePermission('maintenance:write'), async (req, res) => {
+  await handleWorkOrderAction(req, res, 'cancel', (workOrder) =>
+    workOrderService.cancel(workOrder, workOrder.equipment, req.user, { reason: req.body.reason }));
+});
+
+// Helper functions
+async function handleWorkOrderAction(req, res, action, handler) {
+  try {
+    const workOrder = await MaintenanceRecord.findByPk(req.params.id, {
+      include: [{ model: Equipment, as: 'equipment' }]
+    });
+    if (!workOrder) {
+      return res.status(404).json({ error: 'Work order not found' });
+    }
+    if (!checkEquipmentAccess(req, res, workOrder.equipment)) return;
+
+    res.json(await handler(workOrder));
+  } catch (error) {
+    handleError(res, error, action);
+  }
+}
+
+function handleError(res, error, action) {
+  if (error instanceof ServiceError) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      ...(error.details ? { conflicts: error.details } : {})
+    });
+  }
+  if (isValidationError(error)) {
+    return res.status(400).json({ error: 'Invalid work order', details: formatValidationErrors(error) });
+  }
+  console.error(`Error during work order ${action}:`, error);
+  res.status(500).json({ error: `Failed to ${action} work order` });
+}
+
+module.exports = router;
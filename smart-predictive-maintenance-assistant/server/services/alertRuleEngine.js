@@ -0,0 +1,323 @@
+const { AlertRule, SensorReading } = require('../models');
+require('dotenv').config();
+
+const SEVERITY_RANKS = { info: 0, warning: 1, critical: 2 };
+
+const OPERATOR_LABELS = {
+  gt: 'is above',
+  gte: 'is at or above',
+  lt: 'is below',
+  lte: 'is at or below',
+  eq: 'equals',
+  neq: 'differs from',
+  outside: 'is outside',
+  inside: 'is inside'
+};
+
+class AlertRuleEngine {
+  constructor() {
+    this.rules = [];
+    this.loadedAt = 0;
+    this.cacheTtlMs = parseInt(process.env.ALERT_RULE_CACHE_TTL_MS) || 60000;
+    // `${ruleKey}:${equipmentId}` -> { breached, breachStartedAt, lastValue, lastTimestamp }
+    this.state = new Map();
+  }
+
+  async loadRules() {
+    if (Date.now() - this.loadedAt < this.cacheTtlMs) {
+      return this.rules;
+    }
+
+    this.rules = await AlertRule.findAll({ where: { enabled: true } });
+    this.loadedAt = Date.now();
+    return this.rules;
+  }
+
+  invalidate() {
+    this.loadedAt = 0;
+  }
+
+  async getRulesFor(equipment) {
+    const rules = await this.loadRules();
+
+    const applicable = rules.filter(rule =>
+      rule.equipmentId === equipment.id ||
+      rule.equipmentType === equipment.type ||
+      (!rule.equipmentId && !rule.equipmentType)
+    );
+
+    // Equipment thresholds act as default rules for every bound no stored threshold rule of
+    // at least the same severity covers
+    const defaults = getDefaultRules(equipment)
+      .map(rule => withoutCoveredBounds(rule, applicable))
+      .filter(Boolean);
+
+    return applicable.map(toRuleDefinition).concat(defaults);
+  }
+
+  // rules: getRulesFor(equipment), when the caller evaluates several readings of it
+  async evaluate(equipment, sensorReading, rules = null) {
+    rules = rules || await this.getRulesFor(equipment);
+    const timestamp = new Date(sensorReading.timestamp || Date.now()).getTime();
+    const alerts = [];
+
+    for (const rule of rules) {
+      const value = resolveMetric(sensorReading, rule.metric);
+      if (value === null || value === undefined || isNaN(value)) continue;
+
+      const stateKey = `${rule.key}:${equipment.id}`;
+      const state = this.state.get(stateKey) || { breached: false, breachStartedAt: null };
+
+      let observed = value;
+      if (rule.condition === 'rate_of_change') {
+        const elapsedMinutes = (timestamp - state.lastTimestamp) / 60000;
+        const previousValue = state.lastValue;
+        state.lastValue = value;
+        state.lastTimestamp = timestamp;
+
+        if (previousValue === undefined || !(elapsedMinutes > 0)) {
+          this.state.set(stateKey, state);
+          continue;
+        }
+        observed = (value - previousValue) / elapsedMinutes;
+      } else {
+        state.lastValue = value;
+        state.lastTimestamp = timestamp;
+      }
+
+      const breached = isBreached(rule, observed, state.breached);
+
+      if (!breached) {
+        state.breached = false;
+        state.breachStartedAt = null;
+        this.state.set(stateKey, state);
+        continue;
+      }
+
+      if (!state.breachStartedAt) {
+        state.breachStartedAt = timestamp;
+      }
+      state.breached = true;
+      this.state.set(stateKey, state);
+
+      if (timestamp - state.breachStartedAt < rule.durationSeconds * 1000) continue;
+
+      alerts.push(buildAlert(rule, equipment, sensorReading, value, observed));
+    }
+
+    return alerts;
+  }
+
+  // Called after evaluate() for the same reading; falls back to the rule snapshot in metadata
+  isRecovered(alert, equipment, sensorReading) {
+    const metadata = alert.metadata || {};
+    if (!metadata.ruleKey || !metadata.operator) return null;
+
+    const state = this.state.get(`${metadata.ruleKey}:${equipment.id}`);
+    const timestamp = new Date(sensorReading.timestamp || Date.now()).getTime();
+    if (state && state.lastTimestamp === timestamp) {
+      return !state.breached;
+    }
+
+    if (metadata.condition === 'rate_of_change') return null;
+
+    const value = resolveMetric(sensorReading, metadata.metric);
+    if (value === null || value === undefined || isNaN(value)) return null;
+
+    return !isBreached(metadata, value, true);
+  }
+
+  forgetRule(ruleId) {
+    for (const key of this.state.keys()) {
+      if (key.startsWith(`${ruleId}:`)) {
+        this.state.delete(key);
+      }
+    }
+    this.invalidate();
+  }
+}
+
+function toRuleDefinition(rule) {
+  return {
+    key: rule.id,
+    ruleId: rule.id,
+    name: rule.name,
+    metric: rule.metric,
+    condition: rule.condition,
+    operator: rule.operator,
+    threshold: rule.threshold,
+    thresholdHigh: rule.thresholdHigh,
+    hysteresis: rule.hysteresis || 0,
+    durationSeconds: rule.durationSeconds || 0,
+    severity: rule.severity
+  };
+}
+
+function getDefaultRules(equipment) {
+  const rules = [];
+  const base = { ruleId: null, condition: 'threshold', hysteresis: 0, durationSeconds: 0 };
+
+  if (equipment.maxTemperature !== null && equipment.maxTemperature !== undefined) {
+    rules.push({
+      ...base,
+      key: 'default-temperature',
+      name: 'High Temperature Alert',
+      metric: 'temperature',
+      operator: 'gt',
+      threshold: equipment.maxTemperature,
+      severity: 'critical'
+    });
+  }
+
+  if (equipment.maxVibration !== null && equipment.maxVibration !== undefined) {
+    rules.push({
+      ...base,
+      key: 'default-vibration',
+      name: 'High Vibration Alert',
+      metric: 'vibration',
+      operator: 'gt',
+      threshold: equipment.maxVibration,
+      severity: 'warning'
+    });
+  }
+
+  if (equipment.minPressure !== null && equipment.maxPressure !== null &&
+    equipment.minPressure !== undefined && equipment.maxPressure !== undefined) {
+    rules.push({
+      ...base,
+      key: 'default-pressure',
+      name: 'Pressure Out of Range',
+      metric: 'pressure',
+      operator: 'outside',
+      threshold: equipment.minPressure,
+      thresholdHigh: equipment.maxPressure,
+      severity: 'warning'
+    });
+  }
+
+  return rules;
+}
+
+// The side of the value range a threshold rule limits
+function boundsOf(rule) {
+  switch (rule.operator) {
+    case 'gt':
+    case 'gte':
+      return ['upper'];
+    case 'lt':
+    case 'lte':
+      return ['lower'];
+    case 'outside':
+      return ['lower', 'upper'];
+    default:
+      return [];
+  }
+}
+
+// The default rule reduced to the bounds no stored rule replaces, or null when none is left.
+// Rate-of-change rules and less severe rules add to the default instead of replacing it.
+function withoutCoveredBounds(defaultRule, rules) {
+  const covered = new Set(rules
+    .filter(rule => rule.metric === defaultRule.metric && rule.condition === 'threshold' &&
+      SEVERITY_RANKS[rule.severity] >= SEVERITY_RANKS[defaultRule.severity])
+    .flatMap(boundsOf));
+  const remaining = boundsOf(defaultRule).filter(bound => !covered.has(bound));
+
+  if (remaining.length === 0) return null;
+  if (remaining.length === boundsOf(defaultRule).length) return defaultRule;
+
+  // A range with one bound covered keeps checking the other
+  return remaining[0] === 'upper'
+    ? { ...defaultRule, key: `${defaultRule.key}-high`, operator: 'gt', threshold: defaultRule.thresholdHigh, thresholdHigh: undefined }
+    : { ...defaultRule, key: `${defaultRule.key}-low`, operator: 'lt', thresholdHigh: undefined };
+}
+
+function resolveMetric(sensorReading, metric) {
+  if (!metric) return null;
+
+  if (metric.startsWith('additionalMetrics.')) {
+    const metrics = sensorReading.additionalMetrics || {};
+    return toNumber(metrics[metric.slice('additionalMetrics.'.length)]);
+  }
+
+  if (SensorReading.rawAttributes[metric]) {
+    return toNumber(sensorReading[metric]);
+  }
+
+  // Bare names that are not reading columns are looked up in additionalMetrics
+  return toNumber((sensorReading.additionalMetrics || {})[metric]);
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  return typeof value === 'number' ? value : parseFloat(value);
+}
+
+// While a rule is breached, the hysteresis band must be crossed before it clears
+function isBreached(rule, value, currentlyBreached) {
+  const band = currentlyBreached ? (rule.hysteresis || 0) : 0;
+  const low = rule.threshold;
+  const high = rule.thresholdHigh;
+
+  switch (rule.operator) {
+    case 'gt': return value > low - band;
+    case 'gte': return value >= low - band;
+    case 'lt': return value < low + band;
+    case 'lte': return value <= low + band;
+    case 'eq': return Math.abs(value - low) <= band;
+    case 'neq': return Math.abs(value - low) > band;
+    case 'outside': return value < low + band || value > high - band;
+    case 'inside': return value >= low - band && value <= high + band;
+    default: return false;
+  }
+}
+
+function buildAlert(rule, equipment, sensorReading, value, observed) {
+  const isRate = rule.condition === 'rate_of_change';
+  const subject = isRate ? `${rule.metric} rate of change (${round(observed)}/min)` : `${rule.metric} (${value})`;
+  const limit = ['outside', 'inside'].includes(rule.operator)
+    ? `range (${rule.threshold}-${rule.thresholdHigh})`
+    : `threshold (${rule.threshold}${isRate ? '/min' : ''})`;
+  const duration = rule.durationSeconds > 0 ? ` for ${rule.durationSeconds} seconds` : '';
+
+  const metadata = {
+    ruleKey: rule.key,
+    ruleId: rule.ruleId,
+    ruleName: rule.name,
+    sensorType: rule.metric,
+    metric: rule.metric,
+    condition: rule.condition,
+    operator: rule.operator,
+    value,
+    threshold: rule.threshold,
+    hysteresis: rule.hysteresis,
+    durationSeconds: rule.durationSeconds,
+    readingId: sensorReading.id
+  };
+
+  if (rule.thresholdHigh !== null && rule.thresholdHigh !== undefined) {
+    metadata.thresholdHigh = rule.thresholdHigh;
+  }
+  if (isRate) {
+    metadata.ratePerMinute = round(observed);
+  }
+
+  return {
+    equipmentId: equipment.id,
+    ruleId: rule.ruleId,
+    type: rule.severity,
+    title: rule.name,
+    message: `${capitalize(subject)} ${OPERATOR_LABELS[rule.operator]} ${limit}${duration}`,
+    metadata
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = new AlertRuleEngine();
@@ -0,0 +1,190 @@
+const EventEmitter = require('events');
+const { Op } = require('sequelize');
+const { Alert } = require('../models');
+const alertRuleEngine = require('./alertRuleEngine');
+const anomalyDetector = require('./anomalyDetector');
+const { ServiceError } = require('../utils/errors');
+require('dotenv').config();
+
+const OPEN_STATUSES = ['active', 'acknowledged'];
+
+class AlertService extends EventEmitter {
+  constructor() {
+    super();
+    this.escalationMinutes = parseInt(process.env.ALERT_ESCALATION_MINUTES) || 30;
+    this.escalationCheckIntervalMs = parseInt(process.env.ALERT_ESCALATION_CHECK_INTERVAL_MS) || 60000;
+    this.autoResolveHoldMs = (parseInt(process.env.ALERT_AUTO_RESOLVE_HOLD_SECONDS) || 300) * 1000;
+    this.escalationTimer = null;
+    // alertId -> timestamp of the first reading seen back inside the threshold band
+    this.recoveryStartedAt = new Map();
+  }
+
+  start() {
+    if (this.escalationTimer) return;
+
+    this.escalationTimer = setInterval(() => {
+      this.escalateStaleWarnings().catch(error => {
+        console.error('❌ Error escalating alerts:', error);
+      });
+    }, this.escalationCheckIntervalMs);
+
+    console.log(`⏱️ Alert escalation enabled (warnings escalate after ${this.escalationMinutes} minutes)`);
+  }
+
+  stop() {
+    if (this.escalationTimer) {
+      clearInterval(this.escalationTimer);
+      this.escalationTimer = null;
+    }
+  }
+
+  async acknowledge(alert, acknowledgedBy, note) {
+    if (alert.status === 'resolved') {
+      throw new ServiceError('Resolved alerts cannot be acknowledged', 409);
+    }
+    if (alert.status === 'acknowledged') {
+      return alert;
+    }
+
+    await alert.update({
+      status: 'acknowledged',
+      acknowledgedBy,
+      acknowledgedAt: new Date(),
+      metadata: note ? { ...alert.metadata, acknowledgementNote: note } : alert.metadata
+    });
+
+    this.emit('alert:updated', alert);
+    return alert;
+  }
+
+  async resolve(alert, resolvedBy, note, extraMetadata = {}) {
+    if (alert.status === 'resolved') {
+      return alert;
+    }
+
+    const metadata = { ...alert.metadata, ...extraMetadata };
+    if (note) {
+      metadata.resolutionNote = note;
+    }
+
+    await alert.update({
+      status: 'resolved',
+      resolvedBy,
+      resolvedAt: new Date(),
+      metadata
+    });
+
+    this.recoveryStartedAt.delete(alert.id);
+    this.emit('alert:updated', alert);
+    return alert;
+  }
+
+  async bulkUpdate(where, action, user, note) {
+    const alerts = await Alert.findAll({
+      where: {
+        ...where,
+        status: action === 'acknowledge' ? 'active' : { [Op.in]: OPEN_STATUSES }
+      }
+    });
+
+    for (const alert of alerts) {
+      if (action === 'acknowledge') {
+        await this.acknowledge(alert, user, note);
+      } else {
+        await this.resolve(alert, user, note);
+      }
+    }
+
+    return alerts;
+  }
+
+  async escalateStaleWarnings() {
+    const cutoff = new Date(Date.now() - this.escalationMinutes * 60 * 1000);
+
+    const staleWarnings = await Alert.findAll({
+      where: {
+        type: 'warning',
+        status: 'active',
+        createdAt: { [Op.lte]: cutoff }
+      }
+    });
+
+    for (const alert of staleWarnings) {
+      await alert.update({
+        type: 'critical',
+        metadata: {
+          ...alert.metadata,
+          escalatedFrom: 'warning',
+          escalatedAt: new Date().toISOString()
+        }
+      });
+
+      console.log(`⬆️ Alert escalated to critical: ${alert.title} (${alert.id})`);
+      this.emit('alert:updated', alert);
+    }
+
+    return staleWarnings;
+  }
+
+  // Open alerts of the given equipment, grouped by equipment id
+  async findOpenAlerts(equipmentIds) {
+    const alerts = await Alert.findAll({
+      where: {
+        equipmentId: { [Op.in]: equipmentIds },
+        status: { [Op.in]: OPEN_STATUSES }
+      }
+    });
+
+    const byEquipment = new Map(equipmentIds.map(id => [id, []]));
+    alerts.forEach(alert => byEquipment.get(alert.equipmentId).push(alert));
+    return byEquipment;
+  }
+
+  // openAlerts: the equipment's open alerts from findOpenAlerts(), shared across its readings
+  async checkAutoResolve(equipment, sensorReading, openAlerts) {
+    const readingTime = new Date(sensorReading.timestamp || Date.now()).getTime();
+
+    for (const alert of openAlerts) {
+      // Resolved by an earlier reading of the same flush
+      if (!OPEN_STATUSES.includes(alert.status)) continue;
+
+      const metadata = alert.metadata || {};
+      if (!metadata.sensorType) continue;
+
+      let recovered = metadata.source === 'anomaly'
+        ? anomalyDetector.isRecovered(alert, equipment)
+        : alertRuleEngine.isRecovered(alert, equipment, sensorReading);
+      if (recovered === null) {
+        const value = sensorReading[metadata.sensorType];
+        if (metadata.ruleKey || value === null || value === undefined) continue;
+        recovered = isWithinThresholds(value, metadata);
+      }
+
+      if (!recovered) {
+        this.recoveryStartedAt.delete(alert.id);
+        continue;
+      }
+
+      if (!this.recoveryStartedAt.has(alert.id)) {
+        this.recoveryStartedAt.set(alert.id, readingTime);
+      }
+
+      if (readingTime - this.recoveryStartedAt.get(alert.id) >= this.autoResolveHoldMs) {
+        await this.resolve(alert, 'system', null, {
+          autoResolved: true,
+          recoveredAt: new Date(readingTime).toISOString()
+        });
+        console.log(`✅ Alert auto-resolved: ${alert.title} for equipment ${equipment.name}`);
+      }
+    }
+  }
+}
+
+function isWithinThresholds(value, metadata) {
+  if (metadata.threshold !== undefined && value > metadata.threshold) return false;
+  if (metadata.maxThreshold !== undefined && value > metadata.maxThreshold) return false;
+  if (metadata.minThreshold !== undefined && value < metadata.minThreshold) return false;
+  return true;
+}
+
+module.exports = new AlertService();
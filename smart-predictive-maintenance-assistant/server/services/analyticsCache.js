@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const { Equipment, Alert, MaintenanceRecord, HealthScore, HierarchyNode } = require('../models');
+const { getRedis, isRedisReady } = require('../config/redis');
+const ingestBuffer = require('./ingestBuffer');
+const importService = require('./importService');
+require('dotenv').config();
+
+const VERSION_KEY = 'analytics:version';
+const WRITE_HOOKS = ['afterCreate', 'afterBulkCreate', 'afterUpdate', 'afterBulkUpdate', 'afterDestroy', 'afterBulkDestroy', 'afterUpsert'];
+
+// Caches analytics responses in Redis, shared across instances, or in memory while Redis is
+// unavailable. Entries are stored under a version number; any change to equipment, alerts,
+// maintenance records, health scores or the asset hierarchy bumps it, and new readings bump it
+// at most once per readings interval.
+// Concurrent requests for the same missing entry wait for a single computation.
+class AnalyticsCache {
+  constructor() {
+    this.ttlSeconds = parseInt(process.env.ANALYTICS_CACHE_TTL_SECONDS) || 300;
+    this.readingsIntervalMs = parseInt(process.env.ANALYTICS_CACHE_READINGS_INTERVAL_MS) || 60000;
+    this.maxMemoryEntries = parseInt(process.env.ANALYTICS_CACHE_MAX_ENTRIES) || 500;
+
+    // key -> { json, expiresAt }, oldest first
+    this.memory = new Map();
+    this.memoryVersion = 0;
+    // Set when an invalidation could not reach Redis, so its entries are dropped once it is back
+    this.redisStale = false;
+    this.pending = new Map();
+    this.lastReadingsInvalidation = 0;
+    this.readingsTimer = null;
+
+    [Equipment, Alert, MaintenanceRecord, HealthScore, HierarchyNode].forEach(model => {
+      WRITE_HOOKS.forEach(hook => model.addHook(hook, 'analyticsCache', (...args) => {
+        this.afterWrite(args[args.length - 1]);
+      }));
+    });
+    ingestBuffer.on('flush', () => this.readingsArrived());
+    importService.on('progress', (job) => {
+      if (job.type === 'sensor_readings' && !job.dryRun) this.readingsArrived();
+    });
+  }
+
+  // Cache key of an analytics query. Only the given parameters and the user's location scope
+  // distinguish entries, so unrelated query parameters don't split the cache.
+  key(name, params, locationScope) {
+    const query = Object.keys(params)
+      .filter(param => params[param] !== undefined && params[param] !== null && params[param] !== '')
+      .sort()
+      .map(param => `${param}=${params[param]}`)
+      .join('&');
+    const scope = locationScope ? [...locationScope].sort().join(',') : '*';
+    const hash = crypto.createHash('sha1').update(`${query}|${scope}`).digest('hex');
+    return `${name}:${hash}`;
+  }
+
+  // Returns { value, status } with status 'hit', 'miss' (computed here) or 'shared' (waited
+  // for a computation another request started). Failed computations are not cached.
+  async fetch(key, compute) {
+    const versionedKey = `analytics:${await this.getVersion()}:${key}`;
+
+    const cached = await this.read(versionedKey);
+    if (cached !== undefined) return { value: cached, status: 'hit' };
+
+    if (this.pending.has(versionedKey)) {
+      return { value: await this.pending.get(versionedKey), status: 'shared' };
+    }
+
+    const computation = (async () => {
+      const value = await compute();
+      await this.write(versionedKey, value);
+      return value;
+    })();
+    this.pending.set(versionedKey, computation);
+    try {
+      return { value: await computation, status: 'miss' };
+    } finally {
+      this.pending.delete(versionedKey);
+    }
+  }
+
+  // Makes every existing entry unreachable; they expire on their own
+  async invalidate() {
+    this.memoryVersion++;
+    this.memory.clear();
+
+    if (isRedisReady()) {
+      try {
+        await getRedis().incr(VERSION_KEY);
+        this.redisStale = false;
+        return;
+      } catch (error) {
+        // Retried on the next read from Redis
+      }
+    }
+    this.redisStale = true;
+  }
+
+  afterWrite(options) {
+    const invalidate = () => this.invalidate().catch(error => {
+      console.error('❌ Error invalidating analytics cache:', error.message);
+    });
+
+    // Invalidating before the commit would let a concurrent request cache the old data again
+    if (options && options.transaction) {
+      options.transaction.afterCommit(invalidate);
+    } else {
+      invalidate();
+    }
+  }
+
+  // Readings arrive continuously, so they invalidate at most once per interval; the last
+  // readings of an interval are picked up when it ends
+  readingsArrived() {
+    if (this.readingsTimer) return;
+
+    const wait = this.lastReadingsInvalidation + this.readingsIntervalMs - Date.now();
+    const run = () => {
+      this.readingsTimer = null;
+      this.lastReadingsInvalidation = Date.now();
+      this.afterWrite(null);
+    };
+
+    if (wait <= 0) {
+      run();
+    } else {
+      this.readingsTimer = setTimeout(run, wait);
+      this.readingsTimer.unref();
+    }
+  }
+
+  async getVersion() {
+    if (isRedisReady()) {
+      try {
+        if (this.redisStale) {
+          await getRedis().incr(VERSION_KEY);
+          this.redisStale = false;
+        }
+        return `r${(await getRedis().get(VERSION_KEY)) || 0}`;
+      } catch (error) {
+        // Fall back to the in-memory cache
+      }
+    }
+    return `m${this.memoryVersion}`;
+  }
+
+  async read(versionedKey) {
+    if (versionedKey.startsWith('analytics:r')) {
+      try {
+        const json = await getRedis().get(versionedKey);
+        return json === null ? undefined : JSON.parse(json);
+      } catch (error) {
+        return undefined;
+      }
+    }
+
+    const entry = this.memory.get(versionedKey);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.memory.delete(versionedKey);
+      return undefined;
+    }
+    return JSON.parse(entry.json);
+  }
+
+  async write(versionedKey, value) {
+    const json = JSON.stringify(value);
+
+    if (versionedKey.startsWith('analytics:r')) {
+      await getRedis().set(versionedKey, json, 'EX', this.ttlSeconds).catch(error => {
+        console.error('❌ Error writing analytics cache entry:', error.message);
+      });
+      return;
+    }
+
+    // Entries of an earlier version were cleared when it changed
+    if (!versionedKey.startsWith(`analytics:m${this.memoryVersion}:`)) return;
+    if (this.memory.size >= this.maxMemoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+    this.memory.set(versionedKey, { json, expiresAt: Date.now() + this.ttlSeconds * 1000 });
+  }
+}
+
+module.exports = new AnalyticsCache();
@@ -0,0 +1,278 @@
+require('dotenv').config();
+
+const MONITORED_METRICS = [
+  'temperature',
+  'vibration',
+  'pressure',
+  'humidity',
+  'electricalCurrent',
+  'voltage',
+  'rpm',
+  'powerConsumption'
+];
+
+const MULTIVARIATE_METRICS = ['temperature', 'vibration', 'pressure'];
+
+// Keeps a rolling baseline per equipment and metric and scores each new value against it
+class AnomalyDetector {
+  constructor() {
+    this.alpha = parseFloat(process.env.ANOMALY_EWMA_ALPHA) || 0.05;
+    this.warmupSamples = parseInt(process.env.ANOMALY_WARMUP_SAMPLES) || 30;
+    this.infoScore = parseFloat(process.env.ANOMALY_INFO_SCORE) || 3;
+    this.warningScore = parseFloat(process.env.ANOMALY_WARNING_SCORE) || 4.5;
+    // Mahalanobis distance over 3 metrics, roughly the 99% and 99.9% chi-square quantiles
+    this.multivariateInfoScore = parseFloat(process.env.ANOMALY_MULTIVARIATE_INFO_SCORE) || 3.4;
+    this.multivariateWarningScore = parseFloat(process.env.ANOMALY_MULTIVARIATE_WARNING_SCORE) || 4.0;
+    this.baselines = new Map();
+    this.seasonalBaselines = new Map();
+    this.multivariateBaselines = new Map();
+    this.lastScores = new Map();
+  }
+
+  detect(equipment, sensorReading) {
+    const anomalies = [];
+    const timestamp = new Date(sensorReading.timestamp || Date.now());
+    const hour = timestamp.getUTCHours();
+
+    MONITORED_METRICS.forEach(metric => {
+      const value = sensorReading[metric];
+      if (value === null || value === undefined || isNaN(value)) return;
+
+      const key = `${equipment.id}:${metric}`;
+      const sampleKey = `${sensorReading.id}:${value}`;
+      const baseline = this.getBaseline(this.baselines, key);
+
+      // Merged readings are re-delivered as other metrics arrive; score each value once
+      if (baseline.lastSampleKey === sampleKey) return;
+      baseline.lastSampleKey = sampleKey;
+
+      const seasonal = this.getBaseline(this.seasonalBaselines, `${key}:${hour}`);
+      const globalScore = zScore(baseline, value, this.warmupSamples);
+      const seasonalScore = zScore(seasonal, value, this.warmupSamples);
+
+      // Once the hour-of-day baseline is warm it explains daily cycles better than the global one
+      const useSeasonal = seasonalScore !== null;
+      const score = useSeasonal ? seasonalScore : globalScore;
+      const reference = useSeasonal ? seasonal : baseline;
+
+      updateBaseline(baseline, value, this.alpha, this.warningScore);
+      updateBaseline(seasonal, value, this.alpha, this.warningScore);
+
+      if (score === null) return;
+      this.lastScores.set(key, Math.abs(score));
+
+      const severity = this.classify(Math.abs(score), this.infoScore, this.warningScore);
+      if (!severity) return;
+
+      anomalies.push(buildAnomaly(equipment, sensorReading, {
+        metric,
+        method: useSeasonal ? 'seasonal-ewma-zscore' : 'ewma-zscore',
+        severity,
+        score,
+        value,
+        expected: reference.mean,
+        stdDev: Math.sqrt(reference.variance)
+      }));
+    });
+
+    const multivariate = this.detectMultivariate(equipment, sensorReading);
+    if (multivariate) {
+      anomalies.push(multivariate);
+    }
+
+    return anomalies;
+  }
+
+  detectMultivariate(equipment, sensorReading) {
+    const vector = MULTIVARIATE_METRICS.map(metric => sensorReading[metric]);
+    if (vector.some(value => value === null || value === undefined || isNaN(value))) return null;
+
+    const key = `${equipment.id}:multivariate`;
+    const sampleKey = `${sensorReading.id}:${vector.join(',')}`;
+    let baseline = this.multivariateBaselines.get(key);
+
+    if (!baseline) {
+      baseline = {
+        count: 0,
+        mean: vector.slice(),
+        covariance: MULTIVARIATE_METRICS.map(() => MULTIVARIATE_METRICS.map(() => 0)),
+        lastSampleKey: null
+      };
+      this.multivariateBaselines.set(key, baseline);
+    }
+
+    if (baseline.lastSampleKey === sampleKey) return null;
+    baseline.lastSampleKey = sampleKey;
+
+    let distance = null;
+    if (baseline.count >= this.warmupSamples) {
+      distance = mahalanobis(vector, baseline.mean, baseline.covariance);
+    }
+
+    updateCovariance(baseline, vector, this.alpha);
+
+    if (distance === null) return null;
+    this.lastScores.set(key, distance);
+
+    const severity = this.classify(distance, this.multivariateInfoScore, this.multivariateWarningScore);
+    if (!severity) return null;
+
+    return buildAnomaly(equipment, sensorReading, {
+      metric: 'multivariate',
+      method: 'mahalanobis',
+      severity,
+      score: distance,
+      value: MULTIVARIATE_METRICS.reduce((acc, metric, i) => ({ ...acc, [metric]: vector[i] }), {}),
+      expected: MULTIVARIATE_METRICS.reduce((acc, metric, i) => ({ ...acc, [metric]: round(baseline.mean[i]) }), {})
+    });
+  }
+
+  classify(score, infoScore, warningScore) {
+    if (score >= warningScore) return 'warning';
+    if (score >= infoScore) return 'info';
+    return null;
+  }
+
+  isRecovered(alert, equipment) {
+    const metric = (alert.metadata || {}).metric;
+    const score = this.lastScores.get(`${equipment.id}:${metric}`);
+    if (score === undefined) return null;
+
+    const infoScore = metric === 'multivariate' ? this.multivariateInfoScore : this.infoScore;
+    return score < infoScore;
+  }
+
+  getBaseline(store, key) {
+    let baseline = store.get(key);
+    if (!baseline) {
+      baseline = { count: 0, mean: 0, variance: 0, lastSampleKey: null };
+      store.set(key, baseline);
+    }
+    return baseline;
+  }
+
+  reset(equipmentId) {
+    [this.baselines, this.seasonalBaselines, this.multivariateBaselines, this.lastScores].forEach(store => {
+      for (const key of store.keys()) {
+        if (key.startsWith(`${equipmentId}:`)) {
+          store.delete(key);
+        }
+      }
+    });
+  }
+}
+
+function zScore(baseline, value, warmupSamples) {
+  if (baseline.count < warmupSamples) return null;
+
+  const stdDev = Math.sqrt(baseline.variance);
+  if (stdDev === 0) {
+    return value === baseline.mean ? 0 : null;
+  }
+  return (value - baseline.mean) / stdDev;
+}
+
+// Exponentially weighted mean/variance; outliers are clamped so one spike does not shift the baseline
+function updateBaseline(baseline, value, alpha, clampScore) {
+  if (baseline.count === 0) {
+    baseline.mean = value;
+    baseline.variance = 0;
+    baseline.count = 1;
+    return;
+  }
+
+  const stdDev = Math.sqrt(baseline.variance);
+  let sample = value;
+  if (stdDev > 0) {
+    const limit = clampScore * stdDev;
+    sample = Math.max(baseline.mean - limit, Math.min(baseline.mean + limit, value));
+  }
+
+  // During warm-up use a plain running average so early samples are not under-weighted
+  const weight = Math.max(alpha, 1 / (baseline.count + 1));
+  const diff = sample - baseline.mean;
+  baseline.mean += weight * diff;
+  baseline.variance = (1 - weight) * (baseline.variance + weight * diff * diff);
+  baseline.count++;
+}
+
+function updateCovariance(baseline, vector, alpha) {
+  const weight = Math.max(alpha, 1 / (baseline.count + 1));
+  const diff = vector.map((value, i) => value - baseline.mean[i]);
+
+  baseline.mean = baseline.mean.map((mean, i) => mean + weight * diff[i]);
+  baseline.covariance = baseline.covariance.map((row, i) =>
+    row.map((cov, j) => (1 - weight) * (cov + weight * diff[i] * diff[j]))
+  );
+  baseline.count++;
+}
+
+function mahalanobis(vector, mean, covariance) {
+  // Ridge term keeps the matrix invertible when two metrics move in lockstep
+  const regularized = covariance.map((row, i) =>
+    row.map((value, j) => (i === j ? value + Math.max(1e-6, value * 1e-3) : value))
+  );
+  const inverse = invert3x3(regularized);
+  if (!inverse) return null;
+
+  const diff = vector.map((value, i) => value - mean[i]);
+  let sum = 0;
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      sum += diff[i] * inverse[i][j] * diff[j];
+    }
+  }
+  return Math.sqrt(Math.max(0, sum));
+}
+
+function invert3x3(m) {
+  const [[a, b, c], [d, e, f], [g, h, i]] = m;
+  const A = e * i - f * h;
+  const B = -(d * i - f * g);
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  if (Math.abs(det) < 1e-12) return null;
+
+  return [
+    [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+    [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+    [C / det, -(a * h - b * g) / det, (a * e - b * d) / det]
+  ];
+}
+
+function buildAnomaly(equipment, sensorReading, anomaly) {
+  const score = round(anomaly.score);
+  const label = anomaly.metric === 'multivariate' ? 'Temperature/vibration/pressure pattern' : capitalize(anomaly.metric);
+  const detail = anomaly.metric === 'multivariate'
+    ? `deviates from its normal operating profile (distance ${Math.abs(score)})`
+    : `(${anomaly.value}) deviates from its baseline of ${round(anomaly.expected)} (score ${score})`;
+
+  return {
+    equipmentId: equipment.id,
+    type: anomaly.severity,
+    title: `Anomaly Detected: ${label}`,
+    message: `${label} ${detail}`,
+    metadata: {
+      source: 'anomaly',
+      ruleKey: `anomaly-${anomaly.metric}`,
+      sensorType: anomaly.metric,
+      metric: anomaly.metric,
+      method: anomaly.method,
+      anomalyScore: score,
+      value: anomaly.value,
+      expected: typeof anomaly.expected === 'number' ? round(anomaly.expected) : anomaly.expected,
+      stdDev: anomaly.stdDev !== undefined ? round(anomaly.stdDev) : undefined,
+      readingId: sensorReading.id
+    }
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = new AnomalyDetector();
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { ApiKey } = require('../models');
+const { ServiceError } = require('../utils/errors');
+const { API_KEY_SCOPES } = require('../utils/permissions');
+require('dotenv').config();
+
+const KEY_PATTERN = /^pmk_([A-Za-z0-9]{12})_([A-Za-z0-9_-]{43})$/;
+
+// Keys look like pmk_<prefix>_<secret>. Only the prefix and a SHA-256 of the whole key are
+// stored: the secret is random, so a slow password hash would add latency without adding safety.
+class ApiKeyService {
+  constructor() {
+    this.cacheTtlMs = parseInt(process.env.API_KEY_CACHE_TTL_MS) || 30000;
+    this.lastUsedIntervalMs = parseInt(process.env.API_KEY_LAST_USED_INTERVAL_MS) || 60000;
+    this.cache = new Map();
+  }
+
+  // Returns the key record and the plaintext key, which cannot be retrieved later
+  async createKey({ name, scopes, locations = null, rateLimit = null, expiresAt = null, createdBy }) {
+    validateScopes(scopes);
+
+    const prefix = randomAlphanumeric(12);
+    const key = `pmk_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+      name,
+      prefix,
+      keyHash: hashKey(key),
+      scopes,
+      locations,
+      rateLimit,
+      expiresAt,
+      createdBy
+    });
+
+    const json = apiKey.toJSON();
+    delete json.keyHash;
+    return { apiKey: json, key };
+  }
+
+  async updateKey(apiKey, changes) {
+    if (changes.scopes !== undefined) validateScopes(changes.scopes);
+    await apiKey.update(changes);
+    this.cache.delete(apiKey.prefix);
+    return apiKey;
+  }
+
+  async revoke(apiKey) {
+    if (!apiKey.revokedAt) {
+      await apiKey.update({ revokedAt: new Date() });
+    }
+    this.cache.delete(apiKey.prefix);
+    return apiKey;
+  }
+
+  // Resolves a presented key to a request principal, or throws a 401 ServiceError.
+  // Other instances notice a revocation within API_KEY_CACHE_TTL_MS.
+  async authenticate(key, ip) {
+    const match = KEY_PATTERN.exec(key || '');
+    if (!match) {
+      throw new ServiceError('Invalid API key', 401);
+    }
+
+    const apiKey = await this.findByPrefix(match[1]);
+    if (!apiKey || !safeEqual(apiKey.keyHash, hashKey(key))) {
+      throw new ServiceError('Invalid API key', 401);
+    }
+    if (apiKey.revokedAt) {
+      throw new ServiceError('API key has been revoked', 401);
+    }
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      throw new ServiceError('API key has expired', 401);
+    }
+
+    this.touch(apiKey, ip);
+
+    return {
+      type: 'api_key',
+      id: apiKey.id,
+      name: apiKey.name,
+      scopes: apiKey.scopes,
+      locations: apiKey.locations,
+      rateLimit: apiKey.rateLimit
+    };
+  }
+
+  async findByPrefix(prefix) {
+    const cached = this.cache.get(prefix);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.apiKey;
+    }
+
+    const apiKey = await ApiKey.unscoped().findOne({ where: { prefix } });
+    this.cache.set(prefix, { apiKey, expiresAt: Date.now() + this.cacheTtlMs });
+    return apiKey;
+  }
+
+  // Usage is written at most once per API_KEY_LAST_USED_INTERVAL_MS per key, off the request path
+  touch(apiKey, ip) {
+    const now = new Date();
+    if (apiKey.lastUsedAt && now - apiKey.lastUsedAt < this.lastUsedIntervalMs) return;
+
+    apiKey.lastUsedAt = now;
+    apiKey.lastUsedIp = ip;
+    ApiKey.update({ lastUsedAt: now, lastUsedIp: ip }, { where: { id: apiKey.id } }).catch(error => {
+      console.error('❌ Error recording API key usage:', error);
+    });
+  }
+}
+
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new ServiceError('scopes must be a non-empty list', 400);
+  }
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+  if (unknown.length > 0) {
+    throw new ServiceError(`Unknown scopes: ${unknown.join(', ')}; use: ${Object.keys(API_KEY_SCOPES).join(', ')}`, 400);
+  }
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function randomAlphanumeric(length) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  const bytes = crypto.randomBytes(length);
+  return Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+}
+
+module.exports = new ApiKeyService();
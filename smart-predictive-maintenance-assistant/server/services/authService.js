@@ -0,0 +1,140 @@
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { User, Equipment } = require('../models');
+const { ServiceError } = require('../utils/errors');
+const { getLocationScope } = require('../utils/permissions');
+require('dotenv').config();
+
+const MIN_PASSWORD_LENGTH = 10;
+
+// Short-lived access tokens carry the user's role and locations, so requests are authorized
+// without a database lookup. Refresh tokens are checked against the user's tokenVersion,
+// which logout, deactivation and role or location changes bump to revoke them.
+class AuthService {
+  constructor() {
+    this.jwtSecret = process.env.JWT_SECRET;
+    this.accessExpiresIn = process.env.JWT_EXPIRES_IN || '15m';
+    this.refreshExpiresIn = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+
+    if (!this.jwtSecret) {
+      console.warn('⚠️ JWT_SECRET is not set; logins and API requests will be rejected');
+    }
+  }
+
+  async login(email, password) {
+    if (!email || !password) {
+      throw new ServiceError('email and password are required', 400);
+    }
+
+    const user = await User.scope('withPassword').findOne({
+      where: { email: String(email).trim().toLowerCase() }
+    });
+
+    // Same error for unknown users, wrong passwords and deactivated accounts
+    if (!user || !user.active || !(await user.checkPassword(password))) {
+      throw new ServiceError('Invalid email or password', 401);
+    }
+
+    await user.update({ lastLoginAt: new Date() });
+    return this.issueTokens(user);
+  }
+
+  async refresh(refreshToken) {
+    const payload = this.verify(refreshToken, 'refresh');
+
+    const user = await User.findByPk(payload.sub);
+    if (!user || !user.active || user.tokenVersion !== payload.ver) {
+      throw new ServiceError('Refresh token has been revoked', 401);
+    }
+
+    return this.issueTokens(user);
+  }
+
+  // Invalidates every refresh token issued to the user; access tokens expire on their own
+  async revokeTokens(user) {
+    await user.increment('tokenVersion');
+    await user.reload();
+  }
+
+  issueTokens(user) {
+    this.assertConfigured();
+
+    const accessToken = jwt.sign({
+      type: 'access',
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      locations: user.locations || null
+    }, this.jwtSecret, { subject: user.id, expiresIn: this.accessExpiresIn });
+
+    const refreshToken = jwt.sign({
+      type: 'refresh',
+      ver: user.tokenVersion
+    }, this.jwtSecret, { subject: user.id, expiresIn: this.refreshExpiresIn });
+
+    return {
+      accessToken,
+      refreshToken,
+      expiresIn: this.accessExpiresIn,
+      user: user.toJSON()
+    };
+  }
+
+  // Returns the request principal ({ type: 'user', id, email, name, role, locations, expiresAt })
+  // for a valid access token
+  verifyAccessToken(token) {
+    const payload = this.verify(token, 'access');
+    return {
+      type: 'user',
+      id: payload.sub,
+      email: payload.email,
+      name: payload.name,
+      role: payload.role,
+      locations: payload.locations,
+      expiresAt: payload.exp * 1000
+    };
+  }
+
+  verify(token, type) {
+    this.assertConfigured();
+
+    let payload;
+    try {
+      payload = jwt.verify(token, this.jwtSecret);
+    } catch (error) {
+      throw new ServiceError(error.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid token', 401);
+    }
+
+    if (payload.type !== type) {
+      throw new ServiceError('Invalid token', 401);
+    }
+    return payload;
+  }
+
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new ServiceError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+    }
+  }
+
+  // Ids of the equipment a location-scoped user can access, or null when they can access all
+  async getEquipmentScope(user) {
+    const locations = getLocationScope(user);
+    if (locations === null) return null;
+
+    const equipment = await Equipment.findAll({
+      where: { location: { [Op.in]: locations } },
+      attributes: ['id'],
+      raw: true
+    });
+    return equipment.map(item => item.id);
+  }
+
+  assertConfigured() {
+    if (!this.jwtSecret) {
+      throw new ServiceError('Authentication is not configured', 503);
+    }
+  }
+}
+
+module.exports = new AuthService();
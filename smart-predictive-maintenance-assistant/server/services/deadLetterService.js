@@ -0,0 +1,160 @@
+const { Op } = require('sequelize');
+const { sequelize, DeadLetter } = require('../models');
+const ingestBuffer = require('./ingestBuffer');
+const { isUuid, escapeLike, parseDate } = require('../utils/request');
+const { ServiceError } = require('../utils/errors');
+require('dotenv').config();
+
+class DeadLetterService {
+  constructor() {
+    this.maxReprocessBatch = parseInt(process.env.DEAD_LETTER_REPROCESS_BATCH) || 1000;
+    // source -> async (topic, payload, receivedAt, { deadLetterId }) =>
+    //   { status, reason?, error?, equipmentRef?, written? } (see ingestionService.ingest)
+    this.processors = new Map();
+  }
+
+  registerProcessor(source, processor) {
+    this.processors.set(source, processor);
+  }
+
+  async record({ source = 'mqtt', topic, payload, reason, error, equipmentRef }) {
+    try {
+      return await DeadLetter.create({
+        source,
+        topic,
+        payload: Buffer.isBuffer(payload) ? payload.toString() : String(payload),
+        reason,
+        error: error ? String(error.message || error) : null,
+        equipmentRef: equipmentRef || null
+      });
+    } catch (dbError) {
+      // The dead-letter table is the last stop; if it is down too, the console is all we have
+      console.error(`❌ Failed to store dead letter (${reason}) for ${topic}:`, dbError.message);
+      return null;
+    }
+  }
+
+  async reprocess(where) {
+    const deadLetters = await DeadLetter.findAll({
+      where,
+      order: [['receivedAt', 'ASC']],
+      limit: this.maxReprocessBatch
+    });
+
+    const summary = { attempted: deadLetters.length, succeeded: 0, failed: 0, failures: [] };
+    const buffered = [];
+
+    for (const deadLetter of deadLetters) {
+      const processor = this.processors.get(deadLetter.source);
+      let outcome;
+
+      if (!processor) {
+        outcome = { status: 'rejected', reason: deadLetter.reason, error: `No processor registered for source ${deadLetter.source}` };
+      } else {
+        try {
+          outcome = await processor(deadLetter.topic, deadLetter.payload, deadLetter.receivedAt, { deadLetterId: deadLetter.id });
+        } catch (error) {
+          outcome = { status: 'rejected', reason: 'processing_error', error: error.message };
+        }
+      }
+
+      if (outcome.status === 'rejected') {
+        await this.recordFailure(deadLetter, outcome, summary);
+      } else if (outcome.written) {
+        buffered.push({ deadLetter, written: outcome.written });
+      } else {
+        await deadLetter.destroy();
+        summary.succeeded++;
+      }
+    }
+
+    // A buffered or duplicate message only counts as replayed once its reading is stored
+    const writes = await ingestBuffer.flushUntilSettled(buffered.map(item => item.written));
+    for (let i = 0; i < buffered.length; i++) {
+      const { deadLetter } = buffered[i];
+      if (writes[i].status === 'fulfilled') {
+        await deadLetter.destroy();
+        summary.succeeded++;
+      } else {
+        await this.recordFailure(deadLetter, { reason: 'db_error', error: writes[i].reason.message }, summary);
+      }
+    }
+
+    return summary;
+  }
+
+  async recordFailure(deadLetter, outcome, summary) {
+    await deadLetter.update({
+      reason: outcome.reason,
+      error: outcome.error || deadLetter.error,
+      attempts: deadLetter.attempts + 1,
+      lastAttemptAt: new Date()
+    });
+    summary.failed++;
+    summary.failures.push({ id: deadLetter.id, reason: outcome.reason, error: outcome.error });
+  }
+
+  async purge(where) {
+    return DeadLetter.destroy({ where });
+  }
+
+  async getStats() {
+    const rows = await DeadLetter.findAll({
+      attributes: [
+        'reason',
+        [sequelize.fn('COUNT', '*'), 'count'],
+        [sequelize.fn('MIN', sequelize.col('received_at')), 'oldest'],
+        [sequelize.fn('MAX', sequelize.col('received_at')), 'newest']
+      ],
+      group: ['reason'],
+      raw: true
+    });
+
+    return rows.reduce((acc, row) => {
+      acc.total += parseInt(row.count);
+      acc.byReason[row.reason] = {
+        count: parseInt(row.count),
+        oldest: row.oldest,
+        newest: row.newest
+      };
+      return acc;
+    }, { total: 0, byReason: {} });
+  }
+
+  buildFilter({ ids, reason, topic, source, equipmentRef, from, to, olderThan }) {
+    const whereClause = {};
+
+    if (ids) {
+      if (![].concat(ids).every(isUuid)) {
+        throw new ServiceError('ids must be dead letter ids', 400);
+      }
+      whereClause.id = { [Op.in]: [].concat(ids) };
+    }
+    if (reason) {
+      const reasons = DeadLetter.rawAttributes.reason.values;
+      if (![].concat(reason).every(value => reasons.includes(value))) {
+        throw new ServiceError(`reason must be one of ${reasons.join(', ')}`, 400);
+      }
+      whereClause.reason = { [Op.in]: [].concat(reason) };
+    }
+    if (source) whereClause.source = source;
+    if (equipmentRef) whereClause.equipmentRef = equipmentRef;
+    if (topic) {
+      // MQTT-style wildcards are accepted for convenience; anything else matches literally
+      whereClause.topic = topic.includes('+') || topic.includes('#')
+        ? { [Op.like]: escapeLike(topic).replace(/\+/g, '%').replace(/#/g, '%') }
+        : topic;
+    }
+
+    if (from || to || olderThan) {
+      whereClause.receivedAt = {};
+      if (from) whereClause.receivedAt[Op.gte] = parseDate(from, 'from');
+      if (to) whereClause.receivedAt[Op.lte] = parseDate(to, 'to');
+      if (olderThan) whereClause.receivedAt[Op.lt] = parseDate(olderThan, 'olderThan');
+    }
+
+    return whereClause;
+  }
+}
+
+module.exports = new DeadLetterService();
@@ -0,0 +1,296 @@
+const { Op } = require('sequelize');
+const parquet = require('@dsnp/parquetjs');
+const { Equipment, SensorReading, Alert, MaintenanceRecord, Prediction } = require('../models');
+const { ServiceError } = require('../utils/errors');
+const { isUuid, parseDate } = require('../utils/request');
+require('dotenv').config();
+
+// Exportable tables and the time column their range filter and ordering use
+const DATASETS = {
+  readings: { model: SensorReading, timeField: 'timestamp' },
+  alerts: { model: Alert, timeField: 'createdAt' },
+  maintenance: { model: MaintenanceRecord, timeField: 'scheduledDate' },
+  predictions: { model: Prediction, timeField: 'generatedAt' }
+};
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet' }
+};
+
+const PARQUET_TYPES = {
+  UUID: 'UTF8',
+  STRING: 'UTF8',
+  TEXT: 'UTF8',
+  ENUM: 'UTF8',
+  JSONB: 'UTF8',
+  JSON: 'UTF8',
+  DATE: 'TIMESTAMP_MILLIS',
+  FLOAT: 'DOUBLE',
+  DOUBLE: 'DOUBLE',
+  DECIMAL: 'DOUBLE',
+  INTEGER: 'INT64',
+  BIGINT: 'INT64',
+  BOOLEAN: 'BOOLEAN'
+};
+
+// Streams raw rows out in keyset-paginated batches, so an export of any size holds only one
+// batch in memory. Rows are ordered by the dataset's time column, then id.
+class ExportService {
+  constructor() {
+    this.batchSize = parseInt(process.env.EXPORT_BATCH_SIZE) || 5000;
+  }
+
+  getDatasets() {
+    return Object.keys(DATASETS).map(name => ({
+      name,
+      timeField: DATASETS[name].timeField,
+      columns: describeColumns(DATASETS[name].model),
+      filters: ['equipmentId', 'location', 'from', 'to', ...enumFilters(DATASETS[name].model)]
+    }));
+  }
+
+  getFormat(format) {
+    const resolved = FORMATS[format || 'csv'];
+    if (!resolved) {
+      throw new ServiceError(`format must be one of: ${Object.keys(FORMATS).join(', ')}`, 400);
+    }
+    return resolved;
+  }
+
+  // Validates the request and builds the query; throws before anything is streamed
+  async prepare(datasetName, query) {
+    const dataset = DATASETS[datasetName];
+    if (!dataset) {
+      throw new ServiceError(`Unknown dataset "${datasetName}"; use one of: ${Object.keys(DATASETS).join(', ')}`, 404);
+    }
+
+    const available = describeColumns(dataset.model);
+    const columns = query.fields
+      ? [].concat(query.fields)
+      : available.map(column => column.name);
+
+    const unknown = columns.filter(name => !available.some(column => column.name === name));
+    if (unknown.length > 0) {
+      throw new ServiceError(`Unknown fields for ${datasetName}: ${unknown.join(', ')}`, 400);
+    }
+
+    return {
+      name: datasetName,
+      dataset,
+      columns: available.filter(column => columns.includes(column.name)),
+      where: await buildWhere(dataset, query)
+    };
+  }
+
+  async *batches(prepared) {
+    const { model, timeField } = prepared.dataset;
+    // The keyset columns are always read, even when not exported
+    const attributes = Array.from(new Set([...prepared.columns.map(column => column.name), 'id', timeField]));
+    let last = null;
+
+    while (true) {
+      const where = last
+        ? {
+          [Op.and]: [prepared.where, {
+            [Op.or]: [
+              { [timeField]: { [Op.gt]: last[timeField] } },
+              { [timeField]: last[timeField], id: { [Op.gt]: last.id } }
+            ]
+          }]
+        }
+        : prepared.where;
+
+      const rows = await model.findAll({
+        where,
+        attributes,
+        order: [[timeField, 'ASC'], ['id', 'ASC']],
+        limit: this.batchSize,
+        raw: true
+      });
+
+      if (rows.length === 0) return;
+      yield rows;
+
+      if (rows.length < this.batchSize) return;
+      last = rows[rows.length - 1];
+    }
+  }
+
+  // Writes the export to a writable stream (an HTTP response); returns the number of rows written
+  async write(prepared, format, output) {
+    this.getFormat(format);
+
+    if (format === 'parquet') {
+      return this.writeParquet(prepared, output);
+    }
+
+    const names = prepared.columns.map(column => column.name);
+    let rowCount = 0;
+
+    if (format === 'csv') {
+      await writeChunk(output, names.join(',') + '\n');
+    }
+
+    for await (const rows of this.batches(prepared)) {
+      if (isClosed(output)) break;
+
+      const chunk = format === 'csv'
+        ? rows.map(row => names.map(name => toCsvValue(row[name])).join(',')).join('\n') + '\n'
+        : rows.map(row => JSON.stringify(pickColumns(row, names))).join('\n') + '\n';
+
+      await writeChunk(output, chunk);
+      rowCount += rows.length;
+    }
+
+    if (!isClosed(output)) output.end();
+    return rowCount;
+  }
+
+  async writeParquet(prepared, output) {
+    const schema = new parquet.ParquetSchema(prepared.columns.reduce((acc, column) => ({
+      ...acc,
+      [column.name]: { type: PARQUET_TYPES[column.type] || 'UTF8', optional: true }
+    }), {}));
+
+    // The writer buffers one row group at a time and ends the stream on close
+    const writer = await parquet.ParquetWriter.openStream(schema, output);
+    let rowCount = 0;
+
+    for await (const rows of this.batches(prepared)) {
+      if (isClosed(output)) break;
+
+      for (const row of rows) {
+        await writer.appendRow(toParquetRow(row, prepared.columns));
+      }
+      rowCount += rows.length;
+
+      if (output.writableNeedDrain) {
+        await waitForDrain(output);
+      }
+    }
+
+    if (!isClosed(output)) await writer.close();
+    return rowCount;
+  }
+}
+
+function describeColumns(model) {
+  return Object.keys(model.rawAttributes).map(name => ({
+    name,
+    type: model.rawAttributes[name].type.key
+  }));
+}
+
+function enumFilters(model) {
+  return Object.keys(model.rawAttributes).filter(name => model.rawAttributes[name].type.key === 'ENUM');
+}
+
+async function buildWhere(dataset, query) {
+  const { model, timeField } = dataset;
+  const whereClause = {};
+
+  if (query.equipmentId) {
+    const invalid = [].concat(query.equipmentId).filter(id => !isUuid(id));
+    if (invalid.length > 0) {
+      throw new ServiceError(`Invalid equipmentId: ${invalid.join(', ')}`, 400);
+    }
+    whereClause.equipmentId = { [Op.in]: [].concat(query.equipmentId) };
+  }
+
+  if (query.location) {
+    const equipment = await Equipment.findAll({
+      where: { location: { [Op.in]: [].concat(query.location) } },
+      attributes: ['id'],
+      raw: true
+    });
+    const ids = equipment.map(item => item.id);
+    whereClause.equipmentId = whereClause.equipmentId
+      ? { [Op.in]: whereClause.equipmentId[Op.in].filter(id => ids.includes(id)) }
+      : { [Op.in]: ids };
+  }
+
+  if (query.from || query.to) {
+    const range = {};
+    if (query.from) range[Op.gte] = parseDate(query.from, 'from');
+    if (query.to) range[Op.lte] = parseDate(query.to, 'to');
+    whereClause[timeField] = range;
+  }
+
+  // Enum columns (status, type, riskLevel, ...) filter by value lists
+  enumFilters(model).forEach(name => {
+    if (!query[name]) return;
+    const values = [].concat(query[name]);
+    const invalid = values.filter(value => !model.rawAttributes[name].values.includes(value));
+    if (invalid.length > 0) {
+      throw new ServiceError(`Invalid ${name}: ${invalid.join(', ')}`, 400);
+    }
+    whereClause[name] = { [Op.in]: values };
+  });
+
+  return whereClause;
+}
+
+function pickColumns(row, names) {
+  return names.reduce((acc, name) => ({ ...acc, [name]: row[name] }), {});
+}
+
+function toCsvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toParquetRow(row, columns) {
+  return columns.reduce((acc, column) => {
+    const value = row[column.name];
+    if (value === undefined || value === null) return acc;
+
+    switch (PARQUET_TYPES[column.type] || 'UTF8') {
+      case 'DOUBLE':
+        acc[column.name] = parseFloat(value);
+        break;
+      case 'INT64':
+        acc[column.name] = parseInt(value);
+        break;
+      case 'TIMESTAMP_MILLIS':
+        acc[column.name] = new Date(value);
+        break;
+      case 'BOOLEAN':
+        acc[column.name] = Boolean(value);
+        break;
+      default:
+        acc[column.name] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+    return acc;
+  }, {});
+}
+
+function isClosed(output) {
+  return output.destroyed || output.writableEnded;
+}
+
+async function writeChunk(output, chunk) {
+  if (isClosed(output)) return;
+  if (!output.write(chunk)) {
+    await waitForDrain(output);
+  }
+}
+
+// Resolves on drain, or when the client disconnects while we wait
+function waitForDrain(output) {
+  return new Promise(resolve => {
+    const done = () => {
+      output.off('drain', done);
+      output.off('close', done);
+      resolve();
+    };
+    output.on('drain', done);
+    output.on('close', done);
+  });
+}
+
+module.exports = new ExportService();
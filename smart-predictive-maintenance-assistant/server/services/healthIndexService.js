@@ -0,0 +1,398 @@
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize, Equipment, SensorReading, MaintenanceRecord, Alert, Prediction, HealthScore } = require('../models');
+const alertRuleEngine = require('./alertRuleEngine');
+const { getHealthStatus } = require('../utils/analytics');
+const { linearRegression, clamp, round } = require('../utils/statistics');
+require('dotenv').config();
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Maximum penalty of each factor; their sum is taken off 100. A metric's limit penalty depends
+// on the severity of the rule that sets the limit, and all limits together are capped.
+const LIMIT_WEIGHTS = { critical: 25, warning: 15, info: 5 };
+const MAX_PENALTY = { limits: 60, trend: 15, alerts: 20, overdueMaintenance: 15, prediction: 20 };
+const ALERT_PENALTIES = { critical: 10, warning: 5, info: 1 };
+// A limit starts costing points once a metric is within this share of its scale of the limit
+const WARNING_MARGIN = 0.3;
+const MIN_TREND_POINTS = 12;
+
+// Scores equipment health from 0 to 100. Every metric with a threshold alert rule (or an
+// equipment threshold) loses points as its recent average nears the limit, and as its trend
+// heads towards the limit; open alerts, overdue maintenance and the latest failure prediction
+// cost points too. Equipment with no recent readings for any of those metrics has no score and
+// an 'unknown' status. Scores are stored every HEALTH_INDEX_INTERVAL_MS for history and ranking.
+class HealthIndexService {
+  constructor() {
+    this.intervalMs = parseInt(process.env.HEALTH_INDEX_INTERVAL_MS) || HOUR_MS;
+    this.readingWindowMs = (parseInt(process.env.HEALTH_INDEX_READING_WINDOW_MINUTES) || 60) * 60000;
+    this.trendDays = parseInt(process.env.HEALTH_INDEX_TREND_DAYS) || 7;
+    this.trendHorizonDays = parseInt(process.env.HEALTH_INDEX_TREND_HORIZON_DAYS) || 14;
+    this.predictionMaxAgeHours = parseInt(process.env.HEALTH_INDEX_PREDICTION_MAX_AGE_HOURS) || 48;
+    this.retentionDays = parseInt(process.env.HEALTH_INDEX_RETENTION_DAYS) || 365;
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.runAll().catch(error => {
+        console.error('❌ Error recording health scores:', error);
+      });
+    }, this.intervalMs);
+
+    console.log(`🩺 Health index scheduler started (every ${Math.round(this.intervalMs / 60000)} minutes)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Scores every equipment that is not retired and stores the results
+  async runAll(now = new Date()) {
+    if (this.isRunning) {
+      console.warn('⚠️ Previous health index run still in progress, skipping');
+      return [];
+    }
+
+    this.isRunning = true;
+    try {
+      const equipmentList = await Equipment.findAll({
+        where: { status: { [Op.ne]: 'retired' } }
+      });
+
+      const results = [];
+      for (const equipment of equipmentList) {
+        try {
+          results.push(await this.compute(equipment, now));
+        } catch (error) {
+          console.error(`❌ Error computing health index for equipment ${equipment.id}:`, error);
+        }
+      }
+
+      await HealthScore.bulkCreate(results.map(result => ({
+        equipmentId: result.equipmentId,
+        score: result.score,
+        status: result.status,
+        factors: result.factors,
+        computedAt: now
+      })));
+      await HealthScore.destroy({
+        where: { computedAt: { [Op.lt]: new Date(now.getTime() - this.retentionDays * DAY_MS) } }
+      });
+
+      console.log(`🩺 Recorded health scores for ${results.length} equipment`);
+      return results;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  // Current health index of one equipment: { score, status, factors, readings }. Factors that
+  // cost points are listed largest penalty first.
+  async compute(equipment, now = new Date()) {
+    const limits = (await alertRuleEngine.getRulesFor(equipment)).flatMap(toLimits);
+    const metrics = [...new Set(limits.map(limit => limit.metric))];
+    const { current, readingCount, lastReadingAt } = await this.currentValues(equipment, metrics, now);
+    const hourly = await this.hourlyValues(equipment, metrics, now);
+
+    const factors = [
+      ...limitFactors(limits, current),
+      this.trendFactor(limits, current, hourly),
+      await this.alertFactor(equipment),
+      await this.maintenanceFactor(equipment, now),
+      await this.predictionFactor(equipment, now)
+    ].filter(factor => factor && factor.penalty > 0);
+
+    // The limit factors share one cap; scale them down together when they exceed it
+    const limitPenalty = factors.filter(factor => factor.factor === 'limit')
+      .reduce((sum, factor) => sum + factor.penalty, 0);
+    if (limitPenalty > MAX_PENALTY.limits) {
+      factors.filter(factor => factor.factor === 'limit').forEach(factor => {
+        factor.penalty = round(factor.penalty * MAX_PENALTY.limits / limitPenalty, 1);
+      });
+    }
+
+    factors.sort((a, b) => b.penalty - a.penalty);
+    const metricsWithData = metrics.filter(metric => current[metric] !== null);
+
+    // Without readings the limit and trend factors cannot cost points, so a score would only
+    // reflect alerts and maintenance; the factors are still listed
+    const score = metricsWithData.length > 0
+      ? round(clamp(100 - factors.reduce((sum, factor) => sum + factor.penalty, 0), 0, 100), 1)
+      : null;
+
+    return {
+      equipmentId: equipment.id,
+      score,
+      status: score === null ? 'unknown' : getHealthStatus(score),
+      factors,
+      readings: {
+        count: readingCount,
+        lastReadingAt,
+        monitoredMetrics: metrics,
+        metricsWithData
+      },
+      computedAt: now.toISOString()
+    };
+  }
+
+  // Average of each metric over the reading window
+  async currentValues(equipment, metrics, now) {
+    const replacements = {
+      equipmentId: equipment.id,
+      since: new Date(now.getTime() - this.readingWindowMs),
+      until: now
+    };
+    const columns = metrics.map((metric, i) => `AVG(${metricExpression(metric, i, replacements)}) AS "m${i}"`);
+
+    const [row] = await sequelize.query(`
+      SELECT ${[...columns, 'COUNT(*) AS "readingCount"', 'MAX(timestamp) AS "lastReadingAt"'].join(', ')}
+      FROM sensor_readings
+      WHERE equipment_id = :equipmentId AND timestamp >= :since AND timestamp <= :until
+    `, { replacements, type: QueryTypes.SELECT });
+
+    const current = {};
+    metrics.forEach((metric, i) => {
+      current[metric] = row[`m${i}`] === null ? null : parseFloat(row[`m${i}`]);
+    });
+    return { current, readingCount: parseInt(row.readingCount), lastReadingAt: row.lastReadingAt };
+  }
+
+  // Hourly averages of each metric over the trend window, oldest first
+  async hourlyValues(equipment, metrics, now) {
+    if (metrics.length === 0) return [];
+
+    const replacements = {
+      equipmentId: equipment.id,
+      since: new Date(now.getTime() - this.trendDays * DAY_MS),
+      until: now
+    };
+    const columns = metrics.map((metric, i) => `AVG(${metricExpression(metric, i, replacements)}) AS "m${i}"`);
+
+    const rows = await sequelize.query(`
+      SELECT DATE_TRUNC('hour', timestamp) AS hour, ${columns.join(', ')}
+      FROM sensor_readings
+      WHERE equipment_id = :equipmentId AND timestamp >= :since AND timestamp <= :until
+      GROUP BY 1
+      ORDER BY 1
+    `, { replacements, type: QueryTypes.SELECT });
+
+    return rows.map(row => {
+      const values = { hour: new Date(row.hour) };
+      metrics.forEach((metric, i) => {
+        values[metric] = row[`m${i}`] === null ? null : parseFloat(row[`m${i}`]);
+      });
+      return values;
+    });
+  }
+
+  // The metric closing in on a limit fastest, weighted by how well a straight line fits
+  trendFactor(limits, current, hourly) {
+    const horizonHours = this.trendHorizonDays * 24;
+    let worst = null;
+
+    const fits = new Map();
+    limits.forEach(limit => {
+      if (!fits.has(limit.metric)) {
+        const points = hourly
+          .filter(row => row[limit.metric] !== null)
+          .map(row => ({ x: row.hour.getTime() / HOUR_MS, y: row[limit.metric] }));
+        const fit = points.length >= MIN_TREND_POINTS ? linearRegression(points) : null;
+        fits.set(limit.metric, fit && { ...fit, value: fit.intercept + fit.slope * points[points.length - 1].x });
+      }
+      const fit = fits.get(limit.metric);
+      if (!fit) return;
+
+      // Hourly change towards the limit
+      const approach = limit.bound === 'upper' ? fit.slope : -fit.slope;
+      if (approach <= 0) return;
+
+      const value = current[limit.metric] !== null ? current[limit.metric] : fit.value;
+      const hoursToLimit = Math.max(0, (limit.bound === 'upper' ? limit.limit - value : value - limit.limit) / approach);
+      const penalty = MAX_PENALTY.trend * clamp(1 - hoursToLimit / horizonHours, 0, 1) * fit.rSquared;
+
+      if (!worst || penalty > worst.penalty) {
+        worst = {
+          factor: 'trend',
+          metric: limit.metric,
+          bound: limit.bound,
+          limit: limit.limit,
+          changePerDay: round(fit.slope * 24),
+          daysToLimit: round(hoursToLimit / 24, 1),
+          rSquared: round(fit.rSquared),
+          penalty: round(penalty, 1)
+        };
+      }
+    });
+
+    return worst;
+  }
+
+  // Active and acknowledged alerts; acknowledged ones count half
+  async alertFactor(equipment) {
+    const alerts = await Alert.findAll({
+      where: { equipmentId: equipment.id, status: { [Op.in]: ['active', 'acknowledged'] } },
+      attributes: ['type', 'status']
+    });
+    if (alerts.length === 0) return null;
+
+    const counts = { critical: 0, warning: 0, info: 0 };
+    let penalty = 0;
+    alerts.forEach(alert => {
+      counts[alert.type]++;
+      penalty += ALERT_PENALTIES[alert.type] * (alert.status === 'acknowledged' ? 0.5 : 1);
+    });
+
+    return { factor: 'alerts', ...counts, penalty: round(Math.min(MAX_PENALTY.alerts, penalty), 1) };
+  }
+
+  // Scheduled work that is past its date and not started
+  async maintenanceFactor(equipment, now) {
+    const overdue = await MaintenanceRecord.findAll({
+      where: { equipmentId: equipment.id, status: 'scheduled', scheduledDate: { [Op.lt]: now } },
+      attributes: ['scheduledDate']
+    });
+    if (overdue.length === 0) return null;
+
+    const daysOverdue = overdue.map(record => (now - record.scheduledDate) / DAY_MS);
+    const penalty = daysOverdue.reduce((sum, days) => sum + 5 + 0.5 * days, 0);
+
+    return {
+      factor: 'overdueMaintenance',
+      count: overdue.length,
+      maxDaysOverdue: round(Math.max(...daysOverdue), 1),
+      penalty: round(Math.min(MAX_PENALTY.overdueMaintenance, penalty), 1)
+    };
+  }
+
+  async predictionFactor(equipment, now) {
+    const prediction = await Prediction.findOne({
+      where: {
+        equipmentId: equipment.id,
+        predictionType: 'failure',
+        generatedAt: { [Op.gte]: new Date(now.getTime() - this.predictionMaxAgeHours * HOUR_MS) }
+      },
+      order: [['generatedAt', 'DESC']]
+    });
+    if (!prediction) return null;
+
+    return {
+      factor: 'prediction',
+      probability: prediction.probability,
+      riskLevel: prediction.riskLevel,
+      predictionId: prediction.id,
+      penalty: round(MAX_PENALTY.prediction * prediction.probability, 1)
+    };
+  }
+
+  // Stored scores of one equipment in a period, oldest first
+  async history(equipmentId, since) {
+    return HealthScore.findAll({
+      where: { equipmentId, computedAt: { [Op.gte]: since } },
+      attributes: ['score', 'status', 'factors', 'computedAt'],
+      order: [['computedAt', 'ASC']]
+    });
+  }
+
+  // Latest stored score of each equipment that is not retired, worst first and unknown ones
+  // last. Filters are equipment id, location and type lists; null leaves a filter out.
+  async latestScores({ equipmentIds = null, locations = null, types = null, limit = null } = {}) {
+    if ([equipmentIds, locations, types].some(filter => filter && filter.length === 0)) return [];
+
+    const conditions = ["e.status <> 'retired'"];
+    if (equipmentIds) conditions.push('e.id IN (:equipmentIds)');
+    if (locations) conditions.push('e.location IN (:locations)');
+    if (types) conditions.push('e.type IN (:types)');
+
+    const rows = await sequelize.query(`
+      SELECT * FROM (
+        SELECT DISTINCT ON (h.equipment_id)
+          h.equipment_id AS "equipmentId", e.name AS "equipmentName", e.type, e.location,
+          h.score, h.status, h.factors, h.computed_at AS "computedAt"
+        FROM health_scores h
+        JOIN equipment e ON e.id = h.equipment_id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY h.equipment_id, h.computed_at DESC
+      ) latest
+      ORDER BY score ASC NULLS LAST, "equipmentName" ASC
+      ${limit ? 'LIMIT :limit' : ''}
+    `, {
+      replacements: { equipmentIds, locations, types, limit },
+      type: QueryTypes.SELECT
+    });
+
+    return rows.map(row => ({ ...row, score: row.score === null ? null : parseFloat(row.score) }));
+  }
+}
+
+// Upper and lower limits set by a threshold rule. The scale a limit's distance is measured in
+// is half the range for range rules and the limit's own size otherwise.
+function toLimits(rule) {
+  if (rule.condition !== 'threshold') return [];
+
+  const single = (bound) => [{ metric: rule.metric, bound, limit: rule.threshold, scale: Math.abs(rule.threshold) || 1, severity: rule.severity }];
+  switch (rule.operator) {
+    case 'gt':
+    case 'gte':
+      return single('upper');
+    case 'lt':
+    case 'lte':
+      return single('lower');
+    case 'outside': {
+      const scale = (rule.thresholdHigh - rule.threshold) / 2 || 1;
+      return [
+        { metric: rule.metric, bound: 'lower', limit: rule.threshold, scale, severity: rule.severity },
+        { metric: rule.metric, bound: 'upper', limit: rule.thresholdHigh, scale, severity: rule.severity }
+      ];
+    }
+    default:
+      return [];
+  }
+}
+
+// One factor per metric: the limit it is closest to, weighted by that rule's severity
+function limitFactors(limits, current) {
+  const worst = new Map();
+
+  limits.forEach(limit => {
+    const value = current[limit.metric];
+    if (value === null || value === undefined) return;
+
+    const margin = (limit.bound === 'upper' ? limit.limit - value : value - limit.limit) / limit.scale;
+    const closeness = clamp(1 - margin / WARNING_MARGIN, 0, 1);
+    const penalty = closeness * (LIMIT_WEIGHTS[limit.severity] || LIMIT_WEIGHTS.warning);
+
+    const previous = worst.get(limit.metric);
+    if (!previous || penalty > previous.penalty) {
+      worst.set(limit.metric, {
+        factor: 'limit',
+        metric: limit.metric,
+        value: round(value),
+        bound: limit.bound,
+        limit: limit.limit,
+        penalty: round(penalty, 1)
+      });
+    }
+  });
+
+  return [...worst.values()];
+}
+
+// SQL for a metric the way alert rules resolve it: a reading column, or a numeric
+// additionalMetrics key
+function metricExpression(metric, index, replacements) {
+  const attribute = !metric.startsWith('additionalMetrics.') && SensorReading.rawAttributes[metric];
+  if (attribute) return `"${attribute.field}"`;
+
+  replacements[`key${index}`] = metric.replace(/^additionalMetrics\./, '');
+  return `CASE WHEN jsonb_typeof(additional_metrics -> :key${index}) = 'number' ` +
+    `THEN (additional_metrics ->> :key${index})::float END`;
+}
+
+module.exports = new HealthIndexService();
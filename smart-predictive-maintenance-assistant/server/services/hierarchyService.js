@@ -0,0 +1,359 @@
+const { Op } = require('sequelize');
+const { sequelize, HierarchyNode, Equipment, Alert, MaintenanceRecord } = require('../models');
+const healthIndexService = require('./healthIndexService');
+const { pick, isUuid } = require('../utils/request');
+const { ServiceError } = require('../utils/errors');
+const { getLocationScope, canAccessLocation } = require('../utils/permissions');
+const { mean, round } = require('../utils/statistics');
+
+const LEVELS = ['site', 'area', 'line'];
+const NODE_FIELDS = ['name', 'code', 'description'];
+const OPEN_STATUSES = ['scheduled', 'in_progress'];
+
+// Site -> area -> line hierarchy. Equipment is placed at any node, and components (parentId)
+// are always placed with their parent. Equipment.location always holds the name of the site
+// the equipment is in, which keeps location scopes, stock locations and the location channel
+// working on sites; that is also why sites cannot be renamed.
+class HierarchyService {
+  async loadNodes() {
+    return HierarchyNode.findAll({
+      attributes: ['id', 'name', 'code', 'level', 'parentId', 'description'],
+      order: [['name', 'ASC']],
+      raw: true
+    });
+  }
+
+  // The node tree with the number of non-retired equipment at or below each node. Location-
+  // scoped users only see their sites.
+  async tree(user) {
+    const nodes = await this.loadNodes();
+    const counts = await Equipment.findAll({
+      where: { status: { [Op.ne]: 'retired' }, hierarchyNodeId: { [Op.ne]: null } },
+      attributes: ['hierarchyNodeId', [sequelize.fn('COUNT', '*'), 'count']],
+      group: ['hierarchyNodeId'],
+      raw: true
+    });
+    const direct = new Map(counts.map(row => [row.hierarchyNodeId, parseInt(row.count)]));
+
+    const build = (node) => {
+      const children = nodes.filter(child => child.parentId === node.id).map(build);
+      return {
+        ...node,
+        equipmentCount: (direct.get(node.id) || 0) + children.reduce((sum, child) => sum + child.equipmentCount, 0),
+        children
+      };
+    };
+
+    const scope = getLocationScope(user);
+    return nodes
+      .filter(node => node.parentId === null && (scope === null || scope.includes(node.name)))
+      .map(build);
+  }
+
+  async findNode(id) {
+    if (!isUuid(id)) throw new ServiceError('Invalid hierarchy node id');
+    const node = await HierarchyNode.findByPk(id);
+    if (!node) throw new ServiceError('Hierarchy node not found', 404);
+    return node;
+  }
+
+  // Nodes from the site down to the given node
+  async path(nodeId) {
+    return pathOf(await this.loadNodes(), nodeId);
+  }
+
+  // Ids of the node and every node below it
+  async subtreeIds(nodeId) {
+    const nodes = await this.loadNodes();
+    if (!nodes.some(node => node.id === nodeId)) throw new ServiceError('Hierarchy node not found', 404);
+    return subtreeOf(nodes, nodeId);
+  }
+
+  // Equipment placed at the node or below it, components included
+  async equipmentIdsUnder(nodeId) {
+    const equipment = await Equipment.findAll({
+      where: { hierarchyNodeId: { [Op.in]: await this.subtreeIds(nodeId) } },
+      attributes: ['id'],
+      raw: true
+    });
+    return equipment.map(item => item.id);
+  }
+
+  // Narrows an equipment scope (see authService.getEquipmentScope) to a node; null node keeps it
+  async narrowScope(equipmentScope, nodeId) {
+    if (!nodeId) return equipmentScope;
+    const ids = await this.equipmentIdsUnder(nodeId);
+    return equipmentScope ? ids.filter(id => equipmentScope.includes(id)) : ids;
+  }
+
+  // { name, level, parentId, code, description }. Sites can only be created by users who are
+  // not limited to locations.
+  async createNode(data, user) {
+    if (!LEVELS.includes(data.level)) {
+      throw new ServiceError(`level must be one of ${LEVELS.join(', ')}`);
+    }
+
+    const nodes = await this.loadNodes();
+    const node = HierarchyNode.build({ ...pick(data, NODE_FIELDS), level: data.level, parentId: data.parentId || null });
+    this.validateParent(node, nodes);
+
+    if (node.level === 'site') {
+      if (getLocationScope(user) !== null) {
+        throw new ServiceError('Only users without location limits can create sites', 403);
+      }
+    } else {
+      this.assertSiteAccess(user, pathOf(nodes, node.parentId)[0].name);
+    }
+    this.assertUniqueName(node, nodes);
+
+    return node.save();
+  }
+
+  // Renames a node, or moves an area to another site or a line to another area. Equipment
+  // moved to another site gets that site as its location.
+  async updateNode(node, data, user) {
+    const nodes = await this.loadNodes();
+    const [site] = pathOf(nodes, node.id);
+    this.assertSiteAccess(user, site.name);
+
+    if (node.level === 'site' && data.name !== undefined && data.name !== node.name) {
+      throw new ServiceError('Site names are equipment locations and cannot be changed', 409);
+    }
+    node.set(pick(data, NODE_FIELDS));
+
+    let newSite = site;
+    if (data.parentId !== undefined && data.parentId !== node.parentId) {
+      node.parentId = data.parentId;
+      this.validateParent(node, nodes);
+      [newSite] = pathOf(nodes, node.parentId);
+      this.assertSiteAccess(user, newSite.name);
+    }
+    this.assertUniqueName(node, nodes);
+
+    return sequelize.transaction(async (transaction) => {
+      await node.save({ transaction });
+      if (newSite.id !== site.id) {
+        await Equipment.update(
+          { location: newSite.name },
+          { where: { hierarchyNodeId: { [Op.in]: subtreeOf(nodes, node.id) } }, transaction }
+        );
+      }
+      return node;
+    });
+  }
+
+  // Only empty nodes can be deleted, so no equipment is ever left without a site
+  async deleteNode(node, user) {
+    const nodes = await this.loadNodes();
+    this.assertSiteAccess(user, pathOf(nodes, node.id)[0].name);
+
+    if (nodes.some(child => child.parentId === node.id)) {
+      throw new ServiceError('Node has child nodes; delete or move them first', 409);
+    }
+    if (await Equipment.count({ where: { hierarchyNodeId: node.id } }) > 0) {
+      throw new ServiceError('Node has equipment; move it first', 409);
+    }
+    await node.destroy();
+  }
+
+  // Placement fields for creating or updating equipment from a request body:
+  // { hierarchyNodeId, parentId, location }. A parent places a component with it; a node sets
+  // the location to the node's site; a location alone (as before the hierarchy) places the
+  // equipment at the site with that name, creating the site when it doesn't exist yet. The
+  // user needs access to the resulting site.
+  async resolvePlacement(data, user, equipment = null) {
+    const current = equipment
+      ? { hierarchyNodeId: equipment.hierarchyNodeId, parentId: equipment.parentId, location: equipment.location }
+      : { hierarchyNodeId: null, parentId: null, location: null };
+    const parentId = data.parentId !== undefined ? data.parentId : current.parentId;
+
+    if (parentId) {
+      if (!isUuid(parentId)) throw new ServiceError('parentId must be an equipment id');
+      const parent = await Equipment.findByPk(parentId, { attributes: ['id', 'parentId', 'hierarchyNodeId', 'location'] });
+      if (!parent) throw new ServiceError('Parent equipment not found');
+      if ((data.hierarchyNodeId !== undefined && data.hierarchyNodeId !== parent.hierarchyNodeId) ||
+        (data.location !== undefined && data.location !== parent.location)) {
+        throw new ServiceError('Components are placed with their parent equipment; clear parentId to place it elsewhere');
+      }
+      if (equipment) await this.assertNotAncestor(equipment.id, parent);
+      this.assertSiteAccess(user, parent.location);
+      return { parentId: parent.id, hierarchyNodeId: parent.hierarchyNodeId, location: parent.location };
+    }
+
+    if (data.hierarchyNodeId) {
+      const [site] = pathOf(await this.loadNodes(), data.hierarchyNodeId);
+      if (!site) throw new ServiceError('Hierarchy node not found');
+      this.assertSiteAccess(user, site.name);
+      return { parentId: null, hierarchyNodeId: data.hierarchyNodeId, location: site.name };
+    }
+
+    // A null node places the equipment directly at its site, so it never leaves the hierarchy
+    const location = data.location || current.location;
+    if (location && (location !== current.location || data.hierarchyNodeId === null)) {
+      this.assertSiteAccess(user, location);
+      const [site] = await HierarchyNode.findOrCreate({
+        where: { name: location, parentId: null },
+        defaults: { level: 'site' }
+      });
+      return { parentId: null, hierarchyNodeId: site.id, location: site.name };
+    }
+
+    return { parentId: null, hierarchyNodeId: current.hierarchyNodeId, location: current.location };
+  }
+
+  // Gives every component below the equipment its placement
+  async syncComponents(equipment, transaction) {
+    let parentIds = [equipment.id];
+    const seen = new Set(parentIds);
+
+    while (parentIds.length > 0) {
+      const components = await Equipment.findAll({
+        where: { parentId: { [Op.in]: parentIds } },
+        attributes: ['id'],
+        transaction
+      });
+      const ids = components.map(component => component.id).filter(id => !seen.has(id));
+      if (ids.length === 0) return;
+
+      ids.forEach(id => seen.add(id));
+      await Equipment.update(
+        { hierarchyNodeId: equipment.hierarchyNodeId, location: equipment.location },
+        { where: { id: { [Op.in]: ids } }, transaction }
+      );
+      parentIds = ids;
+    }
+  }
+
+  // Equipment, alert, work order and health figures for the node and for each node (or
+  // directly placed equipment) one level below it
+  async summary(node) {
+    const nodes = await this.loadNodes();
+    const groups = nodes.filter(child => child.parentId === node.id)
+      .map(child => ({ node: child, ids: new Set(subtreeOf(nodes, child.id)) }));
+
+    const equipment = await Equipment.findAll({
+      where: {
+        hierarchyNodeId: { [Op.in]: subtreeOf(nodes, node.id) },
+        status: { [Op.ne]: 'retired' }
+      },
+      attributes: ['id', 'name', 'status', 'hierarchyNodeId'],
+      raw: true
+    });
+    const ids = equipment.map(item => item.id);
+
+    const alerts = await Alert.findAll({
+      where: { equipmentId: { [Op.in]: ids }, status: 'active' },
+      attributes: ['equipmentId', 'type'],
+      raw: true
+    });
+    const workOrders = await MaintenanceRecord.findAll({
+      where: { equipmentId: { [Op.in]: ids }, status: { [Op.in]: OPEN_STATUSES } },
+      attributes: ['equipmentId', 'status', 'scheduledDate'],
+      raw: true
+    });
+    const scores = await healthIndexService.latestScores({ equipmentIds: ids });
+
+    const rollUp = (members) => {
+      const memberIds = new Set(members.map(item => item.id));
+      const memberScores = scores.filter(score => memberIds.has(score.equipmentId) && score.score !== null);
+      const unknownHealth = scores.filter(score => memberIds.has(score.equipmentId) && score.score === null);
+      const memberAlerts = alerts.filter(alert => memberIds.has(alert.equipmentId));
+      const memberWork = workOrders.filter(record => memberIds.has(record.equipmentId));
+      const worst = memberScores[0];
+      const now = new Date();
+
+      return {
+        equipment: {
+          total: members.length,
+          byStatus: members.reduce((acc, item) => {
+            acc[item.status] = (acc[item.status] || 0) + 1;
+            return acc;
+          }, {})
+        },
+        activeAlerts: {
+          critical: memberAlerts.filter(alert => alert.type === 'critical').length,
+          warning: memberAlerts.filter(alert => alert.type === 'warning').length,
+          info: memberAlerts.filter(alert => alert.type === 'info').length
+        },
+        openWorkOrders: memberWork.length,
+        overdueWorkOrders: memberWork.filter(record => record.status === 'scheduled' && record.scheduledDate < now).length,
+        health: {
+          scored: memberScores.length,
+          averageScore: memberScores.length > 0 ? round(mean(memberScores.map(score => score.score)), 1) : null,
+          poor: memberScores.filter(score => score.status === 'poor').length,
+          unknown: unknownHealth.length,
+          worst: worst ? { equipmentId: worst.equipmentId, equipmentName: worst.equipmentName, score: worst.score } : null
+        }
+      };
+    };
+
+    return {
+      node: { id: node.id, name: node.name, level: node.level },
+      path: pathOf(nodes, node.id),
+      ...rollUp(equipment),
+      children: groups.map(group => ({
+        node: { id: group.node.id, name: group.node.name, level: group.node.level },
+        ...rollUp(equipment.filter(item => group.ids.has(item.hierarchyNodeId)))
+      })),
+      // Equipment placed at this node itself rather than below it
+      direct: rollUp(equipment.filter(item => item.hierarchyNodeId === node.id)),
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  // Sites have no parent, areas sit in a site and lines in an area
+  validateParent(node, nodes) {
+    if (node.level === 'site') {
+      if (node.parentId) throw new ServiceError('Sites cannot have a parent');
+      return;
+    }
+
+    const parent = nodes.find(item => item.id === node.parentId);
+    const expected = LEVELS[LEVELS.indexOf(node.level) - 1];
+    if (!parent || parent.level !== expected) {
+      throw new ServiceError(`An ${node.level === 'area' ? 'area' : 'line'} needs a parent ${expected}`);
+    }
+  }
+
+  assertUniqueName(node, nodes) {
+    if (nodes.some(other => other.id !== node.id && other.parentId === (node.parentId || null) && other.name === node.name)) {
+      throw new ServiceError(`${node.name} already exists at this level`, 409);
+    }
+  }
+
+  assertSiteAccess(user, siteName) {
+    if (!canAccessLocation(user, siteName)) {
+      throw new ServiceError(`You do not have access to ${siteName}`, 403);
+    }
+  }
+
+  async assertNotAncestor(equipmentId, parent) {
+    const seen = new Set();
+    for (let current = parent; current; ) {
+      if (current.id === equipmentId) {
+        throw new ServiceError('Equipment cannot be a component of itself or of its own components');
+      }
+      if (!current.parentId || seen.has(current.id)) return;
+      seen.add(current.id);
+      current = await Equipment.findByPk(current.parentId, { attributes: ['id', 'parentId'] });
+    }
+  }
+}
+
+function pathOf(nodes, nodeId) {
+  const path = [];
+  for (let node = nodes.find(item => item.id === nodeId); node; node = nodes.find(item => item.id === node.parentId)) {
+    path.unshift({ id: node.id, name: node.name, level: node.level });
+  }
+  return path;
+}
+
+function subtreeOf(nodes, nodeId) {
+  const ids = [nodeId];
+  for (let i = 0; i < ids.length; i++) {
+    nodes.filter(node => node.parentId === ids[i]).forEach(node => ids.push(node.id));
+  }
+  return ids;
+}
+
+module.exports = new HierarchyService();
@@ -0,0 +1,521 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const { pipeline } = require('stream');
+const { parse } = require('csv-parse');
+const StreamArray = require('stream-json/streamers/StreamArray');
+const { parser: jsonlParser } = require('stream-json/jsonl/Parser');
+const moment = require('moment-timezone');
+const { sequelize, MaintenanceRecord, ImportJob } = require('../models');
+const ingestBuffer = require('./ingestBuffer');
+const ingestionService = require('./ingestionService');
+const timescaleService = require('./timescaleService');
+const { READING_FIELDS, DEFAULT_CANONICAL_UNITS, compileField, validateCanonicalUnits, normalizeValue, assignField } = require('../utils/fieldMapping');
+const { parsePath, getPath } = require('../utils/jsonPath');
+const { ServiceError } = require('../utils/errors');
+require('dotenv').config();
+
+// Target columns per import type; anything not listed is rejected when compiling the options
+const TARGETS = {
+  sensor_readings: {
+    required: ['timestamp'],
+    dates: ['timestamp'],
+    readings: READING_FIELDS.filter(field => field !== 'additionalMetrics')
+  },
+  maintenance_records: {
+    model: MaintenanceRecord,
+    required: ['type', 'scheduledDate'],
+    dates: ['scheduledDate', 'completedDate'],
+    numbers: ['cost', 'downtime'],
+    text: ['type', 'status', 'technician', 'description', 'workPerformed', 'notes'],
+    json: ['partsUsed']
+  }
+};
+
+const FORMATS = ['csv', 'json', 'ndjson'];
+
+// Streams CSV, JSON-array and NDJSON files into SensorReading or MaintenanceRecord in batches.
+// Each batch is written together with the job's checkpoint, so a failed or cancelled job
+// resumes after the last committed row. Emits 'progress' after every batch and 'finished'.
+class ImportService extends EventEmitter {
+  constructor() {
+    super();
+    this.batchSize = parseInt(process.env.IMPORT_BATCH_SIZE) || 1000;
+    this.maxStoredErrors = parseInt(process.env.IMPORT_MAX_STORED_ERRORS) || 1000;
+    this.activeJobs = new Set();
+    this.cancelRequested = new Set();
+  }
+
+  async createJob({
+    type, format, filePath, fileName, options = {}, dryRun = false, skipAlerts = true, createdBy, allowedLocations = null
+  }) {
+    if (!TARGETS[type]) {
+      throw new ServiceError(`type must be one of: ${Object.keys(TARGETS).join(', ')}`, 400);
+    }
+
+    const resolvedFormat = format || detectFormat(fileName || filePath);
+    if (!FORMATS.includes(resolvedFormat)) {
+      throw new ServiceError(`format must be one of: ${FORMATS.join(', ')}`, 400);
+    }
+
+    // Fail on a bad column mapping before any row is read
+    try {
+      compileOptions(type, options);
+    } catch (error) {
+      throw new ServiceError(`Invalid import options: ${error.message}`, 400);
+    }
+
+    return ImportJob.create({
+      type,
+      format: resolvedFormat,
+      fileName: fileName || filePath,
+      filePath,
+      options,
+      dryRun,
+      skipAlerts,
+      createdBy,
+      allowedLocations
+    });
+  }
+
+  // Runs the job in the background
+  start(job) {
+    this.run(job).catch(error => {
+      console.error(`❌ Import job ${job.id} crashed:`, error);
+    });
+    return job;
+  }
+
+  async resume(job) {
+    if (this.activeJobs.has(job.id)) {
+      throw new ServiceError('Import job is already running', 409);
+    }
+    if (job.status === 'completed') {
+      throw new ServiceError('Import job has already completed', 409);
+    }
+    if (!fs.existsSync(job.filePath)) {
+      throw new ServiceError('The import file is no longer available; upload it again', 410);
+    }
+
+    return this.start(job);
+  }
+
+  cancel(job) {
+    if (!this.activeJobs.has(job.id)) {
+      throw new ServiceError('Import job is not running', 409);
+    }
+    this.cancelRequested.add(job.id);
+  }
+
+  // Creates the real import for a validated dry run, reusing its file and options.
+  // The location scope is the importing user's, not the dry run's.
+  async createFromDryRun(job, createdBy, allowedLocations = null) {
+    if (!job.dryRun || job.status !== 'completed') {
+      throw new ServiceError('Only a completed dry run can be imported', 409);
+    }
+
+    return this.createJob({
+      type: job.type,
+      format: job.format,
+      filePath: job.filePath,
+      fileName: job.fileName,
+      options: job.options,
+      dryRun: false,
+      skipAlerts: job.skipAlerts,
+      createdBy,
+      allowedLocations
+    });
+  }
+
+  isActive(jobId) {
+    return this.activeJobs.has(jobId);
+  }
+
+  async run(job) {
+    if (this.activeJobs.has(job.id)) {
+      throw new ServiceError('Import job is already running', 409);
+    }
+    this.activeJobs.add(job.id);
+
+    const progress = {
+      rowsProcessed: job.rowsProcessed,
+      rowsImported: job.rowsImported,
+      rowsFailed: job.rowsFailed,
+      lastRow: job.lastRow,
+      rowErrors: [...(job.rowErrors || [])],
+      readingsFrom: job.readingsFrom,
+      readingsTo: job.readingsTo
+    };
+    let status = 'completed';
+    let failureReason = null;
+
+    try {
+      await job.update({ status: 'running', startedAt: job.startedAt || new Date(), finishedAt: null, failureReason: null });
+      console.log(`📥 ${job.dryRun ? 'Validating' : 'Importing'} ${job.fileName} (${job.type}, from row ${job.lastRow + 1})`);
+
+      const compiled = compileOptions(job.type, job.options);
+      let batch = [];
+
+      for await (const entry of readRecords(job)) {
+        if (entry.row <= job.lastRow) continue;
+
+        batch.push(entry);
+        if (batch.length >= this.batchSize) {
+          await this.processBatch(job, compiled, batch, progress);
+          batch = [];
+          if (this.cancelRequested.has(job.id)) break;
+        }
+      }
+
+      if (this.cancelRequested.has(job.id)) {
+        status = 'cancelled';
+      } else if (batch.length > 0) {
+        await this.processBatch(job, compiled, batch, progress);
+      }
+    } catch (error) {
+      status = 'failed';
+      failureReason = error.message;
+      console.error(`❌ Import job ${job.id} failed:`, error.message);
+    } finally {
+      this.activeJobs.delete(job.id);
+      this.cancelRequested.delete(job.id);
+    }
+
+    await job.update({ ...progress, status, failureReason, finishedAt: new Date() });
+    // Imported history is usually older than the continuous aggregates' refresh window. The
+    // range covers earlier runs of a resumed job too, as it is saved with each checkpoint.
+    if (progress.readingsFrom) {
+      await timescaleService.refreshAggregates(progress.readingsFrom, progress.readingsTo).catch(error => {
+        console.error('❌ Error refreshing sensor aggregates after import:', error.message);
+      });
+    }
+    console.log(`📥 Import job ${job.id} ${status}: ${progress.rowsImported} rows ok, ${progress.rowsFailed} failed`);
+    this.emit('finished', job);
+    return job;
+  }
+
+  async processBatch(job, compiled, batch, progress) {
+    const valid = [];
+    const errors = [];
+    let failedRows = 0;
+
+    for (const { row, record } of batch) {
+      const rowErrors = [];
+      const result = mapRow(record, compiled, rowErrors);
+
+      if (rowErrors.length === 0) {
+        const equipment = await ingestionService.resolveEquipment(result.equipmentRef);
+        if (!equipment) {
+          rowErrors.push({ field: 'equipment', message: `Equipment ${result.equipmentRef.matchBy} ${result.equipmentRef.value} not found` });
+        } else if (job.allowedLocations && !job.allowedLocations.includes(equipment.location)) {
+          rowErrors.push({ field: 'equipment', message: `Equipment ${result.equipmentRef.value} is at ${equipment.location}, outside this import's locations` });
+        } else if (job.type === 'maintenance_records') {
+          await validateRecord(MaintenanceRecord.build({ ...result.values, equipmentId: equipment.id }), rowErrors);
+        } else if (Object.keys(result.fields).length === 0) {
+          rowErrors.push({ field: null, message: 'Row has no reading values' });
+        }
+        result.equipment = equipment;
+      }
+
+      if (rowErrors.length > 0) {
+        errors.push(...rowErrors.map(error => ({ row, ...error })));
+        failedRows++;
+      } else {
+        valid.push(result);
+      }
+    }
+
+    // The checkpoint only moves once the batch is committed
+    const next = nextProgress(progress, batch, valid.length, failedRows, errors, this.maxStoredErrors);
+    let results = [];
+
+    if (!job.dryRun && valid.length > 0) {
+      if (job.type === 'sensor_readings') Object.assign(next, widenRange(progress, valid));
+      await sequelize.transaction(async (transaction) => {
+        if (job.type === 'sensor_readings') {
+          results = await ingestBuffer.writeReadings(mergeReadings(valid), { transaction });
+        } else {
+          await MaintenanceRecord.bulkCreate(
+            valid.map(result => ({ ...result.values, equipmentId: result.equipment.id })),
+            { transaction }
+          );
+        }
+        await job.update(next, { transaction });
+      });
+    } else {
+      await job.update(next);
+    }
+    Object.assign(progress, next);
+
+    // Alerts run after the batch is committed, like a buffer flush
+    if (!job.skipAlerts && results.length > 0) {
+      await ingestionService.handleFlush(results);
+    }
+
+    this.emit('progress', job);
+  }
+}
+
+function nextProgress(progress, batch, imported, failed, errors, maxStoredErrors) {
+  // Row errors are counted in full but only the first ones are kept for the report
+  const room = Math.max(0, maxStoredErrors - progress.rowErrors.length);
+
+  return {
+    rowsProcessed: progress.rowsProcessed + batch.length,
+    rowsImported: progress.rowsImported + imported,
+    rowsFailed: progress.rowsFailed + failed,
+    lastRow: batch[batch.length - 1].row,
+    rowErrors: progress.rowErrors.concat(errors.slice(0, room))
+  };
+}
+
+// The reading time range imported so far, including the given rows
+function widenRange({ readingsFrom, readingsTo }, rows) {
+  const times = rows.map(row => row.timestamp.getTime());
+  const from = Math.min(...times, readingsFrom ? new Date(readingsFrom).getTime() : Infinity);
+  const to = Math.max(...times, readingsTo ? new Date(readingsTo).getTime() : -Infinity);
+  return { readingsFrom: new Date(from), readingsTo: new Date(to) };
+}
+
+function detectFormat(fileName = '') {
+  const name = fileName.toLowerCase();
+  if (name.endsWith('.csv') || name.endsWith('.txt')) return 'csv';
+  if (name.endsWith('.ndjson') || name.endsWith('.jsonl')) return 'ndjson';
+  if (name.endsWith('.json')) return 'json';
+  return null;
+}
+
+// Yields { row, record } with 1-based data row numbers (the CSV header is not counted)
+async function* readRecords(job) {
+  const input = fs.createReadStream(job.filePath);
+  const options = job.options || {};
+  let row = 0;
+
+  if (job.format === 'csv') {
+    const records = pipeline(input, parse({
+      columns: true,
+      bom: true,
+      trim: true,
+      skip_empty_lines: true,
+      delimiter: options.delimiter || ','
+    }), () => {});
+
+    for await (const record of records) {
+      yield { row: ++row, record };
+    }
+    return;
+  }
+
+  const streamer = job.format === 'json' ? StreamArray.withParser() : jsonlParser();
+  const records = pipeline(input, streamer, () => {});
+
+  for await (const { value } of records) {
+    yield { row: ++row, record: value };
+  }
+}
+
+// options: { columns, equipment, timezone, timestampFormat, delimiter, canonicalUnits }
+//   columns: target -> "Source column" or { column, unit, targetUnit, scale, offset, format, values }
+//   equipment: { column | value, matchBy: 'serialNumber' | 'id' }
+function compileOptions(type, options = {}) {
+  const targets = TARGETS[type];
+  const timezone = options.timezone || 'UTC';
+  if (!moment.tz.zone(timezone)) {
+    throw new Error(`unknown timezone "${timezone}"`);
+  }
+
+  const canonicalUnits = options.canonicalUnits || DEFAULT_CANONICAL_UNITS;
+  validateCanonicalUnits(canonicalUnits);
+
+  const equipment = options.equipment || {};
+  const matchBy = equipment.matchBy || 'serialNumber';
+  if (!['id', 'serialNumber'].includes(matchBy)) {
+    throw new Error('equipment.matchBy must be "id" or "serialNumber"');
+  }
+
+  const knownTargets = [
+    ...targets.dates,
+    ...(targets.readings || []),
+    ...(targets.numbers || []),
+    ...(targets.text || []),
+    ...(targets.json || [])
+  ];
+
+  // Without a mapping, columns are expected to carry the field names
+  const specs = options.columns || knownTargets.reduce((acc, target) => ({ ...acc, [target]: target }), {});
+
+  const columns = Object.keys(specs).map(target => {
+    const spec = typeof specs[target] === 'string' ? { column: specs[target] } : specs[target];
+    if (!spec || !spec.column) {
+      throw new Error(`columns.${target}: column is required`);
+    }
+
+    const column = {
+      target,
+      column: spec.column,
+      path: spec.column.startsWith('$') ? parsePath(spec.column) : null,
+      required: targets.required.includes(target),
+      values: spec.values || null
+    };
+
+    if (targets.dates.includes(target)) {
+      return { ...column, kind: 'date', format: spec.format || options.timestampFormat };
+    }
+    if (targets.readings && (targets.readings.includes(target) || target.startsWith('additionalMetrics.'))) {
+      return { ...column, kind: 'reading', ...compileField(`columns.${target}`, target, spec, canonicalUnits) };
+    }
+    if (targets.numbers && targets.numbers.includes(target)) {
+      return { ...column, kind: 'number' };
+    }
+    if (targets.text && targets.text.includes(target)) {
+      const attribute = targets.model && targets.model.rawAttributes[target];
+      return { ...column, kind: 'text', allowed: attribute && attribute.values ? attribute.values : null };
+    }
+    if (targets.json && targets.json.includes(target)) {
+      return { ...column, kind: 'json' };
+    }
+    throw new Error(`columns.${target}: unknown ${type} field`);
+  });
+
+  targets.required
+    .filter(target => !columns.some(column => column.target === target))
+    .forEach(target => {
+      throw new Error(`columns.${target} is required`);
+    });
+
+  return {
+    timezone,
+    columns,
+    equipment: {
+      matchBy,
+      value: equipment.value,
+      column: equipment.column || (equipment.value ? null : matchBy),
+      path: equipment.column && equipment.column.startsWith('$') ? parsePath(equipment.column) : null
+    }
+  };
+}
+
+function readColumn(record, column) {
+  return column.path ? getPath(record, column.path) : record[column.column];
+}
+
+function mapRow(record, compiled, rowErrors) {
+  const equipmentValue = compiled.equipment.value !== undefined
+    ? compiled.equipment.value
+    : readColumn(record, compiled.equipment);
+
+  if (equipmentValue === undefined || equipmentValue === null || equipmentValue === '') {
+    rowErrors.push({ field: 'equipment', message: `Missing equipment column "${compiled.equipment.column}"` });
+  }
+
+  const result = {
+    equipmentRef: { matchBy: compiled.equipment.matchBy, value: String(equipmentValue) },
+    values: {},
+    fields: {}
+  };
+
+  compiled.columns.forEach(column => {
+    const raw = readColumn(record, column);
+    if (raw === undefined || raw === null || raw === '') {
+      if (column.required) {
+        rowErrors.push({ field: column.target, message: `Missing required column "${column.column}"` });
+      }
+      return;
+    }
+
+    try {
+      const value = convertValue(raw, column, compiled);
+      if (column.kind === 'reading') {
+        assignField(result.fields, column, value);
+      } else {
+        result.values[column.target] = value;
+      }
+    } catch (error) {
+      rowErrors.push({ field: column.target, message: error.message, value: String(raw) });
+    }
+  });
+
+  if (result.values.timestamp) {
+    result.timestamp = result.values.timestamp;
+  }
+  return result;
+}
+
+function convertValue(raw, column, compiled) {
+  const mapped = column.values && Object.prototype.hasOwnProperty.call(column.values, raw) ? column.values[raw] : raw;
+
+  switch (column.kind) {
+    case 'date':
+      return parseTimestamp(mapped, column.format, compiled.timezone);
+    case 'reading': {
+      const value = normalizeValue(mapped, column);
+      if (!column.metricKey && (typeof value !== 'number' || !isFinite(value))) {
+        throw new Error(`Not a number: "${raw}"`);
+      }
+      return value;
+    }
+    case 'number': {
+      const value = typeof mapped === 'number' ? mapped : parseFloat(String(mapped).replace(/,/g, ''));
+      if (!isFinite(value)) {
+        throw new Error(`Not a number: "${raw}"`);
+      }
+      return column.target === 'downtime' ? Math.round(value) : value;
+    }
+    case 'json':
+      return typeof mapped === 'string' ? JSON.parse(mapped) : mapped;
+    default:
+      if (column.allowed && !column.allowed.includes(String(mapped))) {
+        throw new Error(`"${raw}" is not one of: ${column.allowed.join(', ')}`);
+      }
+      return String(mapped);
+  }
+}
+
+// Timestamps without an offset are read in the job's timezone; epoch numbers are seconds or milliseconds
+function parseTimestamp(value, format, timezone) {
+  let parsed;
+
+  if (typeof value === 'number' || (/^\d{9,13}$/.test(String(value)) && !format)) {
+    const epoch = Number(value);
+    parsed = moment(epoch < 1e11 ? epoch * 1000 : epoch);
+  } else if (format) {
+    parsed = moment.tz(String(value), format, true, timezone);
+  } else {
+    parsed = moment.tz(String(value), moment.ISO_8601, timezone);
+  }
+
+  if (!parsed.isValid()) {
+    throw new Error(`Invalid date: "${value}"${format ? ` (expected ${format})` : ''}`);
+  }
+  return parsed.toDate();
+}
+
+// Rows for the same equipment and timestamp are combined, since one upsert cannot touch a row twice
+function mergeReadings(rows) {
+  const entries = new Map();
+
+  rows.forEach(row => {
+    const key = `${row.equipment.id}:${row.timestamp.getTime()}`;
+    const entry = entries.get(key) || { equipment: row.equipment, timestamp: row.timestamp, fields: {} };
+
+    Object.keys(row.fields).forEach(field => {
+      entry.fields[field] = field === 'additionalMetrics'
+        ? { ...(entry.fields.additionalMetrics || {}), ...row.fields.additionalMetrics }
+        : row.fields[field];
+    });
+    entries.set(key, entry);
+  });
+
+  return Array.from(entries.values());
+}
+
+async function validateRecord(record, rowErrors) {
+  try {
+    await record.validate({ skip: ['equipmentId'] });
+  } catch (error) {
+    (error.errors || [{ path: null, message: error.message }]).forEach(err => {
+      rowErrors.push({ field: err.path, message: err.message, value: err.value === undefined ? undefined : String(err.value) });
+    });
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,417 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { QueryTypes } = require('sequelize');
+const { sequelize, Equipment, SensorReading } = require('../models');
+require('dotenv').config();
+
+const METRIC_FIELDS = [
+  'temperature',
+  'vibration',
+  'pressure',
+  'humidity',
+  'electricalCurrent',
+  'voltage',
+  'rpm',
+  'powerConsumption'
+];
+
+// Collects partial sensor messages in memory, merges them into per-equipment time buckets
+// and writes them with one bulk upsert per flush. Emits 'flush' with the stored readings.
+// A message id counts as seen once its bucket is buffered and is remembered for the dedupe
+// TTL only after the bucket has been written, so a message whose write failed can be retried.
+class IngestBuffer extends EventEmitter {
+  constructor() {
+    super();
+    this.bucketMs = parseInt(process.env.INGEST_BUCKET_MS) || 5000;
+    this.flushIntervalMs = parseInt(process.env.INGEST_FLUSH_INTERVAL_MS) || 1000;
+    this.maxBatchSize = parseInt(process.env.INGEST_MAX_BATCH_SIZE) || 500;
+    this.maxRetries = parseInt(process.env.INGEST_MAX_RETRIES) || 3;
+    this.dedupeTtlMs = parseInt(process.env.INGEST_DEDUPE_TTL_MS) || 10 * 60 * 1000;
+    this.equipmentCacheTtlMs = parseInt(process.env.INGEST_EQUIPMENT_CACHE_TTL_MS) || 60000;
+
+    this.buckets = new Map();
+    // dedupe key -> expiry, for messages already written
+    this.seenMessages = new Map();
+    // dedupe key -> bucket, for messages waiting to be written
+    this.pendingMessages = new Map();
+    this.equipmentCache = new Map();
+    this.flushTimer = null;
+    this.flushing = null;
+
+    this.stats = {
+      messagesReceived: 0,
+      duplicatesSkipped: 0,
+      readingsWritten: 0,
+      flushes: 0,
+      failedFlushes: 0,
+      droppedReadings: 0,
+      lastFlushAt: null,
+      lastFlushDurationMs: 0,
+      lastFlushSize: 0,
+      lastSensorLagMs: 0
+    };
+    // epoch second -> messages received, for the rolling throughput figure
+    this.throughputCounts = new Map();
+  }
+
+  start() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setInterval(() => {
+      this.flush().catch(error => {
+        console.error('❌ Error flushing ingest buffer:', error);
+      });
+      this.pruneCounters();
+    }, this.flushIntervalMs);
+  }
+
+  async stop() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+    await this.flush();
+  }
+
+  async getEquipment(equipmentId) {
+    return this.getCachedEquipment(equipmentId, () => Equipment.findByPk(equipmentId));
+  }
+
+  async getEquipmentBySerialNumber(serialNumber) {
+    return this.getCachedEquipment(`serial:${serialNumber}`, () => Equipment.findOne({ where: { serialNumber } }));
+  }
+
+  async getCachedEquipment(key, lookup) {
+    const cached = this.equipmentCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.equipment;
+    }
+
+    const equipment = await lookup();
+    this.equipmentCache.set(key, {
+      equipment,
+      expiresAt: Date.now() + this.equipmentCacheTtlMs
+    });
+    return equipment;
+  }
+
+  invalidateEquipment(equipmentId, serialNumber) {
+    if (!equipmentId) {
+      this.equipmentCache.clear();
+      return;
+    }
+
+    // Misses are cached too, so new equipment must clear its id and serial number keys
+    this.equipmentCache.delete(equipmentId);
+    if (serialNumber) this.equipmentCache.delete(`serial:${serialNumber}`);
+    for (const [key, cached] of this.equipmentCache) {
+      if (cached.equipment && cached.equipment.id === equipmentId) {
+        this.equipmentCache.delete(key);
+      }
+    }
+  }
+
+  // Returns { duplicate, written }. `written` resolves once the message's reading is stored
+  // and rejects when its bucket is dropped; duplicates get the original message's outcome.
+  add({ equipment, timestamp, fields, messageId, raw }) {
+    const now = Date.now();
+    const second = Math.floor(now / 1000);
+    this.stats.messagesReceived++;
+    this.throughputCounts.set(second, (this.throughputCounts.get(second) || 0) + 1);
+
+    let dedupeKey = null;
+    if (messageId !== undefined && messageId !== null) {
+      dedupeKey = `${equipment.id}:${messageId}`;
+      if (this.seenMessages.has(dedupeKey)) {
+        this.stats.duplicatesSkipped++;
+        return { duplicate: true, written: Promise.resolve() };
+      }
+      if (this.pendingMessages.has(dedupeKey)) {
+        this.stats.duplicatesSkipped++;
+        return { duplicate: true, written: this.pendingMessages.get(dedupeKey).written };
+      }
+    }
+
+    const time = new Date(timestamp || now).getTime();
+    const bucketStart = Math.floor(time / this.bucketMs) * this.bucketMs;
+    const key = `${equipment.id}:${bucketStart}`;
+
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = {
+        equipment,
+        timestamp: new Date(bucketStart),
+        fields: {},
+        firstReceivedAt: now,
+        latestSensorTime: time,
+        attempts: 0,
+        // Original messages, so a bucket that cannot be written can be dead-lettered
+        messages: [],
+        messageKeys: []
+      };
+      trackOutcome(bucket);
+      this.buckets.set(key, bucket);
+    }
+
+    mergeFields(bucket.fields, fields);
+    if (raw) bucket.messages.push(raw);
+    if (dedupeKey) {
+      bucket.messageKeys.push(dedupeKey);
+      this.pendingMessages.set(dedupeKey, bucket);
+    }
+    bucket.equipment = equipment;
+    bucket.latestSensorTime = Math.max(bucket.latestSensorTime, time);
+
+    if (this.buckets.size >= this.maxBatchSize) {
+      this.flush().catch(error => {
+        console.error('❌ Error flushing ingest buffer:', error);
+      });
+    }
+
+    return { duplicate: false, written: bucket.written };
+  }
+
+  // Flushes until the given write outcomes (from add) have settled, whether or not the flush
+  // timer is running; failed buckets are retried up to INGEST_MAX_RETRIES and then dropped
+  async flushUntilSettled(writes) {
+    if (writes.length === 0) return [];
+
+    let settled = false;
+    const results = Promise.allSettled(writes).then(outcomes => {
+      settled = true;
+      return outcomes;
+    });
+
+    while (!settled) {
+      await this.flush();
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return results;
+  }
+
+  async flush() {
+    // Only one flush writes at a time; later callers wait for it and then flush what is left
+    while (this.flushing) {
+      await this.flushing;
+    }
+    if (this.buckets.size === 0) return [];
+
+    const batch = Array.from(this.buckets.values()).slice(0, this.maxBatchSize);
+    batch.forEach(bucket => this.buckets.delete(`${bucket.equipment.id}:${bucket.timestamp.getTime()}`));
+
+    this.flushing = this.writeBatch(batch);
+    try {
+      return await this.flushing;
+    } finally {
+      this.flushing = null;
+    }
+  }
+
+  async writeBatch(batch) {
+    const startedAt = Date.now();
+
+    let readings;
+    try {
+      readings = await upsertReadings(batch);
+    } catch (error) {
+      this.stats.failedFlushes++;
+      console.error(`❌ Failed to write ${batch.length} sensor readings:`, error.message);
+      this.requeue(batch, error);
+      return [];
+    }
+
+    const finishedAt = Date.now();
+    this.stats.flushes++;
+    this.stats.readingsWritten += readings.length;
+    this.stats.lastFlushAt = new Date(finishedAt).toISOString();
+    this.stats.lastFlushDurationMs = finishedAt - startedAt;
+    this.stats.lastFlushSize = batch.length;
+    this.stats.lastSensorLagMs = Math.round(
+      batch.reduce((sum, bucket) => sum + (finishedAt - bucket.latestSensorTime), 0) / batch.length
+    );
+
+    const expiresAt = finishedAt + this.dedupeTtlMs;
+    batch.forEach(bucket => {
+      bucket.messageKeys.forEach(dedupeKey => {
+        this.pendingMessages.delete(dedupeKey);
+        this.seenMessages.set(dedupeKey, expiresAt);
+      });
+      bucket.settle.resolve();
+    });
+
+    const results = matchReadings(batch, readings);
+    this.emit('flush', results);
+    return results;
+  }
+
+  // Writes readings straight to the database without buffering (bulk imports).
+  // Entries are { equipment, timestamp, fields } with unique equipment/timestamp pairs.
+  async writeReadings(entries, { transaction } = {}) {
+    if (entries.length === 0) return [];
+    return matchReadings(entries, await upsertReadings(entries, transaction));
+  }
+
+  requeue(batch, error) {
+    batch.forEach(bucket => {
+      bucket.attempts++;
+      if (bucket.attempts > this.maxRetries) {
+        this.stats.droppedReadings++;
+        // Dropped messages were never stored, so resending them is not a duplicate
+        bucket.messageKeys.forEach(dedupeKey => this.pendingMessages.delete(dedupeKey));
+        this.emit('dropped', bucket, error);
+        bucket.settle.reject(error);
+        return;
+      }
+
+      const key = `${bucket.equipment.id}:${bucket.timestamp.getTime()}`;
+      const newer = this.buckets.get(key);
+      if (newer) {
+        // Data that arrived during the failed flush is newer and wins on conflicts
+        mergeFields(bucket.fields, newer.fields);
+        bucket.messages.push(...newer.messages);
+        bucket.messageKeys.push(...newer.messageKeys);
+        newer.messageKeys.forEach(dedupeKey => this.pendingMessages.set(dedupeKey, bucket));
+        bucket.written.then(newer.settle.resolve, newer.settle.reject);
+        bucket.firstReceivedAt = Math.min(bucket.firstReceivedAt, newer.firstReceivedAt);
+        bucket.latestSensorTime = Math.max(bucket.latestSensorTime, newer.latestSensorTime);
+      }
+      this.buckets.set(key, bucket);
+    });
+  }
+
+  pruneCounters() {
+    const now = Date.now();
+    for (const [key, expiresAt] of this.seenMessages) {
+      if (expiresAt <= now) {
+        this.seenMessages.delete(key);
+      }
+    }
+
+    const oldestSecond = Math.floor(now / 1000) - 60;
+    for (const second of this.throughputCounts.keys()) {
+      if (second < oldestSecond) {
+        this.throughputCounts.delete(second);
+      }
+    }
+  }
+
+  getStats() {
+    const now = Date.now();
+    const oldestSecond = Math.floor(now / 1000) - 60;
+    let recentMessages = 0;
+    for (const [second, count] of this.throughputCounts) {
+      if (second >= oldestSecond) recentMessages += count;
+    }
+
+    let oldestBuffered = null;
+    for (const bucket of this.buckets.values()) {
+      if (oldestBuffered === null || bucket.firstReceivedAt < oldestBuffered) {
+        oldestBuffered = bucket.firstReceivedAt;
+      }
+    }
+
+    return {
+      ...this.stats,
+      bufferedReadings: this.buckets.size,
+      bufferLagMs: oldestBuffered === null ? 0 : now - oldestBuffered,
+      messagesPerSecond: Math.round((recentMessages / 60) * 100) / 100,
+      trackedMessageIds: this.seenMessages.size,
+      pendingMessageIds: this.pendingMessages.size,
+      cachedEquipment: this.equipmentCache.size,
+      bucketMs: this.bucketMs
+    };
+  }
+}
+
+// Gives a bucket a `written` promise settled through bucket.settle. Live messages never wait
+// for it, so a rejection without listeners is expected and not reported as unhandled.
+function trackOutcome(bucket) {
+  bucket.written = new Promise((resolve, reject) => {
+    bucket.settle = { resolve, reject };
+  });
+  bucket.written.catch(() => {});
+}
+
+function matchReadings(batch, readings) {
+  const readingsByKey = new Map(readings.map(reading => [
+    `${reading.equipmentId}:${new Date(reading.timestamp).getTime()}`,
+    reading
+  ]));
+
+  return batch
+    .map(bucket => ({
+      equipment: bucket.equipment,
+      reading: readingsByKey.get(`${bucket.equipment.id}:${bucket.timestamp.getTime()}`)
+    }))
+    .filter(result => result.reading);
+}
+
+function mergeFields(target, fields) {
+  Object.keys(fields).forEach(field => {
+    const value = fields[field];
+    if (value === undefined || value === null) return;
+
+    if (field === 'additionalMetrics') {
+      target.additionalMetrics = { ...(target.additionalMetrics || {}), ...value };
+    } else {
+      target[field] = value;
+    }
+  });
+}
+
+// Partial buckets must not blank out metrics already stored for the same time slot,
+// so every column keeps its current value when the incoming one is null
+async function upsertReadings(batch, transaction) {
+  const table = SensorReading.getTableName();
+  const column = attribute => `"${SensorReading.rawAttributes[attribute].field}"`;
+  const columns = ['id', 'equipmentId', 'timestamp', ...METRIC_FIELDS, 'additionalMetrics', 'createdAt', 'updatedAt'];
+
+  const bind = [];
+  const values = batch.map(bucket => {
+    const now = new Date();
+    const row = {
+      id: crypto.randomUUID(),
+      equipmentId: bucket.equipment.id,
+      timestamp: bucket.timestamp,
+      ...METRIC_FIELDS.reduce((acc, field) => ({ ...acc, [field]: valueOrNull(bucket.fields[field]) }), {}),
+      additionalMetrics: bucket.fields.additionalMetrics ? JSON.stringify(bucket.fields.additionalMetrics) : null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const placeholders = columns.map(attribute => {
+      bind.push(row[attribute]);
+      return attribute === 'additionalMetrics' ? `$${bind.length}::jsonb` : `$${bind.length}`;
+    });
+    return `(${placeholders.join(', ')})`;
+  });
+
+  const updates = METRIC_FIELDS
+    .map(field => `${column(field)} = COALESCE(EXCLUDED.${column(field)}, "${table}".${column(field)})`)
+    .concat([
+      `${column('additionalMetrics')} = COALESCE("${table}".${column('additionalMetrics')}, '{}'::jsonb) || ` +
+        `COALESCE(EXCLUDED.${column('additionalMetrics')}, '{}'::jsonb)`,
+      `${column('updatedAt')} = EXCLUDED.${column('updatedAt')}`
+    ]);
+
+  const sql = `
+    INSERT INTO "${table}" (${columns.map(column).join(', ')})
+    VALUES ${values.join(', ')}
+    ON CONFLICT (${column('equipmentId')}, ${column('timestamp')})
+    DO UPDATE SET ${updates.join(', ')}
+    RETURNING *`;
+
+  return sequelize.query(sql, {
+    bind,
+    transaction,
+    type: QueryTypes.SELECT,
+    model: SensorReading,
+    mapToModel: true
+  });
+}
+
+function valueOrNull(value) {
+  return value === undefined ? null : value;
+}
+
+module.exports = new IngestBuffer();
@@ -0,0 +1,228 @@
+const { Alert } = require('../models');
+const alertService = require('./alertService');
+const alertRuleEngine = require('./alertRuleEngine');
+const anomalyDetector = require('./anomalyDetector');
+const websocketService = require('./websocketService');
+const ingestBuffer = require('./ingestBuffer');
+const deadLetterService = require('./deadLetterService');
+const { invalidReadingFields } = require('../utils/fieldMapping');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Common path for every protocol adapter (MQTT, OPC-UA). An adapter decodes its own messages into
+// reading fields and an equipment reference; equipment validation, buffering, alerting,
+// real-time updates and dead-lettering happen here so all adapters behave the same way.
+//
+// An adapter registers with registerAdapter(source, adapter) and provides
+// processMessage(topic, payload, receivedAt, replay), which returns the outcome of ingest() and
+// is also used to replay that source's dead letters. It passes `replay` ({ deadLetterId }) on
+// to ingest().
+class IngestionService {
+  constructor() {
+    this.adapters = new Map();
+    // Sources currently connected; the shared buffer runs while any of them is
+    this.running = new Set();
+
+    ingestBuffer.on('flush', (results) => {
+      this.handleFlush(results).catch(error => {
+        console.error('❌ Error processing flushed readings:', error);
+      });
+    });
+
+    // Buckets that could not be written after retries keep their original messages. Replayed
+    // messages still have their dead letter, which the replay updates instead.
+    ingestBuffer.on('dropped', (bucket, error) => {
+      bucket.messages.filter(raw => !raw.deadLetterId).forEach(raw => deadLetterService.record({
+        source: raw.source,
+        topic: raw.topic,
+        payload: raw.payload,
+        reason: 'db_error',
+        error,
+        equipmentRef: bucket.equipment.id
+      }));
+    });
+  }
+
+  registerAdapter(source, adapter) {
+    this.adapters.set(source, adapter);
+    deadLetterService.registerProcessor(source, (topic, payload, receivedAt, replay) =>
+      adapter.processMessage(topic, payload, receivedAt, replay));
+  }
+
+  getAdapterStatus() {
+    return Array.from(this.adapters.entries()).map(([source, adapter]) => ({
+      source,
+      running: this.running.has(source),
+      ...(adapter.getStatus ? adapter.getStatus() : {})
+    }));
+  }
+
+  start(source) {
+    this.running.add(source);
+    ingestBuffer.start();
+  }
+
+  async stop(source) {
+    this.running.delete(source);
+    if (this.running.size === 0) {
+      await ingestBuffer.stop();
+    } else {
+      await ingestBuffer.flush();
+    }
+  }
+
+  // Returns { status: 'buffered' | 'duplicate' | 'rejected', reason?, error?, equipmentRef?, written? }.
+  // `written` (buffered and duplicate) settles once the reading is stored or its write has
+  // failed for good. Adapters may also return 'ignored' for values they deliberately skip.
+  async ingest({ source, topic, payload, equipmentRef, fields, timestamp, messageId, receivedAt = new Date(), replay = {} }) {
+    const ref = equipmentRef && equipmentRef.value ? equipmentRef.value : null;
+
+    try {
+      if (!fields || Object.keys(fields).length === 0) {
+        return { status: 'rejected', reason: 'no_fields', error: `No reading fields extracted from ${topic}`, equipmentRef: ref };
+      }
+
+      // Checked per message: one bad value would otherwise fail the bulk write of a whole batch
+      const invalid = invalidReadingFields(fields);
+      if (invalid.length > 0) {
+        const values = invalid.map(field => `${field}=${typeof fields[field] === 'number' ? fields[field] : JSON.stringify(fields[field])}`).join(', ');
+        return { status: 'rejected', reason: 'invalid_value', error: `Not a finite number: ${values}`, equipmentRef: ref };
+      }
+      const readingTime = timestamp ? new Date(timestamp) : receivedAt;
+      if (isNaN(readingTime.getTime())) {
+        return { status: 'rejected', reason: 'invalid_value', error: `Invalid timestamp ${JSON.stringify(timestamp)}`, equipmentRef: ref };
+      }
+
+      // Verify equipment exists (cached, so a busy sensor does not hit the database per message)
+      const equipment = await this.resolveEquipment(equipmentRef || {});
+      if (!equipment) {
+        return {
+          status: 'rejected',
+          reason: 'unknown_equipment',
+          error: `Equipment ${equipmentRef ? equipmentRef.matchBy : 'id'} ${ref} not found`,
+          equipmentRef: ref
+        };
+      }
+
+      // Buffered and written in bulk; alerts run once the batch is stored (see handleFlush)
+      const { duplicate, written } = ingestBuffer.add({
+        equipment,
+        timestamp: readingTime,
+        fields,
+        messageId,
+        raw: {
+          source,
+          topic,
+          payload: Buffer.isBuffer(payload) ? payload.toString() : String(payload),
+          deadLetterId: replay.deadLetterId
+        }
+      });
+
+      return { status: duplicate ? 'duplicate' : 'buffered', equipmentRef: ref, written };
+
+    } catch (error) {
+      console.error(`❌ Error ingesting ${source} message:`, error);
+      return { status: 'rejected', reason: 'processing_error', error: error.message, equipmentRef: ref };
+    }
+  }
+
+  async deadLetter(source, topic, payload, outcome) {
+    console.warn(`⚠️ Rejected ${source} message on ${topic} (${outcome.reason}): ${outcome.error}`);
+    await deadLetterService.record({
+      source,
+      topic,
+      payload,
+      reason: outcome.reason,
+      error: outcome.error,
+      equipmentRef: outcome.equipmentRef
+    });
+  }
+
+  async resolveEquipment({ matchBy, value }) {
+    if (!value) return null;
+
+    if (matchBy === 'serialNumber') {
+      return ingestBuffer.getEquipmentBySerialNumber(value);
+    }
+    if (!UUID_PATTERN.test(value)) return null;
+    return ingestBuffer.getEquipment(value);
+  }
+
+  // Rules and open alerts are loaded once per equipment per flush rather than per reading
+  async handleFlush(results) {
+    const readingsByEquipment = new Map();
+    results.forEach(result => {
+      const entry = readingsByEquipment.get(result.equipment.id) || { equipment: result.equipment, readings: [] };
+      entry.readings.push(result.reading);
+      readingsByEquipment.set(result.equipment.id, entry);
+    });
+    if (readingsByEquipment.size === 0) return;
+
+    const openAlerts = await alertService.findOpenAlerts(Array.from(readingsByEquipment.keys()));
+
+    for (const { equipment, readings } of readingsByEquipment.values()) {
+      try {
+        const rules = await alertRuleEngine.getRulesFor(equipment);
+        const equipmentAlerts = openAlerts.get(equipment.id);
+
+        for (const reading of readings) {
+          try {
+            // Emit real-time update via WebSocket
+            this.emitRealTimeUpdate(equipment, reading);
+
+            // Check for alerts
+            await this.checkForAlerts(equipment, reading, rules, equipmentAlerts);
+
+            // Resolve alerts whose readings have recovered
+            await alertService.checkAutoResolve(equipment, reading, equipmentAlerts);
+          } catch (error) {
+            console.error(`❌ Error processing reading for equipment ${equipment.id}:`, error);
+          }
+        }
+      } catch (error) {
+        console.error(`❌ Error processing readings for equipment ${equipment.id}:`, error);
+      }
+    }
+  }
+
+  // openAlerts: the equipment's open alerts, kept up to date as alerts are created
+  async checkForAlerts(equipment, sensorReading, rules, openAlerts) {
+    const alerts = [
+      ...await alertRuleEngine.evaluate(equipment, sensorReading, rules),
+      ...anomalyDetector.detect(equipment, sensorReading)
+    ];
+
+    // Create alerts in database
+    for (const alertData of alerts) {
+      try {
+        // Check if the same rule already has an open alert (it may have been acknowledged or escalated)
+        const existingAlert = openAlerts.find(alert =>
+          ['active', 'acknowledged'].includes(alert.status) &&
+          (alert.metadata || {}).ruleKey === alertData.metadata.ruleKey);
+
+        if (!existingAlert) {
+          const alert = await Alert.create(alertData);
+          openAlerts.push(alert);
+          console.log(`🚨 Alert created: ${alertData.title} for equipment ${equipment.name}`);
+
+          // Emit alert via WebSocket
+          this.emitAlert(alert, equipment);
+        }
+      } catch (error) {
+        console.error('❌ Error creating alert:', error);
+      }
+    }
+  }
+
+  emitRealTimeUpdate(equipment, sensorReading) {
+    websocketService.broadcastReading(equipment, sensorReading);
+  }
+
+  emitAlert(alert, equipment) {
+    websocketService.broadcastAlert(alert, equipment).catch(error => {
+      console.error('❌ Error emitting alert:', error);
+    });
+  }
+}
+
+module.exports = new IngestionService();
@@ -0,0 +1,413 @@
+const EventEmitter = require('events');
+const { Op } = require('sequelize');
+const {
+  sequelize, Equipment, MaintenanceRecord, Prediction, Part, InventoryItem, StockMovement, ReorderAlert
+} = require('../models');
+const { getStartDate } = require('../utils/analytics');
+const { ServiceError } = require('../utils/errors');
+const { actorName, canAccessLocation } = require('../utils/permissions');
+require('dotenv').config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_ALERT_STATUSES = ['open', 'ordered'];
+const UNPLANNED_TYPES = ['corrective', 'emergency'];
+
+// Keeps stock per part and location. Every change is written to the StockMovement ledger;
+// consuming parts on a work order deducts them at the equipment's location. Stock at or below
+// an item's reorder point raises a ReorderAlert (emitted as reorder:raised) until it is
+// restocked above it. Emits reorder:updated when an alert is ordered or resolved.
+class InventoryService extends EventEmitter {
+  constructor() {
+    super();
+    this.forecastHorizonDays = parseInt(process.env.INVENTORY_FORECAST_HORIZON_DAYS) || 30;
+    this.forecastHistoryRange = process.env.INVENTORY_FORECAST_HISTORY_RANGE || '12m';
+    this.predictionMaxAgeHours = parseInt(process.env.SCHEDULE_PREDICTION_MAX_AGE_HOURS) || 48;
+  }
+
+  // Turns the partsUsed lines of a completed work order into stock movements. Lines naming a
+  // catalog part ({ partId | partNumber, quantity, location }) are deducted and priced at the
+  // part's unit cost; other lines are kept as free-form notes. Returns the normalized lines and
+  // the cost of the catalog parts.
+  async consumeParts(record, equipment, lines, actor, transaction) {
+    if (!Array.isArray(lines)) {
+      throw new ServiceError('partsUsed must be an array of { partId or partNumber, quantity }', 400);
+    }
+
+    const parts = await this.findParts(lines, transaction);
+    const partsUsed = [];
+    let partsCost = 0;
+
+    for (const line of lines) {
+      const part = parts.get(line.partId || line.partNumber);
+      if (!part) {
+        partsUsed.push(line);
+        continue;
+      }
+
+      const quantity = Number(line.quantity);
+      if (!Number.isFinite(quantity) || quantity <= 0) {
+        throw new ServiceError(`partsUsed quantity for ${part.partNumber} must be a positive number`, 400);
+      }
+      const location = line.location || equipment.location;
+      // Access to the equipment does not extend to stock held at other locations
+      if (!canAccessLocation(actor, location)) {
+        throw new ServiceError(`You do not have access to stock at ${location}`, 403);
+      }
+      const unitCost = parseFloat(part.unitCost) || 0;
+
+      await this.moveStock(part, location, -quantity, 'consumed', actor, {
+        transaction,
+        unitCost,
+        maintenanceRecordId: record.id,
+        equipmentId: equipment.id
+      });
+
+      partsCost += quantity * unitCost;
+      partsUsed.push({ partId: part.id, partNumber: part.partNumber, name: part.name, quantity, location, unitCost });
+    }
+
+    return { partsUsed, partsCost: Math.round(partsCost * 100) / 100 };
+  }
+
+  // Validates planned parts lines and resolves partNumbers to [{ partId, partNumber, quantity }]
+  async normalizePlannedParts(lines) {
+    if (lines === null) return null;
+    if (!Array.isArray(lines) || lines.some(line => !line || !(line.partId || line.partNumber))) {
+      throw new ServiceError('Planned parts must be an array of { partId or partNumber, quantity }', 400);
+    }
+
+    const parts = await this.findParts(lines);
+    return lines.map(line => {
+      const part = parts.get(line.partId || line.partNumber);
+      const quantity = Number(line.quantity);
+      if (!Number.isFinite(quantity) || quantity <= 0) {
+        throw new ServiceError(`Planned quantity for ${part.partNumber} must be a positive number`, 400);
+      }
+      return { partId: part.id, partNumber: part.partNumber, quantity };
+    });
+  }
+
+  // Catalog parts referenced by partId or partNumber, keyed by both
+  async findParts(lines, transaction) {
+    const ids = lines.map(line => line && line.partId).filter(Boolean);
+    const partNumbers = lines.map(line => line && line.partNumber).filter(Boolean);
+    if (ids.length === 0 && partNumbers.length === 0) return new Map();
+
+    const found = await Part.findAll({
+      where: { [Op.or]: [{ id: { [Op.in]: ids } }, { partNumber: { [Op.in]: partNumbers } }] },
+      transaction
+    });
+
+    const parts = new Map();
+    found.forEach(part => {
+      parts.set(part.id, part);
+      parts.set(part.partNumber, part);
+    });
+
+    const missing = [...ids, ...partNumbers].filter(key => !parts.has(key));
+    if (missing.length > 0) {
+      throw new ServiceError(`Parts not found in the catalog: ${missing.join(', ')}`, 400);
+    }
+    return parts;
+  }
+
+  // Applies a signed quantity change to a part's stock at a location, records it in the
+  // ledger and raises or resolves reorder alerts. Runs in the caller's transaction if given.
+  // options.countedQuantity sets the stock instead, moving it by the difference.
+  async moveStock(part, location, quantity, reason, actor, options = {}) {
+    const apply = async (transaction) => {
+      const [item] = await InventoryItem.findOrCreate({
+        where: { partId: part.id, location },
+        defaults: { quantity: 0 },
+        transaction
+      });
+      await item.reload({ lock: transaction.LOCK.UPDATE, transaction });
+      if (options.countedQuantity !== undefined) {
+        quantity = options.countedQuantity - item.quantity;
+      }
+
+      await item.update({ quantity: item.quantity + quantity }, { transaction });
+      await StockMovement.create({
+        partId: part.id,
+        location,
+        quantity,
+        reason,
+        unitCost: options.unitCost !== undefined ? options.unitCost : part.unitCost,
+        maintenanceRecordId: options.maintenanceRecordId,
+        equipmentId: options.equipmentId,
+        createdBy: actorName(actor),
+        note: options.note
+      }, { transaction });
+
+      await this.checkReorder(item, transaction);
+      return item;
+    };
+
+    return options.transaction ? apply(options.transaction) : sequelize.transaction(apply);
+  }
+
+  // Records a stock count, booking the difference as an adjustment
+  setStock(part, location, countedQuantity, actor, note) {
+    return this.moveStock(part, location, 0, 'adjusted', actor, { countedQuantity, note });
+  }
+
+  // Updates an item's reorder settings, which can raise or resolve its reorder alert
+  async updateItem(item, data) {
+    await sequelize.transaction(async (transaction) => {
+      await item.update(data, { transaction });
+      await this.checkReorder(item, transaction);
+    });
+    return item;
+  }
+
+  async checkReorder(item, transaction) {
+    const open = await ReorderAlert.findOne({
+      where: { inventoryItemId: item.id, status: { [Op.in]: OPEN_ALERT_STATUSES } },
+      transaction
+    });
+
+    if (item.quantity <= item.reorderPoint && item.reorderPoint > 0) {
+      if (open) return;
+      const alert = await ReorderAlert.create({
+        inventoryItemId: item.id,
+        partId: item.partId,
+        location: item.location,
+        quantity: item.quantity,
+        reorderPoint: item.reorderPoint,
+        suggestedQuantity: suggestedQuantity(item)
+      }, { transaction });
+      transaction.afterCommit(() => this.emit('reorder:raised', alert));
+    } else if (open) {
+      await open.update({ status: 'resolved', resolvedAt: new Date() }, { transaction });
+      transaction.afterCommit(() => this.emit('reorder:updated', open));
+    }
+  }
+
+  async markOrdered(alert, actor) {
+    if (alert.status !== 'open') {
+      throw new ServiceError(`Only open reorder alerts can be marked as ordered; this one is ${alert.status}`, 409);
+    }
+    await alert.update({ status: 'ordered', orderedBy: actorName(actor), orderedAt: new Date() });
+    this.emit('reorder:updated', alert);
+    return alert;
+  }
+
+  // Parts consumed, summed by part and optionally by location or equipment
+  // options: { partId, location (array), equipmentId, from, to, groupBy: location | equipment }
+  async usage(options = {}) {
+    const where = { reason: 'consumed' };
+    if (options.partId) where.partId = options.partId;
+    if (options.location) where.location = { [Op.in]: options.location };
+    if (options.equipmentId) where.equipmentId = options.equipmentId;
+    if (options.from || options.to) {
+      where.createdAt = {};
+      if (options.from) where.createdAt[Op.gte] = new Date(options.from);
+      if (options.to) where.createdAt[Op.lte] = new Date(options.to);
+    }
+
+    const groupField = { location: 'location', equipment: 'equipmentId' }[options.groupBy];
+    const group = groupField ? ['partId', groupField] : ['partId'];
+
+    const rows = await StockMovement.findAll({
+      where,
+      attributes: [
+        ...group,
+        [sequelize.fn('SUM', sequelize.literal('-quantity')), 'quantity'],
+        [sequelize.fn('SUM', sequelize.literal('-quantity * unit_cost')), 'cost'],
+        [sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('maintenance_record_id'))), 'workOrders']
+      ],
+      group,
+      raw: true
+    });
+
+    const parts = await Part.findAll({
+      where: { id: { [Op.in]: [...new Set(rows.map(row => row.partId))] } },
+      attributes: ['id', 'partNumber', 'name', 'unit']
+    });
+    const partsById = new Map(parts.map(part => [part.id, part]));
+
+    return rows
+      .map(row => {
+        const part = partsById.get(row.partId);
+        return {
+          partId: row.partId,
+          partNumber: part && part.partNumber,
+          name: part && part.name,
+          unit: part && part.unit,
+          ...(groupField ? { [groupField]: row[groupField] } : {}),
+          quantity: parseFloat(row.quantity) || 0,
+          cost: Math.round((parseFloat(row.cost) || 0) * 100) / 100,
+          workOrders: parseInt(row.workOrders) || 0
+        };
+      })
+      .sort((a, b) => b.quantity - a.quantity);
+  }
+
+  // Expected demand per part and location over the horizon: the plannedParts of open work
+  // orders scheduled in it, plus for each asset with a current failure prediction, its failure
+  // probability times the parts an unplanned job on that equipment type used on average.
+  // options: { horizonDays, location (array of locations to include, or null for all) }
+  async forecast(options = {}, now = new Date()) {
+    const horizonDays = parseInt(options.horizonDays) || this.forecastHorizonDays;
+    const horizonEnd = new Date(now.getTime() + horizonDays * DAY_MS);
+    const inScope = (location) => !options.location || options.location.includes(location);
+    const demand = new Map();
+
+    const addDemand = (partId, location, source, quantity, neededBy) => {
+      const key = `${partId}|${location}`;
+      const entry = demand.get(key) || { partId, location, scheduled: 0, predicted: 0, firstNeededBy: null };
+      entry[source] += quantity;
+      if (neededBy && (!entry.firstNeededBy || neededBy < entry.firstNeededBy)) entry.firstNeededBy = neededBy;
+      demand.set(key, entry);
+    };
+
+    // Scheduled work
+    const workOrders = await MaintenanceRecord.findAll({
+      where: {
+        status: { [Op.in]: ['scheduled', 'in_progress'] },
+        scheduledDate: { [Op.lte]: horizonEnd },
+        plannedParts: { [Op.ne]: null }
+      },
+      attributes: ['id', 'scheduledDate', 'plannedParts'],
+      include: [{ model: Equipment, as: 'equipment', attributes: ['id', 'location'] }]
+    });
+    workOrders
+      .filter(workOrder => inScope(workOrder.equipment.location))
+      .forEach(workOrder => {
+        (workOrder.plannedParts || []).forEach(line => {
+          const quantity = Number(line.quantity);
+          if (!line.partId || !Number.isFinite(quantity)) return;
+          addDemand(line.partId, workOrder.equipment.location, 'scheduled', quantity, new Date(workOrder.scheduledDate));
+        });
+      });
+
+    // Predicted failures
+    const perFailure = await this.partsPerUnplannedJob();
+    const predictions = await Prediction.findAll({
+      where: {
+        predictionType: 'failure',
+        generatedAt: { [Op.gte]: new Date(now.getTime() - this.predictionMaxAgeHours * 60 * 60 * 1000) }
+      },
+      include: [{ model: Equipment, as: 'equipment', attributes: ['id', 'type', 'location'], where: { status: { [Op.ne]: 'retired' } } }],
+      order: [['generatedAt', 'DESC']]
+    });
+    const seen = new Set();
+    predictions.forEach(prediction => {
+      if (seen.has(prediction.equipmentId)) return;
+      seen.add(prediction.equipmentId);
+      if (!inScope(prediction.equipment.location)) return;
+
+      const failureDate = new Date(new Date(prediction.generatedAt).getTime() + (prediction.timeHorizon || 0) * DAY_MS);
+      if (failureDate > horizonEnd) return;
+      (perFailure.get(prediction.equipment.type) || []).forEach(({ partId, quantity }) => {
+        addDemand(partId, prediction.equipment.location, 'predicted', prediction.probability * quantity, failureDate);
+      });
+    });
+
+    // Current stock of everything in scope, whether or not there is demand for it
+    const items = await InventoryItem.findAll({
+      where: options.location ? { location: { [Op.in]: options.location } } : {}
+    });
+    items.forEach(item => addDemand(item.partId, item.location, 'scheduled', 0, null));
+    const itemsByKey = new Map(items.map(item => [`${item.partId}|${item.location}`, item]));
+
+    const parts = await Part.findAll({
+      where: { id: { [Op.in]: [...new Set([...demand.values()].map(entry => entry.partId))] } },
+      attributes: ['id', 'partNumber', 'name', 'unit', 'unitCost', 'leadTimeDays']
+    });
+    const partsById = new Map(parts.map(part => [part.id, part]));
+
+    return [...demand.values()]
+      .filter(entry => partsById.has(entry.partId))
+      .map(entry => {
+        const part = partsById.get(entry.partId);
+        const item = itemsByKey.get(`${entry.partId}|${entry.location}`);
+        const onHand = item ? item.quantity : 0;
+        const reorderPoint = item ? item.reorderPoint : 0;
+        const expected = entry.scheduled + entry.predicted;
+        const projected = onHand - expected;
+        const shortfall = projected < reorderPoint ? reorderPoint - projected : 0;
+        // Order now when the first need comes sooner than the supplier can deliver
+        const orderBy = entry.firstNeededBy
+          ? new Date(entry.firstNeededBy.getTime() - (part.leadTimeDays || 0) * DAY_MS)
+          : null;
+
+        return {
+          partId: part.id,
+          partNumber: part.partNumber,
+          name: part.name,
+          unit: part.unit,
+          location: entry.location,
+          onHand,
+          reorderPoint,
+          scheduledDemand: round(entry.scheduled),
+          predictedDemand: round(entry.predicted),
+          projected: round(projected),
+          suggestedOrder: shortfall > 0 ? round(Math.max(shortfall, (item && item.reorderQuantity) || 0)) : 0,
+          firstNeededBy: entry.firstNeededBy,
+          orderBy: shortfall > 0 ? orderBy : null,
+          orderNow: shortfall > 0 && orderBy !== null && orderBy <= now,
+          estimatedCost: round(Math.ceil(shortfall) * (parseFloat(part.unitCost) || 0))
+        };
+      })
+      .sort((a, b) => b.suggestedOrder - a.suggestedOrder || a.projected - b.projected);
+  }
+
+  // Average quantity of each part consumed per corrective or emergency job, by equipment type
+  async partsPerUnplannedJob() {
+    const since = getStartDate(this.forecastHistoryRange);
+    const unplannedJob = {
+      model: MaintenanceRecord,
+      as: 'maintenanceRecord',
+      attributes: [],
+      where: { type: { [Op.in]: UNPLANNED_TYPES }, completedDate: { [Op.gte]: since } },
+      include: [{ model: Equipment, as: 'equipment', attributes: [] }]
+    };
+
+    const [consumed, jobs] = await Promise.all([
+      StockMovement.findAll({
+        where: { reason: 'consumed' },
+        attributes: [
+          [sequelize.col('maintenanceRecord->equipment.type'), 'equipmentType'],
+          'partId',
+          [sequelize.fn('SUM', sequelize.literal('-"StockMovement"."quantity"')), 'quantity']
+        ],
+        include: [unplannedJob],
+        group: [sequelize.col('maintenanceRecord->equipment.type'), 'partId'],
+        raw: true
+      }),
+      MaintenanceRecord.findAll({
+        where: { type: { [Op.in]: UNPLANNED_TYPES }, completedDate: { [Op.gte]: since } },
+        attributes: [
+          [sequelize.col('equipment.type'), 'equipmentType'],
+          [sequelize.fn('COUNT', sequelize.col('MaintenanceRecord.id')), 'count']
+        ],
+        include: [{ model: Equipment, as: 'equipment', attributes: [] }],
+        group: [sequelize.col('equipment.type')],
+        raw: true
+      })
+    ]);
+
+    const jobCounts = new Map(jobs.map(row => [row.equipmentType, parseInt(row.count) || 0]));
+    const perType = new Map();
+    consumed.forEach(row => {
+      const count = jobCounts.get(row.equipmentType);
+      if (!count) return;
+      const list = perType.get(row.equipmentType) || [];
+      list.push({ partId: row.partId, quantity: (parseFloat(row.quantity) || 0) / count });
+      perType.set(row.equipmentType, list);
+    });
+    return perType;
+  }
+}
+
+function suggestedQuantity(item) {
+  const toReorderPoint = item.reorderPoint - item.quantity;
+  return Math.max(item.reorderQuantity || 0, toReorderPoint > 0 ? toReorderPoint : 0);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = new InventoryService();
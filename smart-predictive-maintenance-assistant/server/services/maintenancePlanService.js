@@ -0,0 +1,443 @@
+const cronParser = require('cron-parser');
+const moment = require('moment-timezone');
+const { Op } = require('sequelize');
+const { sequelize, Equipment, MaintenancePlan, MaintenanceRecord, SensorReading } = require('../models');
+const workOrderService = require('./workOrderService');
+const inventoryService = require('./inventoryService');
+const { pick } = require('../utils/request');
+const { accumulateRunHours } = require('../utils/usage');
+const { ServiceError } = require('../utils/errors');
+require('dotenv').config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_STATUSES = ['scheduled', 'in_progress'];
+// Unplanned work that services the equipment anyway and can stand in for a planned occurrence
+const COVERING_TYPES = ['corrective', 'emergency'];
+const COUNTER_PREFIX = 'additionalMetrics.';
+
+const PLAN_FIELDS = [
+  'name', 'description', 'trigger', 'intervalDays', 'cron', 'timezone', 'startDate',
+  'usageMetric', 'usageInterval', 'usageOptions', 'leadTimeDays', 'coverageWindowDays',
+  'workType', 'estimatedDuration', 'parts', 'enabled'
+];
+const USAGE_FIELDS = ['trigger', 'usageMetric'];
+
+// Who generated, merged or skipped work orders in their history
+const SCHEDULER = { type: 'system', name: 'maintenance-planner' };
+
+// Turns maintenance plans into work orders. Calendar plans fall due every intervalDays or on a
+// cron schedule; usage plans fall due after usageInterval run-hours (derived from rpm/power
+// readings) or counter increments (from additionalMetrics), forecast from the usage rate since
+// the last service. Each run creates the next occurrence leadTimeDays ahead of its due date,
+// unless open corrective work on the equipment around that date takes it on (merged) or
+// corrective work completed since already serviced it (skipped).
+class MaintenancePlanService {
+  constructor() {
+    this.checkIntervalMs = parseInt(process.env.MAINTENANCE_PLAN_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+    this.minRpm = parseFloat(process.env.MAINTENANCE_PLAN_RUNNING_MIN_RPM) || 0;
+    this.minPower = parseFloat(process.env.MAINTENANCE_PLAN_RUNNING_MIN_POWER) || 0;
+    this.maxReadingGapMs = (parseInt(process.env.MAINTENANCE_PLAN_MAX_READING_GAP_MINUTES) || 15) * 60000;
+    this.readingBatchSize = parseInt(process.env.MAINTENANCE_PLAN_READING_BATCH_SIZE) || 5000;
+    this.checkTimer = null;
+    this.checking = false;
+
+    // Completing a plan's work order (generated or merged) services the equipment
+    workOrderService.on('workorder:completed', (workOrder) => {
+      this.recordCompletion(workOrder).catch(error => {
+        console.error('❌ Error recording maintenance plan completion:', error);
+      });
+    });
+  }
+
+  start() {
+    if (this.checkTimer) return;
+
+    this.checkTimer = setInterval(() => {
+      this.evaluateAll().catch(error => {
+        console.error('❌ Error evaluating maintenance plans:', error);
+      });
+    }, this.checkIntervalMs);
+
+    console.log(`🗓️ Maintenance plan scheduler enabled (every ${Math.round(this.checkIntervalMs / 60000)} minutes)`);
+  }
+
+  stop() {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+  }
+
+  async createPlan(data) {
+    const plan = MaintenancePlan.build({ ...pick(data, PLAN_FIELDS), equipmentId: data.equipmentId });
+    if (data.parts !== undefined) plan.parts = await inventoryService.normalizePlannedParts(data.parts);
+    this.validatePlan(plan);
+    plan.nextDueAt = this.nextDueDate(plan);
+    await plan.save();
+    return plan;
+  }
+
+  async updatePlan(plan, data) {
+    plan.set(pick(data, PLAN_FIELDS));
+    if (data.parts !== undefined) plan.parts = await inventoryService.normalizePlannedParts(data.parts);
+    this.validatePlan(plan);
+
+    // Usage counted against another metric no longer applies
+    if (USAGE_FIELDS.some(field => plan.changed(field))) {
+      plan.set({ usageSinceService: 0, usageBaseline: null, usageCursor: null });
+    }
+    if (plan.changed()) {
+      plan.nextDueAt = this.nextDueDate(plan);
+    }
+
+    await plan.save();
+    return plan;
+  }
+
+  // Checks what the model validators cannot: the timezone, cron expression and usage metric name
+  validatePlan(plan) {
+    if (plan.timezone && !moment.tz.zone(plan.timezone)) {
+      throw new ServiceError(`Unknown timezone: ${plan.timezone}`, 400);
+    }
+    if (plan.cron) {
+      try {
+        cronParser.parseExpression(plan.cron, { tz: plan.timezone || 'UTC' });
+      } catch (error) {
+        throw new ServiceError(`Invalid cron expression: ${error.message}`, 400);
+      }
+    }
+
+    const counter = plan.usageMetric && plan.usageMetric.startsWith(COUNTER_PREFIX)
+      ? plan.usageMetric.slice(COUNTER_PREFIX.length)
+      : '';
+    if (plan.usageMetric && plan.usageMetric !== 'runHours' && !/^[\w-]+$/.test(counter)) {
+      throw new ServiceError(`usageMetric must be runHours or ${COUNTER_PREFIX}<counter>`, 400);
+    }
+
+    const options = plan.usageOptions || {};
+    if (typeof options !== 'object' || Object.values(options).some(value => typeof value !== 'number')) {
+      throw new ServiceError('usageOptions must be an object of numbers, e.g. { "minRpm": 50 }', 400);
+    }
+  }
+
+  async evaluateAll() {
+    // A slow run must not overlap the next one
+    if (this.checking) return [];
+    this.checking = true;
+
+    try {
+      const plans = await MaintenancePlan.findAll({ where: { enabled: true }, attributes: ['id'] });
+      const outcomes = [];
+      for (const { id } of plans) {
+        try {
+          const outcome = await this.evaluate(id);
+          if (['generated', 'merged', 'skipped'].includes(outcome.action)) {
+            console.log(`🗓️ Maintenance plan ${id}: ${outcome.action}${outcome.workOrderId ? ` (work order ${outcome.workOrderId})` : ''}`);
+          }
+          outcomes.push(outcome);
+        } catch (error) {
+          console.error(`❌ Error evaluating maintenance plan ${id}:`, error);
+        }
+      }
+      return outcomes;
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  // Brings the plan's usage up to date and handles its next occurrence if it is within lead time
+  async evaluate(planId, now = new Date()) {
+    const snapshot = await MaintenancePlan.findByPk(planId);
+    if (!snapshot) {
+      throw new ServiceError('Maintenance plan not found', 404);
+    }
+    // Counting run-hours scans readings, so it happens before the plan row is locked
+    const runHours = countsRunHours(snapshot) ? await this.countRunHours(snapshot, now) : null;
+
+    return sequelize.transaction(async (transaction) => {
+      // The row lock keeps overlapping runs from generating the same occurrence twice
+      const plan = await MaintenancePlan.findByPk(planId, { lock: transaction.LOCK.UPDATE, transaction });
+      if (!plan) {
+        throw new ServiceError('Maintenance plan not found', 404);
+      }
+      const equipment = await Equipment.findByPk(plan.equipmentId, { transaction });
+
+      if (plan.trigger === 'usage') {
+        await this.updateUsage(plan, now, transaction, runHours);
+      }
+
+      const dueAt = this.nextDueDate(plan, now);
+      const outcome = await this.handleOccurrence(plan, equipment, dueAt, now, transaction);
+
+      plan.set({
+        nextDueAt: outcome.action === 'skipped' ? this.nextDueDate(plan, now) : dueAt,
+        lastOutcome: { ...outcome, at: now.toISOString() }
+      });
+      await plan.save({ transaction });
+
+      return { planId: plan.id, nextDueAt: plan.nextDueAt, ...outcome };
+    });
+  }
+
+  async handleOccurrence(plan, equipment, dueAt, now, transaction) {
+    if (equipment.status === 'retired') {
+      return { action: 'none', reason: 'The equipment is retired' };
+    }
+
+    const open = await MaintenanceRecord.findOne({
+      where: { maintenancePlanId: plan.id, status: { [Op.in]: OPEN_STATUSES } },
+      transaction
+    });
+    if (open) {
+      return { action: 'pending', workOrderId: open.id, reason: 'The current occurrence is still open' };
+    }
+
+    if (!dueAt) {
+      return {
+        action: 'none',
+        reason: plan.trigger === 'usage' ? 'Not enough usage recorded to forecast a due date' : 'The schedule has no further occurrences'
+      };
+    }
+    if (dueAt.getTime() - plan.leadTimeDays * DAY_MS > now.getTime()) {
+      return { action: 'none', reason: 'The next occurrence is not within the lead time yet' };
+    }
+
+    const windowStart = new Date(dueAt.getTime() - plan.coverageWindowDays * DAY_MS);
+    const windowEnd = new Date(dueAt.getTime() + plan.coverageWindowDays * DAY_MS);
+
+    const covering = await MaintenanceRecord.findOne({
+      where: {
+        equipmentId: equipment.id,
+        type: { [Op.in]: COVERING_TYPES },
+        status: { [Op.in]: OPEN_STATUSES },
+        maintenancePlanId: null,
+        scheduledDate: { [Op.between]: [windowStart, windowEnd] }
+      },
+      order: [['scheduledDate', 'ASC']],
+      transaction
+    });
+    if (covering) {
+      await workOrderService.mergePlan(covering, plan, SCHEDULER, { transaction });
+      plan.lastDueAt = dueAt;
+      return { action: 'merged', workOrderId: covering.id, reason: `Merged into ${covering.type} work order` };
+    }
+
+    const servicedSince = plan.lastServiceAt && plan.lastServiceAt > windowStart ? plan.lastServiceAt : windowStart;
+    const serviced = await MaintenanceRecord.findOne({
+      where: {
+        equipmentId: equipment.id,
+        type: { [Op.in]: COVERING_TYPES },
+        status: 'completed',
+        completedDate: { [Op.gt]: servicedSince }
+      },
+      order: [['completedDate', 'DESC']],
+      transaction
+    });
+    if (serviced) {
+      await this.recordService(plan, serviced.completedDate, transaction);
+      plan.lastDueAt = dueAt;
+      return { action: 'skipped', workOrderId: serviced.id, reason: `Covered by ${serviced.type} work completed on ${serviced.completedDate.toISOString()}` };
+    }
+
+    const workOrder = await workOrderService.create(equipment, {
+      type: plan.workType,
+      scheduledDate: dueAt > now ? dueAt : now,
+      estimatedDuration: plan.estimatedDuration,
+      plannedParts: plan.parts,
+      description: plan.description ? `${plan.name}\n\n${plan.description}` : plan.name
+    }, SCHEDULER, { transaction, maintenancePlanId: plan.id });
+    plan.lastDueAt = dueAt;
+
+    return { action: 'generated', workOrderId: workOrder.id };
+  }
+
+  nextDueDate(plan, now = new Date()) {
+    if (plan.trigger === 'calendar') {
+      return this.currentCalendarDate(plan, now);
+    }
+
+    const remaining = plan.usageInterval - plan.usageSinceService;
+    if (remaining <= 0) return now;
+
+    // Forecast from the average usage rate since the last service (or since tracking began)
+    const since = new Date(plan.lastServiceAt || plan.createdAt);
+    const rate = plan.usageSinceService / Math.max(now - since, 1);
+    if (rate <= 0) return null;
+    return new Date(now.getTime() + remaining / rate);
+  }
+
+  // The occurrence after `after`, or the first one when the plan has not had any
+  nextCalendarDate(plan, after) {
+    const start = new Date(plan.startDate || plan.createdAt || Date.now());
+
+    if (plan.intervalDays) {
+      return after
+        ? new Date(new Date(after).getTime() + plan.intervalDays * DAY_MS)
+        : plan.startDate ? start : new Date(start.getTime() + plan.intervalDays * DAY_MS);
+    }
+
+    try {
+      const schedule = cronParser.parseExpression(plan.cron, {
+        currentDate: after ? new Date(after) : new Date(start.getTime() - 1),
+        tz: plan.timezone || 'UTC'
+      });
+      return schedule.next().toDate();
+    } catch (error) {
+      return null; // an expression with no further dates
+    }
+  }
+
+  // The occurrence to handle next. Occurrences missed before a past startDate, while the plan was
+  // disabled or while its last work order was open collapse into the latest one due by `now`;
+  // one the equipment was serviced after gives way to the first occurrence after that service.
+  currentCalendarDate(plan, now) {
+    let dueAt = this.nextCalendarDate(plan, plan.lastDueAt);
+    if (!dueAt) return null;
+
+    const latest = this.latestCalendarDate(plan, dueAt, now);
+    if (latest > dueAt) dueAt = latest;
+
+    if (plan.lastServiceAt && dueAt <= new Date(plan.lastServiceAt)) {
+      dueAt = this.nextCalendarDate(plan, plan.lastServiceAt);
+    }
+    return dueAt;
+  }
+
+  // The last occurrence at or before `now` on the schedule that continues from `dueAt`
+  latestCalendarDate(plan, dueAt, now) {
+    if (dueAt > now) return dueAt;
+
+    if (plan.intervalDays) {
+      const intervalMs = plan.intervalDays * DAY_MS;
+      return new Date(dueAt.getTime() + Math.floor((now - dueAt) / intervalMs) * intervalMs);
+    }
+
+    try {
+      const schedule = cronParser.parseExpression(plan.cron, {
+        currentDate: new Date(now.getTime() + 1),
+        tz: plan.timezone || 'UTC'
+      });
+      return schedule.prev().toDate();
+    } catch (error) {
+      return dueAt;
+    }
+  }
+
+  // Due dates of the next `count` calendar occurrences, for previewing a plan
+  upcoming(plan, count = 5) {
+    if (plan.trigger !== 'calendar') {
+      return plan.nextDueAt ? [plan.nextDueAt] : [];
+    }
+
+    const dates = [];
+    let dueAt = this.nextDueDate(plan);
+    while (dueAt && dates.length < count) {
+      dates.push(dueAt);
+      dueAt = this.nextCalendarDate(plan, dueAt);
+    }
+    return dates;
+  }
+
+  // runHours: countRunHours() made before the plan was locked; it applies only if the plan still
+  // counts from where it did then, otherwise (another run or a service moved it) it is recounted
+  async updateUsage(plan, now, transaction, runHours = null) {
+    if (plan.usageMetric === 'runHours') {
+      const counted = runHours && runHours.basis === runHoursBasis(plan)
+        ? runHours
+        : await this.countRunHours(plan, now, transaction);
+      plan.set({ usageSinceService: plan.usageSinceService + counted.hours, usageCursor: counted.cursor });
+      return;
+    }
+
+    const current = await this.latestCounterValue(plan, transaction);
+    if (current === null) return;
+
+    // Tracking starts from the counter value when the plan first sees it; a counter that
+    // dropped below its baseline was reset
+    if (plan.usageBaseline === null || plan.usageBaseline === undefined) {
+      plan.usageBaseline = current;
+    } else if (current < plan.usageBaseline) {
+      plan.usageBaseline = 0;
+    }
+    plan.usageSinceService = current - plan.usageBaseline;
+  }
+
+  // Run-hours from readings since the plan's cursor, read in batches. Returns { hours, cursor,
+  // basis } without changing the plan; basis identifies the starting point of the count.
+  async countRunHours(plan, now, transaction) {
+    const options = {
+      minRpm: this.minRpm,
+      minPower: this.minPower,
+      ...(plan.usageOptions || {}),
+      maxGapMs: this.maxReadingGapMs
+    };
+
+    let cursor = plan.usageCursor;
+    let hours = 0;
+    for (;;) {
+      const since = cursor ? new Date(cursor.timestamp) : new Date(plan.lastServiceAt || plan.createdAt);
+      const readings = await SensorReading.findAll({
+        where: { equipmentId: plan.equipmentId, timestamp: { [Op.gt]: since, [Op.lte]: now } },
+        attributes: ['timestamp', 'rpm', 'powerConsumption'],
+        order: [['timestamp', 'ASC']],
+        limit: this.readingBatchSize,
+        raw: true,
+        transaction
+      });
+      if (readings.length === 0) break;
+
+      const result = accumulateRunHours(readings, cursor, options);
+      hours += result.hours;
+      cursor = result.cursor;
+      if (readings.length < this.readingBatchSize) break;
+    }
+
+    return { hours, cursor, basis: runHoursBasis(plan) };
+  }
+
+  async latestCounterValue(plan, transaction) {
+    const key = plan.usageMetric.slice(COUNTER_PREFIX.length);
+    const reading = await SensorReading.findOne({
+      where: { equipmentId: plan.equipmentId, additionalMetrics: { [key]: { [Op.ne]: null } } },
+      attributes: ['timestamp', 'additionalMetrics'],
+      order: [['timestamp', 'DESC']],
+      transaction
+    });
+
+    const value = reading ? Number(reading.additionalMetrics[key]) : NaN;
+    return Number.isFinite(value) ? value : null;
+  }
+
+  // The equipment was serviced: usage starts counting again from here
+  async recordService(plan, servicedAt, transaction) {
+    plan.set({ lastServiceAt: servicedAt, usageSinceService: 0 });
+    if (plan.trigger === 'usage' && plan.usageMetric !== 'runHours') {
+      const current = await this.latestCounterValue(plan, transaction);
+      if (current !== null) plan.usageBaseline = current;
+    }
+  }
+
+  async recordCompletion(workOrder) {
+    if (!workOrder.maintenancePlanId) return;
+
+    await sequelize.transaction(async (transaction) => {
+      const plan = await MaintenancePlan.findByPk(workOrder.maintenancePlanId, { lock: transaction.LOCK.UPDATE, transaction });
+      if (!plan) return;
+
+      await this.recordService(plan, workOrder.completedDate, transaction);
+      plan.nextDueAt = this.nextDueDate(plan);
+      await plan.save({ transaction });
+    });
+  }
+}
+
+function countsRunHours(plan) {
+  return plan.trigger === 'usage' && plan.usageMetric === 'runHours';
+}
+
+// What a run-hours count depends on besides the readings
+function runHoursBasis(plan) {
+  return JSON.stringify([plan.usageCursor, plan.lastServiceAt, plan.createdAt, plan.usageOptions]);
+}
+
+module.exports = new MaintenancePlanService();
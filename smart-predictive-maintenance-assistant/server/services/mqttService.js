@@ -1,5 +1,6 @@
 const mqtt = require('mqtt');
-const { SensorReading, Equipment } = require('../models');
+const ingestionService = require('./ingestionService');
+const sensorMapping = require('./sensorMapping');
 require('dotenv').config();
 
 class MQTTService {
@@ -9,14 +10,10 @@ class MQTTService {
     this.brokerUrl = process.env.MQTT_BROKER_URL || 'mqtt://localhost:1883';
     this.username = process.env.MQTT_USERNAME;
     this.password = process.env.MQTT_PASSWORD;
-    this.topics = [
-      'sensors/+/temperature',
-      'sensors/+/vibration',
-      'sensors/+/pressure',
-      'sensors/+/humidity',
-      'sensors/+/electrical',
-      'sensors/+/performance'
-    ];
+    this.topics = [];
+
+    sensorMapping.on('reload', (changes) => this.updateSubscriptions(changes));
+    ingestionService.registerAdapter('mqtt', this);
   }
 
   connect() {
@@ -33,7 +30,12 @@ class MQTTService {
         options.password = this.password;
       }
 
+      sensorMapping.load();
+      sensorMapping.watch();
+      this.topics = sensorMapping.getSubscriptions();
+
       this.client = mqtt.connect(this.brokerUrl, options);
+      ingestionService.start('mqtt');
 
       this.client.on('connect', () => {
         console.log('✅ MQTT Client connected to broker');
@@ -64,8 +66,8 @@ class MQTTService {
     }
   }
 
-  subscribeToTopics() {
-    this.topics.forEach(topic => {
+  subscribeToTopics(topics = this.topics) {
+    topics.forEach(topic => {
       this.client.subscribe(topic, (err) => {
         if (err) {
           console.error(`❌ Failed to subscribe to ${topic}:`, err);
@@ -76,194 +78,74 @@ class MQTTService {
     });
   }
 
-  async handleMessage(topic, message) {
-    try {
-      const data = JSON.parse(message.toString());
-      const topicParts = topic.split('/');
-      const equipmentId = topicParts[1];
-      const sensorType = topicParts[2];
-
-      console.log(`📊 Received ${sensorType} data for equipment ${equipmentId}:`, data);
-
-      // Verify equipment exists
-      const equipment = await Equipment.findByPk(equipmentId);
-      if (!equipment) {
-        console.warn(`⚠️ Equipment ${equipmentId} not found, skipping sensor data`);
-        return;
-      }
-
-      // Process sensor data based on type
-      const sensorReading = await this.processSensorData(equipmentId, sensorType, data);
-      
-      if (sensorReading) {
-        // Emit real-time update via WebSocket (if available)
-        this.emitRealTimeUpdate(equipmentId, sensorReading);
-        
-        // Check for alerts
-        await this.checkForAlerts(equipment, sensorReading);
-      }
-
-    } catch (error) {
-      console.error('❌ Error processing MQTT message:', error);
-    }
-  }
+  // Applies a hot-reloaded mapping without reconnecting the client
+  updateSubscriptions({ added, removed }) {
+    this.topics = sensorMapping.getSubscriptions();
+    if (!this.isConnected || !this.client) return;
 
-  async processSensorData(equipmentId, sensorType, data) {
-    try {
-      // Find or create sensor reading for this timestamp
-      const timestamp = data.timestamp ? new Date(data.timestamp) : new Date();
-      
-      let sensorReading = await SensorReading.findOne({
-        where: {
-          equipmentId,
-          timestamp: {
-            [require('sequelize').Op.gte]: new Date(timestamp.getTime() - 5000), // 5 second window
-            [require('sequelize').Op.lte]: new Date(timestamp.getTime() + 5000)
-          }
+    removed.forEach(topic => {
+      this.client.unsubscribe(topic, (err) => {
+        if (err) {
+          console.error(`❌ Failed to unsubscribe from ${topic}:`, err);
+        } else {
+          console.log(`📴 Unsubscribed from ${topic}`);
         }
       });
-
-      const updateData = { equipmentId, timestamp };
-
-      // Map sensor type to database fields
-      switch (sensorType) {
-        case 'temperature':
-          updateData.temperature = data.value || data.temperature;
-          break;
-        case 'vibration':
-          updateData.vibration = data.value || data.vibration;
-          break;
-        case 'pressure':
-          updateData.pressure = data.value || data.pressure;
-          break;
-        case 'humidity':
-          updateData.humidity = data.value || data.humidity;
-          break;
-        case 'electrical':
-          updateData.electricalCurrent = data.current;
-          updateData.voltage = data.voltage;
-          updateData.powerConsumption = data.power;
-          break;
-        case 'performance':
-          updateData.rpm = data.rpm;
-          updateData.additionalMetrics = data.metrics || {};
-          break;
-        default:
-          console.warn(`⚠️ Unknown sensor type: ${sensorType}`);
-          return null;
-      }
-
-      if (sensorReading) {
-        // Update existing reading
-        await sensorReading.update(updateData);
-      } else {
-        // Create new reading
-        sensorReading = await SensorReading.create(updateData);
-      }
-
-      return sensorReading;
-
-    } catch (error) {
-      console.error('❌ Error processing sensor data:', error);
-      return null;
-    }
+    });
+    this.subscribeToTopics(added);
   }
 
-  async checkForAlerts(equipment, sensorReading) {
-    const { Alert } = require('../models');
-    const alerts = [];
+  async handleMessage(topic, message) {
+    const outcome = await this.processMessage(topic, message);
 
-    // Temperature alerts
-    if (sensorReading.temperature && sensorReading.temperature > equipment.maxTemperature) {
-      alerts.push({
-        equipmentId: equipment.id,
-        type: 'critical',
-        title: 'High Temperature Alert',
-        message: `Temperature (${sensorReading.temperature}°C) exceeds maximum threshold (${equipment.maxTemperature}°C)`,
-        metadata: {
-          sensorType: 'temperature',
-          value: sensorReading.temperature,
-          threshold: equipment.maxTemperature,
-          readingId: sensorReading.id
-        }
-      });
+    if (outcome.status === 'rejected') {
+      await ingestionService.deadLetter('mqtt', topic, message, outcome);
     }
 
-    // Vibration alerts
-    if (sensorReading.vibration && sensorReading.vibration > equipment.maxVibration) {
-      alerts.push({
-        equipmentId: equipment.id,
-        type: 'warning',
-        title: 'High Vibration Alert',
-        message: `Vibration (${sensorReading.vibration}) exceeds maximum threshold (${equipment.maxVibration})`,
-        metadata: {
-          sensorType: 'vibration',
-          value: sensorReading.vibration,
-          threshold: equipment.maxVibration,
-          readingId: sensorReading.id
-        }
-      });
-    }
+    return outcome;
+  }
 
-    // Pressure alerts
-    if (sensorReading.pressure) {
-      if (sensorReading.pressure > equipment.maxPressure || sensorReading.pressure < equipment.minPressure) {
-        alerts.push({
-          equipmentId: equipment.id,
-          type: 'warning',
-          title: 'Pressure Out of Range',
-          message: `Pressure (${sensorReading.pressure}) is outside normal range (${equipment.minPressure}-${equipment.maxPressure})`,
-          metadata: {
-            sensorType: 'pressure',
-            value: sensorReading.pressure,
-            minThreshold: equipment.minPressure,
-            maxThreshold: equipment.maxPressure,
-            readingId: sensorReading.id
-          }
-        });
-      }
+  // Decodes an MQTT message; also used to replay MQTT dead letters
+  async processMessage(topic, message, receivedAt = new Date(), replay = {}) {
+    let data;
+    try {
+      data = JSON.parse(message.toString());
+    } catch (error) {
+      return { status: 'rejected', reason: 'invalid_json', error: error.message };
     }
 
-    // Create alerts in database
-    for (const alertData of alerts) {
-      try {
-        // Check if similar alert already exists and is active
-        const existingAlert = await Alert.findOne({
-          where: {
-            equipmentId: alertData.equipmentId,
-            type: alertData.type,
-            title: alertData.title,
-            status: 'active'
-          }
-        });
+    let mapped;
+    try {
+      // Map topic and payload to reading fields
+      mapped = sensorMapping.resolve(topic, data);
+    } catch (error) {
+      console.error('❌ Error processing MQTT message:', error);
+      return { status: 'rejected', reason: 'processing_error', error: error.message };
+    }
 
-        if (!existingAlert) {
-          await Alert.create(alertData);
-          console.log(`🚨 Alert created: ${alertData.title} for equipment ${equipment.name}`);
-          
-          // Emit alert via WebSocket
-          this.emitAlert(alertData);
-        }
-      } catch (error) {
-        console.error('❌ Error creating alert:', error);
-      }
+    if (!mapped) {
+      return { status: 'rejected', reason: 'unmapped_topic', error: `No sensor mapping for topic ${topic}` };
     }
-  }
 
-  emitRealTimeUpdate(equipmentId, sensorReading) {
-    // This would integrate with WebSocket server
-    // For now, just log the update
-    console.log(`📡 Real-time update for equipment ${equipmentId}:`, {
-      timestamp: sensorReading.timestamp,
-      temperature: sensorReading.temperature,
-      vibration: sensorReading.vibration,
-      pressure: sensorReading.pressure
+    return ingestionService.ingest({
+      source: 'mqtt',
+      topic,
+      payload: message,
+      equipmentRef: mapped.equipmentRef,
+      fields: mapped.fields,
+      timestamp: mapped.timestamp,
+      messageId: mapped.messageId,
+      receivedAt,
+      replay
     });
   }
 
-  emitAlert(alertData) {
-    // This would integrate with WebSocket server to send alerts to connected clients
-    console.log(`🚨 Alert emitted:`, alertData);
+  getStatus() {
+    return {
+      connected: this.isConnected,
+      brokerUrl: this.brokerUrl,
+      subscriptions: this.topics
+    };
   }
 
   publish(topic, message) {
@@ -280,12 +162,14 @@ class MQTTService {
     }
   }
 
-  disconnect() {
+  async disconnect() {
+    sensorMapping.unwatch();
     if (this.client) {
       this.client.end();
       this.isConnected = false;
       console.log('🔌 MQTT Client disconnected');
     }
+    await ingestionService.stop('mqtt');
   }
 }
 
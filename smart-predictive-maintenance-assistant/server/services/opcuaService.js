@@ -0,0 +1,371 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  OPCUAClient,
+  MessageSecurityMode,
+  SecurityPolicy,
+  AttributeIds,
+  TimestampsToReturn,
+  ClientSubscription,
+  ClientMonitoredItem,
+  UserTokenType,
+  NodeClass
+} = require('node-opcua');
+const ingestionService = require('./ingestionService');
+const { compileField, validateCanonicalUnits, normalizeValue, assignField } = require('../utils/fieldMapping');
+const { ServiceError } = require('../utils/errors');
+require('dotenv').config();
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'opcua.json');
+
+const DEFAULT_SUBSCRIPTION = {
+  publishingIntervalMs: 1000,
+  samplingIntervalMs: 1000,
+  queueSize: 10
+};
+
+// Subscribes to the OPC-UA nodes configured in config/opcua.json and feeds each value change
+// through the shared ingestion path. Nodes are listed by nodeId, or by browse name under a
+// browsed root node. Each data change is handled as one message whose topic is the node id.
+class OPCUAService {
+  constructor() {
+    this.client = null;
+    this.session = null;
+    this.subscription = null;
+    this.isConnected = false;
+    this.configPath = process.env.OPCUA_CONFIG_PATH || DEFAULT_CONFIG_PATH;
+    this.username = process.env.OPCUA_USERNAME;
+    this.password = process.env.OPCUA_PASSWORD;
+    this.config = null;
+    this.endpointUrl = null;
+    // nodeId -> { group, field }
+    this.nodes = new Map();
+    this.monitoredItems = [];
+    this.badQualityValues = 0;
+
+    ingestionService.registerAdapter('opcua', this);
+  }
+
+  loadConfig() {
+    const raw = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+    this.config = compileConfig(raw);
+    this.endpointUrl = process.env.OPCUA_ENDPOINT_URL || this.config.endpointUrl;
+    this.indexNodes();
+
+    console.log(`🗺️ Loaded ${this.config.groups.length} OPC-UA equipment mappings from ${this.configPath}`);
+  }
+
+  indexNodes() {
+    this.nodes = new Map();
+    this.config.groups.forEach(group => {
+      group.fields
+        .filter(field => field.nodeId)
+        .forEach(field => {
+          if (this.nodes.has(field.nodeId)) {
+            console.warn(`⚠️ OPC-UA node ${field.nodeId} is mapped more than once, using ${group.name}.${field.target}`);
+          }
+          this.nodes.set(field.nodeId, { group, field });
+        });
+    });
+  }
+
+  async connect() {
+    try {
+      if (!this.config) this.loadConfig();
+
+      this.client = OPCUAClient.create({
+        applicationName: 'PredictiveMaintenanceAssistant',
+        securityMode: MessageSecurityMode[this.config.securityMode],
+        securityPolicy: SecurityPolicy[this.config.securityPolicy],
+        endpointMustExist: false,
+        keepSessionAlive: true,
+        connectionStrategy: {
+          initialDelay: 1000,
+          maxDelay: 10000,
+          maxRetry: Infinity
+        }
+      });
+
+      this.client.on('connection_lost', () => {
+        console.log('🔌 OPC-UA Connection lost');
+        this.isConnected = false;
+      });
+
+      this.client.on('backoff', (retry, delay) => {
+        console.log(`🔄 OPC-UA Reconnecting (attempt ${retry + 1}, next in ${delay}ms)...`);
+      });
+
+      // Sessions and subscriptions are restored by the client after a reconnect
+      this.client.on('connection_reestablished', () => {
+        console.log('✅ OPC-UA Connection re-established');
+        this.isConnected = true;
+      });
+
+      ingestionService.start('opcua');
+      await this.client.connect(this.endpointUrl);
+      this.session = await this.client.createSession(this.getUserIdentity());
+      this.isConnected = true;
+      console.log(`✅ OPC-UA Client connected to ${this.endpointUrl}`);
+
+      await this.resolveBrowsedNodes();
+      this.subscribeToNodes();
+
+    } catch (error) {
+      console.error('❌ Failed to connect to OPC-UA server:', error);
+    }
+  }
+
+  getUserIdentity() {
+    if (this.username && this.password) {
+      return { type: UserTokenType.UserName, userName: this.username, password: this.password };
+    }
+    return { type: UserTokenType.Anonymous };
+  }
+
+  // Fields listed by browse name get their node ids from the children of the group's root node
+  async resolveBrowsedNodes() {
+    for (const group of this.config.groups) {
+      if (!group.browseRoot) continue;
+
+      const children = await this.browse(group.browseRoot);
+      group.fields
+        .filter(field => field.browseName)
+        .forEach(field => {
+          const child = children.find(reference => reference.browseName === field.browseName);
+          if (!child) {
+            console.warn(`⚠️ OPC-UA node ${field.browseName} not found under ${group.browseRoot} (${group.name})`);
+            return;
+          }
+          field.nodeId = child.nodeId;
+        });
+    }
+
+    this.indexNodes();
+  }
+
+  subscribeToNodes() {
+    const { publishingIntervalMs, samplingIntervalMs, queueSize } = this.config.subscription;
+
+    this.subscription = ClientSubscription.create(this.session, {
+      requestedPublishingInterval: publishingIntervalMs,
+      requestedLifetimeCount: 100,
+      requestedMaxKeepAliveCount: 10,
+      maxNotificationsPerPublish: 1000,
+      publishingEnabled: true,
+      priority: 10
+    });
+
+    this.subscription.on('error', (error) => {
+      console.error('❌ OPC-UA Subscription error:', error);
+    });
+
+    this.monitoredItems = Array.from(this.nodes.keys()).map(nodeId => {
+      const item = ClientMonitoredItem.create(
+        this.subscription,
+        { nodeId, attributeId: AttributeIds.Value },
+        { samplingInterval: samplingIntervalMs, discardOldest: true, queueSize },
+        TimestampsToReturn.Both
+      );
+
+      item.on('initialized', () => console.log(`📡 Monitoring ${nodeId}`));
+      item.on('err', (message) => console.error(`❌ Failed to monitor ${nodeId}:`, message));
+      item.on('changed', (dataValue) => this.handleDataChange(nodeId, dataValue));
+      return item;
+    });
+  }
+
+  handleDataChange(nodeId, dataValue) {
+    const payload = JSON.stringify({
+      value: dataValue.value ? dataValue.value.value : null,
+      statusCode: dataValue.statusCode ? dataValue.statusCode.name : 'Good',
+      sourceTimestamp: dataValue.sourceTimestamp ? dataValue.sourceTimestamp.toISOString() : null,
+      serverTimestamp: dataValue.serverTimestamp ? dataValue.serverTimestamp.toISOString() : null
+    });
+
+    this.handleMessage(nodeId, payload).catch(error => {
+      console.error(`❌ Error handling OPC-UA value for ${nodeId}:`, error);
+    });
+  }
+
+  async handleMessage(nodeId, payload) {
+    const outcome = await this.processMessage(nodeId, payload);
+
+    if (outcome.status === 'rejected') {
+      await ingestionService.deadLetter('opcua', nodeId, payload, outcome);
+    }
+
+    return outcome;
+  }
+
+  // Decodes a data change ({ value, statusCode, sourceTimestamp, serverTimestamp });
+  // also used to replay OPC-UA dead letters
+  async processMessage(nodeId, payload, receivedAt = new Date(), replay = {}) {
+    let data;
+    try {
+      data = JSON.parse(payload.toString());
+    } catch (error) {
+      return { status: 'rejected', reason: 'invalid_json', error: error.message };
+    }
+
+    // Replays can run before the adapter has connected
+    if (!this.config) {
+      try {
+        this.loadConfig();
+      } catch (error) {
+        return { status: 'rejected', reason: 'processing_error', error: `Invalid OPC-UA config: ${error.message}` };
+      }
+    }
+
+    const node = this.nodes.get(nodeId);
+    if (!node) {
+      return { status: 'rejected', reason: 'unmapped_topic', error: `No OPC-UA mapping for node ${nodeId}` };
+    }
+
+    // Uncertain and bad values are the server saying it has no trustworthy reading
+    if (data.statusCode && !String(data.statusCode).startsWith('Good')) {
+      this.badQualityValues++;
+      return { status: 'ignored', equipmentRef: node.group.equipmentRef.value };
+    }
+
+    let value;
+    try {
+      value = normalizeValue(data.value, node.field);
+    } catch (error) {
+      return { status: 'rejected', reason: 'processing_error', error: error.message, equipmentRef: node.group.equipmentRef.value };
+    }
+
+    // ingest() applies the same finite-number check as for every other adapter
+    const fields = value !== undefined ? assignField({}, node.field, value) : {};
+
+    return ingestionService.ingest({
+      source: 'opcua',
+      topic: nodeId,
+      payload,
+      equipmentRef: node.group.equipmentRef,
+      fields,
+      timestamp: data.sourceTimestamp || data.serverTimestamp,
+      // Servers resend the last value after a reconnect; the source timestamp identifies it
+      messageId: data.sourceTimestamp ? `${nodeId}@${data.sourceTimestamp}` : undefined,
+      receivedAt,
+      replay
+    });
+  }
+
+  async browse(nodeId = 'RootFolder') {
+    if (!this.session) {
+      throw new ServiceError('OPC-UA client is not connected', 503);
+    }
+
+    const result = await this.session.browse(nodeId);
+    if (!result.statusCode.name.startsWith('Good')) {
+      throw new ServiceError(`Failed to browse ${nodeId}: ${result.statusCode.name}`, 400);
+    }
+
+    return (result.references || []).map(reference => ({
+      nodeId: reference.nodeId.toString(),
+      browseName: reference.browseName.name,
+      displayName: reference.displayName ? reference.displayName.text : null,
+      nodeClass: NodeClass[reference.nodeClass]
+    }));
+  }
+
+  getStatus() {
+    return {
+      connected: this.isConnected,
+      endpointUrl: this.endpointUrl,
+      monitoredNodes: this.nodes.size,
+      badQualityValues: this.badQualityValues
+    };
+  }
+
+  async disconnect() {
+    try {
+      if (this.subscription) {
+        await this.subscription.terminate();
+        this.subscription = null;
+        this.monitoredItems = [];
+      }
+      if (this.session) {
+        await this.session.close();
+        this.session = null;
+      }
+      if (this.client) {
+        await this.client.disconnect();
+        this.isConnected = false;
+        console.log('🔌 OPC-UA Client disconnected');
+      }
+    } catch (error) {
+      console.error('❌ Error disconnecting OPC-UA client:', error);
+    }
+    await ingestionService.stop('opcua');
+  }
+}
+
+function compileConfig(config) {
+  if (!config || !Array.isArray(config.equipment)) {
+    throw new Error('config must contain an "equipment" array');
+  }
+
+  const securityMode = config.securityMode || 'None';
+  const securityPolicy = config.securityPolicy || 'None';
+  if (MessageSecurityMode[securityMode] === undefined) {
+    throw new Error(`unknown securityMode "${securityMode}"`);
+  }
+  if (SecurityPolicy[securityPolicy] === undefined) {
+    throw new Error(`unknown securityPolicy "${securityPolicy}"`);
+  }
+
+  const canonicalUnits = config.canonicalUnits || {};
+  validateCanonicalUnits(canonicalUnits);
+
+  const groups = config.equipment.map((group, index) => {
+    const label = group.name || `equipment[${index}]`;
+
+    const equipment = group.equipment || {};
+    const matchBy = equipment.matchBy || 'id';
+    if (!['id', 'serialNumber'].includes(matchBy)) {
+      throw new Error(`${label}: equipment.matchBy must be "id" or "serialNumber"`);
+    }
+    if (!equipment.value) {
+      throw new Error(`${label}: equipment.value is required`);
+    }
+
+    const browseRoot = group.browse ? group.browse.rootNodeId : null;
+    const fields = Object.keys(group.fields || {}).map(target => {
+      const spec = group.fields[target];
+      if (!spec.nodeId && !spec.browseName) {
+        throw new Error(`${label}.${target}: nodeId or browseName is required`);
+      }
+      if (spec.browseName && !browseRoot) {
+        throw new Error(`${label}.${target}: browseName needs browse.rootNodeId`);
+      }
+
+      return {
+        ...compileField(label, target, spec, canonicalUnits),
+        nodeId: spec.nodeId || null,
+        browseName: spec.browseName || null
+      };
+    });
+
+    if (fields.length === 0) {
+      throw new Error(`${label}: at least one field mapping is required`);
+    }
+
+    return {
+      name: label,
+      equipmentRef: { matchBy, value: String(equipment.value) },
+      browseRoot,
+      fields
+    };
+  });
+
+  return {
+    endpointUrl: config.endpointUrl,
+    securityMode,
+    securityPolicy,
+    subscription: { ...DEFAULT_SUBSCRIPTION, ...(config.subscription || {}) },
+    groups
+  };
+}
+
+module.exports = new OPCUAService();
@@ -0,0 +1,290 @@
+const { Op } = require('sequelize');
+const moment = require('moment');
+const { sequelize, Equipment, SensorReading, MaintenanceRecord, Prediction } = require('../models');
+const { createPredictor } = require('./predictors');
+require('dotenv').config();
+
+const FAILURE_TYPES = ['corrective', 'emergency'];
+// Equipment whose history is loaded together in a scheduled run
+const BATCH_SIZE = 100;
+
+class PredictionService {
+  constructor() {
+    this.confidenceThreshold = parseFloat(process.env.PREDICTION_CONFIDENCE_THRESHOLD) || 0.8;
+    this.predictor = createPredictor();
+    this.intervalMs = parseInt(process.env.PREDICTION_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+    this.lookbackDays = parseInt(process.env.PREDICTION_LOOKBACK_DAYS) || 30;
+    this.horizonDays = parseInt(process.env.PREDICTION_HORIZON_DAYS) || 30;
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.runAll().catch(error => {
+        console.error('❌ Error running scheduled predictions:', error);
+      });
+    }, this.intervalMs);
+
+    console.log(`🔮 Prediction scheduler started (every ${Math.round(this.intervalMs / 60000)} minutes)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async runAll() {
+    if (this.isRunning) {
+      console.warn('⚠️ Previous prediction run still in progress, skipping');
+      return [];
+    }
+
+    this.isRunning = true;
+    const results = [];
+
+    try {
+      const equipmentList = await Equipment.findAll({
+        where: { status: { [Op.ne]: 'retired' } }
+      });
+
+      for (let i = 0; i < equipmentList.length; i += BATCH_SIZE) {
+        const batch = equipmentList.slice(i, i + BATCH_SIZE);
+        const history = await this.loadHistory(batch);
+
+        for (const equipment of batch) {
+          try {
+            results.push(await this.generateForEquipment(equipment, history));
+          } catch (error) {
+            console.error(`❌ Error generating prediction for equipment ${equipment.id}:`, error);
+          }
+        }
+      }
+
+      const persisted = results.filter(result => result.persisted).length;
+      console.log(`🔮 Generated ${persisted} predictions for ${equipmentList.length} equipment`);
+      return results;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  setPredictor(predictor) {
+    this.predictor = predictor;
+  }
+
+  // history: loadHistory() of a batch including this equipment; loaded for it alone if omitted
+  async generateForEquipment(equipment, history = null) {
+    const features = await this.collectFeatures(equipment, history || await this.loadHistory([equipment]));
+    const estimate = await this.predictor.predict(features);
+
+    const predictionData = {
+      equipmentId: equipment.id,
+      predictionType: 'failure',
+      probability: estimate.probability,
+      confidence: estimate.confidence,
+      timeHorizon: estimate.timeHorizon,
+      riskLevel: getRiskLevel(estimate.probability),
+      factors: estimate.factors,
+      recommendations: estimate.recommendations || buildRecommendations(estimate, equipment),
+      modelVersion: estimate.modelVersion,
+      generatedAt: new Date()
+    };
+    const backend = {
+      name: estimate.backend,
+      fallbackReason: estimate.fallbackReason || null
+    };
+
+    if (estimate.confidence < this.confidenceThreshold) {
+      return {
+        persisted: false,
+        reason: `Confidence ${estimate.confidence} is below threshold ${this.confidenceThreshold}`,
+        backend,
+        prediction: predictionData
+      };
+    }
+
+    const prediction = await Prediction.create(predictionData);
+    return { persisted: true, backend, prediction };
+  }
+
+  // Hourly averages of each asset over the lookback period, and the failure dates of every
+  // asset of the same types (pooled when one asset has too few failures), in three queries
+  async loadHistory(equipmentList) {
+    const since = moment().subtract(this.lookbackDays, 'days').toDate();
+    const hour = sequelize.fn('DATE_TRUNC', 'hour', sequelize.col('timestamp'));
+
+    const hourlyReadings = await SensorReading.findAll({
+      where: {
+        equipmentId: { [Op.in]: equipmentList.map(equipment => equipment.id) },
+        timestamp: { [Op.gte]: since }
+      },
+      attributes: [
+        'equipmentId',
+        [hour, 'hour'],
+        [sequelize.fn('AVG', sequelize.col('temperature')), 'temperature'],
+        [sequelize.fn('AVG', sequelize.col('vibration')), 'vibration'],
+        [sequelize.fn('AVG', sequelize.col('pressure')), 'pressure']
+      ],
+      group: ['equipmentId', hour],
+      order: [['equipmentId', 'ASC'], [hour, 'ASC']],
+      raw: true
+    });
+
+    const peers = await Equipment.findAll({
+      where: { type: { [Op.in]: [...new Set(equipmentList.map(equipment => equipment.type))] } },
+      attributes: ['id', 'type', 'installationDate', 'createdAt']
+    });
+    const failures = await MaintenanceRecord.findAll({
+      where: {
+        equipmentId: { [Op.in]: peers.map(peer => peer.id) },
+        type: { [Op.in]: FAILURE_TYPES },
+        status: { [Op.ne]: 'cancelled' }
+      },
+      attributes: ['equipmentId', 'scheduledDate', 'completedDate'],
+      order: [['scheduledDate', 'ASC']]
+    });
+
+    return {
+      hourlyReadings: groupBy(hourlyReadings, row => row.equipmentId),
+      failureDates: groupBy(failures, record => record.equipmentId, record => record.scheduledDate || record.completedDate),
+      peers: groupBy(peers, peer => peer.type)
+    };
+  }
+
+  async collectFeatures(equipment, history) {
+    return {
+      equipment: {
+        id: equipment.id,
+        type: equipment.type,
+        manufacturer: equipment.manufacturer,
+        model: equipment.model
+      },
+      horizonDays: this.horizonDays,
+      trends: buildTrendSeries(history.hourlyReadings.get(equipment.id) || [], equipment),
+      failureHistory: this.collectFailureHistory(equipment, history)
+    };
+  }
+
+  collectFailureHistory(equipment, history) {
+    const failureDatesOf = (id) => history.failureDates.get(id) || [];
+    const ownFailures = failureDatesOf(equipment.id);
+    const startDate = equipment.installationDate || equipment.createdAt;
+    const lastFailure = ownFailures[ownFailures.length - 1];
+    const ageDays = moment().diff(moment(lastFailure || startDate), 'days', true);
+
+    let intervals = toIntervals(ownFailures, startDate);
+    let source = 'equipment';
+
+    // Too few failures on one asset to fit a distribution, so borrow from its equipment type
+    if (intervals.length < 3) {
+      const fleetIntervals = (history.peers.get(equipment.type) || [])
+        .flatMap(peer => toIntervals(failureDatesOf(peer.id), peer.installationDate || peer.createdAt));
+
+      if (fleetIntervals.length > intervals.length) {
+        intervals = fleetIntervals;
+        source = 'equipmentType';
+      }
+    }
+
+    return {
+      intervalsDays: intervals,
+      ageDays,
+      failuresObserved: ownFailures.length,
+      source
+    };
+  }
+}
+
+function groupBy(items, keyOf, valueOf = item => item) {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(valueOf(item));
+  });
+  return groups;
+}
+
+function toIntervals(failureDates, startDate) {
+  const intervals = [];
+  let previous = startDate;
+
+  failureDates.forEach(date => {
+    if (previous) {
+      const days = moment(date).diff(moment(previous), 'days', true);
+      if (days > 0) intervals.push(days);
+    }
+    previous = date;
+  });
+
+  return intervals;
+}
+
+function buildTrendSeries(hourlyReadings, equipment) {
+  const origin = hourlyReadings.length ? new Date(hourlyReadings[0].hour).getTime() : 0;
+  const series = [
+    { metric: 'temperature', limit: equipment.maxTemperature, direction: 'up' },
+    { metric: 'vibration', limit: equipment.maxVibration, direction: 'up' },
+    { metric: 'pressure', limit: equipment.maxPressure, direction: 'up' },
+    { metric: 'pressure', limit: equipment.minPressure, direction: 'down' }
+  ];
+
+  return series
+    .filter(trend => trend.limit !== null && trend.limit !== undefined)
+    .map(trend => ({
+      ...trend,
+      points: hourlyReadings
+        .filter(row => row[trend.metric] !== null)
+        .map(row => ({
+          x: (new Date(row.hour).getTime() - origin) / 86400000,
+          y: parseFloat(row[trend.metric])
+        }))
+    }));
+}
+
+function getRiskLevel(probability) {
+  if (probability >= 0.75) return 'critical';
+  if (probability >= 0.5) return 'high';
+  if (probability >= 0.25) return 'medium';
+  return 'low';
+}
+
+function buildRecommendations(estimate, equipment) {
+  const recommendations = [];
+  const riskLevel = getRiskLevel(estimate.probability);
+
+  if (riskLevel === 'critical') {
+    recommendations.push(`Schedule corrective maintenance for ${equipment.name} immediately`);
+  } else if (riskLevel === 'high') {
+    recommendations.push(`Schedule predictive maintenance within ${Math.max(1, Math.floor(estimate.timeHorizon / 2))} days`);
+  }
+
+  estimate.factors
+    .filter(factor => factor.contribution >= 0.2)
+    .forEach(factor => {
+      if (factor.factor === 'degradation_trend') {
+        recommendations.push(
+          `Inspect ${factor.metric}: trending ${factor.direction === 'up' ? 'up' : 'down'} ` +
+          `${Math.abs(factor.slopePerDay)}/day, limit ${factor.limit} reached in ~${Math.round(factor.daysToLimit)} days`
+        );
+      } else if (factor.factor === 'failure_history') {
+        recommendations.push(
+          `Asset is ${Math.round(factor.ageDays)} days since last failure; ` +
+          `typical remaining life is ~${Math.round(factor.medianRemainingLifeDays)} days`
+        );
+      }
+    });
+
+  if (recommendations.length === 0) {
+    recommendations.push('Continue routine monitoring');
+  }
+
+  return recommendations;
+}
+
+module.exports = new PredictionService();
@@ -0,0 +1,27 @@
+const { CircuitBreaker } = require('../../utils/circuitBreaker');
+
+// Routes calls through a circuit breaker and answers from the fallback when the primary fails
+class FallbackPredictor {
+  constructor(primary, fallback, breakerOptions) {
+    this.name = primary.name;
+    this.primary = primary;
+    this.fallback = fallback;
+    this.breaker = new CircuitBreaker(primary.name, breakerOptions);
+  }
+
+  async predict(features) {
+    try {
+      return await this.breaker.exec(() => this.primary.predict(features));
+    } catch (error) {
+      console.warn(`⚠️ Predictor ${this.primary.name} failed, using ${this.fallback.name}: ${error.message}`);
+      const estimate = await this.fallback.predict(features);
+      return { ...estimate, fallbackReason: error.message };
+    }
+  }
+
+  getState() {
+    return this.breaker.getState();
+  }
+}
+
+module.exports = FallbackPredictor;
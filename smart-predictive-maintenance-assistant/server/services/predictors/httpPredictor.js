@@ -0,0 +1,100 @@
+const { ServiceError } = require('../../utils/errors');
+
+// Client for the Python model server (`ml-server` in docker-compose)
+class HttpPredictor {
+  constructor({ baseUrl, timeoutMs = 5000 } = {}) {
+    this.name = 'ml-server';
+    this.baseUrl = (baseUrl || 'http://localhost:5001').replace(/\/$/, '');
+    this.timeoutMs = timeoutMs;
+  }
+
+  async predict(features) {
+    const controller = new AbortController();
+    // Covers the response body too, so a stalled body cannot hold a prediction run
+    const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    let body;
+    try {
+      let response;
+      try {
+        response = await fetch(`${this.baseUrl}/predict`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(features),
+          signal: controller.signal
+        });
+      } catch (error) {
+        throw this.requestError(error, `Model server unreachable: ${error.message}`);
+      }
+
+      if (!response.ok) {
+        throw new ServiceError(`Model server responded with ${response.status}`, 502);
+      }
+
+      try {
+        body = await response.json();
+      } catch (error) {
+        throw this.requestError(error, 'Model server returned invalid JSON');
+      }
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    const errors = validateResponse(body);
+    if (errors.length > 0) {
+      throw new ServiceError('Model server response failed validation', 502, errors);
+    }
+
+    return {
+      probability: body.probability,
+      confidence: body.confidence,
+      timeHorizon: Math.round(body.timeHorizon),
+      factors: body.factors || [],
+      recommendations: body.recommendations,
+      backend: this.name,
+      modelVersion: `${this.name}@${body.modelVersion}`
+    };
+  }
+
+  requestError(error, message) {
+    if (error.name === 'AbortError') {
+      return new ServiceError(`Model server timed out after ${this.timeoutMs}ms`, 504);
+    }
+    return new ServiceError(message, 502);
+  }
+}
+
+function validateResponse(body) {
+  const errors = [];
+
+  if (!body || typeof body !== 'object') {
+    return ['response must be a JSON object'];
+  }
+
+  ['probability', 'confidence'].forEach(field => {
+    if (typeof body[field] !== 'number' || body[field] < 0 || body[field] > 1) {
+      errors.push(`${field} must be a number between 0 and 1`);
+    }
+  });
+
+  if (typeof body.timeHorizon !== 'number' || body.timeHorizon < 0) {
+    errors.push('timeHorizon must be a non-negative number of days');
+  }
+
+  if (typeof body.modelVersion !== 'string' || body.modelVersion.length === 0) {
+    errors.push('modelVersion must be a non-empty string');
+  }
+
+  if (body.factors !== undefined && !Array.isArray(body.factors)) {
+    errors.push('factors must be an array');
+  }
+
+  if (body.recommendations !== undefined &&
+    (!Array.isArray(body.recommendations) || body.recommendations.some(item => typeof item !== 'string'))) {
+    errors.push('recommendations must be an array of strings');
+  }
+
+  return errors;
+}
+
+module.exports = HttpPredictor;
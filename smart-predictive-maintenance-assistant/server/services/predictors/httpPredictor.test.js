@@ -0,0 +1,119 @@
+// Runs against a stub model server: node --test server/services/predictors
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const HttpPredictor = require('./httpPredictor');
+
+const FEATURES = { equipment: { id: 'pump-1', type: 'pump' }, horizonDays: 30, trends: [], failureHistory: {} };
+
+const SCENARIOS = {
+  ok: (req, res) => {
+    let received = '';
+    req.on('data', chunk => { received += chunk; });
+    req.on('end', () => {
+      const features = JSON.parse(received);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        probability: 0.42,
+        confidence: 0.9,
+        timeHorizon: 12.6,
+        modelVersion: '2.1.0',
+        factors: [{ factor: 'vibration', equipmentId: features.equipment.id }],
+        recommendations: ['Inspect bearings']
+      }));
+    });
+  },
+  // Headers arrive at once, the body never does
+  stalledBody: (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.write('{"probability": 0.4');
+  },
+  noResponse: () => {},
+  invalidJson: (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('<html>Bad gateway</html>');
+  },
+  invalidFields: (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ probability: 1.7, confidence: 'high', timeHorizon: -1 }));
+  },
+  serverError: (req, res) => {
+    res.writeHead(500);
+    res.end();
+  }
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    SCENARIOS[req.url.split('/')[1]](req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+// Each scenario is served below its own path, e.g. POST /stalledBody/predict
+function predictorFor(scenario, timeoutMs = 200) {
+  return new HttpPredictor({ baseUrl: `${baseUrl}/${scenario}`, timeoutMs });
+}
+
+async function assertServiceError(promise, statusCode, pattern) {
+  await assert.rejects(promise, (error) => {
+    assert.strictEqual(error.name, 'ServiceError');
+    assert.strictEqual(error.statusCode, statusCode);
+    assert.match(error.message, pattern);
+    return true;
+  });
+}
+
+test('returns the model server estimate', async () => {
+  const estimate = await predictorFor('ok').predict(FEATURES);
+
+  assert.deepStrictEqual(estimate, {
+    probability: 0.42,
+    confidence: 0.9,
+    timeHorizon: 13,
+    factors: [{ factor: 'vibration', equipmentId: 'pump-1' }],
+    recommendations: ['Inspect bearings'],
+    backend: 'ml-server',
+    modelVersion: 'ml-server@2.1.0'
+  });
+});
+
+test('times out when the server does not respond', async () => {
+  await assertServiceError(predictorFor('noResponse').predict(FEATURES), 504, /timed out after 200ms/);
+});
+
+test('times out when the response body stalls', async () => {
+  const started = Date.now();
+  await assertServiceError(predictorFor('stalledBody').predict(FEATURES), 504, /timed out after 200ms/);
+  assert.ok(Date.now() - started < 2000);
+});
+
+test('rejects a response that is not JSON', async () => {
+  await assertServiceError(predictorFor('invalidJson').predict(FEATURES), 502, /invalid JSON/);
+});
+
+test('rejects a response with invalid fields', async () => {
+  await assert.rejects(predictorFor('invalidFields').predict(FEATURES), (error) => {
+    assert.strictEqual(error.statusCode, 502);
+    assert.deepStrictEqual(error.details, [
+      'probability must be a number between 0 and 1',
+      'confidence must be a number between 0 and 1',
+      'timeHorizon must be a non-negative number of days',
+      'modelVersion must be a non-empty string'
+    ]);
+    return true;
+  });
+});
+
+test('rejects an error status', async () => {
+  await assertServiceError(predictorFor('serverError').predict(FEATURES), 502, /responded with 500/);
+});
@@ -0,0 +1,31 @@
+const LocalPredictor = require('./localPredictor');
+const HttpPredictor = require('./httpPredictor');
+const FallbackPredictor = require('./fallbackPredictor');
+require('dotenv').config();
+
+// A predictor exposes `name` and `predict(features)`, resolving to
+// { probability, confidence, timeHorizon, factors, recommendations?, backend, modelVersion }
+function createPredictor(backend = process.env.PREDICTION_BACKEND || 'local') {
+  const local = new LocalPredictor();
+
+  if (backend !== 'http') {
+    return local;
+  }
+
+  const remote = new HttpPredictor({
+    baseUrl: process.env.ML_SERVER_URL,
+    timeoutMs: parseInt(process.env.ML_SERVER_TIMEOUT_MS) || 5000
+  });
+
+  return new FallbackPredictor(remote, local, {
+    failureThreshold: parseInt(process.env.ML_SERVER_FAILURE_THRESHOLD) || 5,
+    resetTimeoutMs: parseInt(process.env.ML_SERVER_RESET_TIMEOUT_MS) || 30000
+  });
+}
+
+module.exports = {
+  createPredictor,
+  LocalPredictor,
+  HttpPredictor,
+  FallbackPredictor
+};
@@ -0,0 +1,113 @@
+const {
+  linearRegression,
+  fitWeibull,
+  conditionalFailureProbability,
+  medianResidualLife,
+  clamp,
+  round
+} = require('../../utils/statistics');
+
+const MIN_TREND_POINTS = 12;
+
+// Built-in JS heuristics; always available, so it also serves as the fallback backend
+class LocalPredictor {
+  constructor({ version } = {}) {
+    this.name = 'builtin-js';
+    this.version = version || process.env.ML_MODEL_VERSION || '1.0.0';
+  }
+
+  async predict(features) {
+    return {
+      ...estimateFailureRisk(features),
+      backend: this.name,
+      modelVersion: `${this.name}@${this.version}`
+    };
+  }
+}
+
+// Combines degradation-trend extrapolation with a Weibull model of failure history
+function estimateFailureRisk({ horizonDays, trends, failureHistory }) {
+  const factors = [];
+  const remainingLifeEstimates = [];
+  let trendConfidence = 0;
+
+  trends.forEach(trend => {
+    if (trend.points.length < MIN_TREND_POINTS) return;
+
+    const fit = linearRegression(trend.points);
+    if (!fit) return;
+
+    const lastX = trend.points[trend.points.length - 1].x;
+    const current = fit.intercept + fit.slope * lastX;
+    const towardsLimit = trend.direction === 'up' ? fit.slope : -fit.slope;
+    const margin = trend.direction === 'up' ? trend.limit - current : current - trend.limit;
+
+    let daysToLimit = null;
+    if (margin <= 0) {
+      daysToLimit = 0;
+    } else if (towardsLimit > 0) {
+      daysToLimit = margin / towardsLimit;
+    }
+
+    // A noisy fit says little about where the metric is heading. That lowers the confidence
+    // in the estimate, not the failure probability itself.
+    const fitConfidence = fit.rSquared * Math.min(1, trend.points.length / (MIN_TREND_POINTS * 4));
+    trendConfidence = Math.max(trendConfidence, fitConfidence);
+
+    if (daysToLimit === null) return;
+
+    remainingLifeEstimates.push(daysToLimit);
+    factors.push({
+      factor: 'degradation_trend',
+      metric: trend.metric,
+      direction: trend.direction,
+      limit: trend.limit,
+      currentValue: round(current),
+      slopePerDay: round(fit.slope, 4),
+      daysToLimit: round(daysToLimit, 1),
+      rSquared: round(fit.rSquared),
+      confidence: round(fitConfidence),
+      probability: round(Math.exp(-daysToLimit / horizonDays))
+    });
+  });
+
+  let weibullConfidence = 0;
+  const weibull = fitWeibull(failureHistory.intervalsDays);
+  if (weibull) {
+    const probability = conditionalFailureProbability(failureHistory.ageDays, horizonDays, weibull);
+    const residualLife = medianResidualLife(failureHistory.ageDays, weibull);
+    weibullConfidence = weibull.rSquared * Math.min(1, weibull.n / 10) *
+      (failureHistory.source === 'equipment' ? 1 : 0.8);
+
+    remainingLifeEstimates.push(residualLife);
+    factors.push({
+      factor: 'failure_history',
+      model: 'weibull',
+      source: failureHistory.source,
+      shape: round(weibull.shape),
+      scaleDays: round(weibull.scale, 1),
+      samples: weibull.n,
+      ageDays: round(failureHistory.ageDays, 1),
+      medianRemainingLifeDays: round(residualLife, 1),
+      probability: round(probability)
+    });
+  }
+
+  // Treat each factor as an independent failure mode and attribute by its share of the hazard
+  const hazards = factors.map(factor => -Math.log(1 - clamp(factor.probability, 0, 0.999)));
+  const totalHazard = hazards.reduce((sum, hazard) => sum + hazard, 0);
+  factors.forEach((factor, i) => {
+    factor.contribution = totalHazard > 0 ? round(hazards[i] / totalHazard) : 0;
+  });
+  factors.sort((a, b) => b.contribution - a.contribution);
+
+  const probability = round(1 - Math.exp(-totalHazard));
+  const confidence = round(1 - (1 - trendConfidence) * (1 - weibullConfidence));
+  const timeHorizon = remainingLifeEstimates.length
+    ? Math.max(0, Math.round(Math.min(...remainingLifeEstimates)))
+    : horizonDays;
+
+  return { probability, confidence, timeHorizon, factors };
+}
+
+module.exports = LocalPredictor;
@@ -0,0 +1,83 @@
+const { getRedis, isRedisReady } = require('../config/redis');
+require('dotenv').config();
+
+// Fixed-window request counters, shared across instances through Redis. While Redis is
+// unavailable each instance counts on its own, so the effective limit is per instance.
+class RateLimiter {
+  constructor() {
+    this.windowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+    this.maxRequests = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100;
+    this.maxInvalidKeys = parseInt(process.env.RATE_LIMIT_MAX_INVALID_KEYS) || 10;
+    this.memory = new Map();
+    this.memoryWindow = null;
+  }
+
+  // Counts one request for the client; returns { limit, remaining, resetAt, limited }
+  async hit(clientId, limit = this.maxRequests) {
+    const windowStart = Math.floor(Date.now() / this.windowMs) * this.windowMs;
+    const count = await this.increment(`ratelimit:${clientId}:${windowStart}`, windowStart);
+    return this.result(count, limit, windowStart);
+  }
+
+  // Like hit(), without counting a request
+  async peek(clientId, limit = this.maxRequests) {
+    const windowStart = Math.floor(Date.now() / this.windowMs) * this.windowMs;
+    const count = await this.read(`ratelimit:${clientId}:${windowStart}`, windowStart);
+    return this.result(count, limit, windowStart);
+  }
+
+  result(count, limit, windowStart) {
+    return {
+      limit,
+      remaining: Math.max(0, limit - count),
+      resetAt: new Date(windowStart + this.windowMs),
+      limited: count > limit
+    };
+  }
+
+  async read(key, windowStart) {
+    if (isRedisReady()) {
+      try {
+        return parseInt(await getRedis().get(key)) || 0;
+      } catch (error) {
+        // Fall through to the in-memory counter
+      }
+    }
+    return this.memoryWindow === windowStart ? this.memory.get(key) || 0 : 0;
+  }
+
+  async increment(key, windowStart) {
+    if (isRedisReady()) {
+      try {
+        const [[incrError, count]] = await getRedis()
+          .multi()
+          .incr(key)
+          .pexpire(key, this.windowMs)
+          .exec();
+        if (!incrError) return count;
+      } catch (error) {
+        // Fall through to the in-memory counter
+      }
+    }
+
+    // Counters of earlier windows are dropped whenever a new window starts
+    if (this.memoryWindow !== windowStart) {
+      this.memory.clear();
+      this.memoryWindow = windowStart;
+    }
+    const count = (this.memory.get(key) || 0) + 1;
+    this.memory.set(key, count);
+    return count;
+  }
+
+  getStats() {
+    return {
+      backend: isRedisReady() ? 'redis' : 'memory',
+      windowMs: this.windowMs,
+      maxRequests: this.maxRequests,
+      maxInvalidKeys: this.maxInvalidKeys
+    };
+  }
+}
+
+module.exports = new RateLimiter();
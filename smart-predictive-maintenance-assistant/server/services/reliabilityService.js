@@ -0,0 +1,288 @@
+const moment = require('moment');
+const { Op } = require('sequelize');
+const { sequelize, Equipment, MaintenanceRecord } = require('../models');
+const { getStartDate } = require('../utils/analytics');
+const { ServiceError } = require('../utils/errors');
+require('dotenv').config();
+
+const HOUR_MS = 60 * 60 * 1000;
+const FAILURE_TYPES = ['corrective', 'emergency'];
+const GROUP_FIELDS = { equipment: 'id', type: 'type', location: 'location' };
+const COMPARE_MODES = ['previous', 'year'];
+
+// Reliability KPIs over a period. A failure is a completed corrective or emergency record,
+// dated by its completedDate; its downtime minutes are the repair time. Each asset is observed
+// from the later of the period start and its installationDate.
+//   MTBF = uptime / failures, MTTR = downtime / failures with downtime recorded,
+//   availability = uptime / observed time, failureRate = failures per 1000 uptime hours.
+// OEE = availability * performance * quality for assets with specifications.idealRatePerHour
+// and a total-count counter in their readings' additionalMetrics.
+class ReliabilityService {
+  constructor() {
+    this.totalCountMetric = process.env.OEE_TOTAL_COUNT_METRIC || 'totalCount';
+    this.goodCountMetric = process.env.OEE_GOOD_COUNT_METRIC || 'goodCount';
+  }
+
+  // options: { timeRange | from, to, groupBy, equipmentId, type, location (array or null), compare }
+  async report(options = {}, now = new Date()) {
+    const groupBy = options.groupBy || 'equipment';
+    if (!GROUP_FIELDS[groupBy]) {
+      throw new ServiceError(`groupBy must be one of ${Object.keys(GROUP_FIELDS).join(', ')}`, 400);
+    }
+    if (options.compare && !COMPARE_MODES.includes(options.compare)) {
+      throw new ServiceError(`compare must be one of ${COMPARE_MODES.join(', ')}`, 400);
+    }
+
+    const period = parsePeriod(options, now);
+    const comparePeriod = options.compare ? shiftPeriod(period, options.compare) : null;
+
+    const equipment = await this.findEquipment(options);
+    const current = await this.measure(equipment, period, groupBy);
+    const previous = comparePeriod ? await this.measure(equipment, comparePeriod, groupBy) : null;
+
+    const withComparison = (key, metrics) => {
+      if (!previous) return metrics;
+      const before = key === null ? previous.summary : previous.groups.get(key);
+      return { ...metrics, previous: before || null, change: before ? describeChange(metrics, before) : null };
+    };
+
+    return {
+      period,
+      comparePeriod,
+      groupBy,
+      summary: withComparison(null, current.summary),
+      groups: [...current.groups.entries()].map(([key, metrics]) => ({
+        ...describeGroup(groupBy, key, equipment),
+        ...withComparison(key, metrics)
+      })),
+      generatedAt: now.toISOString()
+    };
+  }
+
+  findEquipment(options) {
+    const where = {};
+    if (options.equipmentId) where.id = { [Op.in]: [].concat(options.equipmentId) };
+    if (options.type) where.type = { [Op.in]: [].concat(options.type) };
+    if (options.location) where.location = { [Op.in]: options.location };
+
+    return Equipment.findAll({
+      where,
+      attributes: ['id', 'name', 'type', 'location', 'installationDate', 'specifications'],
+      order: [['name', 'ASC']]
+    });
+  }
+
+  // KPIs for each group and for all equipment together over one period
+  async measure(equipment, period, groupBy) {
+    const inService = equipment.filter(item => !item.installationDate || new Date(item.installationDate) < period.to);
+    const ids = inService.map(item => item.id);
+    const [failures, counts] = ids.length > 0
+      ? await Promise.all([this.loadFailures(ids, period), this.loadProductionCounts(ids, period)])
+      : [new Map(), new Map()];
+
+    const totals = new Map();
+    const summary = emptyTotals();
+    inService.forEach(item => {
+      const observedFrom = item.installationDate && new Date(item.installationDate) > period.from
+        ? new Date(item.installationDate)
+        : period.from;
+      const failure = failures.get(item.id) || { failures: 0, downtimeMinutes: 0, repairs: 0 };
+      const observedHours = (period.to - observedFrom) / HOUR_MS;
+      const downtimeHours = Math.min(failure.downtimeMinutes / 60, observedHours);
+
+      const key = item[GROUP_FIELDS[groupBy]];
+      const group = totals.get(key) || emptyTotals();
+      [group, summary].forEach(target => {
+        target.assets++;
+        target.observedHours += observedHours;
+        target.downtimeHours += downtimeHours;
+        target.failures += failure.failures;
+        target.repairs += failure.repairs;
+      });
+
+      // OEE needs an ideal rate and production counts
+      const idealRate = parseFloat(item.specifications && item.specifications.idealRatePerHour);
+      const count = counts.get(item.id);
+      if (idealRate > 0 && count && count.total > 0) {
+        [group, summary].forEach(target => {
+          target.oee.assets++;
+          target.oee.observedHours += observedHours;
+          target.oee.uptimeHours += observedHours - downtimeHours;
+          target.oee.idealCount += idealRate * (observedHours - downtimeHours);
+          target.oee.totalCount += count.total;
+          if (count.good !== null) {
+            target.oee.goodCount += count.good;
+            target.oee.qualityCount += count.total;
+          }
+        });
+      }
+      totals.set(key, group);
+    });
+
+    return {
+      summary: computeMetrics(summary),
+      groups: new Map([...totals.entries()].map(([key, group]) => [key, computeMetrics(group)]))
+    };
+  }
+
+  async loadFailures(ids, period) {
+    const rows = await MaintenanceRecord.findAll({
+      where: {
+        equipmentId: { [Op.in]: ids },
+        type: { [Op.in]: FAILURE_TYPES },
+        status: 'completed',
+        completedDate: { [Op.gte]: period.from, [Op.lt]: period.to }
+      },
+      attributes: [
+        'equipmentId',
+        [sequelize.fn('COUNT', '*'), 'failures'],
+        [sequelize.fn('SUM', sequelize.col('downtime')), 'downtimeMinutes'],
+        [sequelize.fn('COUNT', sequelize.col('downtime')), 'repairs']
+      ],
+      group: ['equipmentId'],
+      raw: true
+    });
+
+    return new Map(rows.map(row => [row.equipmentId, {
+      failures: parseInt(row.failures) || 0,
+      downtimeMinutes: parseFloat(row.downtimeMinutes) || 0,
+      repairs: parseInt(row.repairs) || 0
+    }]));
+  }
+
+  // Units produced and good units per asset: increments of the total and good counters in
+  // additionalMetrics, where a counter that drops is treated as reset. Readings without a good
+  // count add nothing, so good stays NULL for an asset that has no good-count counter.
+  async loadProductionCounts(ids, period) {
+    const rows = await sequelize.query(`
+      SELECT equipment_id AS "equipmentId",
+        SUM(CASE WHEN total_previous IS NULL THEN 0 WHEN total >= total_previous THEN total - total_previous ELSE total END) AS total,
+        SUM(CASE WHEN good IS NULL THEN NULL WHEN good_previous IS NULL THEN 0 WHEN good >= good_previous THEN good - good_previous ELSE good END) AS good
+      FROM (
+        SELECT equipment_id,
+          (additional_metrics->>:totalMetric)::float AS total,
+          LAG((additional_metrics->>:totalMetric)::float) OVER readings AS total_previous,
+          (additional_metrics->>:goodMetric)::float AS good,
+          LAG((additional_metrics->>:goodMetric)::float) OVER readings AS good_previous
+        FROM sensor_readings
+        WHERE equipment_id IN (:ids)
+          AND timestamp >= :from AND timestamp < :to
+          AND additional_metrics->>:totalMetric IS NOT NULL
+        WINDOW readings AS (PARTITION BY equipment_id ORDER BY timestamp)
+      ) counters
+      GROUP BY equipment_id
+    `, {
+      replacements: {
+        ids,
+        from: period.from,
+        to: period.to,
+        totalMetric: this.totalCountMetric,
+        goodMetric: this.goodCountMetric
+      },
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    return new Map(rows.map(row => [row.equipmentId, {
+      total: parseFloat(row.total) || 0,
+      good: row.good === null ? null : parseFloat(row.good) || 0
+    }]));
+  }
+}
+
+function parsePeriod(options, now) {
+  if (!options.from && !options.to) {
+    return { from: getStartDate(options.timeRange || '30d'), to: now };
+  }
+
+  const from = options.from ? new Date(options.from) : getStartDate(options.timeRange || '30d');
+  const to = options.to ? new Date(options.to) : now;
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    throw new ServiceError('from and to must be valid dates', 400);
+  }
+  if (from >= to) {
+    throw new ServiceError('from must be before to', 400);
+  }
+  return { from, to };
+}
+
+// The period before (a whole number of calendar months when the period is one, e.g. the
+// previous month), or the same period a year earlier
+function shiftPeriod(period, mode) {
+  if (mode === 'year') {
+    return {
+      from: moment(period.from).subtract(1, 'year').toDate(),
+      to: moment(period.to).subtract(1, 'year').toDate()
+    };
+  }
+
+  const months = moment(period.to).diff(period.from, 'months', true);
+  if (Number.isInteger(months) && moment(period.from).date() === moment(period.to).date()) {
+    return { from: moment(period.from).subtract(months, 'months').toDate(), to: period.from };
+  }
+  return { from: new Date(period.from.getTime() - (period.to - period.from)), to: period.from };
+}
+
+function emptyTotals() {
+  return {
+    assets: 0,
+    observedHours: 0,
+    downtimeHours: 0,
+    failures: 0,
+    repairs: 0,
+    oee: { assets: 0, observedHours: 0, uptimeHours: 0, idealCount: 0, totalCount: 0, goodCount: 0, qualityCount: 0 }
+  };
+}
+
+function computeMetrics(totals) {
+  const uptimeHours = Math.max(0, totals.observedHours - totals.downtimeHours);
+  const { oee } = totals;
+  const oeeAvailability = oee.observedHours > 0 ? oee.uptimeHours / oee.observedHours : null;
+  const performance = oee.idealCount > 0 ? oee.totalCount / oee.idealCount : null;
+  const quality = oee.qualityCount > 0 ? oee.goodCount / oee.qualityCount : null;
+
+  return {
+    assets: totals.assets,
+    failures: totals.failures,
+    observedHours: round(totals.observedHours),
+    uptimeHours: round(uptimeHours),
+    downtimeHours: round(totals.downtimeHours),
+    mtbfHours: totals.failures > 0 ? round(uptimeHours / totals.failures) : null,
+    mttrHours: totals.repairs > 0 ? round(totals.downtimeHours / totals.repairs) : null,
+    availability: totals.observedHours > 0 ? round(uptimeHours / totals.observedHours, 4) : null,
+    failureRate: uptimeHours > 0 ? round(totals.failures / uptimeHours * 1000, 4) : null,
+    oee: oee.assets > 0 ? {
+      assets: oee.assets,
+      availability: round(oeeAvailability, 4),
+      performance: performance !== null ? round(performance, 4) : null,
+      quality: quality !== null ? round(quality, 4) : null,
+      oee: performance !== null && quality !== null ? round(oeeAvailability * performance * quality, 4) : null
+    } : null
+  };
+}
+
+// Current minus previous for each KPI that has a value in both periods
+function describeChange(current, previous) {
+  const change = {};
+  ['failures', 'mtbfHours', 'mttrHours', 'availability', 'failureRate'].forEach(field => {
+    change[field] = current[field] !== null && previous[field] !== null
+      ? round(current[field] - previous[field], 4)
+      : null;
+  });
+  change.oee = current.oee && previous.oee && current.oee.oee !== null && previous.oee.oee !== null
+    ? round(current.oee.oee - previous.oee.oee, 4)
+    : null;
+  return change;
+}
+
+function describeGroup(groupBy, key, equipment) {
+  if (groupBy !== 'equipment') return { [groupBy]: key };
+  const item = equipment.find(candidate => candidate.id === key);
+  return { equipmentId: key, name: item.name, type: item.type, location: item.location };
+}
+
+function round(value, digits = 2) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = new ReliabilityService();
@@ -0,0 +1,61 @@
+// Runs without a database, the model queries are stubbed: node --test server/services/reliabilityService.test.js
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { sequelize, Equipment, MaintenanceRecord } = require('../models');
+const reliabilityService = require('./reliabilityService');
+
+const PERIOD = { from: '2026-10-01T00:00:00Z', to: '2026-10-02T00:00:00Z' };
+
+const EQUIPMENT = [
+  { id: 'press-1', name: 'Press 1', type: 'press', location: 'Plant A', specifications: { idealRatePerHour: 10 } },
+  { id: 'press-2', name: 'Press 2', type: 'press', location: 'Plant A', specifications: { idealRatePerHour: 10 } }
+];
+
+let productionQuery;
+let productionRows;
+
+beforeEach(() => {
+  productionQuery = null;
+  productionRows = [];
+  Equipment.findAll = async () => EQUIPMENT;
+  MaintenanceRecord.findAll = async () => [];
+  sequelize.query = async (sql) => {
+    productionQuery = sql;
+    return productionRows;
+  };
+});
+
+test('keeps good counts NULL for readings without a good-count counter', async () => {
+  await reliabilityService.loadProductionCounts(['press-1'], PERIOD);
+
+  assert.match(productionQuery, /SUM\(CASE WHEN good IS NULL THEN NULL WHEN good_previous IS NULL THEN 0 /);
+});
+
+test('reports performance but no quality for an asset with only a total counter', async () => {
+  // PostgreSQL sums no good counts to NULL
+  productionRows = [{ equipmentId: 'press-1', total: '120', good: null }];
+
+  const report = await reliabilityService.report({ ...PERIOD, equipmentId: 'press-1' });
+  const { oee } = report.groups.find(group => group.equipmentId === 'press-1');
+
+  assert.strictEqual(oee.performance, 0.5);
+  assert.strictEqual(oee.quality, null);
+  assert.strictEqual(oee.oee, null);
+});
+
+test('rates quality only over assets with a good-count counter', async () => {
+  productionRows = [
+    { equipmentId: 'press-1', total: '120', good: null },
+    { equipmentId: 'press-2', total: '200', good: '190' }
+  ];
+
+  const report = await reliabilityService.report(PERIOD);
+
+  assert.strictEqual(report.summary.oee.assets, 2);
+  assert.strictEqual(report.summary.oee.quality, 0.95);
+  assert.strictEqual(report.summary.oee.performance, round(320 / 480));
+});
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
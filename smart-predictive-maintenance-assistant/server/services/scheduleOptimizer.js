@@ -0,0 +1,521 @@
+const { Op } = require('sequelize');
+const { sequelize, Equipment, MaintenanceRecord, Prediction, User } = require('../models');
+const workOrderService = require('./workOrderService');
+const { getStartDate } = require('../utils/analytics');
+const { isUuid, isValidationError, formatValidationErrors } = require('../utils/request');
+const { ServiceError } = require('../utils/errors');
+const { ROLES, hasPermission, canAccessLocation, restrictLocations } = require('../utils/permissions');
+require('dotenv').config();
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+const PLANNED_TYPES = ['preventive', 'predictive'];
+const UNPLANNED_TYPES = ['corrective', 'emergency'];
+const OPEN_STATUSES = ['scheduled', 'in_progress'];
+// Cost averages need this many records before an asset's own history is trusted over its type's
+const MIN_COST_SAMPLES = 2;
+
+// Proposes when to service assets with a current failure prediction, and who should do it.
+//
+// Each asset's chance of failing before day t rises linearly to the predicted probability at
+// its remaining useful life (timeHorizon). Servicing it on day t costs the planned cost plus the
+// chance it fails first times the failure cost, against the probability times the failure cost
+// of running it to failure, so expectedSavings = p * failureCost * (1 - t / timeHorizon) - plannedCost.
+// Costs are the average cost plus downtime of completed planned and unplanned work from the cost
+// history, per asset, else per equipment type, else fleet-wide, else the configured defaults.
+//
+// Jobs are placed greedily, highest cost of delay per hour of work first, into the earliest
+// slot where a technician is free inside a downtime window. Jobs that no longer pay off by the
+// earliest slot are deferred.
+class ScheduleOptimizer {
+  constructor() {
+    this.horizonDays = parseInt(process.env.SCHEDULE_HORIZON_DAYS) || 30;
+    this.predictionMaxAgeHours = parseInt(process.env.SCHEDULE_PREDICTION_MAX_AGE_HOURS) || 48;
+    this.costTimeRange = process.env.SCHEDULE_COST_TIME_RANGE || '12m';
+    this.defaultPlannedCost = parseFloat(process.env.SCHEDULE_DEFAULT_PLANNED_COST) || 500;
+    this.defaultFailureCost = parseFloat(process.env.SCHEDULE_DEFAULT_FAILURE_COST) || 5000;
+    this.defaultDurationMinutes = parseInt(process.env.SCHEDULE_DEFAULT_DURATION_MINUTES) || 120;
+    this.downtimeCostPerHour = parseFloat(process.env.SCHEDULE_DOWNTIME_COST_PER_HOUR) || 0;
+  }
+
+  // options: { horizonDays, minRiskLevel, equipmentIds, locations, windows, technicianIds,
+  //            unavailable, downtimeCostPerHour }
+  async optimize(user, options = {}, now = new Date()) {
+    const horizonDays = positiveNumber(options.horizonDays, 'horizonDays') || this.horizonDays;
+    const horizonEnd = new Date(now.getTime() + horizonDays * DAY_MS);
+    const minRiskLevel = options.minRiskLevel || 'medium';
+    if (!RISK_LEVELS.includes(minRiskLevel)) {
+      throw new ServiceError(`minRiskLevel must be one of: ${RISK_LEVELS.join(', ')}`, 400);
+    }
+    const downtimeCostPerHour = options.downtimeCostPerHour === undefined
+      ? null
+      : nonNegativeNumber(options.downtimeCostPerHour, 'downtimeCostPerHour');
+
+    const windows = parseWindows(options.windows, now, horizonEnd);
+    const candidates = await this.findCandidates(user, options, minRiskLevel, now);
+    const technicians = await this.findTechnicians(options, now, horizonEnd);
+    const costs = await this.loadCostHistory();
+
+    const jobs = [];
+    const deferred = [];
+    candidates.skipped.forEach(entry => deferred.push(entry));
+
+    candidates.predictions
+      .map(prediction => this.estimate(prediction, costs, downtimeCostPerHour))
+      .sort((a, b) => b.delayCostPerHour - a.delayCostPerHour)
+      .forEach(estimate => {
+        const { equipment, prediction } = estimate;
+        const summary = {
+          equipmentId: equipment.id,
+          equipmentName: equipment.name,
+          location: equipment.location,
+          predictionId: prediction.id,
+          riskLevel: prediction.riskLevel
+        };
+
+        if (estimate.savingsAt(now) <= 0) {
+          deferred.push({
+            ...summary,
+            reason: estimate.latestWorthwhileDate
+              ? 'Planned maintenance no longer pays off before the predicted failure'
+              : 'Planned maintenance costs more than the expected cost of failure'
+          });
+          return;
+        }
+
+        const slot = findSlot(estimate, windows, technicians, now);
+        if (!slot) {
+          deferred.push({ ...summary, reason: 'No technician is free in a downtime window within the horizon' });
+          return;
+        }
+        const expectedSavings = estimate.savingsAt(slot.start);
+        if (expectedSavings <= 0) {
+          deferred.push({
+            ...summary,
+            reason: `The earliest slot (${slot.start.toISOString()}) is too late to pay off`,
+            latestWorthwhileDate: estimate.latestWorthwhileDate
+          });
+          return;
+        }
+
+        slot.technician.busy.push({ start: slot.start, end: slot.end });
+        slot.technician.busy.sort((a, b) => a.start - b.start);
+        jobs.push({
+          ...summary,
+          probability: prediction.probability,
+          confidence: prediction.confidence,
+          timeHorizon: prediction.timeHorizon,
+          scheduledDate: slot.start,
+          estimatedDuration: estimate.durationMinutes,
+          assignedTo: slot.technician.id,
+          technician: slot.technician.name,
+          windowIndex: slot.windowIndex,
+          plannedCost: round(estimate.plannedCost),
+          failureCost: round(estimate.failureCost),
+          expectedFailureCost: round(estimate.expectedFailureCost),
+          expectedSavings: round(expectedSavings),
+          latestWorthwhileDate: estimate.latestWorthwhileDate,
+          costBasis: estimate.costBasis
+        });
+      });
+
+    jobs.sort((a, b) => a.scheduledDate - b.scheduledDate);
+    jobs.forEach((job, index) => { job.sequence = index + 1; });
+
+    return {
+      generatedAt: now.toISOString(),
+      horizon: { from: now, to: horizonEnd },
+      windows,
+      jobs,
+      deferred,
+      summary: {
+        jobs: jobs.length,
+        deferred: deferred.length,
+        totalPlannedCost: round(jobs.reduce((sum, job) => sum + job.plannedCost, 0)),
+        totalExpectedSavings: round(jobs.reduce((sum, job) => sum + job.expectedSavings, 0))
+      }
+    };
+  }
+
+  // Creates a predictive work order for each accepted job. Jobs succeed or fail on their own,
+  // e.g. when the technician has been booked since the proposal was made.
+  async accept(user, jobs) {
+    if (!Array.isArray(jobs) || jobs.length === 0) {
+      throw new ServiceError('jobs must be a non-empty array of proposed jobs', 400);
+    }
+
+    const created = [];
+    const failed = [];
+    for (const [index, job] of jobs.entries()) {
+      try {
+        // A malformed id would otherwise fail the uuid cast after earlier jobs were created
+        ['equipmentId', 'predictionId', 'assignedTo'].forEach(field => {
+          if (job[field] && !isUuid(job[field])) {
+            throw new ServiceError(`${field} must be a valid id`, 400);
+          }
+        });
+
+        const equipment = job.equipmentId ? await Equipment.findByPk(job.equipmentId) : null;
+        if (!equipment) {
+          throw new ServiceError('Equipment not found', 404);
+        }
+        if (!canAccessLocation(user, equipment.location)) {
+          throw new ServiceError(`You do not have access to equipment at ${equipment.location}`, 403);
+        }
+
+        const prediction = job.predictionId
+          ? await Prediction.findOne({ where: { id: job.predictionId, equipmentId: equipment.id } })
+          : null;
+        const workOrder = await workOrderService.create(equipment, {
+          type: 'predictive',
+          scheduledDate: job.scheduledDate,
+          estimatedDuration: job.estimatedDuration,
+          assignedTo: job.assignedTo,
+          description: describeJob(equipment, prediction),
+          notes: job.expectedSavings !== undefined ? `Expected savings (schedule optimizer): ${job.expectedSavings}` : undefined
+        }, user);
+
+        created.push({
+          index,
+          equipmentId: equipment.id,
+          workOrderId: workOrder.id,
+          scheduledDate: workOrder.scheduledDate,
+          assignedTo: workOrder.assignedTo
+        });
+      } catch (error) {
+        if (error instanceof ServiceError) {
+          failed.push({ index, equipmentId: job.equipmentId, error: error.message, ...(error.details ? { conflicts: error.details } : {}) });
+        } else if (isValidationError(error)) {
+          failed.push({ index, equipmentId: job.equipmentId, error: 'Invalid work order', details: formatValidationErrors(error) });
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    return { created, failed };
+  }
+
+  // The latest failure prediction of each accessible, in-service asset at or above minRiskLevel.
+  // Assets that already have an open work order are skipped: they are being taken care of.
+  async findCandidates(user, options, minRiskLevel, now) {
+    const equipmentWhere = { status: { [Op.ne]: 'retired' } };
+    if (options.equipmentIds) equipmentWhere.id = { [Op.in]: parseIds(options.equipmentIds, 'equipmentIds') };
+
+    const locations = restrictLocations(user, options.locations ? [].concat(options.locations) : null);
+    if (locations) equipmentWhere.location = { [Op.in]: locations };
+
+    const predictions = await Prediction.findAll({
+      where: {
+        predictionType: 'failure',
+        generatedAt: { [Op.gte]: new Date(now.getTime() - this.predictionMaxAgeHours * HOUR_MS) }
+      },
+      include: [{ model: Equipment, as: 'equipment', where: equipmentWhere }],
+      order: [['generatedAt', 'DESC']]
+    });
+
+    const latest = new Map();
+    predictions.forEach(prediction => {
+      if (!latest.has(prediction.equipmentId)) latest.set(prediction.equipmentId, prediction);
+    });
+    const atRisk = [...latest.values()].filter(prediction =>
+      RISK_LEVELS.indexOf(prediction.riskLevel) >= RISK_LEVELS.indexOf(minRiskLevel));
+
+    const busyEquipment = new Set((await MaintenanceRecord.findAll({
+      where: {
+        equipmentId: { [Op.in]: atRisk.map(prediction => prediction.equipmentId) },
+        status: { [Op.in]: OPEN_STATUSES }
+      },
+      attributes: ['equipmentId']
+    })).map(record => record.equipmentId));
+
+    return {
+      predictions: atRisk.filter(prediction => !busyEquipment.has(prediction.equipmentId)),
+      skipped: atRisk
+        .filter(prediction => busyEquipment.has(prediction.equipmentId))
+        .map(prediction => ({
+          equipmentId: prediction.equipmentId,
+          equipmentName: prediction.equipment.name,
+          location: prediction.equipment.location,
+          predictionId: prediction.id,
+          riskLevel: prediction.riskLevel,
+          reason: 'Already has an open work order'
+        }))
+    };
+  }
+
+  // Active users who can carry out maintenance, with the time they are already booked or away
+  async findTechnicians(options, now, horizonEnd) {
+    const where = {
+      active: true,
+      role: { [Op.in]: ROLES.filter(role => hasPermission({ type: 'user', role }, 'maintenance:write')) }
+    };
+    if (options.technicianIds) where.id = { [Op.in]: parseIds(options.technicianIds, 'technicianIds') };
+
+    const users = await User.findAll({ where, attributes: ['id', 'name', 'role', 'locations'] });
+    if (users.length === 0) {
+      throw new ServiceError('No active technicians are available to schedule', 409);
+    }
+
+    const booked = await MaintenanceRecord.findAll({
+      where: {
+        assignedTo: { [Op.in]: users.map(user => user.id) },
+        status: { [Op.in]: OPEN_STATUSES },
+        scheduledDate: { [Op.lt]: horizonEnd },
+        [Op.and]: [
+          sequelize.where(sequelize.literal('scheduled_date + estimated_duration * INTERVAL \'1 minute\''), Op.gt, now)
+        ]
+      },
+      attributes: ['assignedTo', 'scheduledDate', 'estimatedDuration']
+    });
+
+    const unavailable = [].concat(options.unavailable || []).map((entry, index) => {
+      const period = parsePeriod(entry, `unavailable[${index}]`);
+      return { ...period, technicianId: entry.technicianId };
+    });
+
+    return users.map(user => ({
+      id: user.id,
+      name: user.name,
+      role: user.role,
+      locations: user.locations,
+      busy: [
+        ...booked
+          .filter(record => record.assignedTo === user.id)
+          .map(record => ({
+            start: new Date(record.scheduledDate),
+            end: new Date(new Date(record.scheduledDate).getTime() + record.estimatedDuration * 60000)
+          })),
+        ...unavailable
+          .filter(period => period.technicianId === user.id)
+          .map(({ start, end }) => ({ start, end }))
+      ].sort((a, b) => a.start - b.start)
+    }));
+  }
+
+  // Average cost and downtime of completed work with a cost, per asset, type and fleet, split
+  // into planned and unplanned work. Uses the whole fleet's history: only averages come out of it.
+  async loadCostHistory() {
+    const rows = await MaintenanceRecord.findAll({
+      where: {
+        completedDate: { [Op.gte]: getStartDate(this.costTimeRange), [Op.not]: null },
+        cost: { [Op.not]: null }
+      },
+      attributes: [
+        'equipmentId',
+        'type',
+        [sequelize.fn('SUM', sequelize.col('cost')), 'totalCost'],
+        [sequelize.fn('COUNT', '*'), 'count'],
+        [sequelize.fn('SUM', sequelize.col('downtime')), 'totalDowntime'],
+        [sequelize.fn('COUNT', sequelize.col('downtime')), 'downtimeCount']
+      ],
+      group: ['equipmentId', 'type'],
+      raw: true
+    });
+
+    const equipmentTypes = new Map((await Equipment.findAll({
+      where: { id: { [Op.in]: [...new Set(rows.map(row => row.equipmentId))] } },
+      attributes: ['id', 'type']
+    })).map(equipment => [equipment.id, equipment.type]));
+
+    const history = { equipment: new Map(), type: new Map(), fleet: {} };
+    rows.forEach(row => {
+      const category = UNPLANNED_TYPES.includes(row.type) ? 'unplanned' : PLANNED_TYPES.includes(row.type) ? 'planned' : null;
+      if (!category) return;
+
+      const sample = {
+        cost: parseFloat(row.totalCost) || 0,
+        count: parseInt(row.count) || 0,
+        downtime: parseFloat(row.totalDowntime) || 0,
+        downtimeCount: parseInt(row.downtimeCount) || 0
+      };
+      addSample(history.fleet, category, sample);
+      addSample(entryFor(history.equipment, row.equipmentId), category, sample);
+      if (equipmentTypes.has(row.equipmentId)) {
+        addSample(entryFor(history.type, equipmentTypes.get(row.equipmentId)), category, sample);
+      }
+    });
+
+    return history;
+  }
+
+  estimate(prediction, history, downtimeCostPerHour) {
+    const equipment = prediction.equipment;
+    const rate = downtimeCostPerHour !== null
+      ? downtimeCostPerHour
+      : Number((equipment.specifications || {}).downtimeCostPerHour) || this.downtimeCostPerHour;
+
+    const planned = averageFor(history, equipment, 'planned');
+    const unplanned = averageFor(history, equipment, 'unplanned');
+    const durationMinutes = Math.round(planned.downtime || this.defaultDurationMinutes);
+
+    const plannedCost = (planned.cost !== null ? planned.cost : this.defaultPlannedCost) + (durationMinutes / 60) * rate;
+    const failureCost = (unplanned.cost !== null ? unplanned.cost : this.defaultFailureCost) +
+      ((unplanned.downtime || durationMinutes) / 60) * rate;
+
+    const probability = prediction.probability;
+    const lifeDays = Math.max(prediction.timeHorizon || this.horizonDays, 1);
+    const generatedAt = new Date(prediction.generatedAt).getTime();
+
+    const savingsAt = (date) => {
+      const elapsedDays = Math.max(0, (date.getTime() - generatedAt) / DAY_MS);
+      return probability * failureCost * (1 - Math.min(elapsedDays / lifeDays, 1)) - plannedCost;
+    };
+    // Solving savingsAt(t) = 0 for t; never positive when planned work costs more than failure
+    const expectedFailureCost = probability * failureCost;
+    const breakEvenDays = expectedFailureCost > plannedCost ? lifeDays * (1 - plannedCost / expectedFailureCost) : 0;
+
+    return {
+      equipment,
+      prediction,
+      durationMinutes,
+      plannedCost,
+      failureCost,
+      expectedFailureCost,
+      costBasis: { planned: planned.basis, unplanned: unplanned.basis },
+      delayCostPerHour: (expectedFailureCost / lifeDays) / (durationMinutes / 60),
+      latestWorthwhileDate: breakEvenDays > 0 ? new Date(generatedAt + breakEvenDays * DAY_MS) : null,
+      savingsAt
+    };
+  }
+}
+
+function describeJob(equipment, prediction) {
+  if (!prediction) return `Predictive maintenance for ${equipment.name} (schedule optimizer)`;
+
+  const lines = [
+    `Predictive maintenance for ${equipment.name}: ${prediction.riskLevel} failure risk ` +
+    `(${Math.round(prediction.probability * 100)}%), about ${prediction.timeHorizon} days of remaining life`
+  ];
+  (prediction.recommendations || []).forEach(recommendation => lines.push(`- ${recommendation}`));
+  return lines.join('\n');
+}
+
+// Downtime windows equipment may be taken down in: [{ start, end, equipmentIds, locations }].
+// Without any, the whole horizon is one window.
+function parseWindows(windows, now, horizonEnd) {
+  if (!windows || windows.length === 0) {
+    return [{ start: now, end: horizonEnd }];
+  }
+  if (!Array.isArray(windows)) {
+    throw new ServiceError('windows must be an array of { start, end, equipmentIds, locations }', 400);
+  }
+
+  return windows
+    .map((window, index) => ({
+      ...parsePeriod(window, `windows[${index}]`),
+      ...(window.equipmentIds ? { equipmentIds: [].concat(window.equipmentIds) } : {}),
+      ...(window.locations ? { locations: [].concat(window.locations) } : {})
+    }))
+    .map(window => ({ ...window, start: window.start < now ? now : window.start }))
+    .filter(window => window.start < window.end);
+}
+
+function parseIds(value, name) {
+  const ids = [].concat(value);
+  if (!ids.every(isUuid)) {
+    throw new ServiceError(`${name} must be a list of ids`, 400);
+  }
+  return ids;
+}
+
+function parsePeriod(period, name) {
+  const start = new Date(period && period.start);
+  const end = new Date(period && period.end);
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+    throw new ServiceError(`${name} needs a valid start before its end`, 400);
+  }
+  return { start, end };
+}
+
+// The earliest slot over every window that applies to the equipment and every technician who
+// can work at its location
+function findSlot(estimate, windows, technicians, now) {
+  const { equipment, durationMinutes } = estimate;
+  const durationMs = durationMinutes * 60000;
+  let best = null;
+
+  windows.forEach((window, windowIndex) => {
+    if (window.equipmentIds && !window.equipmentIds.includes(equipment.id)) return;
+    if (window.locations && !window.locations.includes(equipment.location)) return;
+
+    technicians
+      .filter(technician => canAccessLocation(technician, equipment.location))
+      .forEach(technician => {
+        const start = earliestFreeStart(technician.busy, window, durationMs, now);
+        if (start && (!best || start < best.start)) {
+          best = { start, end: new Date(start.getTime() + durationMs), technician, windowIndex };
+        }
+      });
+  });
+
+  return best;
+}
+
+function earliestFreeStart(busy, window, durationMs, now) {
+  let start = Math.max(window.start.getTime(), now.getTime());
+  for (const period of busy) {
+    if (period.end.getTime() <= start) continue;
+    if (period.start.getTime() >= start + durationMs) break;
+    start = period.end.getTime();
+  }
+  return start + durationMs <= window.end.getTime() ? new Date(start) : null;
+}
+
+function entryFor(map, key) {
+  if (!map.has(key)) map.set(key, {});
+  return map.get(key);
+}
+
+function addSample(entry, category, sample) {
+  const totals = entry[category] || (entry[category] = { cost: 0, count: 0, downtime: 0, downtimeCount: 0 });
+  totals.cost += sample.cost;
+  totals.count += sample.count;
+  totals.downtime += sample.downtime;
+  totals.downtimeCount += sample.downtimeCount;
+}
+
+// Average cost and downtime (minutes) from the most specific history with enough samples
+function averageFor(history, equipment, category) {
+  const levels = [
+    ['equipment', history.equipment.get(equipment.id)],
+    ['type', history.type.get(equipment.type)],
+    ['fleet', history.fleet]
+  ];
+
+  for (const [basis, entry] of levels) {
+    const totals = entry && entry[category];
+    if (totals && totals.count >= (basis === 'fleet' ? 1 : MIN_COST_SAMPLES)) {
+      return {
+        basis,
+        cost: totals.cost / totals.count,
+        downtime: totals.downtimeCount > 0 ? totals.downtime / totals.downtimeCount : null
+      };
+    }
+  }
+  return { basis: 'default', cost: null, downtime: null };
+}
+
+function positiveNumber(value, name) {
+  if (value === undefined || value === null) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new ServiceError(`${name} must be a positive number`, 400);
+  }
+  return number;
+}
+
+function nonNegativeNumber(value, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new ServiceError(`${name} must be a non-negative number`, 400);
+  }
+  return number;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = new ScheduleOptimizer();
@@ -0,0 +1,21 @@
+const alertService = require('./alertService');
+const predictionService = require('./predictionService');
+const healthIndexService = require('./healthIndexService');
+const maintenancePlanService = require('./maintenancePlanService');
+
+// Background jobs that run on a timer. The server entry point starts them once the database is
+// migrated and stops them on shutdown; the MQTT and OPC-UA adapters are started separately.
+const SCHEDULERS = [alertService, predictionService, healthIndexService, maintenancePlanService];
+
+function startSchedulers() {
+  SCHEDULERS.forEach(scheduler => scheduler.start());
+}
+
+function stopSchedulers() {
+  SCHEDULERS.forEach(scheduler => scheduler.stop());
+}
+
+module.exports = {
+  startSchedulers,
+  stopSchedulers
+};
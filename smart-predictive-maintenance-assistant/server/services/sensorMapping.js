@@ -0,0 +1,197 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { parsePath, getPath } = require('../utils/jsonPath');
+const { compileField, validateCanonicalUnits, normalizeValue, assignField } = require('../utils/fieldMapping');
+require('dotenv').config();
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'sensors.json');
+
+// Loads topic/payload mappings from config/sensors.json and reloads them when the file changes.
+// Emits 'reload' with { added, removed } subscription filters after a successful reload.
+class SensorMapping extends EventEmitter {
+  constructor() {
+    super();
+    this.configPath = process.env.SENSOR_MAPPING_PATH || DEFAULT_CONFIG_PATH;
+    this.mappings = [];
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  load() {
+    const raw = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+    const previous = this.getSubscriptions();
+
+    this.mappings = compileConfig(raw);
+
+    const current = this.getSubscriptions();
+    console.log(`🗺️ Loaded ${this.mappings.length} sensor mappings from ${this.configPath}`);
+
+    return {
+      added: current.filter(topic => !previous.includes(topic)),
+      removed: previous.filter(topic => !current.includes(topic))
+    };
+  }
+
+  watch() {
+    if (this.watcher) return;
+
+    // Watch the directory: editors often replace the file, which ends a file watch
+    const directory = path.dirname(this.configPath);
+    const filename = path.basename(this.configPath);
+
+    this.watcher = fs.watch(directory, (eventType, changed) => {
+      if (changed && changed !== filename) return;
+
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reload(), 250);
+    });
+  }
+
+  unwatch() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  reload() {
+    try {
+      const changes = this.load();
+      this.emit('reload', changes);
+    } catch (error) {
+      // Keep serving the last good mapping until the file is fixed
+      console.error(`❌ Invalid sensor mapping in ${this.configPath}, keeping previous config:`, error.message);
+    }
+  }
+
+  getSubscriptions() {
+    return Array.from(new Set(this.mappings.map(mapping => mapping.subscription)));
+  }
+
+  // Returns null when no mapping matches the topic
+  resolve(topic, payload) {
+    const segments = topic.split('/');
+
+    for (const mapping of this.mappings) {
+      const captures = matchTopic(mapping.topicSegments, segments);
+      if (!captures) continue;
+
+      const equipmentValue = mapping.equipment.topicSegment
+        ? captures[mapping.equipment.topicSegment]
+        : getPath(payload, mapping.equipment.path);
+
+      const fields = {};
+      mapping.fields.forEach(field => {
+        const value = extractField(payload, field);
+        if (value !== undefined) assignField(fields, field, value);
+      });
+
+      return {
+        mapping: mapping.name,
+        equipmentRef: {
+          matchBy: mapping.equipment.matchBy,
+          value: equipmentValue === undefined || equipmentValue === null ? null : String(equipmentValue)
+        },
+        fields,
+        timestamp: getPath(payload, mapping.timestampPath),
+        messageId: getPath(payload, mapping.messageIdPath)
+      };
+    }
+
+    return null;
+  }
+}
+
+function compileConfig(config) {
+  if (!config || !Array.isArray(config.mappings)) {
+    throw new Error('config must contain a "mappings" array');
+  }
+
+  const canonicalUnits = config.canonicalUnits || {};
+  validateCanonicalUnits(canonicalUnits);
+
+  return config.mappings.map((mapping, index) => {
+    const label = mapping.name || `mappings[${index}]`;
+    if (typeof mapping.topic !== 'string' || mapping.topic.length === 0) {
+      throw new Error(`${label}: topic is required`);
+    }
+
+    const topicSegments = mapping.topic.split('/').map(segment => {
+      const named = segment.match(/^\{(\w+)\}$/);
+      if (named) return { wildcard: '+', name: named[1] };
+      if (segment === '+' || segment === '#') return { wildcard: segment };
+      return { literal: segment };
+    });
+
+    const equipment = mapping.equipment || {};
+    const matchBy = equipment.matchBy || 'id';
+    if (!['id', 'serialNumber'].includes(matchBy)) {
+      throw new Error(`${label}: equipment.matchBy must be "id" or "serialNumber"`);
+    }
+    if (equipment.topicSegment) {
+      if (!topicSegments.some(segment => segment.name === equipment.topicSegment)) {
+        throw new Error(`${label}: topic has no {${equipment.topicSegment}} segment`);
+      }
+    } else if (!equipment.path) {
+      throw new Error(`${label}: equipment needs a topicSegment or a payload path`);
+    }
+
+    const fields = Object.keys(mapping.fields || {}).map(target => {
+      const spec = mapping.fields[target];
+      return {
+        ...compileField(label, target, spec, canonicalUnits),
+        paths: [].concat(spec.path).map(parsePath)
+      };
+    });
+
+    if (fields.length === 0) {
+      throw new Error(`${label}: at least one field mapping is required`);
+    }
+
+    return {
+      name: label,
+      topicSegments,
+      subscription: topicSegments.map(segment => segment.wildcard || segment.literal).join('/'),
+      equipment: {
+        matchBy,
+        topicSegment: equipment.topicSegment,
+        path: equipment.path ? parsePath(equipment.path) : null
+      },
+      fields,
+      timestampPath: parsePath(mapping.timestampPath || '$.timestamp'),
+      messageIdPath: parsePath(mapping.messageIdPath || '$.messageId')
+    };
+  });
+}
+
+function matchTopic(patternSegments, segments) {
+  const captures = {};
+
+  for (let i = 0; i < patternSegments.length; i++) {
+    const pattern = patternSegments[i];
+    if (pattern.wildcard === '#') return captures;
+    if (i >= segments.length) return null;
+
+    if (pattern.wildcard === '+') {
+      if (pattern.name) captures[pattern.name] = segments[i];
+    } else if (pattern.literal !== segments[i]) {
+      return null;
+    }
+  }
+
+  return segments.length === patternSegments.length ? captures : null;
+}
+
+// First path with a value wins
+function extractField(payload, field) {
+  let value;
+  for (const tokens of field.paths) {
+    value = getPath(payload, tokens);
+    if (value !== undefined && value !== null) break;
+  }
+  return normalizeValue(value, field);
+}
+
+module.exports = new SensorMapping();
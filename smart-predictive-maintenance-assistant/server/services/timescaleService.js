@@ -0,0 +1,229 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../models');
+require('dotenv').config();
+
+const METRICS = ['temperature', 'vibration', 'pressure'];
+const INTERVAL_PATTERN = /^\d+\s+(minute|hour|day|week|month|year)s?$/;
+
+// Continuous aggregates of sensor_readings, refreshed by TimescaleDB. Each row holds one
+// equipment and time bucket with the sum, count and maximum of each metric, so averages over
+// several buckets or assets stay exact.
+const AGGREGATES = {
+  hourly: { view: 'sensor_readings_hourly', bucket: '1 hour', startOffset: '3 days', endOffset: '1 hour', schedule: '30 minutes' },
+  daily: { view: 'sensor_readings_daily', bucket: '1 day', startOffset: '3 days', endOffset: '1 hour', schedule: '1 hour' }
+};
+
+// Turns sensor_readings into a TimescaleDB hypertable with continuous aggregates, compression
+// and retention, and serves the analytics queries from the aggregates once they exist. Without
+// the extension, callers fall back to querying raw readings.
+class TimescaleService {
+  constructor() {
+    this.chunkInterval = interval('TIMESCALE_CHUNK_INTERVAL', '1 day');
+    this.compressAfter = interval('TIMESCALE_COMPRESS_AFTER', '7 days');
+    this.rawRetention = interval('TIMESCALE_RAW_RETENTION', '365 days');
+    this.aggregateRetention = interval('TIMESCALE_AGGREGATE_RETENTION', null);
+    this.ready = null;
+  }
+
+  // Whether the continuous aggregates can be queried; checked once per process
+  async isReady() {
+    if (this.ready !== null) return this.ready;
+
+    try {
+      const [row] = await sequelize.query(`
+        SELECT EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'timescaledb')
+          AND to_regclass(:hourly) IS NOT NULL
+          AND to_regclass(:daily) IS NOT NULL AS ready
+      `, {
+        replacements: { hourly: AGGREGATES.hourly.view, daily: AGGREGATES.daily.view },
+        type: QueryTypes.SELECT
+      });
+      this.ready = Boolean(row && row.ready);
+    } catch (error) {
+      console.error('❌ Error checking for TimescaleDB aggregates:', error.message);
+      return false;
+    }
+    return this.ready;
+  }
+
+  // Idempotent; returns false when the extension is not installed on the server
+  async setup() {
+    const [available] = await sequelize.query(
+      "SELECT 1 AS available FROM pg_available_extensions WHERE name = 'timescaledb'",
+      { type: QueryTypes.SELECT }
+    );
+    if (!available) {
+      console.warn('⚠️ TimescaleDB is not available; sensor analytics will query raw readings');
+      return false;
+    }
+
+    await sequelize.query('CREATE EXTENSION IF NOT EXISTS timescaledb');
+
+    const [hypertable] = await sequelize.query(
+      "SELECT compression_enabled FROM timescaledb_information.hypertables WHERE hypertable_name = 'sensor_readings'",
+      { type: QueryTypes.SELECT }
+    );
+    if (!hypertable) {
+      console.log('⏳ Converting sensor_readings to a hypertable; existing rows are moved into chunks');
+      // Unique constraints on a hypertable must include its time column
+      await sequelize.transaction(async (transaction) => {
+        await sequelize.query('ALTER TABLE sensor_readings DROP CONSTRAINT IF EXISTS sensor_readings_pkey', { transaction });
+        await sequelize.query('ALTER TABLE sensor_readings ADD PRIMARY KEY (id, timestamp)', { transaction });
+        await sequelize.query(
+          `SELECT create_hypertable('sensor_readings', 'timestamp', chunk_time_interval => INTERVAL '${this.chunkInterval}', migrate_data => true)`,
+          { transaction }
+        );
+      });
+    }
+
+    for (const aggregate of Object.values(AGGREGATES)) {
+      await this.createAggregate(aggregate);
+    }
+
+    if (this.compressAfter && !(hypertable && hypertable.compression_enabled)) {
+      await sequelize.query(`
+        ALTER TABLE sensor_readings SET (
+          timescaledb.compress,
+          timescaledb.compress_segmentby = 'equipment_id',
+          timescaledb.compress_orderby = 'timestamp DESC'
+        )`);
+    }
+    await replacePolicy('compression', 'sensor_readings', this.compressAfter);
+    await replacePolicy('retention', 'sensor_readings', this.rawRetention);
+    for (const aggregate of Object.values(AGGREGATES)) {
+      await replacePolicy('retention', aggregate.view, this.aggregateRetention);
+    }
+
+    this.ready = null;
+    console.log('✅ TimescaleDB hypertable, continuous aggregates and policies are in place');
+    return true;
+  }
+
+  // Drops the continuous aggregates and policies. A hypertable cannot be turned back into a
+  // plain table in place, so sensor_readings stays one and keeps working as before.
+  async teardown() {
+    const [installed] = await sequelize.query(
+      "SELECT 1 AS installed FROM pg_extension WHERE extname = 'timescaledb'",
+      { type: QueryTypes.SELECT }
+    );
+    if (!installed) return;
+
+    for (const { view } of Object.values(AGGREGATES)) {
+      await sequelize.query(`DROP MATERIALIZED VIEW IF EXISTS ${view} CASCADE`);
+    }
+    await replacePolicy('compression', 'sensor_readings', null);
+    await replacePolicy('retention', 'sensor_readings', null);
+    this.ready = null;
+  }
+
+  async createAggregate({ view, bucket, startOffset, endOffset, schedule }) {
+    const exists = await sequelize.query('SELECT to_regclass(:view) IS NOT NULL AS found', {
+      replacements: { view },
+      type: QueryTypes.SELECT
+    });
+    if (exists[0].found) return;
+
+    const columns = METRICS.map(metric => `
+      SUM(${metric}) AS sum_${metric},
+      COUNT(${metric}) AS count_${metric},
+      MAX(${metric}) AS max_${metric}`).join(',');
+
+    // Real-time aggregation (materialized_only = false) adds readings newer than the last refresh
+    await sequelize.query(`
+      CREATE MATERIALIZED VIEW ${view}
+      WITH (timescaledb.continuous, timescaledb.materialized_only = false) AS
+      SELECT equipment_id, time_bucket(INTERVAL '${bucket}', timestamp) AS bucket,${columns},
+        COUNT(*) AS reading_count
+      FROM sensor_readings
+      GROUP BY equipment_id, time_bucket(INTERVAL '${bucket}', timestamp)
+      WITH NO DATA`);
+    await sequelize.query(`
+      SELECT add_continuous_aggregate_policy('${view}',
+        start_offset => INTERVAL '${startOffset}',
+        end_offset => INTERVAL '${endOffset}',
+        schedule_interval => INTERVAL '${schedule}')`);
+
+    console.log(`⏳ Materializing ${view} from existing readings`);
+    await sequelize.query(`CALL refresh_continuous_aggregate('${view}', NULL, NULL)`);
+  }
+
+  // The refresh policies only look back a few days, so backfilled history is materialized here.
+  // Only buckets wholly inside the window are refreshed, so it is widened to whole buckets; a
+  // missing bound leaves that side open.
+  async refreshAggregates(from, to) {
+    if (!await this.isReady()) return;
+    for (const { view, bucket } of Object.values(AGGREGATES)) {
+      await sequelize.query(`
+        CALL refresh_continuous_aggregate('${view}',
+          time_bucket(INTERVAL '${bucket}', :from::timestamptz),
+          time_bucket(INTERVAL '${bucket}', :to::timestamptz) + INTERVAL '${bucket}')
+      `, {
+        replacements: { from: from || null, to: to || null }
+      });
+    }
+  }
+
+  // Hourly averages across the given equipment (null for all) since a time
+  hourlyAverages(since, equipmentIds) {
+    return sequelize.query(`
+      SELECT bucket AS hour,
+        SUM(sum_temperature) / NULLIF(SUM(count_temperature), 0) AS "avgTemperature",
+        SUM(sum_vibration) / NULLIF(SUM(count_vibration), 0) AS "avgVibration",
+        SUM(sum_pressure) / NULLIF(SUM(count_pressure), 0) AS "avgPressure"
+      FROM ${AGGREGATES.hourly.view}
+      WHERE bucket >= time_bucket(INTERVAL '${AGGREGATES.hourly.bucket}', :since::timestamptz)
+        ${equipmentIds ? 'AND equipment_id IN (:equipmentIds)' : ''}
+      GROUP BY bucket
+      ORDER BY bucket ASC
+    `, {
+      replacements: { since, equipmentIds: emptyToNull(equipmentIds) },
+      type: QueryTypes.SELECT
+    });
+  }
+
+  // Daily figures per equipment since a time, with the equipment's name
+  dailyTrends(since, equipmentIds) {
+    return sequelize.query(`
+      SELECT daily.equipment_id AS "equipmentId", equipment.name AS "equipmentName", daily.bucket AS date,
+        daily.sum_temperature / NULLIF(daily.count_temperature, 0) AS "avgTemperature",
+        daily.max_temperature AS "maxTemperature",
+        daily.sum_vibration / NULLIF(daily.count_vibration, 0) AS "avgVibration",
+        daily.max_vibration AS "maxVibration",
+        daily.sum_pressure / NULLIF(daily.count_pressure, 0) AS "avgPressure",
+        daily.reading_count AS "readingCount"
+      FROM ${AGGREGATES.daily.view} daily
+      LEFT JOIN equipment ON equipment.id = daily.equipment_id
+      WHERE daily.bucket >= time_bucket(INTERVAL '${AGGREGATES.daily.bucket}', :since::timestamptz)
+        ${equipmentIds ? 'AND daily.equipment_id IN (:equipmentIds)' : ''}
+      ORDER BY daily.equipment_id ASC, daily.bucket ASC
+    `, {
+      replacements: { since, equipmentIds: emptyToNull(equipmentIds) },
+      type: QueryTypes.SELECT
+    });
+  }
+}
+
+// Adds the policy for the interval, replacing any policy with a different interval; null removes it
+async function replacePolicy(kind, relation, after) {
+  await sequelize.query(`SELECT remove_${kind}_policy('${relation}', if_exists => true)`);
+  if (!after) return;
+  const argument = kind === 'retention' ? 'drop_after' : 'compress_after';
+  await sequelize.query(`SELECT add_${kind}_policy('${relation}', ${argument} => INTERVAL '${after}')`);
+}
+
+function interval(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  if (value === 'off') return null;
+  if (!INTERVAL_PATTERN.test(value.trim())) {
+    throw new Error(`${name} must be an interval such as "7 days" or "off"`);
+  }
+  return value.trim();
+}
+
+// IN () is invalid SQL; an empty scope matches no equipment
+function emptyToNull(ids) {
+  return ids && ids.length === 0 ? [null] : ids;
+}
+
+module.exports = new TimescaleService();
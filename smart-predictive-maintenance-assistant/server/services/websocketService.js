@@ -0,0 +1,305 @@
+const WebSocket = require('ws');
+const url = require('url');
+const { Equipment } = require('../models');
+const alertService = require('./alertService');
+const inventoryService = require('./inventoryService');
+const authService = require('./authService');
+const { canAccessLocation, getLocationScope } = require('../utils/permissions');
+require('dotenv').config();
+
+const READING_FIELDS = [
+  'temperature',
+  'vibration',
+  'pressure',
+  'humidity',
+  'electricalCurrent',
+  'voltage',
+  'rpm',
+  'powerConsumption',
+  'additionalMetrics'
+];
+
+const CHANNELS = ['equipment', 'location', 'alerts'];
+
+class WebSocketService {
+  constructor() {
+    this.wss = null;
+    this.clients = new Set();
+    this.heartbeatTimer = null;
+    this.path = process.env.WS_PATH || '/ws';
+    this.throttleMs = parseInt(process.env.WS_THROTTLE_MS) || 1000;
+    this.maxBufferedBytes = parseInt(process.env.WS_MAX_BUFFERED_BYTES) || 1024 * 1024;
+    this.heartbeatIntervalMs = parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS) || 30000;
+
+    alertService.on('alert:updated', (alert) => {
+      this.broadcastAlert(alert, null, 'alert.updated').catch(error => {
+        console.error('❌ Error broadcasting alert update:', error);
+      });
+    });
+    inventoryService.on('reorder:raised', (alert) => this.broadcastReorderAlert(alert, 'reorder.raised'));
+    inventoryService.on('reorder:updated', (alert) => this.broadcastReorderAlert(alert, 'reorder.updated'));
+  }
+
+  attach(server) {
+    this.wss = new WebSocket.Server({
+      server,
+      path: this.path,
+      verifyClient: (info, done) => this.verifyClient(info, done)
+    });
+
+    this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+
+    this.heartbeatTimer = setInterval(() => this.checkHeartbeats(), this.heartbeatIntervalMs);
+
+    console.log(`🔌 WebSocket server listening on ${this.path}`);
+  }
+
+  verifyClient(info, done) {
+    const token = extractToken(info.req);
+    if (!token) {
+      return done(false, 401, 'Unauthorized');
+    }
+
+    try {
+      info.req.user = authService.verifyAccessToken(token);
+    } catch (error) {
+      return done(false, 401, 'Unauthorized');
+    }
+    done(true);
+  }
+
+  handleConnection(socket, req) {
+    const client = {
+      socket,
+      user: req.user,
+      isAlive: true,
+      subscriptions: {
+        equipment: new Set(),
+        location: new Set(),
+        alerts: false
+      },
+      pendingReadings: new Map(),
+      flushTimer: null,
+      coalescedUpdates: 0
+    };
+
+    this.clients.add(client);
+
+    socket.on('pong', () => {
+      client.isAlive = true;
+    });
+
+    socket.on('message', (message) => {
+      this.handleClientMessage(client, message).catch(error => {
+        console.error('❌ Error handling WebSocket message:', error);
+        this.send(client, { type: 'error', error: 'Failed to handle message' });
+      });
+    });
+
+    socket.on('close', () => {
+      if (client.flushTimer) clearTimeout(client.flushTimer);
+      this.clients.delete(client);
+    });
+
+    socket.on('error', (error) => {
+      console.error('❌ WebSocket client error:', error);
+    });
+
+    this.send(client, { type: 'connected', throttleMs: this.throttleMs });
+  }
+
+  async handleClientMessage(client, message) {
+    let request;
+    try {
+      request = JSON.parse(message.toString());
+    } catch (error) {
+      return this.send(client, { type: 'error', error: 'Invalid JSON message' });
+    }
+
+    const { action, channel, id } = request;
+
+    if (!['subscribe', 'unsubscribe'].includes(action) || !CHANNELS.includes(channel)) {
+      return this.send(client, { type: 'error', error: 'Unsupported action or channel' });
+    }
+
+    if (channel !== 'alerts' && !id) {
+      return this.send(client, { type: 'error', error: `An id is required for the ${channel} channel` });
+    }
+
+    const subscribe = action === 'subscribe';
+
+    if (subscribe && !(await this.canSubscribe(client, channel, id))) {
+      return this.send(client, { type: 'error', error: `You do not have access to ${channel} ${id}` });
+    }
+
+    if (channel === 'alerts') {
+      client.subscriptions.alerts = subscribe;
+    } else if (subscribe) {
+      client.subscriptions[channel].add(id);
+    } else {
+      client.subscriptions[channel].delete(id);
+      if (channel === 'equipment') client.pendingReadings.delete(id);
+    }
+
+    this.send(client, { type: subscribe ? 'subscribed' : 'unsubscribed', channel, id });
+  }
+
+  // Broadcasts are filtered by location as well, so this only gives early feedback
+  async canSubscribe(client, channel, id) {
+    if (getLocationScope(client.user) === null || channel === 'alerts') return true;
+    if (channel === 'location') return canAccessLocation(client.user, id);
+
+    const equipment = await Equipment.findByPk(id, { attributes: ['id', 'location'] });
+    return Boolean(equipment) && canAccessLocation(client.user, equipment.location);
+  }
+
+  broadcastReading(equipment, sensorReading) {
+    const update = { equipmentId: equipment.id, timestamp: sensorReading.timestamp };
+    READING_FIELDS.forEach(field => {
+      if (sensorReading[field] !== null && sensorReading[field] !== undefined) {
+        update[field] = sensorReading[field];
+      }
+    });
+
+    this.clients.forEach(client => {
+      if (!isSubscribedToEquipment(client, equipment)) return;
+
+      // Partial messages for the same equipment are merged until the next flush
+      const pending = client.pendingReadings.get(equipment.id) || {};
+      client.pendingReadings.set(equipment.id, { ...pending, ...update });
+
+      if (!client.flushTimer) {
+        client.flushTimer = setTimeout(() => this.flushReadings(client), this.throttleMs);
+      }
+    });
+  }
+
+  flushReadings(client) {
+    client.flushTimer = null;
+    if (client.pendingReadings.size === 0) return;
+
+    // Slow consumers keep only their latest merged readings until their buffer drains
+    if (client.socket.bufferedAmount > this.maxBufferedBytes) {
+      client.coalescedUpdates++;
+      client.flushTimer = setTimeout(() => this.flushReadings(client), this.throttleMs);
+      return;
+    }
+
+    const readings = Array.from(client.pendingReadings.values());
+    client.pendingReadings.clear();
+
+    this.send(client, {
+      type: 'readings',
+      data: readings,
+      coalescedUpdates: client.coalescedUpdates
+    });
+    client.coalescedUpdates = 0;
+  }
+
+  async broadcastAlert(alert, equipment, event = 'alert.created') {
+    if (this.clients.size === 0) return;
+
+    if (!equipment) {
+      equipment = await Equipment.findByPk(alert.equipmentId, {
+        attributes: ['id', 'name', 'location']
+      });
+      if (!equipment) return;
+    }
+
+    const message = {
+      type: event,
+      data: {
+        ...(alert.toJSON ? alert.toJSON() : alert),
+        equipmentName: equipment.name,
+        location: equipment.location
+      }
+    };
+
+    this.clients.forEach(client => {
+      if (!canAccessLocation(client.user, equipment.location)) return;
+      if (client.subscriptions.alerts || isSubscribedToEquipment(client, equipment)) {
+        // Alerts are never throttled, but a client that stops reading entirely is disconnected
+        if (client.socket.bufferedAmount > this.maxBufferedBytes * 2) {
+          client.socket.close(1013, 'Client too slow');
+          return;
+        }
+        this.send(client, message);
+      }
+    });
+  }
+
+  broadcastReorderAlert(alert, event) {
+    const message = { type: event, data: alert.toJSON ? alert.toJSON() : alert };
+
+    this.clients.forEach(client => {
+      if (!canAccessLocation(client.user, alert.location)) return;
+      if (client.subscriptions.alerts || client.subscriptions.location.has(alert.location)) {
+        this.send(client, message);
+      }
+    });
+  }
+
+  send(client, message) {
+    if (client.socket.readyState === WebSocket.OPEN) {
+      client.socket.send(JSON.stringify(message));
+    }
+  }
+
+  checkHeartbeats() {
+    this.clients.forEach(client => {
+      // Clients reconnect with a fresh access token, which also picks up role and location changes
+      if (client.user.expiresAt && client.user.expiresAt <= Date.now()) {
+        client.socket.close(4001, 'Token expired');
+        return;
+      }
+      if (!client.isAlive) {
+        client.socket.terminate();
+        return;
+      }
+      client.isAlive = false;
+      client.socket.ping();
+    });
+  }
+
+  getStats() {
+    return {
+      connectedClients: this.clients.size,
+      throttleMs: this.throttleMs
+    };
+  }
+
+  close() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    this.clients.forEach(client => {
+      if (client.flushTimer) clearTimeout(client.flushTimer);
+      client.socket.close(1001, 'Server shutting down');
+    });
+    this.clients.clear();
+    if (this.wss) {
+      this.wss.close();
+      this.wss = null;
+    }
+  }
+}
+
+function extractToken(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.slice(7);
+  }
+
+  // Browsers cannot set headers on WebSocket upgrades, so allow ?token= as well
+  const { query } = url.parse(req.url, true);
+  return query.token || null;
+}
+
+function isSubscribedToEquipment(client, equipment) {
+  if (!canAccessLocation(client.user, equipment.location)) return false;
+  return client.subscriptions.equipment.has(equipment.id) ||
+    client.subscriptions.location.has(equipment.location);
+}
+
+module.exports = new WebSocketService();
@@ -0,0 +1,417 @@
+const EventEmitter = require('events');
+const { Op } = require('sequelize');
+const { sequelize, MaintenanceRecord, Alert, User } = require('../models');
+const alertService = require('./alertService');
+const ingestBuffer = require('./ingestBuffer');
+const inventoryService = require('./inventoryService');
+const { pick, isUuid } = require('../utils/request');
+const { ServiceError } = require('../utils/errors');
+const { hasPermission, canAccessLocation, actorName } = require('../utils/permissions');
+
+const OPEN_STATUSES = ['scheduled', 'in_progress'];
+const OPEN_ALERT_STATUSES = ['active', 'acknowledged'];
+
+// Allowed status changes, and the action that makes each change
+const TRANSITIONS = {
+  scheduled: ['in_progress', 'cancelled'],
+  in_progress: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+const ACTIONS = { in_progress: 'start', completed: 'complete', cancelled: 'cancel' };
+
+const PLANNING_FIELDS = ['type', 'scheduledDate', 'estimatedDuration', 'description', 'notes', 'plannedParts'];
+const COMPLETION_FIELDS = ['workPerformed', 'partsUsed', 'cost', 'downtime', 'completedDate', 'notes'];
+
+// Work orders are MaintenanceRecords driven through scheduled -> in_progress -> completed/cancelled.
+// Every change is appended to the record's history with who made it. Starting work puts the
+// equipment into maintenance; completing or cancelling it restores the equipment's earlier status
+// once no other work order on it is in progress. Emits workorder:completed and workorder:cancelled.
+class WorkOrderService extends EventEmitter {
+  // options.transaction runs the save inside a caller's transaction; options.maintenancePlanId
+  // links a work order generated by a maintenance plan
+  async create(equipment, data, actor, { transaction, maintenancePlanId } = {}) {
+    if (equipment.status === 'retired') {
+      throw new ServiceError('Work orders cannot be created for retired equipment', 409);
+    }
+
+    if (data.plannedParts !== undefined) {
+      data = { ...data, plannedParts: await inventoryService.normalizePlannedParts(data.plannedParts) };
+    }
+
+    const workOrder = MaintenanceRecord.build({
+      ...pick(data, PLANNING_FIELDS),
+      equipmentId: equipment.id,
+      status: 'scheduled',
+      technician: data.technician,
+      maintenancePlanId,
+      history: [historyEvent('created', actor)]
+    });
+
+    if (data.assignedTo) {
+      const assignee = await this.findAssignee(data.assignedTo, equipment);
+      workOrder.set({ assignedTo: assignee.id, technician: assignee.name });
+      await workOrder.validate();
+      if (data.force !== true) await this.assertNoConflicts(workOrder);
+    }
+
+    const save = async (transaction) => {
+      await workOrder.save({ transaction });
+      if (data.alertIds) {
+        await this.linkAlerts(workOrder, data.alertIds, transaction);
+      }
+    };
+    await (transaction ? save(transaction) : sequelize.transaction(save));
+
+    return workOrder;
+  }
+
+  // Reschedules or edits a work order that has not started yet
+  async update(workOrder, data, actor) {
+    if (workOrder.status !== 'scheduled') {
+      throw new ServiceError(`Only scheduled work orders can be edited; this one is ${workOrder.status}`, 409);
+    }
+
+    if (data.plannedParts !== undefined) {
+      data = { ...data, plannedParts: await inventoryService.normalizePlannedParts(data.plannedParts) };
+    }
+
+    workOrder.set(pick(data, PLANNING_FIELDS));
+    const changes = describeChanges(workOrder, PLANNING_FIELDS);
+
+    const rescheduled = workOrder.changed('scheduledDate') || workOrder.changed('estimatedDuration');
+    if (rescheduled && workOrder.assignedTo && data.force !== true) {
+      await workOrder.validate();
+      await this.assertNoConflicts(workOrder);
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      if (Object.keys(changes).length > 0) {
+        appendHistory(workOrder, historyEvent('updated', actor, data.note, changes));
+      }
+      await workOrder.save({ transaction });
+      if (data.alertIds) {
+        await this.linkAlerts(workOrder, data.alertIds, transaction);
+      }
+    });
+
+    return workOrder;
+  }
+
+  // Assigns (or with a null assignee, unassigns) an open work order
+  async assign(workOrder, equipment, assignedTo, actor, { force = false, note } = {}) {
+    if (!OPEN_STATUSES.includes(workOrder.status)) {
+      throw new ServiceError(`A ${workOrder.status} work order cannot be reassigned`, 409);
+    }
+
+    if (assignedTo) {
+      const assignee = await this.findAssignee(assignedTo, equipment);
+      workOrder.set({ assignedTo: assignee.id, technician: assignee.name });
+      if (!force) await this.assertNoConflicts(workOrder);
+      appendHistory(workOrder, historyEvent('assigned', actor, note, { assignedTo: assignee.id, technician: assignee.name }));
+    } else {
+      workOrder.set({ assignedTo: null, technician: null });
+      appendHistory(workOrder, historyEvent('unassigned', actor, note));
+    }
+
+    await workOrder.save();
+    return workOrder;
+  }
+
+  // Folds a maintenance plan occurrence into an existing open work order on the same equipment
+  async mergePlan(workOrder, plan, actor, { transaction } = {}) {
+    const tasks = `Covers maintenance plan "${plan.name}"` + (plan.description ? `:\n${plan.description}` : '');
+    workOrder.set({
+      maintenancePlanId: plan.id,
+      notes: workOrder.notes ? `${workOrder.notes}\n\n${tasks}` : tasks,
+      plannedParts: plan.parts ? [...(workOrder.plannedParts || []), ...plan.parts] : workOrder.plannedParts
+    });
+    appendHistory(workOrder, historyEvent('merged', actor, null, { maintenancePlanId: plan.id }));
+
+    await workOrder.save({ transaction });
+    return workOrder;
+  }
+
+  async start(workOrder, equipment, actor, { note } = {}) {
+    this.assertCanWork(workOrder, actor);
+    this.assertTransition(workOrder, 'in_progress');
+
+    await sequelize.transaction(async (transaction) => {
+      await this.lockForTransition(workOrder, equipment, 'in_progress', actor, transaction);
+      if (equipment.status === 'retired') {
+        throw new ServiceError('Work cannot start on retired equipment', 409);
+      }
+
+      // A technician who starts an unassigned work order takes it
+      if (!workOrder.assignedTo && actor.type === 'user') {
+        workOrder.set({ assignedTo: actor.id, technician: actor.name });
+      }
+
+      workOrder.set({
+        status: 'in_progress',
+        startedAt: new Date(),
+        equipmentStatusBefore: await this.statusBeforeMaintenance(workOrder, equipment, transaction)
+      });
+      appendHistory(workOrder, historyEvent('started', actor, note));
+      await workOrder.save({ transaction });
+      if (equipment.status !== 'maintenance') {
+        await equipment.update({ status: 'maintenance' }, { transaction });
+      }
+    });
+    ingestBuffer.invalidateEquipment(equipment.id);
+
+    // Linked alerts are being worked on
+    const alerts = await this.getLinkedAlerts(workOrder, ['active']);
+    for (const alert of alerts) {
+      await alertService.acknowledge(alert, actorName(actor), `Work order ${workOrder.id} started`);
+    }
+
+    return workOrder;
+  }
+
+  async complete(workOrder, equipment, data, actor) {
+    this.assertCanWork(workOrder, actor);
+    this.assertTransition(workOrder, 'completed');
+    const completedDate = parseCompletedDate(data);
+
+    await sequelize.transaction(async (transaction) => {
+      await this.lockForTransition(workOrder, equipment, 'completed', actor, transaction);
+      await this.applyCompletion(workOrder, equipment, data, actor, completedDate, transaction);
+      await this.releaseEquipment(workOrder, equipment, transaction);
+    });
+    ingestBuffer.invalidateEquipment(equipment.id);
+
+    await this.afterCompletion(workOrder, actor);
+    return workOrder;
+  }
+
+  // Records maintenance that was already carried out as a work order created and completed in
+  // one transaction. The work is over, so the equipment's status is left as it is.
+  async logCompleted(equipment, data, actor) {
+    const completedDate = parseCompletedDate(data);
+    const downtime = Number(data.downtime);
+    const startedAt = Number.isFinite(downtime) && downtime > 0
+      ? new Date(completedDate.getTime() - downtime * 60000)
+      : completedDate;
+
+    let workOrder;
+    await sequelize.transaction(async (transaction) => {
+      workOrder = await this.create(equipment, { ...data, scheduledDate: data.scheduledDate || startedAt }, actor, { transaction });
+      workOrder.set({ startedAt });
+      await this.applyCompletion(workOrder, equipment, data, actor, completedDate, transaction);
+    });
+
+    await this.afterCompletion(workOrder, actor);
+    return workOrder;
+  }
+
+  async applyCompletion(workOrder, equipment, data, actor, completedDate, transaction) {
+    workOrder.set({ ...pick(data, COMPLETION_FIELDS), status: 'completed', completedDate });
+    // Catalog parts are deducted from stock and their cost is added to the work order's cost
+    if (data.partsUsed) {
+      const { partsUsed, partsCost } = await inventoryService.consumeParts(workOrder, equipment, data.partsUsed, actor, transaction);
+      workOrder.set({ partsUsed, partsCost, cost: (parseFloat(workOrder.cost) || 0) + partsCost });
+    }
+    // Downtime defaults to the time the work order was in progress
+    if (workOrder.downtime === null || workOrder.downtime === undefined) {
+      workOrder.downtime = Math.max(0, Math.round((completedDate - workOrder.startedAt) / 60000));
+    }
+    appendHistory(workOrder, historyEvent('completed', actor, data.note));
+    await workOrder.save({ transaction });
+  }
+
+  // Linked alerts are resolved once the completion is committed
+  async afterCompletion(workOrder, actor) {
+    const alerts = await this.getLinkedAlerts(workOrder, OPEN_ALERT_STATUSES);
+    for (const alert of alerts) {
+      await alertService.resolve(alert, actorName(actor), `Resolved by work order ${workOrder.id}`, {
+        maintenanceRecordId: workOrder.id
+      });
+    }
+
+    this.emit('workorder:completed', workOrder);
+  }
+
+  async cancel(workOrder, equipment, actor, { reason } = {}) {
+    this.assertCanWork(workOrder, actor);
+    this.assertTransition(workOrder, 'cancelled');
+    let wasInProgress;
+
+    await sequelize.transaction(async (transaction) => {
+      await this.lockForTransition(workOrder, equipment, 'cancelled', actor, transaction);
+      wasInProgress = workOrder.status === 'in_progress';
+      workOrder.set({ status: 'cancelled' });
+      appendHistory(workOrder, historyEvent('cancelled', actor, reason));
+      await workOrder.save({ transaction });
+      if (wasInProgress) {
+        await this.releaseEquipment(workOrder, equipment, transaction);
+      }
+    });
+    if (wasInProgress) ingestBuffer.invalidateEquipment(equipment.id);
+
+    this.emit('workorder:cancelled', workOrder);
+    return workOrder;
+  }
+
+  // Open work orders of the same assignee whose scheduled windows overlap this one
+  async findConflicts(workOrder) {
+    if (!workOrder.assignedTo) return [];
+
+    const start = new Date(workOrder.scheduledDate);
+    const end = new Date(start.getTime() + workOrder.estimatedDuration * 60000);
+
+    return MaintenanceRecord.findAll({
+      where: {
+        id: { [Op.ne]: workOrder.id },
+        assignedTo: workOrder.assignedTo,
+        status: { [Op.in]: OPEN_STATUSES },
+        scheduledDate: { [Op.lt]: end },
+        [Op.and]: [
+          sequelize.where(sequelize.literal('scheduled_date + estimated_duration * INTERVAL \'1 minute\''), Op.gt, start)
+        ]
+      },
+      attributes: ['id', 'equipmentId', 'type', 'status', 'scheduledDate', 'estimatedDuration'],
+      order: [['scheduledDate', 'ASC']]
+    });
+  }
+
+  async assertNoConflicts(workOrder) {
+    const conflicts = await this.findConflicts(workOrder);
+    if (conflicts.length > 0) {
+      throw new ServiceError(
+        `${workOrder.technician || 'The assignee'} is already booked for ${conflicts.length} overlapping work order(s); pass force to double-book`,
+        409,
+        conflicts.map(conflict => conflict.toJSON())
+      );
+    }
+  }
+
+  async findAssignee(userId, equipment) {
+    const user = isUuid(userId) ? await User.findByPk(userId) : null;
+    if (!user || !user.active) {
+      throw new ServiceError('assignedTo must be an active user', 400);
+    }
+    if (!hasPermission(user, 'maintenance:write')) {
+      throw new ServiceError(`${user.name} is a ${user.role} and cannot carry out maintenance`, 400);
+    }
+    if (!canAccessLocation(user, equipment.location)) {
+      throw new ServiceError(`${user.name} does not have access to equipment at ${equipment.location}`, 400);
+    }
+    return user;
+  }
+
+  // Technicians work on their own or unassigned work orders; planners on any
+  assertCanWork(workOrder, actor) {
+    if (workOrder.assignedTo && workOrder.assignedTo !== actor.id && !hasPermission(actor, 'workorders:plan')) {
+      throw new ServiceError(`This work order is assigned to ${workOrder.technician || 'another technician'}`, 403);
+    }
+  }
+
+  assertTransition(workOrder, status) {
+    const allowed = TRANSITIONS[workOrder.status];
+    if (!allowed.includes(status)) {
+      throw new ServiceError(
+        `Cannot ${ACTIONS[status]} a work order that is ${workOrder.status}` +
+        (allowed.length > 0 ? `; it can only ${allowed.map(next => ACTIONS[next]).join(' or ')}` : ''),
+        409
+      );
+    }
+  }
+
+  // Locks the equipment and work order rows and re-checks the action against their committed
+  // state, so concurrent actions on either run one after the other instead of both passing
+  async lockForTransition(workOrder, equipment, status, actor, transaction) {
+    const lock = transaction.LOCK.UPDATE;
+    await equipment.reload({ transaction, lock });
+    const current = await MaintenanceRecord.findByPk(workOrder.id, {
+      attributes: ['status', 'assignedTo', 'technician', 'history'],
+      transaction,
+      lock
+    });
+    workOrder.set(current.get());
+
+    this.assertCanWork(workOrder, actor);
+    this.assertTransition(workOrder, status);
+  }
+
+  // Equipment already in maintenance for another work order keeps the status that order will restore
+  async statusBeforeMaintenance(workOrder, equipment, transaction) {
+    if (equipment.status !== 'maintenance') return equipment.status;
+
+    const other = await MaintenanceRecord.findOne({
+      where: { equipmentId: equipment.id, status: 'in_progress', id: { [Op.ne]: workOrder.id } },
+      attributes: ['equipmentStatusBefore'],
+      order: [['startedAt', 'ASC']],
+      transaction
+    });
+    return other ? other.equipmentStatusBefore : 'maintenance';
+  }
+
+  async linkAlerts(workOrder, alertIds, transaction) {
+    const ids = [].concat(alertIds);
+    const malformed = ids.filter(id => !isUuid(id));
+    if (malformed.length > 0) {
+      throw new ServiceError(`alertIds must be alert ids: ${malformed.join(', ')}`, 400);
+    }
+    const alerts = await Alert.findAll({ where: { id: { [Op.in]: ids } }, transaction });
+
+    const invalid = ids.filter(id => !alerts.some(alert => alert.id === id && alert.equipmentId === workOrder.equipmentId));
+    if (invalid.length > 0) {
+      throw new ServiceError(`Alerts not found for this equipment: ${invalid.join(', ')}`, 400);
+    }
+
+    await Alert.update({ maintenanceRecordId: workOrder.id }, { where: { id: { [Op.in]: ids } }, transaction });
+  }
+
+  getLinkedAlerts(workOrder, statuses) {
+    return Alert.findAll({
+      where: { maintenanceRecordId: workOrder.id, status: { [Op.in]: statuses } }
+    });
+  }
+
+  async releaseEquipment(workOrder, equipment, transaction) {
+    const otherInProgress = await MaintenanceRecord.count({
+      where: { equipmentId: equipment.id, status: 'in_progress', id: { [Op.ne]: workOrder.id } },
+      transaction
+    });
+
+    // Work orders started before the previous status was recorded return the equipment to active
+    if (otherInProgress === 0 && equipment.status === 'maintenance') {
+      await equipment.update({ status: workOrder.equipmentStatusBefore || 'active' }, { transaction });
+    }
+  }
+}
+
+function parseCompletedDate(data) {
+  const completedDate = data.completedDate ? new Date(data.completedDate) : new Date();
+  if (isNaN(completedDate.getTime())) {
+    throw new ServiceError('completedDate must be a valid date', 400);
+  }
+  return completedDate;
+}
+
+function historyEvent(action, actor, note, changes) {
+  return {
+    action,
+    by: actorName(actor),
+    at: new Date().toISOString(),
+    ...(note ? { note } : {}),
+    ...(changes ? { changes } : {})
+  };
+}
+
+// JSONB columns are only saved when reassigned, so the history array is replaced, not pushed to
+function appendHistory(workOrder, event) {
+  workOrder.history = [...(workOrder.history || []), event];
+}
+
+function describeChanges(record, fields) {
+  return fields.reduce((acc, field) => {
+    if (record.changed(field)) {
+      acc[field] = { from: record.previous(field), to: record.get(field) };
+    }
+    return acc;
+  }, {});
+}
+
+module.exports = new WorkOrderService();
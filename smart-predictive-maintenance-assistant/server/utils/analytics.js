@@ -0,0 +1,26 @@
+const moment = require('moment');
+
+function getStartDate(timeRange) {
+  const now = moment();
+  switch (timeRange) {
+    case '1d': return now.subtract(1, 'day').toDate();
+    case '7d': return now.subtract(7, 'days').toDate();
+    case '30d': return now.subtract(30, 'days').toDate();
+    case '3m': return now.subtract(3, 'months').toDate();
+    case '6m': return now.subtract(6, 'months').toDate();
+    case '12m': return now.subtract(12, 'months').toDate();
+    default: return now.subtract(7, 'days').toDate();
+  }
+}
+
+function getHealthStatus(healthScore) {
+  if (healthScore >= 80) return 'excellent';
+  if (healthScore >= 60) return 'good';
+  if (healthScore >= 40) return 'fair';
+  return 'poor';
+}
+
+module.exports = {
+  getStartDate,
+  getHealthStatus
+};
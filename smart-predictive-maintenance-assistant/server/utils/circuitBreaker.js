@@ -0,0 +1,79 @@
+class CircuitOpenError extends Error {
+  constructor(name) {
+    super(`Circuit ${name} is open`);
+    this.name = 'CircuitOpenError';
+  }
+}
+
+// closed -> open after `failureThreshold` consecutive failures; after `resetTimeoutMs`
+// a single trial call is let through (half-open) and decides whether to close again
+class CircuitBreaker {
+  constructor(name, { failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  async exec(fn) {
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.resetTimeoutMs || this.trialInFlight) {
+        throw new CircuitOpenError(this.name);
+      }
+      this.state = 'half_open';
+    }
+
+    if (this.state === 'half_open') {
+      if (this.trialInFlight) throw new CircuitOpenError(this.name);
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      this.onFailure();
+      throw error;
+    } finally {
+      this.trialInFlight = false;
+    }
+  }
+
+  onSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`✅ Circuit ${this.name} closed`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  onFailure() {
+    this.failures++;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`⚠️ Circuit ${this.name} opened after ${this.failures} failures`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  getState() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+    };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError
+};
@@ -0,0 +1,12 @@
+class ServiceError extends Error {
+  constructor(message, statusCode = 400, details) {
+    super(message);
+    this.name = 'ServiceError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+module.exports = {
+  ServiceError
+};
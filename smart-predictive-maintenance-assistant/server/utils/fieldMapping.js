@@ -0,0 +1,97 @@
+const { isKnownUnit, convertUnit } = require('./units');
+
+const READING_FIELDS = [
+  'temperature',
+  'vibration',
+  'pressure',
+  'humidity',
+  'electricalCurrent',
+  'voltage',
+  'rpm',
+  'powerConsumption',
+  'additionalMetrics'
+];
+
+// Units readings are stored in, matching the canonicalUnits of the default config/sensors.json
+const DEFAULT_CANONICAL_UNITS = {
+  temperature: 'degC',
+  vibration: 'mm/s',
+  pressure: 'bar'
+};
+
+// Validates one field spec ({ unit, targetUnit, scale, offset }) for a SensorReading target.
+// `additionalMetrics.<key>` targets a single key of the JSON column.
+function compileField(label, target, spec, canonicalUnits = {}) {
+  const metricKey = target.startsWith('additionalMetrics.') ? target.slice('additionalMetrics.'.length) : null;
+
+  if (!metricKey && !READING_FIELDS.includes(target)) {
+    throw new Error(`${label}: unknown reading field "${target}"`);
+  }
+
+  const targetUnit = spec.targetUnit || canonicalUnits[target];
+  if (spec.unit && !isKnownUnit(spec.unit)) {
+    throw new Error(`${label}.${target}: unknown unit "${spec.unit}"`);
+  }
+  if (spec.unit && targetUnit) {
+    convertUnit(0, spec.unit, targetUnit); // throws on incompatible units
+  }
+
+  return {
+    target,
+    metricKey,
+    unit: spec.unit,
+    targetUnit,
+    scale: spec.scale !== undefined ? spec.scale : 1,
+    offset: spec.offset || 0
+  };
+}
+
+function validateCanonicalUnits(canonicalUnits = {}) {
+  Object.keys(canonicalUnits).forEach(field => {
+    if (!isKnownUnit(canonicalUnits[field])) {
+      throw new Error(`canonicalUnits.${field}: unknown unit "${canonicalUnits[field]}"`);
+    }
+  });
+}
+
+// Numeric strings are parsed; numbers are converted and then scaled. Other values pass through,
+// as additionalMetrics may hold text; invalidReadingFields() catches them for reading columns.
+function normalizeValue(value, field) {
+  if (value === undefined || value === null) return undefined;
+
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) {
+    value = parseFloat(value);
+  }
+  if (typeof value !== 'number') return value;
+
+  if (field.unit && field.targetUnit) {
+    value = convertUnit(value, field.unit, field.targetUnit);
+  }
+  return value * field.scale + field.offset;
+}
+
+// Reading columns (all but additionalMetrics) are FLOAT: only finite numbers can be stored
+function invalidReadingFields(fields) {
+  return Object.keys(fields).filter(field =>
+    field !== 'additionalMetrics' && fields[field] !== undefined && fields[field] !== null &&
+    !(typeof fields[field] === 'number' && Number.isFinite(fields[field])));
+}
+
+function assignField(fields, field, value) {
+  if (field.metricKey) {
+    fields.additionalMetrics = { ...(fields.additionalMetrics || {}), [field.metricKey]: value };
+  } else {
+    fields[field.target] = value;
+  }
+  return fields;
+}
+
+module.exports = {
+  READING_FIELDS,
+  DEFAULT_CANONICAL_UNITS,
+  compileField,
+  validateCanonicalUnits,
+  normalizeValue,
+  invalidReadingFields,
+  assignField
+};
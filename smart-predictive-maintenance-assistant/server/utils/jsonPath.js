@@ -0,0 +1,35 @@
+// Minimal JSONPath subset: $.a.b, $.a[0].b, $['key with spaces'], $.a["b"]
+function parsePath(path) {
+  if (typeof path !== 'string' || !path.startsWith('$')) {
+    throw new Error(`Invalid path "${path}": paths must start with $`);
+  }
+
+  const tokens = [];
+  const pattern = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\[\s*'([^']*)'\s*\]|\[\s*"([^"]*)"\s*\]/y;
+  pattern.lastIndex = 1;
+
+  while (pattern.lastIndex < path.length) {
+    const start = pattern.lastIndex;
+    const match = pattern.exec(path);
+    if (!match) {
+      throw new Error(`Invalid path "${path}" at position ${start}`);
+    }
+    if (match[1] !== undefined) tokens.push(match[1]);
+    else if (match[2] !== undefined) tokens.push(parseInt(match[2]));
+    else tokens.push(match[3] !== undefined ? match[3] : match[4]);
+  }
+
+  return tokens;
+}
+
+function getPath(source, tokens) {
+  return tokens.reduce((value, token) => {
+    if (value === null || value === undefined) return undefined;
+    return value[token];
+  }, source);
+}
+
+module.exports = {
+  parsePath,
+  getPath
+};
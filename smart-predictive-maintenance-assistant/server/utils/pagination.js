@@ -0,0 +1,27 @@
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+function getPagination(query) {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit) || DEFAULT_LIMIT));
+
+  return {
+    page,
+    limit,
+    offset: (page - 1) * limit
+  };
+}
+
+function formatPagination({ page, limit }, total) {
+  return {
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit)
+  };
+}
+
+module.exports = {
+  getPagination,
+  formatPagination
+};
@@ -0,0 +1,98 @@
+const { Op } = require('sequelize');
+
+const ROLES = ['viewer', 'technician', 'planner', 'admin'];
+
+// Each role has the permissions of the roles before it, plus its own
+const ROLE_GRANTS = {
+  viewer: ['equipment:read', 'alerts:read', 'analytics:read', 'ingest:read', 'inventory:read', 'data:export'],
+  technician: ['alerts:manage', 'maintenance:write'],
+  planner: ['equipment:write', 'rules:write', 'predictions:run', 'data:import', 'workorders:plan', 'inventory:manage'],
+  admin: ['ingest:manage', 'users:manage', 'apikeys:manage']
+};
+
+const ROLE_PERMISSIONS = ROLES.reduce((acc, role, index) => {
+  acc[role] = ROLES.slice(0, index + 1).flatMap(inherited => ROLE_GRANTS[inherited]);
+  return acc;
+}, {});
+
+// API key scopes and the permissions they grant. Keys never manage users, keys or ingestion.
+const API_KEY_SCOPES = {
+  'read-equipment': ['equipment:read'],
+  'read-alerts': ['alerts:read'],
+  'read-analytics': ['analytics:read'],
+  'read-ingest': ['ingest:read'],
+  'read-inventory': ['inventory:read'],
+  'write-alerts': ['alerts:manage'],
+  'write-maintenance': ['maintenance:write'],
+  'plan-work-orders': ['workorders:plan'],
+  'manage-inventory': ['inventory:manage'],
+  'write-equipment': ['equipment:write'],
+  'write-rules': ['rules:write'],
+  'run-predictions': ['predictions:run'],
+  'export-data': ['data:export'],
+  'import-data': ['data:import']
+};
+
+// Permissions of a request principal: a user (by role) or an API key (by scopes)
+function getPermissions(principal) {
+  if (!principal) return [];
+  if (principal.type === 'api_key') {
+    return (principal.scopes || []).flatMap(scope => API_KEY_SCOPES[scope] || []);
+  }
+  return ROLE_PERMISSIONS[principal.role] || [];
+}
+
+function hasPermission(principal, permission) {
+  return getPermissions(principal).includes(permission);
+}
+
+// How a principal is recorded in acknowledgedBy, createdBy and similar columns
+function actorName(principal) {
+  if (principal.type === 'api_key') return `api-key:${principal.name}`;
+  if (principal.type === 'system') return `system:${principal.name}`;
+  return principal.email;
+}
+
+// Locations a user or API key is limited to, or null when they can access every location.
+// Admins are never limited.
+function getLocationScope(user) {
+  if (!user || user.role === 'admin' || !Array.isArray(user.locations)) return null;
+  return user.locations;
+}
+
+function canAccessLocation(user, location) {
+  const scope = getLocationScope(user);
+  return scope === null || scope.includes(location);
+}
+
+// Narrows a requested location list to the user's scope; null means no location filter
+function restrictLocations(user, requested) {
+  const scope = getLocationScope(user);
+  if (scope === null) return requested && requested.length > 0 ? requested : null;
+  return requested && requested.length > 0
+    ? requested.filter(location => scope.includes(location))
+    : scope;
+}
+
+// Limits a where clause to the equipment ids a location-scoped user can access (see
+// authService.getEquipmentScope); a null scope leaves it unchanged
+function withEquipmentScope(whereClause, equipmentScope, field = 'equipmentId') {
+  if (!equipmentScope) return whereClause;
+  return {
+    ...whereClause,
+    [Op.and]: [...(whereClause[Op.and] || []), { [field]: { [Op.in]: equipmentScope } }]
+  };
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  API_KEY_SCOPES,
+  getPermissions,
+  hasPermission,
+  actorName,
+  getLocationScope,
+  canAccessLocation,
+  restrictLocations,
+  withEquipmentScope
+};
@@ -0,0 +1,54 @@
+const { ServiceError } = require('./errors');
+
+function splitList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isUuid(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+// Escapes LIKE wildcards so user input only matches literally
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+// Parses a date filter; an unparseable one is a 400 rather than an Invalid Date in the query
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ServiceError(`${name} must be a valid date`, 400);
+  }
+  return date;
+}
+
+function pick(source, fields) {
+  return fields.reduce((acc, field) => {
+    if (source[field] !== undefined) {
+      acc[field] = source[field];
+    }
+    return acc;
+  }, {});
+}
+
+function isValidationError(error) {
+  return error.name === 'SequelizeValidationError' ||
+    error.name === 'SequelizeUniqueConstraintError' ||
+    error.name === 'SequelizeDatabaseError' && /invalid input/i.test(error.message);
+}
+
+function formatValidationErrors(error) {
+  return (error.errors || [{ message: error.message }]).map(err => err.message);
+}
+
+module.exports = {
+  splitList,
+  isUuid,
+  escapeLike,
+  parseDate,
+  pick,
+  isValidationError,
+  formatValidationErrors
+};
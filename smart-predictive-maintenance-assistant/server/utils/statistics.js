@@ -0,0 +1,91 @@
+function linearRegression(points) {
+  const n = points.length;
+  if (n < 2) return null;
+
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  points.forEach(p => {
+    sxx += (p.x - meanX) * (p.x - meanX);
+    sxy += (p.x - meanX) * (p.y - meanY);
+    syy += (p.y - meanY) * (p.y - meanY);
+  });
+
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const rSquared = syy === 0 ? 1 : (sxy * sxy) / (sxx * syy);
+
+  return { slope, intercept, rSquared, n };
+}
+
+// Two-parameter Weibull fit by median-rank regression (Bernard's approximation)
+function fitWeibull(samples) {
+  const times = samples.filter(t => t > 0).sort((a, b) => a - b);
+  const n = times.length;
+  if (n < 2) return null;
+
+  const points = times.map((t, i) => {
+    const medianRank = (i + 1 - 0.3) / (n + 0.4);
+    return {
+      x: Math.log(t),
+      y: Math.log(-Math.log(1 - medianRank))
+    };
+  });
+
+  const fit = linearRegression(points);
+  if (!fit || fit.slope <= 0) return null;
+
+  return {
+    shape: fit.slope,
+    scale: Math.exp(-fit.intercept / fit.slope),
+    rSquared: fit.rSquared,
+    n
+  };
+}
+
+function weibullReliability(t, { shape, scale }) {
+  return Math.exp(-Math.pow(Math.max(0, t) / scale, shape));
+}
+
+// Probability of failing within `horizon` given survival to `age`
+function conditionalFailureProbability(age, horizon, fit) {
+  const survivedToAge = weibullReliability(age, fit);
+  if (survivedToAge === 0) return 1;
+  return 1 - weibullReliability(age + horizon, fit) / survivedToAge;
+}
+
+// Time from `age` until the conditional reliability drops to 50%
+function medianResidualLife(age, { shape, scale }) {
+  const scaledAge = Math.pow(Math.max(0, age) / scale, shape);
+  return scale * Math.pow(scaledAge + Math.LN2, 1 / shape) - age;
+}
+
+function mean(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function round(value, decimals = 3) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  linearRegression,
+  fitWeibull,
+  weibullReliability,
+  conditionalFailureProbability,
+  medianResidualLife,
+  mean,
+  clamp,
+  round
+};
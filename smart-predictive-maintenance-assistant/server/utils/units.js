@@ -0,0 +1,51 @@
+// Each unit maps to a converter into its group's base unit and back
+const UNITS = {
+  // temperature (base: degC)
+  degC: { group: 'temperature', toBase: v => v, fromBase: v => v },
+  degF: { group: 'temperature', toBase: v => (v - 32) * 5 / 9, fromBase: v => v * 9 / 5 + 32 },
+  K: { group: 'temperature', toBase: v => v - 273.15, fromBase: v => v + 273.15 },
+
+  // velocity, for vibration (base: mm/s)
+  'mm/s': { group: 'velocity', toBase: v => v, fromBase: v => v },
+  'in/s': { group: 'velocity', toBase: v => v * 25.4, fromBase: v => v / 25.4 },
+  'm/s': { group: 'velocity', toBase: v => v * 1000, fromBase: v => v / 1000 },
+
+  // pressure (base: bar)
+  bar: { group: 'pressure', toBase: v => v, fromBase: v => v },
+  psi: { group: 'pressure', toBase: v => v * 0.0689476, fromBase: v => v / 0.0689476 },
+  kPa: { group: 'pressure', toBase: v => v / 100, fromBase: v => v * 100 },
+  MPa: { group: 'pressure', toBase: v => v * 10, fromBase: v => v / 10 },
+
+  // electrical and power
+  A: { group: 'current', toBase: v => v, fromBase: v => v },
+  mA: { group: 'current', toBase: v => v / 1000, fromBase: v => v * 1000 },
+  V: { group: 'voltage', toBase: v => v, fromBase: v => v },
+  kV: { group: 'voltage', toBase: v => v * 1000, fromBase: v => v / 1000 },
+  kW: { group: 'power', toBase: v => v, fromBase: v => v },
+  W: { group: 'power', toBase: v => v / 1000, fromBase: v => v * 1000 },
+  MW: { group: 'power', toBase: v => v * 1000, fromBase: v => v / 1000 }
+};
+
+function isKnownUnit(unit) {
+  return Object.prototype.hasOwnProperty.call(UNITS, unit);
+}
+
+function convertUnit(value, fromUnit, toUnit) {
+  if (!fromUnit || !toUnit || fromUnit === toUnit) return value;
+
+  const from = UNITS[fromUnit];
+  const to = UNITS[toUnit];
+  if (!from || !to) {
+    throw new Error(`Unknown unit conversion ${fromUnit} -> ${toUnit}`);
+  }
+  if (from.group !== to.group) {
+    throw new Error(`Cannot convert ${from.group} (${fromUnit}) to ${to.group} (${toUnit})`);
+  }
+
+  return to.fromBase(from.toBase(value));
+}
+
+module.exports = {
+  isKnownUnit,
+  convertUnit
+};
@@ -0,0 +1,37 @@
+const HOUR_MS = 3600000;
+
+// Equipment counts as running when rpm (or, without an rpm reading, power draw) is above the
+// threshold. Readings with neither value keep the previous state.
+function isRunning(reading, { minRpm = 0, minPower = 0 } = {}, previous = null) {
+  if (isNumber(reading.rpm)) return reading.rpm > minRpm;
+  if (isNumber(reading.powerConsumption)) return reading.powerConsumption > minPower;
+  return previous ? previous.running : false;
+}
+
+// Adds up run-hours across time-ordered readings. The time between two readings counts when the
+// earlier one shows the equipment running; gaps longer than maxGapMs are treated as unknown and
+// not counted. cursor is the last reading of the previous batch, so batches chain together.
+function accumulateRunHours(readings, cursor, { minRpm, minPower, maxGapMs }) {
+  let hours = 0;
+  let previous = cursor || null;
+
+  readings.forEach(reading => {
+    const timestamp = new Date(reading.timestamp).getTime();
+    if (previous && previous.running) {
+      const gap = timestamp - previous.timestamp;
+      if (gap > 0 && gap <= maxGapMs) hours += gap / HOUR_MS;
+    }
+    previous = { timestamp, running: isRunning(reading, { minRpm, minPower }, previous) };
+  });
+
+  return { hours, cursor: previous };
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+module.exports = {
+  isRunning,
+  accumulateRunHours
+};